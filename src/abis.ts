@@ -78,6 +78,7 @@ export const arbAbis = [
     `function arb2(${TakeOrdersConfigV3} calldata takeOrders, uint256 minimumSenderOutput, ${EvaluableV3} calldata evaluable) external payable`,
     `function arb3(address orderBook, ${TakeOrdersConfigV3} calldata takeOrders, ${TaskV1} calldata task)`,
     "function iRouteProcessor() external view returns (address)",
+    "function iOrderBook() external view returns (address)",
 ] as const;
 
 export const Call3 = "(address target, bool allowFailure, bytes callData)" as const;
@@ -94,11 +95,15 @@ export const DefaultArbEvaluable = {
     bytecode: "0x",
 } as const;
 
+export const AddOrderV2EventAbi = parseAbi([orderbookAbi[0]]);
+export const RemoveOrderV2EventAbi = parseAbi([orderbookAbi[1]]);
 export const TakeOrderV2EventAbi = parseAbi([orderbookAbi[13]]);
 export const OrderbookQuoteAbi = parseAbi([orderbookAbi[14]]);
 export const VaultBalanceAbi = parseAbi([orderbookAbi[3]]);
+export const OrderExistsAbi = parseAbi([orderbookAbi[8]]);
 export const AfterClearAbi = parseAbi([orderbookAbi[2]]);
 export const DeployerAbi = parseAbi(deployerAbi);
+export const ArbOrderbookAbi = parseAbi([arbAbis[3]]);
 export const MulticallAbi = parseAbi(multicall3Abi);
 
 /**
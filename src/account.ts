@@ -5,6 +5,7 @@ import { estimateGasCost, getTxFee } from "./gas";
 import { ErrorSeverity, errorSnapshot } from "./error";
 import { Native, Token, WNATIVE } from "sushi/currency";
 import { ROUTE_PROCESSOR_4_ADDRESS } from "sushi/config";
+import { getRemoteSignerAccount, getRemoteSignerAddresses } from "./signer";
 import { createViemClient, getDataFetcher } from "./config";
 import { mnemonicToAccount, privateKeyToAccount } from "viem/accounts";
 import { getRpSwap, PoolBlackList, sleep, addWatchedToken } from "./utils";
@@ -27,8 +28,8 @@ export const BasePath = "m/44'/60'/0'/0/" as const;
 export const MainAccountDerivationIndex = 0 as const;
 
 /**
- * Generates array of accounts from mnemonic phrase and tops them up from main acount
- * @param mnemonicOrPrivateKey - The mnemonic phrase or private key
+ * Generates array of accounts from mnemonic phrase or remote signer and tops them up from main acount
+ * @param mnemonicOrPrivateKey - The mnemonic phrase or private key, ignored if remote signer is specified
  * @param config - The config obj
  * @param options - The config obj
  * @returns Array of ethers Wallets derived from the given menomonic phrase and standard derivation path
@@ -41,27 +42,37 @@ export async function initAccounts(
     ctx?: Context,
 ) {
     const accounts: ViemClient[] = [];
-    const isMnemonic = !/^(0x)?[a-fA-F0-9]{64}$/.test(mnemonicOrPrivateKey);
+    const remoteSigner = options.remoteSigner;
+    const isMnemonic = !remoteSigner && !/^(0x)?[a-fA-F0-9]{64}$/.test(mnemonicOrPrivateKey);
+    const remoteSignerAddresses = remoteSigner
+        ? await getRemoteSignerAddresses(remoteSigner)
+        : undefined;
     const mainAccount = await createViemClient(
         config.chain.id as ChainId,
         config.rpc,
         config.publicRpc,
-        isMnemonic
-            ? mnemonicToAccount(mnemonicOrPrivateKey, {
-                  addressIndex: MainAccountDerivationIndex,
-              })
-            : privateKeyToAccount(
-                  (mnemonicOrPrivateKey.startsWith("0x")
-                      ? mnemonicOrPrivateKey
-                      : "0x" + mnemonicOrPrivateKey) as `0x${string}`,
-              ),
+        remoteSigner
+            ? await getRemoteSignerAccount(
+                  remoteSigner,
+                  MainAccountDerivationIndex,
+                  remoteSignerAddresses,
+              )
+            : isMnemonic
+              ? mnemonicToAccount(mnemonicOrPrivateKey, {
+                    addressIndex: MainAccountDerivationIndex,
+                })
+              : privateKeyToAccount(
+                    (mnemonicOrPrivateKey.startsWith("0x")
+                        ? mnemonicOrPrivateKey
+                        : "0x" + mnemonicOrPrivateKey) as `0x${string}`,
+                ),
         config.timeout,
         (config as any).testClientViem,
         config,
     );
 
-    // if the provided key is mnemonic, generate new accounts
-    if (isMnemonic) {
+    // if the provided key is mnemonic or a remote signer, generate new accounts
+    if (isMnemonic || remoteSigner) {
         const len = options.walletCount ?? 0;
         for (let addressIndex = 1; addressIndex <= len; addressIndex++) {
             accounts.push(
@@ -69,9 +80,15 @@ export async function initAccounts(
                     config.chain.id as ChainId,
                     config.rpc,
                     config.publicRpc,
-                    mnemonicToAccount(mnemonicOrPrivateKey, {
-                        addressIndex,
-                    }),
+                    remoteSigner
+                        ? await getRemoteSignerAccount(
+                              remoteSigner,
+                              addressIndex,
+                              remoteSignerAddresses,
+                          )
+                        : mnemonicToAccount(mnemonicOrPrivateKey, {
+                              addressIndex,
+                          }),
                     config.timeout,
                     (config as any).testClientViem,
                     config,
@@ -89,8 +106,8 @@ export async function initAccounts(
     mainAccount.BALANCE = balances[0];
     await setWatchedTokens(mainAccount, config.watchedTokens ?? []);
 
-    // incase of excess accounts, top them up from main account
-    if (accounts.length) {
+    // incase of excess accounts, top them up from main account, skipped in simulation mode
+    if (accounts.length && !config.simulate) {
         const topupAmountBn = ethers.utils.parseUnits(options.topupAmount!);
         let cumulativeTopupAmount = ethers.constants.Zero;
         for (let i = 1; i < balances.length; i++) {
@@ -208,19 +225,54 @@ export async function manageAccounts(
         let counter = 0;
         const size = accountsToAdd * 3; // equates to max of 3 retries if failed to add new wallets
         const topupAmountBN = ethers.utils.parseUnits(options.topupAmount!);
+
+        // remote signer accounts are read once, new wallets are taken from its spare accounts
+        let remoteSignerAddresses: `0x${string}`[] | undefined;
+        if (options.remoteSigner) {
+            try {
+                remoteSignerAddresses = await getRemoteSignerAddresses(options.remoteSigner);
+            } catch (error) {
+                const span = tracer?.startSpan("add-new-wallet", undefined, ctx);
+                span?.setAttribute("severity", ErrorSeverity.LOW);
+                span?.setStatus({
+                    code: SpanStatusCode.ERROR,
+                    message: "Failed to get remote signer accounts: " + errorSnapshot("", error),
+                });
+                span?.end();
+                return lastIndex;
+            }
+        }
         while (accountsToAdd > 0) {
             // infinite loop controll
             if (counter > size) break;
             counter++;
             const span = tracer?.startSpan("add-new-wallet", undefined, ctx);
+            if (remoteSignerAddresses && lastIndex + 1 >= remoteSignerAddresses.length) {
+                span?.setAttribute(
+                    "severity",
+                    config.accounts.length ? ErrorSeverity.MEDIUM : ErrorSeverity.HIGH,
+                );
+                span?.setStatus({
+                    code: SpanStatusCode.ERROR,
+                    message: `no spare remote signer accounts to add new wallets, all of the ${remoteSignerAddresses.length} remote signer accounts are already used, there are still ${config.accounts.length} wallets in circulation to clear orders, please consider adding more accounts to the remote signer`,
+                });
+                span?.end();
+                break;
+            }
             try {
                 const acc = await createViemClient(
                     config.chain.id as ChainId,
                     config.rpc,
                     config.publicRpc,
-                    mnemonicToAccount(options.mnemonic!, {
-                        addressIndex: ++lastIndex,
-                    }),
+                    options.remoteSigner
+                        ? await getRemoteSignerAccount(
+                              options.remoteSigner,
+                              ++lastIndex,
+                              remoteSignerAddresses,
+                          )
+                        : mnemonicToAccount(options.mnemonic!, {
+                              addressIndex: ++lastIndex,
+                          }),
                     config.timeout,
                     (config as any).testClientViem,
                     config,
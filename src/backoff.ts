@@ -0,0 +1,149 @@
+import {
+    OrderBackoff,
+    OrderOutcome,
+    BundledOrders,
+    OrderBackoffMap,
+    ProcessPairHaltReason,
+    ProcessPairReportStatus,
+} from "./types";
+
+/**
+ * Cooldown in miliseconds of an order pair after its first failure, doubled on each
+ * consecutive failure
+ */
+export const BACKOFF_BASE_COOLDOWN = 60_000 as const;
+
+/**
+ * Maximum cooldown in miliseconds of an order pair
+ */
+export const BACKOFF_MAX_COOLDOWN = 3_600_000 as const;
+
+/**
+ * Relative change of the market price since last failure that resets an order pair's cooldown
+ */
+export const BACKOFF_MARKET_MOVE = 0.01 as const;
+
+/**
+ * Gets the key of an order pair in the backoff registry
+ * @param orderPairObject - The order pair
+ */
+export function getBackoffKey(orderPairObject: BundledOrders): string {
+    return [
+        orderPairObject.orderbook,
+        orderPairObject.takeOrders[0]?.id ?? "",
+        orderPairObject.buyToken,
+        orderPairObject.sellToken,
+    ]
+        .join(":")
+        .toLowerCase();
+}
+
+/**
+ * Gets the backoff reason of the given outcome, undefined if the outcome is not a failure
+ * that should be backed off
+ * @param outcome - The outcome of processing an order pair
+ */
+export function getBackoffReason(outcome: OrderOutcome): OrderBackoff["reason"] | undefined {
+    if (outcome.status === ProcessPairReportStatus.ZeroOutput) return "zeroOutput";
+    if (outcome.reason === ProcessPairHaltReason.FailedToQuote) return "failedToQuote";
+    if (outcome.reason === ProcessPairHaltReason.FailedToGetPools) return "noRoute";
+    if (outcome.reason === ProcessPairHaltReason.FailedToGetEthPrice) return "noEthPrice";
+    return undefined;
+}
+
+/**
+ * Records the outcome of processing an order pair in the backoff registry, a failure puts
+ * the order pair in cooldown that grows exponentially with consecutive failures, any other
+ * outcome clears its backoff, returns the order pair's backoff if it is in cooldown
+ * @param backoffs - The backoff registry
+ * @param orderPairObject - The processed order pair
+ * @param outcome - The outcome of processing the order pair
+ * @param getMarketPrice - (optional) Gets the current market price of the order pair, only
+ * called on failures that halt before the market price is recorded in the outcome
+ * @param now - (optional) Current timestamp in miliseconds
+ */
+export function recordOrderBackoff(
+    backoffs: OrderBackoffMap,
+    orderPairObject: BundledOrders,
+    outcome: OrderOutcome,
+    getMarketPrice?: () => number | undefined,
+    now = Date.now(),
+): OrderBackoff | undefined {
+    const key = getBackoffKey(orderPairObject);
+    const reason = getBackoffReason(outcome);
+    if (!reason) {
+        backoffs.delete(key);
+        return;
+    }
+    const failures = (backoffs.get(key)?.failures ?? 0) + 1;
+    let marketPrice = outcome.spanAttributes?.["details.marketQuote.num"];
+    if (typeof marketPrice !== "number") marketPrice = getMarketPrice?.();
+    const backoff: OrderBackoff = {
+        failures,
+        until: now + Math.min(BACKOFF_BASE_COOLDOWN * 2 ** (failures - 1), BACKOFF_MAX_COOLDOWN),
+        reason,
+        marketPrice: typeof marketPrice === "number" ? marketPrice : undefined,
+    };
+    backoffs.set(key, backoff);
+    return backoff;
+}
+
+/**
+ * Gets the backoff of the given order pair if it is in cooldown, the cooldown is reset if
+ * the market has moved since the last failure, ie its price has changed or a route has
+ * become available for an order pair that had none
+ * @param backoffs - The backoff registry
+ * @param orderPairObject - The order pair
+ * @param getMarketPrice - Gets the current market price of the order pair, only called if
+ * the order pair is in cooldown
+ * @param now - (optional) Current timestamp in miliseconds
+ */
+export function getActiveBackoff(
+    backoffs: OrderBackoffMap,
+    orderPairObject: BundledOrders,
+    getMarketPrice: () => number | undefined,
+    now = Date.now(),
+): OrderBackoff | undefined {
+    const key = getBackoffKey(orderPairObject);
+    const backoff = backoffs.get(key);
+    if (!backoff || backoff.until <= now) return;
+
+    const marketPrice = getMarketPrice();
+    const marketMoved =
+        backoff.marketPrice === undefined
+            ? backoff.reason === "noRoute" && marketPrice !== undefined
+            : marketPrice !== undefined &&
+              (backoff.marketPrice === 0
+                  ? marketPrice !== 0
+                  : Math.abs(marketPrice / backoff.marketPrice - 1) >= BACKOFF_MARKET_MOVE);
+    if (marketMoved) {
+        backoffs.delete(key);
+        return;
+    }
+    return backoff;
+}
+
+/**
+ * Clears the backoffs of all the pairs of the given order, ie when its vaults are deposited into
+ * @param backoffs - The backoff registry
+ * @param orderbook - The orderbook address
+ * @param orderHash - The order hash
+ */
+export function resetOrderBackoff(backoffs: OrderBackoffMap, orderbook: string, orderHash: string) {
+    const prefix = `${orderbook}:${orderHash}:`.toLowerCase();
+    for (const key of backoffs.keys()) {
+        if (key.startsWith(prefix)) backoffs.delete(key);
+    }
+}
+
+/**
+ * Gets the span attributes of the given backoff
+ * @param backoff - The order pair backoff
+ */
+export function getBackoffSpanAttributes(backoff: OrderBackoff): Record<string, any> {
+    return {
+        "details.backoff.reason": backoff.reason,
+        "details.backoff.failures": backoff.failures,
+        "details.backoff.until": new Date(backoff.until).toISOString(),
+    };
+}
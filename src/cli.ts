@@ -5,16 +5,68 @@ import { Command } from "commander";
 import { getMetaInfo } from "./config";
 import { BigNumber, ethers } from "ethers";
 import { Context } from "@opentelemetry/api";
-import { sleep, isBigNumberish } from "./utils";
-import { getOrderChanges, SgOrder } from "./query";
+import {
+    ChainHealth,
+    ChainSection,
+    ChainsHealthMap,
+    addChainHealth,
+    readChainsFile,
+    startHealthServer,
+    updateRoundHealth,
+} from "./supervisor";
+import { sleep, isBigNumberish, addWatchedToken, promiseTimeout } from "./utils";
+import { readConfigFile } from "./configFile";
+import { applySettings, diffSettings, getReloadableSettings, watchConfigFile } from "./reload";
+import { formatOrderQuotes, quoteOrder } from "./quote";
+import {
+    ShutdownState,
+    shutdownSleep,
+    shutdownDeadline,
+    createShutdownState,
+    handleShutdownSignals,
+    DEFAULT_SHUTDOWN_TIMEOUT,
+} from "./shutdown";
+import {
+    endRound,
+    startRound,
+    RoundScheduler,
+    getRoundSchedule,
+    watchRoundBlocks,
+    waitForNextRound,
+    createRoundScheduler,
+} from "./scheduler";
+import { resolveWalletSecrets } from "./secrets";
+import { formatPreflightChecks, runPreflightChecks } from "./preflight";
+import { DEFAULT_SIMULATE_FILE, getSimulationRecords, writeSimulationRecords } from "./simulate";
+import { getOrderChanges, getFilterList, SgOrder, SgTxCursor, SgVaultChange } from "./query";
+import {
+    OrdersStream,
+    watchOrderLogs,
+    getOnchainOrders,
+    drainOrdersStream,
+    watchNewOrderbooks,
+    OnchainOrdersSource,
+    readOnchainOrderChanges,
+} from "./onchain";
+import { getOrdersFromFile, OrdersFileSource, readOrdersFileChanges } from "./ordersFile";
+import {
+    getState,
+    readState,
+    writeState,
+    getStateOrders,
+    getStateSourceKey,
+    reconcileStateOrders,
+} from "./state";
 import { Resource } from "@opentelemetry/resources";
-import { getOrderDetails, clear, getConfig } from ".";
+import { getOrderDetails, clear, getConfig, confirmOrderChanges } from ".";
 import { ErrorSeverity, errorSnapshot } from "./error";
 import { Tracer } from "@opentelemetry/sdk-trace-base";
 import { CompressionAlgorithm } from "@opentelemetry/otlp-exporter-base";
 import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
 import { SEMRESATTRS_SERVICE_NAME } from "@opentelemetry/semantic-conventions";
 import {
+    OTOVMap,
+    SgFilter,
     BotConfig,
     CliOptions,
     ViemClient,
@@ -31,6 +83,8 @@ import {
 } from "./account";
 import {
     getOrdersTokens,
+    checkOrdersLiveness,
+    handleVaultChanges,
     downscaleProtection,
     prepareOrdersForRound,
     getOrderbookOwnersProfileMapFromSg,
@@ -60,20 +114,27 @@ config();
 const ENV_OPTIONS = {
     key: process?.env?.BOT_WALLET_PRIVATEKEY,
     mnemonic: process?.env?.MNEMONIC,
+    keyFile: process?.env?.BOT_WALLET_PRIVATEKEY_FILE,
+    mnemonicFile: process?.env?.MNEMONIC_FILE,
+    keystore: process?.env?.KEYSTORE,
+    keystorePassword: process?.env?.KEYSTORE_PASSWORD,
+    keystorePasswordFile: process?.env?.KEYSTORE_PASSWORD_FILE,
+    remoteSigner: process?.env?.REMOTE_SIGNER,
     arbAddress: process?.env?.ARB_ADDRESS,
     genericArbAddress: process?.env?.GENERIC_ARB_ADDRESS,
     orderbookAddress: process?.env?.ORDERBOOK_ADDRESS,
     lps: process?.env?.LIQUIDITY_PROVIDERS,
-    gasCoverage: process?.env?.GAS_COVER || "100",
+    gasCoverage: process?.env?.GAS_COVER,
     orderHash: process?.env?.ORDER_HASH,
     orderOwner: process?.env?.ORDER_OWNER,
     sleep: process?.env?.SLEEP,
-    maxRatio: process?.env?.MAX_RATIO?.toLowerCase() === "true" ? true : false,
-    publicRpc: process?.env?.PUBLIC_RPC?.toLowerCase() === "true" ? true : false,
+    maxRatio: getEnvBoolean(process?.env?.MAX_RATIO),
+    publicRpc: getEnvBoolean(process?.env?.PUBLIC_RPC),
     timeout: process?.env?.TIMEOUT,
     hops: process?.env?.HOPS,
     retries: process?.env?.RETRIES,
     poolUpdateInterval: process?.env?.POOL_UPDATE_INTERVAL,
+    livenessCheckInterval: process?.env?.LIVENESS_CHECK_INTERVAL,
     walletCount: process?.env?.WALLET_COUNT,
     topupAmount: process?.env?.TOPUP_AMOUNT,
     botMinBalance: process?.env?.BOT_MIN_BALANCE,
@@ -84,7 +145,18 @@ const ENV_OPTIONS = {
     quoteGas: process?.env?.QUOTE_GAS,
     route: process?.env?.ROUTE,
     dispair: process?.env?.DISPAIR,
-    rpOnly: process?.env?.RP_ONLY?.toLowerCase() === "true" ? true : false,
+    rpOnly: getEnvBoolean(process?.env?.RP_ONLY),
+    simulate: getEnvBoolean(process?.env?.SIMULATE),
+    simulateFile: process?.env?.SIMULATE_FILE,
+    shutdownTimeout: process?.env?.SHUTDOWN_TIMEOUT,
+    shutdownSweep: getEnvBoolean(process?.env?.SHUTDOWN_SWEEP),
+    schedule: process?.env?.SCHEDULE,
+    roundBlocks: process?.env?.ROUND_BLOCKS,
+    roundMinInterval: process?.env?.ROUND_MIN_INTERVAL,
+    roundMaxInterval: process?.env?.ROUND_MAX_INTERVAL,
+    orderScoring: getEnvBoolean(process?.env?.ORDER_SCORING),
+    exploration: process?.env?.EXPLORATION,
+    bundleOrders: getEnvBoolean(process?.env?.BUNDLE_ORDERS),
     ownerProfile: process?.env?.OWNER_PROFILE
         ? Array.from(process?.env?.OWNER_PROFILE.matchAll(/[^,\s]+/g)).map((v) => v[0])
         : undefined,
@@ -97,9 +169,45 @@ const ENV_OPTIONS = {
     subgraph: process?.env?.SUBGRAPH
         ? Array.from(process?.env?.SUBGRAPH.matchAll(/[^,\s]+/g)).map((v) => v[0])
         : undefined,
+    onchainOrderbook: process?.env?.ONCHAIN_ORDERBOOK
+        ? Array.from(process?.env?.ONCHAIN_ORDERBOOK.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
+    startBlock: process?.env?.START_BLOCK,
+    orders: process?.env?.ORDERS,
+    stateFile: process?.env?.STATE_FILE,
+    wsRpc: process?.env?.WS_RPC,
+    chains: process?.env?.CHAINS,
+    config: process?.env?.CONFIG,
+    healthPort: process?.env?.HEALTH_PORT,
+    sgReconcile: getEnvBoolean(process?.env?.SG_RECONCILE),
+    orderOwners: process?.env?.ORDER_OWNERS
+        ? Array.from(process?.env?.ORDER_OWNERS.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
+    orderbookAddresses: process?.env?.ORDERBOOK_ADDRESSES
+        ? Array.from(process?.env?.ORDERBOOK_ADDRESSES.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
+    includeTokens: process?.env?.INCLUDE_TOKENS
+        ? Array.from(process?.env?.INCLUDE_TOKENS.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
+    excludeTokens: process?.env?.EXCLUDE_TOKENS
+        ? Array.from(process?.env?.EXCLUDE_TOKENS.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
+    includePairs: process?.env?.INCLUDE_PAIRS
+        ? Array.from(process?.env?.INCLUDE_PAIRS.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
+    excludePairs: process?.env?.EXCLUDE_PAIRS
+        ? Array.from(process?.env?.EXCLUDE_PAIRS.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
 };
 
-const getOptions = async (argv: any, version?: string) => {
+/**
+ * Gets the options from cli, env and config file in order of precedence
+ * @param argv - cli args
+ * @param version - The bot version
+ * @param errors - (optional) If given, the options problems are collected into it instead of
+ * being thrown, so they can be reported together with the rest of startup problems
+ */
+const getOptions = async (argv: any, version?: string, errors?: string[]) => {
     const cmdOptions = new Command("node arb-bot")
         .option(
             "-k, --key <private-key>",
@@ -109,6 +217,26 @@ const getOptions = async (argv: any, version?: string) => {
             "-m, --mnemonic <mnemonic-phrase>",
             "Mnemonic phrase of wallet that performs the transactions, one of this or --key should be specified, requires '--wallet-count' and '--topup-amount'. Will override the 'MNEMONIC' in env variables",
         )
+        .option(
+            "--key-file <path>",
+            "Path to a file that contains the private key of wallet that performs the transactions, ie a docker secret file, alternative to --key. Will override the 'BOT_WALLET_PRIVATEKEY_FILE' in env variables",
+        )
+        .option(
+            "--mnemonic-file <path>",
+            "Path to a file that contains the mnemonic phrase of wallet that performs the transactions, ie a docker secret file, alternative to --mnemonic. Will override the 'MNEMONIC_FILE' in env variables",
+        )
+        .option(
+            "--keystore <path>",
+            "Path to a Web3 Secret Storage keystore JSON file of wallet that performs the transactions, alternative to --key, requires '--keystore-password-file'. Will override the 'KEYSTORE' in env variables",
+        )
+        .option(
+            "--keystore-password-file <path>",
+            "Path to a file that contains the password of the keystore. Will override the 'KEYSTORE_PASSWORD_FILE' in env variables",
+        )
+        .option(
+            "--remote-signer <url>",
+            "JSON-RPC url of a remote signer, ie web3signer or clef, that signs the transactions of the bot's wallets with 'eth_signTransaction', so the wallet keys are never on the bot host, alternative to --key and --mnemonic, its 'eth_accounts' are used as main wallet and excess wallets in order. Will override the 'REMOTE_SIGNER' in env variables",
+        )
         .option(
             "-r, --rpc <url...>",
             "RPC URL(s) that will be provider for interacting with evm, use different providers if more than 1 is specified to prevent banning. Will override the 'RPC_URL' in env variables",
@@ -117,6 +245,42 @@ const getOptions = async (argv: any, version?: string) => {
             "-s, --subgraph <url...>",
             "Subgraph URL(s) to read orders details from, can be used in combination with --orders, Will override the 'SUBGRAPH' in env variables",
         )
+        .option(
+            "--sg-reconcile",
+            "Cross validate the orders of multiple subgraphs instead of unioning them, orders are taken from the most up to date subgraph and the ones that subgraphs disagree on are confirmed onchain before being used. Will override the 'SG_RECONCILE' in env variables",
+        )
+        .option(
+            "--onchain-orderbook <address...>",
+            "Orderbook address(es) to read orders from their onchain AddOrderV2/RemoveOrderV2 logs, can be used instead of or in combination with --subgraph, requires '--start-block'. Will override the 'ONCHAIN_ORDERBOOK' in env variables",
+        )
+        .option(
+            "--start-block <integer>",
+            "The block number to start reading onchain orderbook logs from, required when using '--onchain-orderbook'. Will override the 'START_BLOCK' in env variables",
+        )
+        .option(
+            "--orders <path>",
+            "Path to a JSON or NDJSON file of orders to read orders details from, each entry being an OrderV3 struct or orderBytes along with its orderbook address, the file is watched for changes between rounds, can be used instead of or in combination with --subgraph. Will override the 'ORDERS' in env variables",
+        )
+        .option(
+            "--state-file <path>",
+            "Path to a file to persist the orders sync state (order changes cursor, known orders and tokens) in, so the bot resumes from it after a restart instead of a cold start. Will override the 'STATE_FILE' in env variables",
+        )
+        .option(
+            "--ws-rpc <url>",
+            "Websocket RPC url to subscribe to orderbooks AddOrderV2/RemoveOrderV2 logs with, so order changes are pushed as they happen and new orders are included in the very next round, the orderbooks are the ones specified by --onchain-orderbook or --orderbook-address(es), else the orderbooks of the orders read at startup. Will override the 'WS_RPC' in env variables",
+        )
+        .option(
+            "--config <path>",
+            "Path to a YAML or JSON config file of cli options in camelCase, with selfFundOrders as a list of objects, ownerProfile as a map of owner to limit, strategies as a list of strategy rules and signedContextProviders as a list of signed context providers, that is validated against 'src/config.schema.json' at startup and is reloaded on its change or SIGHUP to apply gasCoverage, lps, ownerProfile, selfFundOrders, sleep and gas multipliers in place, cli options and env variables take precedence over the config file options. Will override the 'CONFIG' in env variables",
+        )
+        .option(
+            "--chains <path>",
+            "Path to a JSON file of per chain sections to run several chains from one bot process, each section is an object of cli options in camelCase (such as rpc, subgraph, arbAddress, genericArbAddress, dispair, lps) with an optional name, that override the other given options for that chain, each chain runs its own round loop. Will override the 'CHAINS' in env variables",
+        )
+        .option(
+            "--health-port <integer>",
+            "Port to serve the chains health report on '/health' and their metrics on '/metrics' over http. Will override the 'HEALTH_PORT' in env variables",
+        )
         .option(
             "--orderbook-address <address>",
             "Option to filter the subgraph query results with address of the deployed orderbook contract, Will override the 'ORDERBOOK_ADDRESS' in env variables",
@@ -149,6 +313,30 @@ const getOptions = async (argv: any, version?: string) => {
             "--order-owner <address>",
             "Option to filter the subgraph query results with a specific order owner address, Will override the 'ORDER_OWNER' in env variables",
         )
+        .option(
+            "--order-owners <address...>",
+            "Option to filter orders with a list of order owner addresses, applies to subgraph query results and new orders, can be used in combination with --order-owner. Will override the 'ORDER_OWNERS' in env variables",
+        )
+        .option(
+            "--orderbook-addresses <address...>",
+            "Option to filter orders with a list of orderbook addresses, applies to subgraph query results and new orders, can be used in combination with --orderbook-address. Will override the 'ORDERBOOK_ADDRESSES' in env variables",
+        )
+        .option(
+            "--include-tokens <address...>",
+            "Option to only clear pairs that both of their tokens are in the given list of token addresses. Will override the 'INCLUDE_TOKENS' in env variables",
+        )
+        .option(
+            "--exclude-tokens <address...>",
+            "Option to not clear pairs that any of their tokens is in the given list of token addresses. Will override the 'EXCLUDE_TOKENS' in env variables",
+        )
+        .option(
+            "--include-pairs <pair...>",
+            "Option to only clear the given pairs, each pair as 2 token addresses seperated by a slash, ie token1/token2, regardless of their direction. Will override the 'INCLUDE_PAIRS' in env variables",
+        )
+        .option(
+            "--exclude-pairs <pair...>",
+            "Option to not clear the given pairs, each pair as 2 token addresses seperated by a slash, ie token1/token2, regardless of their direction. Will override the 'EXCLUDE_PAIRS' in env variables",
+        )
         .option(
             "--sleep <integer>",
             "Seconds to wait between each arb round, default is 10, Will override the 'SLEEP' in env variables",
@@ -177,13 +365,17 @@ const getOptions = async (argv: any, version?: string) => {
             "--pool-update-interval <integer>",
             "Option to specify time (in minutes) between pools updates, default is 0 minutes, Will override the 'POOL_UPDATE_INTERVAL' in env variables",
         )
+        .option(
+            "--liveness-check-interval <integer>",
+            "Option to specify time (in minutes) between checking if the tracked orders still exist onchain, orders that don't exist anymore are not cleared, disabled if left unspecified or 0, Will override the 'LIVENESS_CHECK_INTERVAL' in env variables",
+        )
         .option(
             "-w, --wallet-count <integer>",
-            "Number of wallet to submit transactions with, requires '--mnemonic'. Will override the 'WALLET_COUNT' in env variables",
+            "Number of wallet to submit transactions with, requires '--mnemonic' or '--remote-signer'. Will override the 'WALLET_COUNT' in env variables",
         )
         .option(
             "-t, --topup-amount <number>",
-            "The initial topup amount of excess wallets, requires '--mnemonic'. Will override the 'TOPUP_AMOUNT' in env variables",
+            "The initial topup amount of excess wallets, requires '--mnemonic' or '--remote-signer'. Will override the 'TOPUP_AMOUNT' in env variables",
         )
         .option(
             "--bot-min-balance <number>",
@@ -225,11 +417,57 @@ const getOptions = async (argv: any, version?: string) => {
             "--rp-only",
             "Only clear orders through RP4, excludes intra and inter orderbook clears. Will override the 'RP_ONLY' in env variables",
         )
+        .option(
+            "--simulate",
+            "Runs in simulation mode which finds opportunities as usual but never broadcasts any transaction, instead records the would-be transactions and a summary of each round in a NDJSON file. Will override the 'SIMULATE' in env variables",
+        )
+        .option(
+            "--simulate-file <path>",
+            "Path to the NDJSON file that simulation mode records are appended to, default is './simulation.ndjson'. Will override the 'SIMULATE_FILE' in env variables",
+        )
+        .option(
+            "--shutdown-timeout <integer>",
+            "Seconds to wait on SIGTERM/SIGINT for the pending txs of the current round to settle before exiting, default is 60. Will override the 'SHUTDOWN_TIMEOUT' in env variables",
+        )
+        .option(
+            "--shutdown-sweep",
+            "Sweeps the secondary wallets' tokens and gas back to main wallet on shutdown. Will override the 'SHUTDOWN_SWEEP' in env variables",
+        )
+        .option(
+            "--schedule <mode>",
+            "Specifies how rounds are scheduled, either 'time' that spaces rounds by --sleep or 'block' that triggers rounds on new block heads, subscribed through --ws-rpc if given or polled otherwise, a trigger is skipped if the previous round is still running, default is 'time'. Will override the 'SCHEDULE' in env variables",
+        )
+        .option(
+            "--round-blocks <integer>",
+            "Number of new blocks that trigger a round when --schedule is 'block', default is 1. Will override the 'ROUND_BLOCKS' in env variables",
+        )
+        .option(
+            "--round-min-interval <integer>",
+            "Minimum seconds between start of rounds when --schedule is 'block', default is 0. Will override the 'ROUND_MIN_INTERVAL' in env variables",
+        )
+        .option(
+            "--round-max-interval <integer>",
+            "Maximum seconds between start of rounds when --schedule is 'block', a round is started after this much time even if no block triggered it, default is 60. Will override the 'ROUND_MAX_INTERVAL' in env variables",
+        )
+        .option(
+            "--order-scoring",
+            "Fills owners' limited orders slots and orders the round by the orders' profit history score, ie their past opportunities, clears, net profit, reverts and market price gap, instead of round robin and shuffling. Will override the 'ORDER_SCORING' in env variables",
+        )
+        .option(
+            "--exploration <integer>",
+            "Percentage of owners' limited orders slots that are filled randomly in each round when --order-scoring is enabled, the rest are filled by the orders' profit history score, 100 makes the selection fully random, default is 20. Will override the 'EXPLORATION' in env variables",
+        )
+        .option(
+            "--bundle-orders",
+            "Tries to clear the same pair orders of a round together in a single arb transaction through RP4 before clearing them individually, the bundle is sized against the route and only submitted if its profit after gas beats clearing its orders individually. Will override the 'BUNDLE_ORDERS' in env variables",
+        )
         .description(
             [
                 "A NodeJS app to find and take arbitrage trades for Rain Orderbook orders against some DeFi liquidity providers, requires NodeJS v18 or higher.",
                 '- Use "node arb-bot [options]" command alias for running the app from its repository workspace',
                 '- Use "arb-bot [options]" command alias when this app is installed as a dependency in another project',
+                '- Use "arb-bot check [options]" command to run the preflight checks of the deployment of the given options without trading',
+                '- Use "arb-bot quote --order-hash <hash> [options]" command to quote an order against the market, ie its ratio vs market price, max clearable amount, route and gas cost',
             ].join("\n"),
         )
         .alias("arb-bot")
@@ -240,6 +478,13 @@ const getOptions = async (argv: any, version?: string) => {
     // assigning specified options from cli/env
     cmdOptions.key = cmdOptions.key || getEnv(ENV_OPTIONS.key);
     cmdOptions.mnemonic = cmdOptions.mnemonic || getEnv(ENV_OPTIONS.mnemonic);
+    cmdOptions.keyFile = cmdOptions.keyFile || getEnv(ENV_OPTIONS.keyFile);
+    cmdOptions.mnemonicFile = cmdOptions.mnemonicFile || getEnv(ENV_OPTIONS.mnemonicFile);
+    cmdOptions.keystore = cmdOptions.keystore || getEnv(ENV_OPTIONS.keystore);
+    cmdOptions.keystorePassword = getEnv(ENV_OPTIONS.keystorePassword);
+    cmdOptions.keystorePasswordFile =
+        cmdOptions.keystorePasswordFile || getEnv(ENV_OPTIONS.keystorePasswordFile);
+    cmdOptions.remoteSigner = cmdOptions.remoteSigner || getEnv(ENV_OPTIONS.remoteSigner);
     cmdOptions.rpc = cmdOptions.rpc || getEnv(ENV_OPTIONS.rpc);
     cmdOptions.writeRpc = cmdOptions.writeRpc || getEnv(ENV_OPTIONS.writeRpc);
     cmdOptions.arbAddress = cmdOptions.arbAddress || getEnv(ENV_OPTIONS.arbAddress);
@@ -248,10 +493,27 @@ const getOptions = async (argv: any, version?: string) => {
     cmdOptions.orderbookAddress =
         cmdOptions.orderbookAddress || getEnv(ENV_OPTIONS.orderbookAddress);
     cmdOptions.subgraph = cmdOptions.subgraph || getEnv(ENV_OPTIONS.subgraph);
+    cmdOptions.onchainOrderbook =
+        cmdOptions.onchainOrderbook || getEnv(ENV_OPTIONS.onchainOrderbook);
+    cmdOptions.startBlock = cmdOptions.startBlock || getEnv(ENV_OPTIONS.startBlock);
+    cmdOptions.orders = cmdOptions.orders || getEnv(ENV_OPTIONS.orders);
+    cmdOptions.stateFile = cmdOptions.stateFile || getEnv(ENV_OPTIONS.stateFile);
+    cmdOptions.wsRpc = cmdOptions.wsRpc || getEnv(ENV_OPTIONS.wsRpc);
+    cmdOptions.chains = cmdOptions.chains || getEnv(ENV_OPTIONS.chains);
+    cmdOptions.config = cmdOptions.config || getEnv(ENV_OPTIONS.config);
+    cmdOptions.healthPort = cmdOptions.healthPort || getEnv(ENV_OPTIONS.healthPort);
+    cmdOptions.sgReconcile = cmdOptions.sgReconcile || getEnv(ENV_OPTIONS.sgReconcile);
     cmdOptions.lps = cmdOptions.lps || getEnv(ENV_OPTIONS.lps);
     cmdOptions.gasCoverage = cmdOptions.gasCoverage || getEnv(ENV_OPTIONS.gasCoverage);
     cmdOptions.orderHash = cmdOptions.orderHash || getEnv(ENV_OPTIONS.orderHash);
     cmdOptions.orderOwner = cmdOptions.orderOwner || getEnv(ENV_OPTIONS.orderOwner);
+    cmdOptions.orderOwners = cmdOptions.orderOwners || getEnv(ENV_OPTIONS.orderOwners);
+    cmdOptions.orderbookAddresses =
+        cmdOptions.orderbookAddresses || getEnv(ENV_OPTIONS.orderbookAddresses);
+    cmdOptions.includeTokens = cmdOptions.includeTokens || getEnv(ENV_OPTIONS.includeTokens);
+    cmdOptions.excludeTokens = cmdOptions.excludeTokens || getEnv(ENV_OPTIONS.excludeTokens);
+    cmdOptions.includePairs = cmdOptions.includePairs || getEnv(ENV_OPTIONS.includePairs);
+    cmdOptions.excludePairs = cmdOptions.excludePairs || getEnv(ENV_OPTIONS.excludePairs);
     cmdOptions.sleep = cmdOptions.sleep || getEnv(ENV_OPTIONS.sleep);
     cmdOptions.maxRatio = cmdOptions.maxRatio || getEnv(ENV_OPTIONS.maxRatio);
     cmdOptions.timeout = cmdOptions.timeout || getEnv(ENV_OPTIONS.timeout);
@@ -259,6 +521,8 @@ const getOptions = async (argv: any, version?: string) => {
     cmdOptions.retries = cmdOptions.retries || getEnv(ENV_OPTIONS.retries);
     cmdOptions.poolUpdateInterval =
         cmdOptions.poolUpdateInterval || getEnv(ENV_OPTIONS.poolUpdateInterval);
+    cmdOptions.livenessCheckInterval =
+        cmdOptions.livenessCheckInterval || getEnv(ENV_OPTIONS.livenessCheckInterval);
     cmdOptions.walletCount = cmdOptions.walletCount || getEnv(ENV_OPTIONS.walletCount);
     cmdOptions.topupAmount = cmdOptions.topupAmount || getEnv(ENV_OPTIONS.topupAmount);
     cmdOptions.selfFundOrders = cmdOptions.selfFundOrders || getEnv(ENV_OPTIONS.selfFundOrders);
@@ -273,8 +537,23 @@ const getOptions = async (argv: any, version?: string) => {
     cmdOptions.route = cmdOptions.route || getEnv(ENV_OPTIONS.route);
     cmdOptions.publicRpc = cmdOptions.publicRpc || getEnv(ENV_OPTIONS.publicRpc);
     cmdOptions.rpOnly = cmdOptions.rpOnly || getEnv(ENV_OPTIONS.rpOnly);
+    cmdOptions.simulate = cmdOptions.simulate || getEnv(ENV_OPTIONS.simulate);
+    cmdOptions.simulateFile = cmdOptions.simulateFile || getEnv(ENV_OPTIONS.simulateFile);
+    cmdOptions.shutdownTimeout = cmdOptions.shutdownTimeout || getEnv(ENV_OPTIONS.shutdownTimeout);
+    cmdOptions.shutdownSweep = cmdOptions.shutdownSweep || getEnv(ENV_OPTIONS.shutdownSweep);
+    cmdOptions.schedule = cmdOptions.schedule || getEnv(ENV_OPTIONS.schedule);
+    cmdOptions.roundBlocks = cmdOptions.roundBlocks || getEnv(ENV_OPTIONS.roundBlocks);
+    cmdOptions.roundMinInterval =
+        cmdOptions.roundMinInterval || getEnv(ENV_OPTIONS.roundMinInterval);
+    cmdOptions.roundMaxInterval =
+        cmdOptions.roundMaxInterval || getEnv(ENV_OPTIONS.roundMaxInterval);
+    cmdOptions.orderScoring = cmdOptions.orderScoring || getEnv(ENV_OPTIONS.orderScoring);
+    cmdOptions.exploration = cmdOptions.exploration || getEnv(ENV_OPTIONS.exploration);
+    cmdOptions.bundleOrders = cmdOptions.bundleOrders || getEnv(ENV_OPTIONS.bundleOrders);
     cmdOptions.dispair = cmdOptions.dispair || getEnv(ENV_OPTIONS.dispair);
-    if (cmdOptions.ownerProfile) {
+    const optionsErrors: string[] = [];
+    await collectError(optionsErrors, () => {
+        if (!cmdOptions.ownerProfile) return;
         const profiles: Record<string, number> = {};
         cmdOptions.ownerProfile.forEach((v: string) => {
             const parsed = v.split("=");
@@ -297,7 +576,7 @@ const getOptions = async (argv: any, version?: string) => {
             }
         });
         cmdOptions.ownerProfile = profiles;
-    }
+    });
     if (cmdOptions.lps) {
         cmdOptions.lps = Array.from((cmdOptions.lps as string).matchAll(/[^,\s]+/g)).map(
             (v) => v[0],
@@ -316,6 +595,19 @@ const getOptions = async (argv: any, version?: string) => {
             };
         });
     }
+
+    // config file options have the least precedence, so they are only
+    // assigned to the options that are not specified in cli/env
+    await collectError(optionsErrors, () => {
+        if (!cmdOptions.config) return;
+        const fileOptions = readConfigFile(cmdOptions.config);
+        for (const key in fileOptions) {
+            if (cmdOptions[key] === undefined) cmdOptions[key] = fileOptions[key];
+        }
+    });
+    cmdOptions.gasCoverage = cmdOptions.gasCoverage || "100";
+    if (errors) errors.push(...optionsErrors);
+    else throwErrors(optionsErrors);
     return cmdOptions;
 };
 
@@ -326,10 +618,10 @@ export const arbRound = async (
     config: BotConfig,
     bundledOrders: BundledOrders[][],
     state: OperationState,
+    round?: number,
 ) => {
     return await tracer.startActiveSpan("process-orders", {}, roundCtx, async (span) => {
         const ctx = trace.setSpan(context.active(), span);
-        options;
         try {
             let txs;
             let foundOpp = false;
@@ -355,7 +647,10 @@ export const arbRound = async (
                 }
                 if (
                     reports.some(
-                        (v) => v.status === ProcessPairReportStatus.FoundOpportunity && !v.reason,
+                        (v) =>
+                            v.status === ProcessPairReportStatus.FoundOpportunity &&
+                            !v.reason &&
+                            !v.simulation,
                     )
                 ) {
                     didClear = true;
@@ -364,6 +659,21 @@ export const arbRound = async (
             } else {
                 span.setAttribute("didClear", false);
             }
+            if (options.simulate) {
+                const { opportunities, summary } = getSimulationRecords(reports, round);
+                span.setAttribute("details.simulation", JSON.stringify(summary));
+                try {
+                    writeSimulationRecords(options.simulateFile ?? DEFAULT_SIMULATE_FILE, [
+                        ...opportunities,
+                        summary,
+                    ]);
+                } catch (e) {
+                    span.setAttribute(
+                        "details.simulationFileError",
+                        errorSnapshot("Failed to write simulation file", e),
+                    );
+                }
+            }
             if (avgGasCost) {
                 span.setAttribute("avgGasCost", ethers.utils.formatUnits(avgGasCost));
             }
@@ -392,132 +702,337 @@ export const arbRound = async (
  * CLI startup function
  * @param argv - cli args
  */
-export async function startup(argv: any, version?: string, tracer?: Tracer, ctx?: Context) {
+export async function startup(
+    argv: any,
+    version?: string,
+    tracer?: Tracer,
+    ctx?: Context,
+    chainOptions?: Record<string, any>,
+) {
     let roundGap = 10000;
     let _poolUpdateInterval = 0;
 
-    const options = await getOptions(argv, version);
+    // startup problems are collected and reported together rather than one at a time
+    const errors: string[] = [];
+    const options = await getOptions(argv, version, errors);
+    if (chainOptions) Object.assign(options, chainOptions);
 
-    if ((!options.key && !options.mnemonic) || (options.key && options.mnemonic)) {
-        throw "undefined wallet, only one of key or mnemonic should be specified";
+    const hasWallet = await collectError(errors, () => resolveWalletSecrets(options as CliOptions));
+    if (hasWallet) {
+        await collectError(errors, () => {
+            if (options.remoteSigner) {
+                if (options.key || options.mnemonic) {
+                    throw "undefined wallet, only one of key, mnemonic or remote signer should be specified";
+                }
+                if (!/^https?:\/\//.test(options.remoteSigner)) {
+                    throw "invalid --remote-signer, it should be a http(s) url";
+                }
+                if (options.walletCount) {
+                    if (!/^[0-9]+$/.test(options.walletCount)) {
+                        throw "invalid --wallet-count, it should be an integer greater than equal 0";
+                    } else {
+                        options.walletCount = Number(options.walletCount);
+                    }
+                    if (!/^[0-9]+(.[0-9]+)?$/.test(options.topupAmount ?? "")) {
+                        throw "--topup-amount is required when using --wallet-count with remote signer";
+                    }
+                }
+            } else if ((!options.key && !options.mnemonic) || (options.key && options.mnemonic)) {
+                throw "undefined wallet, only one of key or mnemonic should be specified";
+            }
+        });
     }
-    if (options.mnemonic) {
-        if (!options.walletCount || !options.topupAmount) {
-            throw "--wallet-count and --toptup-amount are required when using mnemonic option";
+    await collectError(errors, () => {
+        if (options.mnemonic) {
+            if (!options.walletCount || !options.topupAmount) {
+                throw "--wallet-count and --toptup-amount are required when using mnemonic option";
+            }
+            if (!/^[0-9]+$/.test(options.walletCount)) {
+                throw "invalid --wallet-count, it should be an integer greater than equal 0";
+            } else {
+                options.walletCount = Number(options.walletCount);
+            }
+            if (!/^[0-9]+(.[0-9]+)?$/.test(options.topupAmount)) {
+                throw "invalid --topup-amount, it should be an number greater than equal 0";
+            }
         }
-        if (!/^[0-9]+$/.test(options.walletCount)) {
-            throw "invalid --wallet-count, it should be an integer greater than equal 0";
-        } else {
-            options.walletCount = Number(options.walletCount);
+    });
+    await collectError(errors, () => {
+        if (options.key) {
+            if (!/^(0x)?[a-fA-F0-9]{64}$/.test(options.key)) throw "invalid wallet private key";
         }
-        if (!/^[0-9]+(.[0-9]+)?$/.test(options.topupAmount)) {
-            throw "invalid --topup-amount, it should be an number greater than equal 0";
+    });
+    if (!options.rpc) errors.push("undefined RPC URL");
+    await collectError(errors, () => {
+        if (options.writeRpc) {
+            if (
+                !Array.isArray(options.writeRpc) ||
+                options.writeRpc.some((v) => typeof v !== "string")
+            ) {
+                throw `Invalid write rpcs: ${options.writeRpc}`;
+            }
         }
-    }
-    if (options.key) {
-        if (!/^(0x)?[a-fA-F0-9]{64}$/.test(options.key)) throw "invalid wallet private key";
-    }
-    if (!options.rpc) throw "undefined RPC URL";
-    if (options.writeRpc) {
-        if (
-            !Array.isArray(options.writeRpc) ||
-            options.writeRpc.some((v) => typeof v !== "string")
-        ) {
-            throw `Invalid write rpcs: ${options.writeRpc}`;
+    });
+    if (!options.arbAddress) errors.push("undefined arb contract address");
+    await collectError(errors, () => {
+        if (options.sleep) {
+            if (/^[0-9]+$/.test(options.sleep)) roundGap = Number(options.sleep) * 1000;
+            else throw "invalid sleep value, must be an integer greater than equal 0";
         }
-    }
-    if (!options.arbAddress) throw "undefined arb contract address";
-    if (options.sleep) {
-        if (/^[0-9]+$/.test(options.sleep)) roundGap = Number(options.sleep) * 1000;
-        else throw "invalid sleep value, must be an integer greater than equal 0";
-    }
-    if (options.poolUpdateInterval) {
-        if (typeof options.poolUpdateInterval === "number") {
-            _poolUpdateInterval = options.poolUpdateInterval;
-            if (_poolUpdateInterval < 0 || !Number.isInteger(_poolUpdateInterval))
-                throw "invalid poolUpdateInterval value, must be an integer greater than equal zero";
-        } else if (
-            typeof options.poolUpdateInterval === "string" &&
-            /^[0-9]+$/.test(options.poolUpdateInterval)
-        ) {
-            _poolUpdateInterval = Number(options.poolUpdateInterval);
-            if (_poolUpdateInterval < 0)
+    });
+    let roundSchedule: ReturnType<typeof getRoundSchedule>;
+    await collectError(errors, () => {
+        roundSchedule = getRoundSchedule(options as CliOptions);
+    });
+    await collectError(errors, () => {
+        if (options.poolUpdateInterval) {
+            if (typeof options.poolUpdateInterval === "number") {
+                _poolUpdateInterval = options.poolUpdateInterval;
+                if (_poolUpdateInterval < 0 || !Number.isInteger(_poolUpdateInterval))
+                    throw "invalid poolUpdateInterval value, must be an integer greater than equal zero";
+            } else if (
+                typeof options.poolUpdateInterval === "string" &&
+                /^[0-9]+$/.test(options.poolUpdateInterval)
+            ) {
+                _poolUpdateInterval = Number(options.poolUpdateInterval);
+                if (_poolUpdateInterval < 0)
+                    throw "invalid poolUpdateInterval value, must be an integer greater than equal zero";
+            } else
                 throw "invalid poolUpdateInterval value, must be an integer greater than equal zero";
-        } else throw "invalid poolUpdateInterval value, must be an integer greater than equal zero";
-    }
-    if (!options.botMinBalance || !/^[0-9]+(.[0-9]+)?$/.test(options.botMinBalance)) {
-        throw "expected a valid value for --bot-min-balance, it should be an number greater than 0";
-    }
-    if (options.gasPriceMultiplier) {
-        if (typeof options.gasPriceMultiplier === "number") {
-            if (options.gasPriceMultiplier <= 0 || !Number.isInteger(options.gasPriceMultiplier))
-                throw "invalid gasPriceMultiplier value, must be an integer greater than zero";
-        } else if (
-            typeof options.gasPriceMultiplier === "string" &&
-            /^[0-9]+$/.test(options.gasPriceMultiplier)
-        ) {
-            options.gasPriceMultiplier = Number(options.gasPriceMultiplier);
-            if (options.gasPriceMultiplier <= 0)
-                throw "invalid gasPriceMultiplier value, must be an integer greater than zero";
-        } else throw "invalid gasPriceMultiplier value, must be an integer greater than zero";
-    } else {
-        options.gasPriceMultiplier = 107;
-    }
-    if (options.gasLimitMultiplier) {
-        if (typeof options.gasLimitMultiplier === "number") {
-            if (options.gasLimitMultiplier <= 0 || !Number.isInteger(options.gasLimitMultiplier))
-                throw "invalid gasLimitMultiplier value, must be an integer greater than zero";
-        } else if (
-            typeof options.gasLimitMultiplier === "string" &&
-            /^[0-9]+$/.test(options.gasLimitMultiplier)
-        ) {
-            options.gasLimitMultiplier = Number(options.gasLimitMultiplier);
-            if (options.gasLimitMultiplier <= 0)
-                throw "invalid gasLimitMultiplier value, must be an integer greater than zero";
-        } else throw "invalid gasLimitMultiplier value, must be an integer greater than zero";
-    } else {
-        options.gasLimitMultiplier = 100;
-    }
-    if (options.txGas) {
-        if (typeof options.txGas !== "string" || !/^[0-9]+%?$/.test(options.txGas)) {
-            throw "invalid txGas value, must be an integer greater than zero optionally with appended percentage sign to apply as percentage to original gas";
         }
-    }
-    if (options.dispair) {
-        if (typeof options.dispair !== "string" || !isAddress(options.dispair, { strict: false })) {
-            throw "expected dispair (ExpressionDeployer contract) address";
+    });
+    await collectError(errors, () => {
+        if (options.livenessCheckInterval) {
+            if (
+                typeof options.livenessCheckInterval === "string" &&
+                /^[0-9]+$/.test(options.livenessCheckInterval)
+            ) {
+                options.livenessCheckInterval = Number(options.livenessCheckInterval);
+            } else if (
+                typeof options.livenessCheckInterval !== "number" ||
+                options.livenessCheckInterval < 0 ||
+                !Number.isInteger(options.livenessCheckInterval)
+            ) {
+                throw "invalid livenessCheckInterval value, must be an integer greater than equal zero";
+            }
         }
-    } else {
-        throw "undefined dispair address";
-    }
-    if (options.quoteGas) {
-        try {
-            options.quoteGas = BigInt(options.quoteGas);
-        } catch {
-            throw "invalid quoteGas value, must be an integer greater than equal zero";
+    });
+    await collectError(errors, () => {
+        if (!options.botMinBalance || !/^[0-9]+(.[0-9]+)?$/.test(options.botMinBalance)) {
+            throw "expected a valid value for --bot-min-balance, it should be an number greater than 0";
+        }
+    });
+    await collectError(errors, () => {
+        if (options.gasPriceMultiplier) {
+            if (typeof options.gasPriceMultiplier === "number") {
+                if (
+                    options.gasPriceMultiplier <= 0 ||
+                    !Number.isInteger(options.gasPriceMultiplier)
+                )
+                    throw "invalid gasPriceMultiplier value, must be an integer greater than zero";
+            } else if (
+                typeof options.gasPriceMultiplier === "string" &&
+                /^[0-9]+$/.test(options.gasPriceMultiplier)
+            ) {
+                options.gasPriceMultiplier = Number(options.gasPriceMultiplier);
+                if (options.gasPriceMultiplier <= 0)
+                    throw "invalid gasPriceMultiplier value, must be an integer greater than zero";
+            } else throw "invalid gasPriceMultiplier value, must be an integer greater than zero";
+        } else {
+            options.gasPriceMultiplier = 107;
+        }
+    });
+    await collectError(errors, () => {
+        if (options.gasLimitMultiplier) {
+            if (typeof options.gasLimitMultiplier === "number") {
+                if (
+                    options.gasLimitMultiplier <= 0 ||
+                    !Number.isInteger(options.gasLimitMultiplier)
+                )
+                    throw "invalid gasLimitMultiplier value, must be an integer greater than zero";
+            } else if (
+                typeof options.gasLimitMultiplier === "string" &&
+                /^[0-9]+$/.test(options.gasLimitMultiplier)
+            ) {
+                options.gasLimitMultiplier = Number(options.gasLimitMultiplier);
+                if (options.gasLimitMultiplier <= 0)
+                    throw "invalid gasLimitMultiplier value, must be an integer greater than zero";
+            } else throw "invalid gasLimitMultiplier value, must be an integer greater than zero";
+        } else {
+            options.gasLimitMultiplier = 100;
+        }
+    });
+    await collectError(errors, () => {
+        if (options.txGas) {
+            if (typeof options.txGas !== "string" || !/^[0-9]+%?$/.test(options.txGas)) {
+                throw "invalid txGas value, must be an integer greater than zero optionally with appended percentage sign to apply as percentage to original gas";
+            }
+        }
+    });
+    await collectError(errors, () => {
+        if (options.dispair) {
+            if (
+                typeof options.dispair !== "string" ||
+                !isAddress(options.dispair, { strict: false })
+            ) {
+                throw "expected dispair (ExpressionDeployer contract) address";
+            }
+        } else {
+            throw "undefined dispair address";
+        }
+    });
+    await collectError(errors, () => {
+        if (options.quoteGas) {
+            try {
+                options.quoteGas = BigInt(options.quoteGas);
+            } catch {
+                throw "invalid quoteGas value, must be an integer greater than equal zero";
+            }
+        } else {
+            options.quoteGas = 1_000_000n; // default
+        }
+    });
+    await collectError(errors, () => {
+        if (options.onchainOrderbook) {
+            if (
+                !Array.isArray(options.onchainOrderbook) ||
+                options.onchainOrderbook.some((v) => !isAddress(v, { strict: false }))
+            ) {
+                throw `invalid onchain orderbook address(es): ${options.onchainOrderbook}`;
+            }
+            if (!options.startBlock || !/^[0-9]+$/.test(options.startBlock)) {
+                throw "expected a valid value for --start-block, it should be an integer greater than equal 0";
+            }
+            options.startBlock = BigInt(options.startBlock);
+        }
+    });
+    await collectError(errors, () => {
+        if (options.orders) {
+            if (typeof options.orders !== "string") {
+                throw `invalid orders file path: ${options.orders}`;
+            }
+        }
+    });
+    await collectError(errors, () => {
+        if (options.stateFile) {
+            if (typeof options.stateFile !== "string") {
+                throw `invalid state file path: ${options.stateFile}`;
+            }
+        }
+    });
+    await collectError(errors, () => {
+        if (options.wsRpc) {
+            if (typeof options.wsRpc !== "string" || !/^wss?:\/\//.test(options.wsRpc)) {
+                throw `invalid websocket rpc url: ${options.wsRpc}`;
+            }
+        }
+    });
+    const validateAddresses = (list: any, name: string) => {
+        if (list) {
+            if (!Array.isArray(list) || list.some((v) => !isAddress(v, { strict: false }))) {
+                throw `invalid ${name}: ${list}`;
+            }
         }
-    } else {
-        options.quoteGas = 1_000_000n; // default
+    };
+    const parsePairs = (list: any, name: string): [string, string][] | undefined => {
+        if (!list) return undefined;
+        if (!Array.isArray(list)) throw `invalid ${name}: ${list}`;
+        return list.map((v) => {
+            const tokens = typeof v === "string" ? v.split("/") : [];
+            if (tokens.length !== 2 || tokens.some((e) => !isAddress(e, { strict: false }))) {
+                throw `invalid ${name}: ${v}, expected 2 token addresses seperated by a slash`;
+            }
+            return [tokens[0].toLowerCase(), tokens[1].toLowerCase()];
+        });
+    };
+    for (const [list, name] of [
+        [options.orderOwners, "order owners"],
+        [options.orderbookAddresses, "orderbook addresses"],
+        [options.includeTokens, "include tokens"],
+        [options.excludeTokens, "exclude tokens"],
+    ]) {
+        await collectError(errors, () => validateAddresses(list, name));
     }
+    let includePairs: [string, string][] | undefined;
+    let excludePairs: [string, string][] | undefined;
+    await collectError(errors, () => {
+        includePairs = parsePairs(options.includePairs, "include pairs");
+    });
+    await collectError(errors, () => {
+        excludePairs = parsePairs(options.excludePairs, "exclude pairs");
+    });
+    throwErrors(errors);
+    const sgFilter: SgFilter = {
+        orderHash: options.orderHash,
+        orderOwner: options.orderOwner,
+        orderbook: options.orderbookAddress,
+        orderOwners: options.orderOwners,
+        orderbooks: options.orderbookAddresses,
+        includeTokens: options.includeTokens,
+        excludeTokens: options.excludeTokens,
+        includePairs,
+        excludePairs,
+    };
+    const hasOnchainSource = !!options.onchainOrderbook?.length;
     const poolUpdateInterval = _poolUpdateInterval * 60 * 1000;
-    let ordersDetails: SgOrder[] = [];
-    if (!process?.env?.CLI_STARTUP_TEST) {
+
+    // resume from persisted state if there is one for the current orders sources
+    const savedState = options.stateFile
+        ? readState(options.stateFile, getStateSourceKey(options as CliOptions, sgFilter))
+        : undefined;
+
+    // order changes are read from the time before querying the orders, so the
+    // orders that are added or removed while querying are not missed
+    const lastReadOrdersTimestamp =
+        savedState?.lastReadOrdersTimestamp ?? Math.floor(Date.now() / 1000);
+    const readSgOrders = async (viemClient?: ViemClient) => {
+        let result: SgOrder[] = [];
         for (let i = 0; i < 3; i++) {
             try {
-                ordersDetails = await getOrderDetails(options.subgraph, {
-                    orderHash: options.orderHash,
-                    orderOwner: options.orderOwner,
-                    orderbook: options.orderbookAddress,
-                });
+                result = await getOrderDetails(
+                    options.subgraph ?? [],
+                    sgFilter,
+                    undefined,
+                    undefined,
+                    hasOnchainSource || !!options.orders,
+                    viemClient,
+                );
                 break;
             } catch (e) {
                 if (i != 2) await sleep(10000 * (i + 1));
                 else throw e;
             }
         }
+        return result;
+    };
+
+    // subgraph orders are read even when resuming from a persisted state so the restored
+    // orders are reconciled with them, if subgraph is not reachable the restored orders
+    // are used as they are and the changes since the saved cursor catch them up later
+    const readStartupSgOrders = async (viemClient?: ViemClient) => {
+        try {
+            return await readSgOrders(viemClient);
+        } catch (e) {
+            if (savedState) return undefined;
+            throw e;
+        }
+    };
+    let sgOrders: SgOrder[] | undefined;
+    if (!process?.env?.CLI_STARTUP_TEST && !options.sgReconcile) {
+        sgOrders = await readStartupSgOrders();
     }
-    const lastReadOrdersTimestamp = Math.floor(Date.now() / 1000);
+    let ordersDetails: SgOrder[] = sgOrders ?? [];
+    const lastReadOrdersMap: { sg: string; cursor: SgTxCursor }[] = (options.subgraph ?? []).map(
+        (v: string) => ({
+            sg: v,
+            cursor: savedState?.lastReadOrdersMap.find((e) => e.sg === v)?.cursor ?? {
+                timestamp: lastReadOrdersTimestamp,
+                id: "",
+            },
+        }),
+    );
     const tokens = getOrdersTokens(ordersDetails);
+    savedState?.tokens.forEach((v) => addWatchedToken(v, tokens));
     options.tokens = tokens;
 
     // get config
@@ -529,6 +1044,8 @@ export async function startup(argv: any, version?: string, tracer?: Tracer, ctx?
         tracer,
         ctx,
     );
+    // private key is not needed once accounts are built, mnemonic is kept for deriving new wallets
+    delete options.key;
 
     // fetch initial gas price on startup
     const state: OperationState = {
@@ -537,24 +1054,141 @@ export async function startup(argv: any, version?: string, tracer?: Tracer, ctx?
     };
     await getGasPrice(config, state);
 
+    // cross validated subgraphs orders need onchain calls so they are read after getting config
+    if (!process?.env?.CLI_STARTUP_TEST && options.sgReconcile) {
+        sgOrders = await readStartupSgOrders(config.viemClient as any as ViemClient);
+        ordersDetails = sgOrders ?? [];
+        getOrdersTokens(ordersDetails).forEach((v) => addWatchedToken(v, tokens));
+    }
+
+    // restore orders from persisted state and reconcile them with the subgraph orders
+    if (savedState) {
+        const stateOrders = await getStateOrders(
+            savedState,
+            config.viemClient as any as ViemClient,
+            tokens,
+        );
+        ordersDetails = sgOrders
+            ? reconcileStateOrders(
+                  stateOrders,
+                  sgOrders,
+                  hasOnchainSource || !options.subgraph?.length,
+              )
+            : stateOrders;
+    }
+
+    // backfill orders from onchain logs
+    let onchainSource: OnchainOrdersSource | undefined;
+    if (hasOnchainSource && savedState?.onchainLastReadBlock) {
+        onchainSource = {
+            orderbooks: options.onchainOrderbook.map((v: string) => v.toLowerCase()),
+            lastReadBlock: BigInt(savedState.onchainLastReadBlock),
+        };
+    } else if (hasOnchainSource && !process?.env?.CLI_STARTUP_TEST) {
+        let orders: SgOrder[] = [];
+        for (let i = 0; i < 3; i++) {
+            try {
+                const result = await getOnchainOrders(
+                    config.viemClient as any as ViemClient,
+                    options.onchainOrderbook,
+                    options.startBlock,
+                    tokens,
+                );
+                orders = result.orders;
+                onchainSource = result.source;
+                break;
+            } catch (e) {
+                if (i != 2) await sleep(10000 * (i + 1));
+                else throw e;
+            }
+        }
+        orders.forEach((order) => {
+            if (
+                !ordersDetails.find(
+                    (v) =>
+                        v.orderHash.toLowerCase() === order.orderHash &&
+                        v.orderbook.id.toLowerCase() === order.orderbook.id,
+                )
+            ) {
+                ordersDetails.push(order);
+            }
+        });
+    }
+
+    // read orders from orders file
+    let ordersFileSource: OrdersFileSource | undefined;
+    if (options.orders && !process?.env?.CLI_STARTUP_TEST) {
+        const { orders, source } = await getOrdersFromFile(
+            options.orders,
+            config.viemClient as any as ViemClient,
+            tokens,
+            options.orderbookAddress,
+        );
+        ordersFileSource = source;
+        orders.forEach((order) => {
+            if (
+                !ordersDetails.find(
+                    (v) =>
+                        v.orderHash.toLowerCase() === order.orderHash &&
+                        v.orderbook.id.toLowerCase() === order.orderbook.id,
+                )
+            ) {
+                ordersDetails.push(order);
+            }
+        });
+    }
+
+    const orderbooksOwnersProfileMap = await getOrderbookOwnersProfileMapFromSg(
+        ordersDetails,
+        config.viemClient as any as ViemClient,
+        tokens,
+        (options as CliOptions).ownerProfile,
+        sgFilter,
+    );
+
+    // subscribe to orderbooks logs to get order changes pushed as they happen, the
+    // orderbooks that are discovered later on are added to the stream during rounds
+    let ordersStream: OrdersStream | undefined;
+    if (options.wsRpc && !process?.env?.CLI_STARTUP_TEST) {
+        const orderbooks = hasOnchainSource
+            ? options.onchainOrderbook
+            : getFilterList(options.orderbookAddress, options.orderbookAddresses);
+        ordersStream = watchOrderLogs(
+            options.wsRpc,
+            config.chain,
+            orderbooks.length ? orderbooks : Array.from(orderbooksOwnersProfileMap.keys()),
+        );
+    }
+
     return {
         roundGap,
+        roundSchedule,
         options: options as CliOptions,
         poolUpdateInterval,
         config,
-        orderbooksOwnersProfileMap: await getOrderbookOwnersProfileMapFromSg(
-            ordersDetails,
-            config.viemClient as any as ViemClient,
-            tokens,
-            (options as CliOptions).ownerProfile,
-        ),
+        orderbooksOwnersProfileMap,
         tokens,
+        sgFilter,
         lastReadOrdersTimestamp,
+        lastReadOrdersMap,
+        onchainSource,
+        ordersFileSource,
+        ordersStream,
         state,
     };
 }
 
 export const main = async (argv: any, version?: string) => {
+    // preflight checks of the deployment without trading
+    if (argv[2] === "check") {
+        return await check([...argv.slice(0, 2), ...argv.slice(3)], version);
+    }
+
+    // one-shot quote of an order against the market
+    if (argv[2] === "quote") {
+        return await quote([...argv.slice(0, 2), ...argv.slice(3)], version);
+    }
+
     // startup otel to collect span, logs, etc
     // diag otel
     diag.setLogger(new DiagConsoleLogger(), DiagLogLevel.ERROR);
@@ -588,20 +1222,160 @@ export const main = async (argv: any, version?: string) => {
     provider.register();
     const tracer = provider.getTracer("arb-bot-tracer");
 
+    // run a round loop per chain section of the chains file if it is given, else run
+    // a single round loop for the chain of the given rpc, all of them share the same
+    // tracer, health surface and shutdown state
+    const { chains, stateFile, healthPort, shutdownTimeout } = await getOptions(argv, version);
+    if (shutdownTimeout && !/^[0-9]+$/.test(shutdownTimeout)) {
+        throw "invalid shutdown timeout, it should be an integer greater than equal 0";
+    }
+    const healthMap: ChainsHealthMap = new Map();
+    if (healthPort) {
+        if (!/^[0-9]+$/.test(healthPort)) {
+            throw "invalid health port, it should be an integer greater than equal 0";
+        }
+        startHealthServer(Number(healthPort), healthMap, (error) => {
+            // the bot keeps running without its health surface
+            const span = tracer.startSpan("health-server");
+            span.setAttribute("severity", ErrorSeverity.HIGH);
+            span.setStatus({
+                code: SpanStatusCode.ERROR,
+                message: errorSnapshot(
+                    `Failed to serve health report on port ${healthPort}`,
+                    error,
+                ),
+            });
+            span.end();
+        });
+    }
+    const shutdown = createShutdownState();
+    const removeSignalHandlers = handleShutdownSignals(shutdown);
+    const run = async () => {
+        if (chains) {
+            const sections = readChainsFile(chains, stateFile);
+            const results = await Promise.allSettled(
+                sections.map(async (section) => {
+                    const health = addChainHealth(healthMap, section.name);
+                    try {
+                        await runBot(argv, version, tracer, health, section, shutdown);
+                    } catch (e) {
+                        // a failed chain doesn't stop the other chains
+                        health.status = "failed";
+                        health.error = errorSnapshot("", e);
+                        throw e;
+                    }
+                }),
+            );
+            if (results.every((v) => v.status === "rejected")) {
+                throw "all chains failed to run";
+            }
+        } else {
+            await runBot(
+                argv,
+                version,
+                tracer,
+                addChainHealth(healthMap, "default"),
+                undefined,
+                shutdown,
+            );
+        }
+    };
+
+    // on shutdown signal, wait for the round loops to settle their pending txs,
+    // but no longer than the shutdown deadline
+    try {
+        await Promise.race([
+            run(),
+            shutdownDeadline(
+                shutdown,
+                Number(shutdownTimeout ?? DEFAULT_SHUTDOWN_TIMEOUT) * 1000,
+            ).then(() => {
+                // eslint-disable-next-line no-console
+                console.log("Shutdown deadline reached, exiting without waiting for pending txs");
+            }),
+        ]);
+    } finally {
+        removeSignalHandlers();
+
+        // flush the pending spans and close the connection.
+        await promiseTimeout(provider.shutdown(), 10_000, "").catch(() => {});
+    }
+};
+
+/**
+ * Runs the preflight checks of the deployment of the given cli/env options without trading,
+ * or of each chain section if a chains file is given, and prints them as a pass/fail table,
+ * throws if any of the checks failed
+ * @param argv - cli args
+ * @param version - The bot version
+ */
+export async function check(argv: any, version?: string) {
+    const options = await getOptions(argv, version);
+    const sections: (ChainSection | undefined)[] = options.chains
+        ? readChainsFile(options.chains)
+        : [undefined];
+    let failed = 0;
+    for (const section of sections) {
+        const checks = await runPreflightChecks({ ...options, ...section?.options } as CliOptions);
+        failed += checks.filter((v) => !v.passed).length;
+        // eslint-disable-next-line no-console
+        console.log((section ? `[${section.name}]\n` : "") + formatPreflightChecks(checks) + "\n");
+    }
+    if (failed) throw `${failed} preflight check(s) failed`;
+}
+
+/**
+ * Quotes an order of the given order hash against the market and prints the
+ * report, without needing a funded wallet
+ * @param argv - cli args
+ * @param version - The bot version
+ */
+export async function quote(argv: any, version?: string) {
+    const options = await getOptions(argv, version);
+    const quotes = await quoteOrder(options as CliOptions);
+    // eslint-disable-next-line no-console
+    console.log(formatOrderQuotes(quotes));
+}
+
+/**
+ * Starts up the bot for a chain and runs its round loop
+ * @param argv - cli args
+ * @param version - The bot version
+ * @param tracer - The shared tracer
+ * @param health - The chain's health object to keep up to date
+ * @param chain - (optional) The chain section that overrides the cli/env options
+ * @param shutdown - (optional) The shared shutdown state, once requested the round loop
+ * stops and the pending txs of the current round are settled before returning
+ */
+export async function runBot(
+    argv: any,
+    version: string | undefined,
+    tracer: Tracer,
+    health: ChainHealth,
+    chain?: ChainSection,
+    shutdown: ShutdownState = createShutdownState(),
+) {
     // parse cli args and startup bot configuration
     const {
-        roundGap,
+        roundGap: initialRoundGap,
+        roundSchedule,
         options,
         poolUpdateInterval,
         config,
         orderbooksOwnersProfileMap,
         tokens,
+        sgFilter,
         lastReadOrdersTimestamp,
+        lastReadOrdersMap,
+        onchainSource,
+        ordersFileSource,
+        ordersStream,
         state,
     } = await tracer.startActiveSpan("startup", async (startupSpan) => {
         const ctx = trace.setSpan(context.active(), startupSpan);
+        if (chain) startupSpan.setAttribute("meta.chainSection", chain.name);
         try {
-            const result = await startup(argv, version, tracer, ctx);
+            const result = await startup(argv, version, tracer, ctx, chain?.options);
             startupSpan.setStatus({ code: SpanStatusCode.OK });
             startupSpan.end();
             return result;
@@ -620,35 +1394,70 @@ export const main = async (argv: any, version?: string) => {
         }
     });
 
+    health.status = "running";
+    config.shutdown = shutdown;
+
+    // trigger rounds on new block heads if rounds are scheduled by blocks
+    let scheduler: RoundScheduler | undefined;
+    let unwatchRoundBlocks: (() => void) | undefined;
+    if (roundSchedule) {
+        scheduler = createRoundScheduler(roundSchedule);
+        unwatchRoundBlocks = watchRoundBlocks(scheduler, config.viemClient, options.wsRpc);
+    }
+
     // periodically fetch and set gas price in state (once every 20 seconds)
-    setInterval(() => getGasPrice(config, state), 20_000);
+    const gasPriceInterval = setInterval(() => getGasPrice(config, state), 20_000);
 
-    const lastReadOrdersMap = options.subgraph.map((v) => ({
-        sg: v,
-        skip: 0,
-    }));
+    const stateSourceKey = getStateSourceKey(options, sgFilter);
+    // orderbooks tokens owners vaults, kept up to date with deposits and withdrawals,
+    // undefined until its vaults balances are fetched by the first owners limits evaluation
+    let otovMap: OTOVMap | undefined;
     const day = 24 * 60 * 60 * 1000;
     let lastGasReset = Date.now() + day;
     let lastInterval = Date.now() + poolUpdateInterval;
+    const livenessCheckInterval = (options.livenessCheckInterval ?? 0) * 60 * 1000;
+    let lastLivenessCheck = Date.now() + livenessCheckInterval;
     let lastUsedAccountIndex = config.accounts.length;
     let avgGasCost: BigNumber | undefined;
     let counter = 1;
     const wgc: ViemClient[] = [];
     const wgcBuffer: { address: string; count: number }[] = [];
     const botMinBalance = ethers.utils.parseUnits(options.botMinBalance);
+    let roundGap = initialRoundGap;
+
+    // reload the safe subset of settings from config file on its change or SIGHUP,
+    // the reload is applied at the start of the next round
+    let settings = getReloadableSettings(options);
+    let reloadRequested = false;
+    let unwatchConfigFile: (() => void) | undefined;
+    if (options.config && !process?.env?.CLI_STARTUP_TEST) {
+        unwatchConfigFile = watchConfigFile(options.config, () => (reloadRequested = true));
+    }
 
-    // run bot's processing orders in a loop
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
+    // run bot's processing orders in a loop until shutdown is requested
+    while (!shutdown.requested) {
+        let skippedTriggers = 0;
+        if (scheduler) {
+            await waitForNextRound(scheduler, shutdown);
+            if (shutdown.requested) break;
+            skippedTriggers = startRound(scheduler);
+        }
         await tracer.startActiveSpan(`round-${counter}`, async (roundSpan) => {
             const roundCtx = trace.setSpan(context.active(), roundSpan);
-            const newMeta = await getMetaInfo(config, options.subgraph);
+            const newMeta = await getMetaInfo(config, options.subgraph ?? []);
             roundSpan.setAttributes({
                 ...newMeta,
                 "meta.mainAccount": config.mainAccount.account.address,
                 "meta.gitCommitHash": process?.env?.GIT_COMMIT ?? "N/A",
                 "meta.dockerTag": process?.env?.DOCKER_TAG ?? "N/A",
             });
+            if (chain) roundSpan.setAttribute("meta.chainSection", chain.name);
+            if (scheduler) {
+                roundSpan.setAttributes({
+                    "details.blockNumber": scheduler.lastBlock?.toString() ?? "N/A",
+                    "details.skippedTriggers": skippedTriggers,
+                });
+            }
 
             await tracer.startActiveSpan(
                 "check-wallet-balance",
@@ -693,6 +1502,37 @@ export const main = async (argv: any, version?: string) => {
                     walletSpan.end();
                 },
             );
+            if (reloadRequested) {
+                reloadRequested = false;
+                await tracer.startActiveSpan("reload-config", {}, roundCtx, async (reloadSpan) => {
+                    try {
+                        const reloadedOptions = await getOptions(argv, version);
+                        if (chain) Object.assign(reloadedOptions, chain.options);
+                        const reloadedSettings = getReloadableSettings(reloadedOptions);
+                        const diff = diffSettings(settings, reloadedSettings);
+                        reloadSpan.setAttribute("details.diff", JSON.stringify(diff));
+                        const newOtovMap = await applySettings(
+                            diff,
+                            options,
+                            config,
+                            orderbooksOwnersProfileMap,
+                        );
+                        if (newOtovMap) otovMap = newOtovMap;
+                        settings = reloadedSettings;
+                        roundGap = settings.sleep * 1000;
+                        reloadSpan.setStatus({ code: SpanStatusCode.OK });
+                    } catch (e) {
+                        // keep running with the current settings
+                        reloadSpan.setAttribute("severity", ErrorSeverity.MEDIUM);
+                        reloadSpan.setStatus({
+                            code: SpanStatusCode.ERROR,
+                            message: errorSnapshot("Failed to reload config", e),
+                        });
+                    }
+                    reloadSpan.end();
+                });
+            }
+
             // remove pool memoizer cache on each interval
             let update = false;
             const now = Date.now();
@@ -700,8 +1540,85 @@ export const main = async (argv: any, version?: string) => {
                 lastInterval = now + poolUpdateInterval;
                 update = true;
             }
+            // handle the order changes pushed by the orders stream since last round, added
+            // orders are marked as priority so they are included in this round regardless
+            // of their owner limit
+            if (ordersStream) {
+                try {
+                    watchNewOrderbooks(ordersStream, Array.from(orderbooksOwnersProfileMap.keys()));
+                    const { addOrders, removeOrders } = await drainOrdersStream(
+                        ordersStream,
+                        config.viemClient as any as ViemClient,
+                        tokens,
+                        roundSpan,
+                    );
+                    if (addOrders.length || removeOrders.length) {
+                        await handleAddOrderbookOwnersProfileMap(
+                            orderbooksOwnersProfileMap,
+                            addOrders,
+                            config.viemClient as any as ViemClient,
+                            tokens,
+                            options.ownerProfile,
+                            roundSpan,
+                            sgFilter,
+                        );
+                        await handleRemoveOrderbookOwnersProfileMap(
+                            orderbooksOwnersProfileMap,
+                            removeOrders,
+                            roundSpan,
+                        );
+                        for (const order of addOrders) {
+                            const orderProfile = orderbooksOwnersProfileMap
+                                .get(order.orderbook.id)
+                                ?.get(order.owner)
+                                ?.orders.get(order.orderHash);
+                            if (orderProfile) orderProfile.priority = true;
+                        }
+                        otovMap = await downscaleProtection(
+                            orderbooksOwnersProfileMap,
+                            config.viemClient as any as ViemClient,
+                            options.ownerProfile,
+                        );
+                    }
+                } catch (e) {
+                    // the round goes on with the orders known so far
+                    const streamSpan = tracer.startSpan("orders-stream", undefined, roundCtx);
+                    streamSpan.setAttribute("severity", ErrorSeverity.MEDIUM);
+                    streamSpan.setStatus({
+                        code: SpanStatusCode.ERROR,
+                        message: errorSnapshot("Failed to handle orders stream changes", e),
+                    });
+                    streamSpan.end();
+                }
+            }
+
+            // prune the orders that don't exist onchain anymore, in case they
+            // were removed but subgraph missed it
+            if (livenessCheckInterval && lastLivenessCheck <= now) {
+                lastLivenessCheck = now + livenessCheckInterval;
+                try {
+                    const prunedOrders = await checkOrdersLiveness(
+                        orderbooksOwnersProfileMap,
+                        config.viemClient as any as ViemClient,
+                    );
+                    if (prunedOrders.length) {
+                        roundSpan.setAttribute(
+                            "details.prunedOrders",
+                            prunedOrders.map((v) => `${v.orderbook}:${v.orderHash}`),
+                        );
+                    }
+                } catch (e) {
+                    roundSpan.addEvent(errorSnapshot("Failed to check orders liveness", e));
+                }
+            }
             try {
-                const bundledOrders = prepareOrdersForRound(orderbooksOwnersProfileMap, true);
+                const bundledOrders = prepareOrdersForRound(
+                    orderbooksOwnersProfileMap,
+                    true,
+                    config.orderStats
+                        ? { stats: config.orderStats, exploration: config.exploration! }
+                        : undefined,
+                );
                 await rotateProviders(config, update);
                 roundSpan.setAttribute("details.rpc", config.rpc);
                 const roundResult = await arbRound(
@@ -711,6 +1628,7 @@ export const main = async (argv: any, version?: string) => {
                     config,
                     bundledOrders,
                     state,
+                    counter,
                 );
                 let txs, foundOpp, didClear, roundAvgGasCost;
                 if (roundResult) {
@@ -719,6 +1637,11 @@ export const main = async (argv: any, version?: string) => {
                     didClear = roundResult.didClear;
                     roundAvgGasCost = roundResult.avgGasCost;
                 }
+                health.rounds++;
+                health.lastRoundTimestamp = Date.now();
+                if (foundOpp) health.foundOpps++;
+                if (didClear) health.clears++;
+                if (txs) health.txs += txs.length;
                 if (txs && txs.length) {
                     roundSpan.setAttribute("txUrls", txs);
                     roundSpan.setAttribute("foundOpp", true);
@@ -774,8 +1697,8 @@ export const main = async (argv: any, version?: string) => {
                     );
                 }
 
-                // sweep tokens and wallets every 100 rounds
-                if (counter % 100 === 0) {
+                // sweep tokens and wallets every 100 rounds, skipped in simulation mode
+                if (counter % 100 === 0 && !options.simulate) {
                     // try to sweep wallets that still have non transfered tokens to main wallet
                     if (wgc.length) {
                         for (let k = wgc.length - 1; k >= 0; k--) {
@@ -825,8 +1748,10 @@ export const main = async (argv: any, version?: string) => {
                     }
                 }
                 roundSpan.setStatus({ code: SpanStatusCode.OK });
+                updateRoundHealth(health);
             } catch (error: any) {
                 const snapshot = errorSnapshot("", error);
+                updateRoundHealth(health, snapshot);
                 roundSpan.setAttribute("severity", ErrorSeverity.HIGH);
                 roundSpan.setAttribute("didClear", false);
                 roundSpan.recordException(error);
@@ -857,26 +1782,39 @@ export const main = async (argv: any, version?: string) => {
                     }),
                 );
                 let ordersDidChange = false;
+                const vaultChanges: SgVaultChange[] = [];
                 const results = await Promise.allSettled(
-                    lastReadOrdersMap.map((v) =>
-                        getOrderChanges(v.sg, lastReadOrdersTimestamp, v.skip, roundSpan),
-                    ),
+                    lastReadOrdersMap.map((v) => getOrderChanges(v.sg, v.cursor, roundSpan)),
                 );
                 for (let i = 0; i < results.length; i++) {
                     const res = results[i];
                     if (res.status === "fulfilled") {
-                        if (res.value.addOrders.length || res.value.removeOrders.length) {
+                        lastReadOrdersMap[i].cursor = res.value.cursor;
+                        vaultChanges.push(...res.value.vaultChanges);
+                        let addOrders = res.value.addOrders.map((v) => v.order);
+                        let removeOrders = res.value.removeOrders.map((v) => v.order);
+
+                        // confirm changes onchain as subgraphs may disagree
+                        if (options.sgReconcile && lastReadOrdersMap.length > 1) {
+                            ({ addOrders, removeOrders } = await confirmOrderChanges(
+                                addOrders,
+                                removeOrders,
+                                config.viemClient as any as ViemClient,
+                                roundSpan,
+                            ));
+                        }
+                        if (addOrders.length || removeOrders.length) {
                             ordersDidChange = true;
                         }
-                        lastReadOrdersMap[i].skip += res.value.count;
                         try {
                             await handleAddOrderbookOwnersProfileMap(
                                 orderbooksOwnersProfileMap,
-                                res.value.addOrders.map((v) => v.order),
+                                addOrders,
                                 config.viemClient as any as ViemClient,
                                 tokens,
                                 options.ownerProfile,
                                 roundSpan,
+                                sgFilter,
                             );
                         } catch {
                             /**/
@@ -884,7 +1822,7 @@ export const main = async (argv: any, version?: string) => {
                         try {
                             await handleRemoveOrderbookOwnersProfileMap(
                                 orderbooksOwnersProfileMap,
-                                res.value.removeOrders.map((v) => v.order),
+                                removeOrders,
                                 roundSpan,
                             );
                         } catch {
@@ -893,16 +1831,138 @@ export const main = async (argv: any, version?: string) => {
                     }
                 }
 
-                // in case there are new orders or removed order, re evaluate owners limits
+                // handle order changes from onchain logs
+                if (onchainSource) {
+                    roundSpan.setAttribute(
+                        "watch-new-orders-onchain",
+                        JSON.stringify({
+                            orderbooks: onchainSource.orderbooks,
+                            lastReadBlock: onchainSource.lastReadBlock.toString(),
+                        }),
+                    );
+                    try {
+                        const { addOrders, removeOrders } = await readOnchainOrderChanges(
+                            config.viemClient as any as ViemClient,
+                            onchainSource,
+                            tokens,
+                            roundSpan,
+                        );
+                        if (addOrders.length || removeOrders.length) {
+                            ordersDidChange = true;
+                        }
+                        await handleAddOrderbookOwnersProfileMap(
+                            orderbooksOwnersProfileMap,
+                            addOrders,
+                            config.viemClient as any as ViemClient,
+                            tokens,
+                            options.ownerProfile,
+                            roundSpan,
+                            sgFilter,
+                        );
+                        await handleRemoveOrderbookOwnersProfileMap(
+                            orderbooksOwnersProfileMap,
+                            removeOrders,
+                            roundSpan,
+                        );
+                    } catch {
+                        // already recorded on the round span, the same blocks are
+                        // read again on next round as the cursor hasn't moved
+                    }
+                }
+
+                // handle order changes from orders file
+                if (ordersFileSource) {
+                    try {
+                        const { addOrders, removeOrders } = await readOrdersFileChanges(
+                            ordersFileSource,
+                            config.viemClient as any as ViemClient,
+                            tokens,
+                            options.orderbookAddress,
+                            roundSpan,
+                        );
+                        if (addOrders.length || removeOrders.length) {
+                            ordersDidChange = true;
+                        }
+                        await handleAddOrderbookOwnersProfileMap(
+                            orderbooksOwnersProfileMap,
+                            addOrders,
+                            config.viemClient as any as ViemClient,
+                            tokens,
+                            options.ownerProfile,
+                            roundSpan,
+                            sgFilter,
+                        );
+                        await handleRemoveOrderbookOwnersProfileMap(
+                            orderbooksOwnersProfileMap,
+                            removeOrders,
+                            roundSpan,
+                        );
+                    } catch {
+                        /**/
+                    }
+                }
+
+                // update vaults balances and mark the orders selling from them for requote
+                const impactedOwners = handleVaultChanges(
+                    orderbooksOwnersProfileMap,
+                    otovMap,
+                    vaultChanges,
+                    config.orderBackoffs,
+                );
+                if (impactedOwners.size) {
+                    roundSpan.setAttribute(
+                        "details.impactedOwners",
+                        JSON.stringify(
+                            Object.fromEntries(
+                                Array.from(impactedOwners).map(([k, v]) => [k, Array.from(v)]),
+                            ),
+                        ),
+                    );
+                }
+
+                // in case there are new orders or removed order, re evaluate owners limits,
+                // else if only vaults balances changed, re evaluate the impacted owners limits
                 if (ordersDidChange) {
-                    await downscaleProtection(
+                    otovMap = await downscaleProtection(
                         orderbooksOwnersProfileMap,
                         config.viemClient as any as ViemClient,
                         options.ownerProfile,
                     );
+                } else if (impactedOwners.size) {
+                    // evaluates all owners if vaults balances are not fetched yet
+                    otovMap = await downscaleProtection(
+                        orderbooksOwnersProfileMap,
+                        config.viemClient as any as ViemClient,
+                        options.ownerProfile,
+                        true,
+                        undefined,
+                        otovMap ? impactedOwners : undefined,
+                        otovMap,
+                    );
+                }
+            } catch (e) {
+                roundSpan.addEvent(errorSnapshot("Failed to handle orders and vaults changes", e));
+            }
+
+            // persist the orders sync state, orders file orders are excluded as
+            // they are read from the file on every startup
+            if (options.stateFile) {
+                try {
+                    writeState(
+                        options.stateFile,
+                        getState(
+                            stateSourceKey,
+                            lastReadOrdersTimestamp,
+                            lastReadOrdersMap,
+                            orderbooksOwnersProfileMap,
+                            tokens,
+                            onchainSource,
+                            ordersFileSource?.orders,
+                        ),
+                    );
+                } catch (e) {
+                    roundSpan.addEvent(errorSnapshot("Failed to save bot state", e));
                 }
-            } catch {
-                /**/
             }
 
             // report rpcs performance for round
@@ -924,21 +1984,94 @@ export const main = async (argv: any, version?: string) => {
                 });
             }
 
+            if (scheduler) {
+                // next round waits for its trigger, so no sleep is needed
+                endRound(scheduler);
+                // eslint-disable-next-line no-console
+                console.log(
+                    `${chain ? `[${chain.name}] ` : ""}Starting next round on its block trigger...`,
+                    "\n",
+                );
+                roundSpan.end();
+                return;
+            }
             // eslint-disable-next-line no-console
-            console.log(`Starting next round in ${roundGap / 1000} seconds...`, "\n");
+            console.log(
+                `${chain ? `[${chain.name}] ` : ""}Starting next round in ${roundGap / 1000} seconds...`,
+                "\n",
+            );
             roundSpan.end();
-            await sleep(roundGap);
+            await shutdownSleep(shutdown, roundGap);
             // give otel some time to export
-            await sleep(3000);
+            await shutdownSleep(shutdown, 3000);
         });
         counter++;
     }
 
-    // flush and close the connection.
-    // eslint-disable-next-line no-unreachable
-    await exporter.shutdown();
-    await sleep(10000);
-};
+    // the current round's pending txs are settled by now, so stop the round loop
+    // timers and optionally sweep the secondary wallets back to main wallet
+    health.status = "stopping";
+    clearInterval(gasPriceInterval);
+    unwatchConfigFile?.();
+    unwatchRoundBlocks?.();
+    ordersStream?.unwatch();
+    await tracer.startActiveSpan("shutdown", async (span) => {
+        span.setAttribute("details.signal", shutdown.signal ?? "N/A");
+        if (chain) span.setAttribute("meta.chainSection", chain.name);
+        if (options.shutdownSweep && !options.simulate) {
+            const ctx = trace.setSpan(context.active(), span);
+            for (const wallet of [...config.accounts, ...wgc]) {
+                try {
+                    await sweepToMainWallet(wallet, config.mainAccount, state, config, tracer, ctx);
+                } catch {
+                    /**/
+                }
+            }
+        }
+        span.setStatus({ code: SpanStatusCode.OK });
+        span.end();
+    });
+}
+
+/**
+ * Gets the boolean value of the given env variable, undefined if it is not set, so that
+ * a "false" env value still takes precedence over the config file
+ */
+function getEnvBoolean(value?: string): boolean | undefined {
+    if (value === undefined || /^\s*$/.test(value)) return undefined;
+    return value.toLowerCase() === "true";
+}
+
+/**
+ * Runs the given validation and collects its error into the given list instead of throwing it,
+ * unexpected errors are thrown as is, returns true if the validation passed
+ * @param errors - The list to collect the error into
+ * @param validate - The validation to run
+ */
+async function collectError(errors: string[], validate: () => any): Promise<boolean> {
+    try {
+        await validate();
+        return true;
+    } catch (e) {
+        if (typeof e !== "string") throw e;
+        errors.push(e);
+        return false;
+    }
+}
+
+/**
+ * Throws the given collected errors if there are any, as is if there is only one, else
+ * all of them together as a list
+ * @param errors - The collected errors
+ */
+function throwErrors(errors: string[]) {
+    if (errors.length === 1) throw errors[0];
+    if (errors.length > 1) {
+        throw ["invalid options:", ...errors.map((v) => `  - ${v.replace(/\n/g, "\n  ")}`)].join(
+            "\n",
+        );
+    }
+}
 
 function getEnv(value: any): any {
     if (value !== undefined && value !== null) {
@@ -15,6 +15,7 @@ import {
     http,
     fallback,
     HDAccount,
+    LocalAccount,
     webSocket,
     PublicClient,
     publicActions,
@@ -83,7 +84,7 @@ export async function createViemClient(
     chainId: ChainId,
     rpcs: string[],
     useFallbacks = false,
-    account?: HDAccount | PrivateKeyAccount,
+    account?: HDAccount | PrivateKeyAccount | LocalAccount,
     timeout?: number,
     testClient?: any,
     config?: BotConfig,
@@ -137,6 +138,8 @@ export async function createViemClient(
     // set injected properties
     client.BUSY = false;
     client.sendTx = async (tx) => {
+        // never broadcast any transaction in simulation mode
+        if (config?.simulate) throw "simulation mode, transactions are not broadcasted";
         return await sendTransaction(client, tx);
     };
 
@@ -0,0 +1,172 @@
+import fs from "fs";
+import yaml from "js-yaml";
+import ConfigSchema from "./config.schema.json";
+
+/**
+ * Validates the given value against the given json schema and returns all of the
+ * found problems with their field path, supports the subset of json schema keywords
+ * that are used by the config schema, ie type, enum, pattern, minimum, items, minItems,
+ * maxItems, properties, required, propertyNames, additionalProperties and local $ref
+ * @param value - The value to validate
+ * @param schema - The json schema
+ * @param path - (optional) The field path of the value
+ * @param root - (optional) The root schema to resolve $refs from
+ */
+export function validateSchema(value: any, schema: any, path = "", root: any = schema): string[] {
+    if (schema.$ref) {
+        const { $ref, ...rest } = schema;
+        const resolved = ($ref as string)
+            .replace(/^#\//, "")
+            .split("/")
+            .reduce((a, b) => a?.[b], root);
+        return validateSchema(value, { ...resolved, ...rest }, path, root);
+    }
+    const errors: string[] = [];
+    const field = path || "config";
+    const types: string[] | undefined =
+        schema.type === undefined ? undefined : [].concat(schema.type);
+    if (types && !types.some((type) => isType(value, type))) {
+        return [`${field}: expected ${types.join(" or ")}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${field}: expected one of ${schema.enum.join(", ")}`);
+    }
+    if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${field}: invalid value "${value}"`);
+    }
+    if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${field}: expected a value greater than equal ${schema.minimum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${field}: expected at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${field}: expected at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${i}]`, root));
+            });
+        }
+    } else if (isType(value, "object")) {
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) errors.push(`${path ? `${path}.${key}` : key}: required`);
+        }
+        for (const key in value) {
+            const keyPath = path ? `${path}.${key}` : key;
+            if (schema.propertyNames) {
+                errors.push(...validateSchema(key, schema.propertyNames, keyPath, root));
+            }
+            if (schema.properties?.[key]) {
+                errors.push(...validateSchema(value[key], schema.properties[key], keyPath, root));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${keyPath}: unknown field`);
+            } else if (typeof schema.additionalProperties === "object") {
+                errors.push(
+                    ...validateSchema(value[key], schema.additionalProperties, keyPath, root),
+                );
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Parses the content of a YAML or JSON config file, validates it against the config
+ * schema in one pass and returns it as cli options, all of the found problems are
+ * reported at once with their field path
+ * @param content - The config file content
+ */
+export function parseConfigFile(content: string): Record<string, any> {
+    let config: any;
+    try {
+        config = yaml.load(content);
+    } catch {
+        throw "invalid config file, cannot parse as yaml or json";
+    }
+    if (config === undefined || config === null) return {};
+    const errors = validateSchema(config, ConfigSchema);
+    if (errors.length) {
+        throw `invalid config file:\n${errors.map((v) => `  - ${v}`).join("\n")}`;
+    }
+    return toCliOptions(config);
+}
+
+/**
+ * Reads and validates the given config file and returns it as cli options
+ * @param path - The config file path
+ */
+export function readConfigFile(path: string): Record<string, any> {
+    let content: string;
+    try {
+        content = fs.readFileSync(path, { encoding: "utf8" });
+    } catch {
+        throw `failed to read config file: ${path}`;
+    }
+    return parseConfigFile(content);
+}
+
+/**
+ * Converts a validated config to the same shape as parsed cli options
+ */
+function toCliOptions(config: Record<string, any>): Record<string, any> {
+    const properties: Record<string, any> = ConfigSchema.properties;
+    const options: Record<string, any> = {};
+    for (const key in config) {
+        const value = config[key];
+        if (typeof value === "number") {
+            options[key] = value.toString();
+        } else if (typeof value === "string" && properties[key].type?.includes("array")) {
+            options[key] = Array.from(value.matchAll(/[^,\s]+/g)).map((v) => v[0]);
+        } else {
+            options[key] = value;
+        }
+    }
+    for (const key of ["includePairs", "excludePairs"]) {
+        if (config[key]) {
+            options[key] = config[key].map((v: string | string[]) =>
+                Array.isArray(v) ? v.join("/") : v,
+            );
+        }
+    }
+    if (config.selfFundOrders) {
+        options.selfFundOrders = config.selfFundOrders.map((v: any) => ({
+            token: v.token.toLowerCase(),
+            vaultId: v.vaultId.toString(),
+            threshold: v.threshold.toString(),
+            topupAmount: v.topupAmount.toString(),
+        }));
+    }
+    if (config.ownerProfile) {
+        const profiles: Record<string, number> = {};
+        for (const owner in config.ownerProfile) {
+            const limit = config.ownerProfile[owner];
+            profiles[owner.toLowerCase()] =
+                limit === "max"
+                    ? Number.MAX_SAFE_INTEGER
+                    : Math.min(limit, Number.MAX_SAFE_INTEGER);
+        }
+        options.ownerProfile = profiles;
+    }
+    return options;
+}
+
+function isType(value: any, type: string): boolean {
+    switch (type) {
+        case "string":
+            return typeof value === "string";
+        case "boolean":
+            return typeof value === "boolean";
+        case "number":
+            return typeof value === "number" && Number.isFinite(value);
+        case "integer":
+            return Number.isInteger(value);
+        case "array":
+            return Array.isArray(value);
+        case "object":
+            return typeof value === "object" && value !== null && !Array.isArray(value);
+        default:
+            return false;
+    }
+}
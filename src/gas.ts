@@ -94,29 +94,31 @@ export async function getGasPrice(config: BotConfig, state: OperationState) {
 }
 
 /**
- * Calculates the gas limit that used for quoting orders
+ * Calculates the gas limit that used for quoting orders, if a list of orders is given the gas
+ * limit is for quoting all of them in a single multicall
  */
 export async function getQuoteGas(
     config: BotConfig,
-    orderDetails: BundledOrders,
+    orderDetails: BundledOrders | BundledOrders[],
     multicallAddressOverride?: string,
 ): Promise<bigint> {
+    const orders = Array.isArray(orderDetails) ? orderDetails : [orderDetails];
+    const quoteGas = config.quoteGas * BigInt(orders.length);
     if (config.chain.id === ChainId.ARBITRUM) {
-        // build the calldata of a quote call
-        const quoteConfig = getQuoteConfig(orderDetails.takeOrders[0]);
-        const multicallConfig = {
-            target: orderDetails.orderbook as `0x${string}`,
+        // build the calldata of the quote calls
+        const multicallConfigs = orders.map((v) => ({
+            target: v.orderbook as `0x${string}`,
             allowFailure: true,
             callData: encodeFunctionData({
                 abi: OrderbookQuoteAbi,
                 functionName: "quote",
-                args: [quoteConfig],
+                args: [getQuoteConfig(v.takeOrders[0])],
             }),
-        };
+        }));
         const calldata = encodeFunctionData({
             abi: multicall3Abi,
             functionName: "aggregate3",
-            args: [[multicallConfig] as const],
+            args: [multicallConfigs],
         });
 
         const multicallAddress =
@@ -131,8 +133,8 @@ export async function getQuoteGas(
             functionName: "gasEstimateL1Component",
             args: [multicallAddress, false, calldata],
         });
-        return config.quoteGas + result.result[0];
+        return quoteGas + result.result[0];
     } else {
-        return config.quoteGas;
+        return quoteGas;
     }
 }
@@ -5,9 +5,13 @@ import { versions } from "process";
 import { PublicClient } from "viem";
 import { DeployerAbi } from "./abis";
 import { initAccounts } from "./account";
+import { getOrdersExistence } from "./order";
+import { parseStrategyRules } from "./strategy";
+import { parseSignedContextProviders } from "./signedContext";
+import { DEFAULT_EXPLORATION } from "./scoring";
 import { processOrders } from "./processOrders";
 import { Context, Span } from "@opentelemetry/api";
-import { checkSgStatus, handleSgResults } from "./sg";
+import { checkSgStatus, getSgOrderbooks, handleSgResults, reconcileSgResults } from "./sg";
 import { Tracer } from "@opentelemetry/sdk-trace-base";
 import { querySgOrders, SgOrder, statusCheckQuery } from "./query";
 import {
@@ -15,6 +19,7 @@ import {
     BotConfig,
     RpcRecord,
     CliOptions,
+    ViemClient,
     RoundReport,
     BundledOrders,
     OperationState,
@@ -31,24 +36,30 @@ import {
 /**
  * Get the order details from a source, i.e array of subgraphs and/or a local json file
  * @param sgs - The subgraph endpoint URL(s) to query for orders' details
- * @param json - Path to a json file containing orders structs
- * @param signer - The ethers signer
  * @param sgFilters - The filters for subgraph query
  * @param span
+ * @param timeout
+ * @param hasjson - If orders are read from other sources as well (onchain logs, file),
+ * in which case failing subgraphs will not throw
+ * @param viemClient - (optional) If provided, the results of multiple subgraphs are cross
+ * validated instead of being unioned and the disputed orders are confirmed onchain
  */
 export async function getOrderDetails(
     sgs: string[],
     sgFilters?: SgFilter,
     span?: Span,
     timeout?: number,
+    hasjson = false,
+    viemClient?: ViemClient,
 ): Promise<SgOrder[]> {
-    const hasjson = false;
     const ordersDetails: SgOrder[] = [];
     const isInvalidSg = !Array.isArray(sgs) || sgs.length === 0;
 
-    if (isInvalidSg) throw "type of provided sources for reading orders are invalid";
-    else {
+    if (isInvalidSg) {
+        if (!hasjson) throw "type of provided sources for reading orders are invalid";
+    } else {
         let availableSgs: string[] = [];
+        let blockNumbers: Record<string, number> = {};
         const promises: Promise<any>[] = [];
         if (!isInvalidSg) {
             const validSgs: string[] = [];
@@ -66,27 +77,128 @@ export async function getOrderDetails(
                 }
             });
             const statusResult = await Promise.allSettled(statusCheckPromises);
-            ({ availableSgs } = checkSgStatus(validSgs, statusResult, span, hasjson));
+            ({ availableSgs, blockNumbers } = checkSgStatus(validSgs, statusResult, span, hasjson));
 
             availableSgs.forEach((v) => {
-                if (v && typeof v === "string")
-                    promises.push(
-                        querySgOrders(
-                            v,
-                            sgFilters?.orderHash,
-                            sgFilters?.orderOwner,
-                            sgFilters?.orderbook,
-                        ),
-                    );
+                if (v && typeof v === "string") promises.push(querySgOrders(v, sgFilters));
             });
         }
 
         const responses = await Promise.allSettled(promises);
-        ordersDetails.push(...handleSgResults(availableSgs, responses, span, hasjson));
+        if (viemClient && availableSgs.length > 1) {
+            // subgraphs orderbooks determine which subgraphs should agree on an orderbook
+            // orders, regardless of them returning any orders for it
+            const sgsOrderbooks: Record<string, string[]> = {};
+            const orderbooksResults = await Promise.allSettled(
+                availableSgs.map((v) => getSgOrderbooks(v)),
+            );
+            orderbooksResults.forEach((res, i) => {
+                if (res.status === "fulfilled") sgsOrderbooks[availableSgs[i]] = res.value;
+            });
+            const { orders, disputed } = reconcileSgResults(
+                availableSgs,
+                responses,
+                blockNumbers,
+                span,
+                hasjson,
+                sgsOrderbooks,
+            );
+            ordersDetails.push(...orders);
+            ordersDetails.push(...(await confirmDisputedOrders(disputed, viemClient, span)));
+        } else {
+            ordersDetails.push(...handleSgResults(availableSgs, responses, span, hasjson));
+        }
     }
     return ordersDetails;
 }
 
+/**
+ * Confirms the disputed orders of subgraphs onchain with orderExists() and returns the
+ * ones that exist, if the onchain check fails for an order, it is kept only if the most
+ * up to date subgraph reported it
+ * @param disputed - The disputed orders
+ * @param viemClient - The viem client
+ * @param span - (optional) Span to record the results on
+ */
+export async function confirmDisputedOrders(
+    disputed: { order: SgOrder; preferred: boolean }[],
+    viemClient: ViemClient,
+    span?: Span,
+): Promise<SgOrder[]> {
+    if (!disputed.length) return [];
+    let existence: (boolean | undefined)[] = [];
+    try {
+        existence = await getOrdersExistence(
+            disputed.map((v) => ({
+                orderbook: v.order.orderbook.id,
+                orderHash: v.order.orderHash,
+            })),
+            viemClient,
+        );
+    } catch {
+        /**/
+    }
+    const result: SgOrder[] = [];
+    const report: Record<string, string> = {};
+    disputed.forEach(({ order, preferred }, i) => {
+        const exists = existence[i];
+        if (exists === undefined) {
+            if (preferred) result.push(order);
+            report[order.orderHash.toLowerCase()] = preferred
+                ? "unconfirmed, kept"
+                : "unconfirmed, dropped";
+        } else if (exists) {
+            result.push(order);
+            report[order.orderHash.toLowerCase()] = "exists";
+        } else {
+            report[order.orderHash.toLowerCase()] = "does not exist";
+        }
+    });
+    span?.setAttribute("details.disputedOrders", JSON.stringify(report));
+    return result;
+}
+
+/**
+ * Confirms the order changes reported by a subgraph onchain with orderExists(), added
+ * orders that don't exist and removed orders that still exist are dropped, changes that
+ * their onchain check fails are kept as reported
+ * @param addOrders - The reported added orders
+ * @param removeOrders - The reported removed orders
+ * @param viemClient - The viem client
+ * @param span - (optional) Span to record the dropped changes on
+ */
+export async function confirmOrderChanges(
+    addOrders: SgOrder[],
+    removeOrders: SgOrder[],
+    viemClient: ViemClient,
+    span?: Span,
+): Promise<{ addOrders: SgOrder[]; removeOrders: SgOrder[] }> {
+    if (!addOrders.length && !removeOrders.length) return { addOrders, removeOrders };
+    let existence: (boolean | undefined)[] = [];
+    try {
+        existence = await getOrdersExistence(
+            [...addOrders, ...removeOrders].map((v) => ({
+                orderbook: v.orderbook.id,
+                orderHash: v.orderHash,
+            })),
+            viemClient,
+        );
+    } catch {
+        /**/
+    }
+    const dropped: string[] = [];
+    const confirmedAdds = addOrders.filter((v, i) => {
+        if (existence[i] === false) dropped.push(v.orderHash.toLowerCase());
+        return existence[i] !== false;
+    });
+    const confirmedRemoves = removeOrders.filter((v, i) => {
+        if (existence[addOrders.length + i] === true) dropped.push(v.orderHash.toLowerCase());
+        return existence[addOrders.length + i] !== true;
+    });
+    if (dropped.length) span?.setAttribute("details.droppedOrderChanges", dropped);
+    return { addOrders: confirmedAdds, removeOrders: confirmedRemoves };
+}
+
 /**
  * Get the general and network configuration required for the bot to operate
  * @param rpcUrls - The RPC URL array
@@ -159,6 +271,18 @@ export async function getConfig(
         if (temp === "multi") route = "multi";
         if (temp === "single") route = "single";
     }
+    const strategies = parseStrategyRules(options.strategies);
+    const signedContextProviders = parseSignedContextProviders(options.signedContextProviders);
+
+    let exploration: number = DEFAULT_EXPLORATION;
+    if (options.exploration !== undefined && options.exploration !== null) {
+        if (!/^[0-9]+$/.test(options.exploration.toString())) {
+            throw "invalid exploration value, must be an integer between 0 - 100";
+        }
+        exploration = Number(options.exploration);
+        if (exploration > 100)
+            throw "invalid exploration value, must be an integer between 0 - 100";
+    }
 
     const chainId = (await getChainId(rpcUrls)) as ChainId;
     const config = getChainConfig(chainId) as any as BotConfig;
@@ -234,8 +358,13 @@ export async function getConfig(
     config.dataFetcher = dataFetcher;
     config.watchedTokens = options.tokens ?? [];
     config.selfFundOrders = options.selfFundOrders;
+    config.strategies = strategies;
+    config.signedContextProviders = signedContextProviders;
+    config.orderStats = options.orderScoring ? new Map() : undefined;
+    config.orderBackoffs = new Map();
+    config.exploration = exploration;
+    config.bundleOrders = !!options.bundleOrders;
     config.publicRpc = options.publicRpc;
-    config.walletKey = walletKey;
     config.route = route;
     config.rpcRecords = rpcRecords;
     config.gasPriceMultiplier = options.gasPriceMultiplier;
@@ -243,6 +372,7 @@ export async function getConfig(
     config.txGas = options.txGas;
     config.quoteGas = options.quoteGas;
     config.rpOnly = options.rpOnly;
+    config.simulate = !!options.simulate;
     config.dispair = {
         interpreter,
         store,
@@ -280,7 +410,10 @@ export async function clear(
     else throw `NodeJS v18 or higher is required for running the app, current version: ${version}`;
 }
 
-async function getChainId(rpcs: string[]): Promise<number> {
+/**
+ * Gets the chain id from the given rpcs, the rpcs are tried in order until one responds
+ */
+export async function getChainId(rpcs: string[]): Promise<number> {
     for (let i = 0; i < rpcs.length; i++) {
         try {
             const provider = new ethers.providers.JsonRpcProvider(rpcs[i]);
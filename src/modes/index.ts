@@ -5,7 +5,7 @@ import { Token } from "sushi/currency";
 import { extendSpanAttributes } from "../utils";
 import { findOpp as findInterObOpp } from "./interOrderbook";
 import { findOpp as findIntraObOpp } from "./intraOrderbook";
-import { findOppWithRetries as findRpOpp } from "./routeProcessor";
+import { findBundleOpp, findOppWithRetries as findRpOpp } from "./routeProcessor";
 import { BotConfig, BundledOrders, ViemClient, DryrunResult, SpanAttrs } from "../types";
 
 /**
@@ -46,6 +46,36 @@ export async function findOpp({
     fromToken: Token;
     l1GasPrice: bigint;
 }): Promise<DryrunResult> {
+    // several take orders of the same pair are only cleared together through rp
+    if (orderPairObject.takeOrders.length > 1) {
+        try {
+            const result = await findBundleOpp({
+                orderPairObject,
+                dataFetcher,
+                fromToken,
+                toToken,
+                signer,
+                gasPrice,
+                arb,
+                ethPrice: inputToEthPrice,
+                config,
+                viemClient,
+                l1GasPrice,
+            });
+            result.spanAttributes["clearModePick"] = "bundle";
+            return result;
+        } catch (e: any) {
+            const spanAttributes: SpanAttrs = {};
+            extendSpanAttributes(spanAttributes, e?.spanAttributes ?? {}, "bundle");
+            return Promise.reject({
+                spanAttributes,
+                rawtx: undefined,
+                oppBlockNumber: undefined,
+                noneNodeError: e?.value?.noneNodeError,
+            });
+        }
+    }
+
     const promises = [
         findRpOpp({
             orderPairObject,
@@ -98,8 +98,8 @@ export async function dryrun({
             aliceBountyVaultId: inputBountyVaultId,
             bobBountyVaultId: outputBountyVaultId,
         },
-        [],
-        [],
+        orderPairObject.takeOrders[0].takeOrder.signedContext,
+        opposingOrder.takeOrder.signedContext,
     ]);
     const rawtx: any = {
         data: obInterface.encodeFunctionData("multicall", [
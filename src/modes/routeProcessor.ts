@@ -5,7 +5,14 @@ import { BigNumber, Contract, ethers } from "ethers";
 import { containsNodeError, errorSnapshot } from "../error";
 import { getBountyEnsureRainlang, parseRainlang } from "../task";
 import { BaseError, ExecutionRevertedError, PublicClient } from "viem";
-import { SpanAttrs, BotConfig, ViemClient, DryrunResult, BundledOrders } from "../types";
+import {
+    SpanAttrs,
+    BotConfig,
+    ViemClient,
+    DryrunValue,
+    DryrunResult,
+    BundledOrders,
+} from "../types";
 import {
     ONE18,
     scale18,
@@ -66,8 +73,20 @@ export async function dryrun({
         spanAttributes,
     };
 
+    // mode 0 clears all the take orders, so their combined max output is the full amount
+    // and the market price should cover the highest ratio of them
+    const maxOutput =
+        mode === 0
+            ? orderPairObject.takeOrders.reduce(
+                  (a, b) => a.add(b.quote!.maxOutput),
+                  ethers.constants.Zero,
+              )
+            : orderPairObject.takeOrders[0].quote!.maxOutput;
+    const ratio =
+        mode === 0 ? getMaxRatio(orderPairObject) : orderPairObject.takeOrders[0].quote!.ratio;
+
     // determines if amount is partial derived from binary search or not
-    const isPartial = !orderPairObject.takeOrders[0].quote!.maxOutput.eq(maximumInputFixed);
+    const isPartial = !maxOutput.eq(maximumInputFixed);
 
     const maximumInput = scale18To(maximumInputFixed, orderPairObject.sellTokenDecimals);
     spanAttributes["amountIn"] = ethers.utils.formatUnits(maximumInputFixed);
@@ -108,7 +127,7 @@ export async function dryrun({
         spanAttributes["route"] = routeVisual;
 
         // exit early if market price is lower than order quote ratio
-        if (price.lt(orderPairObject.takeOrders[0].quote!.ratio)) {
+        if (price.lt(ratio)) {
             if (hasPriceMatch) hasPriceMatch.value = false;
             result.reason = RouteProcessorDryrunHaltReason.NoOpportunity;
             spanAttributes["error"] = "Order's ratio greater than market price";
@@ -274,6 +293,7 @@ export async function dryrun({
                     });
                 }
                 rawtx.gas = gasLimit.toBigInt();
+                l1Cost = estimation.l1Cost;
                 gasCost = gasLimit.mul(gasPrice).add(estimation.l1Cost);
 
                 // include dryrun final gas estimation in otel logs
@@ -347,14 +367,23 @@ export async function dryrun({
             price,
             routeVisual,
             oppBlockNumber: blockNumber,
-            estimatedProfit: estimateProfit(
-                orderPairObject,
-                ethers.utils.parseUnits(ethPrice),
-                undefined,
-                undefined,
-                price,
-                maximumInputFixed,
-            )!,
+            ...(config.isSpecialL2 ? { l1Cost: ethers.BigNumber.from(l1Cost) } : {}),
+            estimatedProfit:
+                mode === 0 && orderPairObject.takeOrders.length > 1
+                    ? estimateBundleProfit(
+                          orderPairObject,
+                          ethers.utils.parseUnits(ethPrice),
+                          price,
+                          maximumInputFixed,
+                      )
+                    : estimateProfit(
+                          orderPairObject,
+                          ethers.utils.parseUnits(ethPrice),
+                          undefined,
+                          undefined,
+                          price,
+                          maximumInputFixed,
+                      )!,
         };
         return result;
     }
@@ -578,6 +607,265 @@ export async function findOppWithRetries({
     }
 }
 
+/**
+ * Tries to find an opportunity for clearing several take orders of the given order pair in a
+ * single arb3 tx, ie mode 0. The take orders are sorted by their quoted ratio and trimmed in
+ * place to the largest bundle that the market price of the route covers at their combined
+ * size, the bundle is only picked if its estimated profit after gas beats the estimated
+ * profit of clearing the same orders individually, each paying the gas of a single clear
+ */
+export async function findBundleOpp({
+    orderPairObject,
+    dataFetcher,
+    fromToken,
+    toToken,
+    signer,
+    gasPrice,
+    arb,
+    ethPrice,
+    config,
+    viemClient,
+    l1GasPrice,
+}: {
+    config: BotConfig;
+    orderPairObject: BundledOrders;
+    viemClient: PublicClient;
+    dataFetcher: DataFetcher;
+    signer: ViemClient;
+    arb: Contract;
+    gasPrice: bigint;
+    ethPrice: string;
+    toToken: Token;
+    fromToken: Token;
+    l1GasPrice?: bigint;
+}): Promise<DryrunResult> {
+    const spanAttributes: SpanAttrs = {};
+    const result: DryrunResult = {
+        value: undefined,
+        reason: undefined,
+        spanAttributes,
+    };
+
+    // sort by ratio and size the bundle against the route
+    const getPrice = (amount: BigNumber) =>
+        getRoutePrice(amount, fromToken, toToken, dataFetcher, gasPrice, config);
+    const size = getBundleSize(orderPairObject, getPrice);
+    if (size === undefined) {
+        spanAttributes["route"] = "no-way";
+        result.reason = RouteProcessorDryrunHaltReason.NoRoute;
+        return Promise.reject(result);
+    }
+    if (size < 2) {
+        result.reason = RouteProcessorDryrunHaltReason.NoOpportunity;
+        spanAttributes["error"] = "Market price doesn't cover a bundle of orders";
+        return Promise.reject(result);
+    }
+    orderPairObject.takeOrders.splice(size);
+    spanAttributes["bundledOrders"] = orderPairObject.takeOrders.map((v) => v.id);
+
+    let bundleResult: DryrunResult;
+    try {
+        bundleResult = await findOpp({
+            mode: 0,
+            orderPairObject,
+            dataFetcher,
+            fromToken,
+            toToken,
+            signer,
+            gasPrice,
+            arb,
+            ethPrice,
+            config,
+            viemClient,
+            l1GasPrice,
+        });
+    } catch (e: any) {
+        extendSpanAttributes(spanAttributes, e.spanAttributes, "bundle");
+        result.reason = e.reason;
+        result.value = e.value;
+        return Promise.reject(result);
+    }
+    extendSpanAttributes(spanAttributes, bundleResult.spanAttributes, "bundle");
+    const bundleProfit = bundleResult.value!.estimatedProfit.sub(
+        getDryrunGasCost(bundleResult.value!, gasPrice),
+    );
+
+    // the gas cost of clearing the best order on its own is taken as the gas cost of each
+    // individual clear, if it cannot be cleared on its own, none of them can be cleared
+    // profitably on their own as the rest have higher ratios
+    let individualProfit = ethers.constants.Zero;
+    try {
+        const singleResult = await findOpp({
+            mode: 1,
+            orderPairObject: { ...orderPairObject, takeOrders: [orderPairObject.takeOrders[0]] },
+            dataFetcher,
+            fromToken,
+            toToken,
+            signer,
+            gasPrice,
+            arb,
+            ethPrice,
+            config,
+            viemClient,
+            l1GasPrice,
+        });
+        extendSpanAttributes(spanAttributes, singleResult.spanAttributes, "single");
+        const gasCost = getDryrunGasCost(singleResult.value!, gasPrice);
+        spanAttributes["individualGasCost"] = ethers.utils.formatUnits(gasCost);
+        individualProfit = estimateIndividualProfit(
+            orderPairObject,
+            ethers.utils.parseUnits(ethPrice),
+            gasCost,
+            getPrice,
+        );
+    } catch (e: any) {
+        extendSpanAttributes(spanAttributes, e.spanAttributes, "single");
+    }
+    spanAttributes["bundleProfit"] = ethers.utils.formatUnits(bundleProfit);
+    spanAttributes["individualProfit"] = ethers.utils.formatUnits(individualProfit);
+    if (bundleProfit.lte(individualProfit)) {
+        result.reason = RouteProcessorDryrunHaltReason.NoOpportunity;
+        spanAttributes["error"] = "Bundle doesn't beat clearing the orders individually";
+        return Promise.reject(result);
+    }
+
+    bundleResult.spanAttributes = spanAttributes;
+    return bundleResult;
+}
+
+/**
+ * Gets the gas cost of the given dryrun result's tx in eth, including its L1 fee
+ */
+function getDryrunGasCost(value: DryrunValue, gasPrice: bigint): BigNumber {
+    return BigNumber.from(value.rawtx!.gas!)
+        .mul(gasPrice)
+        .add(value.l1Cost ?? 0);
+}
+
+/**
+ * Sorts the given order pair's take orders by their quoted ratio and gets the size of the
+ * largest bundle of the cheapest ones that the market price covers at their combined max
+ * output, ie the price of the combined amount is at least the ratio of the bundle's last
+ * take order, returns 0 if no bundle of at least 2 orders is covered and undefined if
+ * there is no route
+ * @param orderPairObject - The order pair, its take orders are sorted in place
+ * @param getPrice - Gets the market price of the given amount in 18 decimals
+ */
+export function getBundleSize(
+    orderPairObject: BundledOrders,
+    getPrice: (amount: BigNumber) => BigNumber | undefined,
+): number | undefined {
+    orderPairObject.takeOrders.sort((a, b) =>
+        a.quote!.ratio.lt(b.quote!.ratio) ? -1 : a.quote!.ratio.gt(b.quote!.ratio) ? 1 : 0,
+    );
+    for (let i = orderPairObject.takeOrders.length; i > 1; i--) {
+        const amount = orderPairObject.takeOrders
+            .slice(0, i)
+            .reduce((a, b) => a.add(b.quote!.maxOutput), ethers.constants.Zero);
+        const price = getPrice(amount);
+        if (price === undefined) return undefined;
+        if (price.gte(orderPairObject.takeOrders[i - 1].quote!.ratio)) return i;
+    }
+    return 0;
+}
+
+/**
+ * Estimates the total profit of clearing each of the given order pair's take orders in its
+ * own tx at the market price of its max output, each paying the given gas cost, the orders
+ * that are not profitable on their own are left out, returns the profit in eth
+ * @param orderPairObject - The order pair
+ * @param inputToEthPrice - The order pair's input token to eth price
+ * @param gasCost - The gas cost of each tx in eth
+ * @param getPrice - Gets the market price of the given amount in 18 decimals
+ */
+export function estimateIndividualProfit(
+    orderPairObject: BundledOrders,
+    inputToEthPrice: BigNumber,
+    gasCost: BigNumber,
+    getPrice: (amount: BigNumber) => BigNumber | undefined,
+): BigNumber {
+    return orderPairObject.takeOrders.reduce((total, takeOrder) => {
+        const price = getPrice(takeOrder.quote!.maxOutput);
+        if (!price || price.lt(takeOrder.quote!.ratio)) return total;
+        const profit = estimateProfit(
+            { ...orderPairObject, takeOrders: [takeOrder] },
+            inputToEthPrice,
+            undefined,
+            undefined,
+            price,
+            takeOrder.quote!.maxOutput,
+        )!.sub(gasCost);
+        return profit.gt(0) ? total.add(profit) : total;
+    }, ethers.constants.Zero);
+}
+
+/**
+ * Gets the market price of the given amount of from token from the route, undefined if there
+ * is no route
+ * @param amount - The amount in 18 decimals
+ */
+export function getRoutePrice(
+    amount: BigNumber,
+    fromToken: Token,
+    toToken: Token,
+    dataFetcher: DataFetcher,
+    gasPrice: bigint,
+    config: BotConfig,
+): BigNumber | undefined {
+    if (amount.isZero()) return undefined;
+    const route = Router.findBestRoute(
+        dataFetcher.getCurrentPoolCodeMap(fromToken, toToken),
+        config.chain.id as ChainId,
+        fromToken,
+        scale18To(amount, fromToken.decimals).toBigInt(),
+        toToken,
+        Number(gasPrice),
+        undefined,
+        RPoolFilter,
+        undefined,
+        config.route,
+    );
+    if (route.status == "NoWay") return undefined;
+    return scale18(route.amountOutBI, toToken.decimals).mul(ONE18).div(amount);
+}
+
+/**
+ * Gets the highest quoted ratio of the given order pair's take orders
+ */
+export function getMaxRatio(orderPairObject: BundledOrders): BigNumber {
+    return orderPairObject.takeOrders.reduce(
+        (a, b) => (b.quote!.ratio.gt(a) ? b.quote!.ratio : a),
+        orderPairObject.takeOrders[0].quote!.ratio,
+    );
+}
+
+/**
+ * Estimates the profit of clearing the given take orders in order, each up to its max output,
+ * for the given input amount at the given market price, returns the profit in eth
+ * @param orderPairObject - The order pair
+ * @param inputToEthPrice - The order pair's input token to eth price
+ * @param marketPrice - The market price
+ * @param maxInput - The total input amount in 18 decimals
+ */
+export function estimateBundleProfit(
+    orderPairObject: BundledOrders,
+    inputToEthPrice: BigNumber,
+    marketPrice: BigNumber,
+    maxInput: BigNumber,
+): BigNumber {
+    let remaining = maxInput;
+    let profit = ethers.constants.Zero;
+    for (const takeOrder of orderPairObject.takeOrders) {
+        if (remaining.lte(0)) break;
+        const amount = remaining.lt(takeOrder.quote!.maxOutput)
+            ? remaining
+            : takeOrder.quote!.maxOutput;
+        profit = profit.add(amount.mul(marketPrice.sub(takeOrder.quote!.ratio)).div(ONE18));
+        remaining = remaining.sub(amount);
+    }
+    return profit.mul(inputToEthPrice).div(ONE18);
+}
+
 /**
  * Calculates the largest possible trade size, returns undefined if not possible,
  * because price difference is larger to be covered by reducing the trade size
@@ -600,7 +888,7 @@ export function findMaxInput({
     maximumInput: BigNumber;
 }): BigNumber | undefined {
     const result: BigNumber[] = [];
-    const ratio = orderPairObject.takeOrders[0].quote!.ratio;
+    const ratio = getMaxRatio(orderPairObject);
     const pcMap = dataFetcher.getCurrentPoolCodeMap(fromToken, toToken);
     const initAmount = scale18To(maximumInputFixed, fromToken.decimals).div(2);
     let maximumInput = BigNumber.from(initAmount.toString());
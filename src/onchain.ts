@@ -0,0 +1,406 @@
+import { SgOrder } from "./query";
+import { getTokenSymbol, toOrder } from "./order";
+import { errorSnapshot } from "./error";
+import { addWatchedToken } from "./utils";
+import { Span } from "@opentelemetry/api";
+import { IO, TokenDetails, ViemClient } from "./types";
+import {
+    Chain,
+    webSocket,
+    createPublicClient,
+    encodeAbiParameters,
+    parseAbiParameters,
+} from "viem";
+import { OrderV3, AddOrderV2EventAbi, RemoveOrderV2EventAbi } from "./abis";
+
+const OrderV3Abi = parseAbiParameters(OrderV3);
+
+/**
+ * Max number of blocks that are read in a single eth_getLogs request
+ */
+export const LOGS_BLOCK_RANGE = 5_000n as const;
+
+/**
+ * Specifies a decoded AddOrderV2 or RemoveOrderV2 log
+ */
+export type OrderLog = {
+    type: "add" | "remove";
+    orderbook: string;
+    orderHash: string;
+    order: any;
+    blockNumber: bigint;
+    logIndex: number;
+};
+
+/**
+ * Specifies the onchain orders source, ie the orderbooks to read logs from
+ * and the last block that has been read
+ */
+export type OnchainOrdersSource = {
+    orderbooks: string[];
+    lastReadBlock: bigint;
+};
+
+/**
+ * Specifies a streaming orders source, ie a websocket subscription to the orderbooks
+ * AddOrderV2 and RemoveOrderV2 logs, the received logs are queued until they are drained,
+ * the subscription is (re)started with the given orderbooks by calling watch()
+ */
+export type OrdersStream = {
+    orderbooks: string[];
+    logs: OrderLog[];
+    error?: any;
+    watch: (orderbooks: string[]) => void;
+    unwatch: () => void;
+};
+
+/**
+ * Reads AddOrderV2 and RemoveOrderV2 logs of the given orderbooks for the given
+ * block range (inclusive) in chunks and returns them sorted by their onchain order
+ * @param viemClient - The viem client
+ * @param orderbooks - The orderbook addresses
+ * @param fromBlock - The start block
+ * @param toBlock - The end block
+ * @param blockRange - (optional) Max number of blocks to read per request
+ */
+export async function getOrderLogs(
+    viemClient: ViemClient,
+    orderbooks: string[],
+    fromBlock: bigint,
+    toBlock: bigint,
+    blockRange: bigint = LOGS_BLOCK_RANGE,
+): Promise<OrderLog[]> {
+    const result: OrderLog[] = [];
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+        const end = start + blockRange - 1n < toBlock ? start + blockRange - 1n : toBlock;
+        const logs = await viemClient.getLogs({
+            address: orderbooks as `0x${string}`[],
+            events: [AddOrderV2EventAbi[0], RemoveOrderV2EventAbi[0]],
+            fromBlock: start,
+            toBlock: end,
+        });
+        for (const log of logs) {
+            result.push(toOrderLog(log));
+        }
+    }
+    return sortOrderLogs(result);
+}
+
+/**
+ * Builds an order details object with the same shape as subgraph query result from an
+ * order struct, so it can go through the same pipeline as subgraph orders, token
+ * symbols are read from the known tokens and are fetched onchain if not known
+ * @param orderbook - The orderbook address
+ * @param orderHash - The order hash
+ * @param order - The order struct
+ * @param active - If the order is active or not
+ * @param viemClient - The viem client
+ * @param tokens - The known tokens
+ */
+export async function toSgOrder(
+    orderbook: string,
+    orderHash: string,
+    order: any,
+    active: boolean,
+    viemClient: ViemClient,
+    tokens: TokenDetails[],
+): Promise<SgOrder> {
+    const orderStruct = toOrder(order);
+    const getIO = async (io: IO) => {
+        const address = io.token;
+        let symbol = tokens.find((v) => v.address.toLowerCase() === address)?.symbol;
+        if (!symbol) {
+            symbol = await getTokenSymbol(address, viemClient);
+            if (symbol !== "UnknownSymbol") {
+                addWatchedToken({ address, symbol, decimals: io.decimals }, tokens);
+            }
+        }
+        return {
+            balance: "0",
+            vaultId: BigInt(io.vaultId).toString(),
+            token: {
+                address,
+                decimals: io.decimals,
+                symbol,
+            },
+        };
+    };
+    const inputs: SgOrder["inputs"] = [];
+    const outputs: SgOrder["outputs"] = [];
+    for (const io of orderStruct.validInputs) inputs.push(await getIO(io));
+    for (const io of orderStruct.validOutputs) outputs.push(await getIO(io));
+    return {
+        id: orderHash.toLowerCase(),
+        owner: orderStruct.owner,
+        orderHash: orderHash.toLowerCase(),
+        orderBytes: encodeAbiParameters(OrderV3Abi, [order]),
+        active,
+        nonce: orderStruct.nonce,
+        orderbook: {
+            id: orderbook.toLowerCase(),
+        },
+        inputs,
+        outputs,
+    };
+}
+
+/**
+ * Gets the added and removed orders of the given orderbooks from their onchain logs
+ * for the given block range, the latest event of an order in the range determines
+ * if it is reported as added or removed
+ * @param viemClient - The viem client
+ * @param orderbooks - The orderbook addresses
+ * @param fromBlock - The start block
+ * @param toBlock - The end block
+ * @param tokens - The known tokens
+ * @param span - (optional) Span to record errors on
+ */
+export async function getOnchainOrderChanges(
+    viemClient: ViemClient,
+    orderbooks: string[],
+    fromBlock: bigint,
+    toBlock: bigint,
+    tokens: TokenDetails[],
+    span?: Span,
+): Promise<{ addOrders: SgOrder[]; removeOrders: SgOrder[] }> {
+    let logs: OrderLog[];
+    try {
+        logs = await getOrderLogs(viemClient, orderbooks, fromBlock, toBlock);
+    } catch (error) {
+        span?.addEvent(errorSnapshot("Failed to get onchain orders changes", error));
+        throw error;
+    }
+    try {
+        return await getOrderChangesFromLogs(logs, viemClient, tokens);
+    } catch (error) {
+        span?.addEvent(errorSnapshot("Failed to build onchain orders from logs", error));
+        throw error;
+    }
+}
+
+/**
+ * Gets the added and removed orders from the given sorted order logs, the latest
+ * log of an order determines if it is reported as added or removed
+ * @param logs - The order logs
+ * @param viemClient - The viem client
+ * @param tokens - The known tokens
+ * @param onError - (optional) If given, the logs that fail to build an order from are
+ * passed to it and skipped instead of failing the whole batch
+ */
+export async function getOrderChangesFromLogs(
+    logs: OrderLog[],
+    viemClient: ViemClient,
+    tokens: TokenDetails[],
+    onError?: (log: OrderLog, error: any) => void,
+): Promise<{ addOrders: SgOrder[]; removeOrders: SgOrder[] }> {
+    const addOrders: SgOrder[] = [];
+    const removeOrders: SgOrder[] = [];
+
+    // keep only the latest log of each order
+    const latestLogs: Map<string, OrderLog> = new Map();
+    for (const log of logs) {
+        latestLogs.set(`${log.orderbook}-${log.orderHash}`, log);
+    }
+    for (const [, log] of latestLogs) {
+        let sgOrder: SgOrder;
+        try {
+            sgOrder = await toSgOrder(
+                log.orderbook,
+                log.orderHash,
+                log.order,
+                log.type === "add",
+                viemClient,
+                tokens,
+            );
+        } catch (error) {
+            if (!onError) throw error;
+            onError(log, error);
+            continue;
+        }
+        if (log.type === "add") addOrders.push(sgOrder);
+        else removeOrders.push(sgOrder);
+    }
+    return { addOrders, removeOrders };
+}
+
+/**
+ * Backfills the active orders of the given orderbooks from their onchain logs
+ * starting from the given block up to the latest block
+ * @param viemClient - The viem client
+ * @param orderbooks - The orderbook addresses
+ * @param startBlock - The block to start reading logs from
+ * @param tokens - The known tokens
+ * @param span - (optional) Span to record errors on
+ */
+export async function getOnchainOrders(
+    viemClient: ViemClient,
+    orderbooks: string[],
+    startBlock: bigint,
+    tokens: TokenDetails[],
+    span?: Span,
+): Promise<{ orders: SgOrder[]; source: OnchainOrdersSource }> {
+    const latestBlock = await viemClient.getBlockNumber();
+    const { addOrders } = await getOnchainOrderChanges(
+        viemClient,
+        orderbooks,
+        startBlock,
+        latestBlock,
+        tokens,
+        span,
+    );
+    return {
+        orders: addOrders,
+        source: {
+            orderbooks: orderbooks.map((v) => v.toLowerCase()),
+            lastReadBlock: latestBlock,
+        },
+    };
+}
+
+/**
+ * Reads the order changes of an onchain orders source since its last read block
+ * and moves its cursor forward
+ * @param viemClient - The viem client
+ * @param source - The onchain orders source
+ * @param tokens - The known tokens
+ * @param span - (optional) Span to record errors on
+ */
+export async function readOnchainOrderChanges(
+    viemClient: ViemClient,
+    source: OnchainOrdersSource,
+    tokens: TokenDetails[],
+    span?: Span,
+): Promise<{ addOrders: SgOrder[]; removeOrders: SgOrder[] }> {
+    const latestBlock = await viemClient.getBlockNumber();
+    if (latestBlock <= source.lastReadBlock) return { addOrders: [], removeOrders: [] };
+    const changes = await getOnchainOrderChanges(
+        viemClient,
+        source.orderbooks,
+        source.lastReadBlock + 1n,
+        latestBlock,
+        tokens,
+        span,
+    );
+    source.lastReadBlock = latestBlock;
+    return changes;
+}
+
+/**
+ * Subscribes to the given orderbooks AddOrderV2 and RemoveOrderV2 logs over a websocket
+ * rpc (eth_subscribe) and queues the received logs on the returned stream as they happen,
+ * logs that are removed due to a reorg are ignored as they will be picked up again, no
+ * subscription is made while there are no orderbooks to watch, as an empty address list
+ * would subscribe to the logs of every contract
+ * @param wsUrl - The websocket rpc url
+ * @param chain - The chain
+ * @param orderbooks - The orderbook addresses
+ * @param client - (optional) A client to subscribe with instead of building one from wsUrl
+ */
+export function watchOrderLogs(
+    wsUrl: string,
+    chain: Chain,
+    orderbooks: string[],
+    client?: Pick<ViemClient, "watchEvent">,
+): OrdersStream {
+    let wsClient = client;
+    const stream: OrdersStream = {
+        orderbooks: [],
+        logs: [],
+        watch: (orderbooks: string[]) => {
+            stream.unwatch();
+            stream.unwatch = () => {};
+            stream.orderbooks = orderbooks.map((v) => v.toLowerCase());
+            if (!stream.orderbooks.length) return;
+            if (!wsClient) {
+                wsClient = createPublicClient({
+                    chain,
+                    transport: webSocket(wsUrl, { reconnect: true }),
+                });
+            }
+            stream.unwatch = wsClient.watchEvent({
+                address: stream.orderbooks as `0x${string}`[],
+                events: [AddOrderV2EventAbi[0], RemoveOrderV2EventAbi[0]],
+                onLogs: (logs) => {
+                    for (const log of logs) {
+                        if (!log.removed) stream.logs.push(toOrderLog(log));
+                    }
+                },
+                onError: (error) => {
+                    stream.error = error;
+                },
+            });
+        },
+        unwatch: () => {},
+    };
+    stream.watch(orderbooks);
+    return stream;
+}
+
+/**
+ * Adds the given orderbooks to the orders stream if they are not watched yet, which
+ * restarts its subscription, returns true if the stream has been updated
+ * @param stream - The orders stream
+ * @param orderbooks - The orderbook addresses
+ */
+export function watchNewOrderbooks(stream: OrdersStream, orderbooks: string[]): boolean {
+    const newOrderbooks = orderbooks
+        .map((v) => v.toLowerCase())
+        .filter((v, i, arr) => !stream.orderbooks.includes(v) && arr.indexOf(v) === i);
+    if (!newOrderbooks.length) return false;
+    stream.watch([...stream.orderbooks, ...newOrderbooks]);
+    return true;
+}
+
+/**
+ * Drains the logs that are queued on the given orders stream so far and returns
+ * the added and removed orders, the stream error (if any) is recorded on the span,
+ * logs of orderbooks that are not watched are ignored and the logs that fail to
+ * build an order from are dropped and recorded on the span, as they would fail
+ * again on next drain and block the following logs
+ * @param stream - The orders stream
+ * @param viemClient - The viem client
+ * @param tokens - The known tokens
+ * @param span - (optional) Span to record errors on
+ */
+export async function drainOrdersStream(
+    stream: OrdersStream,
+    viemClient: ViemClient,
+    tokens: TokenDetails[],
+    span?: Span,
+): Promise<{ addOrders: SgOrder[]; removeOrders: SgOrder[] }> {
+    if (stream.error) {
+        span?.addEvent(errorSnapshot("Orders stream subscription error", stream.error));
+        stream.error = undefined;
+    }
+    const logs = stream.logs.splice(0).filter((v) => stream.orderbooks.includes(v.orderbook));
+    if (!logs.length) return { addOrders: [], removeOrders: [] };
+    return await getOrderChangesFromLogs(sortOrderLogs(logs), viemClient, tokens, (log, error) =>
+        span?.addEvent(
+            errorSnapshot(
+                `Dropped orders stream log of order ${log.orderHash} of orderbook ${log.orderbook}`,
+                error,
+            ),
+        ),
+    );
+}
+
+function toOrderLog(log: any): OrderLog {
+    return {
+        type: log.eventName === "AddOrderV2" ? "add" : "remove",
+        orderbook: log.address.toLowerCase(),
+        orderHash: (log.args.orderHash as string).toLowerCase(),
+        order: log.args.order,
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+    };
+}
+
+function sortOrderLogs(logs: OrderLog[]): OrderLog[] {
+    return logs.sort((a, b) =>
+        a.blockNumber < b.blockNumber
+            ? -1
+            : a.blockNumber > b.blockNumber
+              ? 1
+              : a.logIndex - b.logIndex,
+    );
+}
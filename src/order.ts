@@ -1,10 +1,23 @@
 import { ethers } from "ethers";
-import { SgOrder } from "./query";
+import { getFilterList, SgOrder, SgVaultChange } from "./query";
 import { Span } from "@opentelemetry/api";
-import { OrderbookQuoteAbi, OrderV3, VaultBalanceAbi } from "./abis";
+import { OrderbookQuoteAbi, OrderExistsAbi, OrderV3, VaultBalanceAbi } from "./abis";
 import { shuffleArray, sleep, addWatchedToken, getQuoteConfig } from "./utils";
+import {
+    sortByScore,
+    OrderScoring,
+    pickScoredPairs,
+    pruneOrderStats,
+    getOrderStatsKey,
+    getBundledOrdersScore,
+    getDefaultOrderProfit,
+} from "./scoring";
+import { resetOrderBackoff } from "./backoff";
+import { getOrderSignedContextUrl } from "./signedContext";
+import { getQuoteGas } from "./gas";
 import {
     erc20Abi,
+    multicall3Abi,
     encodeFunctionData,
     parseAbiParameters,
     decodeAbiParameters,
@@ -14,11 +27,16 @@ import {
     Pair,
     Order,
     Vault,
+    BotConfig,
     OTOVMap,
+    SgFilter,
     ViemClient,
     OwnersVaults,
     TokenDetails,
+    OrderProfile,
     BundledOrders,
+    TakeOrderDetails,
+    OrderBackoffMap,
     OrdersProfileMap,
     OwnersProfileMap,
     TokensOwnersVaults,
@@ -29,6 +47,17 @@ import {
  * The default owner limit
  */
 export const DEFAULT_OWNER_LIMIT = 25 as const;
+
+/**
+ * Maximum number of orders that are quoted in a single multicall
+ */
+export const QUOTE_BATCH_SIZE = 25 as const;
+
+/**
+ * Max age in milliseconds of a batch quote, an order whose batch quote gets older than
+ * this by the time it is processed is quoted again right before its dryrun
+ */
+export const QUOTE_MAX_AGE = 10_000 as const;
 const OrderV3Abi = parseAbiParameters(OrderV3);
 
 export function toOrder(orderLog: any): Order {
@@ -53,6 +82,53 @@ export function toOrder(orderLog: any): Order {
     };
 }
 
+/**
+ * Checks if an order passes the given filters' order hash, owners and orderbooks
+ * @param orderDetails - The order details
+ * @param filter - The filters
+ */
+export function isOrderIncluded(orderDetails: SgOrder, filter: SgFilter): boolean {
+    if (
+        filter.orderHash &&
+        filter.orderHash.toLowerCase() !== orderDetails.orderHash.toLowerCase()
+    ) {
+        return false;
+    }
+    const owners = getFilterList(filter.orderOwner, filter.orderOwners);
+    if (owners.length && !owners.includes(orderDetails.owner.toLowerCase())) return false;
+    const orderbooks = getFilterList(filter.orderbook, filter.orderbooks);
+    if (orderbooks.length && !orderbooks.includes(orderDetails.orderbook.id.toLowerCase())) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Checks if a pair passes the given filters' tokens and pairs, a pair is included if
+ * none of its tokens are excluded and both are in the included tokens (if any), pairs
+ * lists are matched regardless of direction
+ * @param buyToken - The pair's buy token
+ * @param sellToken - The pair's sell token
+ * @param filter - The filters
+ */
+export function isPairIncluded(buyToken: string, sellToken: string, filter: SgFilter): boolean {
+    const buy = buyToken.toLowerCase();
+    const sell = sellToken.toLowerCase();
+    const isPair = (pair: [string, string]) =>
+        (pair[0].toLowerCase() === buy && pair[1].toLowerCase() === sell) ||
+        (pair[0].toLowerCase() === sell && pair[1].toLowerCase() === buy);
+
+    const excludeTokens = getFilterList(undefined, filter.excludeTokens);
+    if (excludeTokens.includes(buy) || excludeTokens.includes(sell)) return false;
+    const includeTokens = getFilterList(undefined, filter.includeTokens);
+    if (includeTokens.length && !(includeTokens.includes(buy) && includeTokens.includes(sell))) {
+        return false;
+    }
+    if (filter.excludePairs?.some(isPair)) return false;
+    if (filter.includePairs?.length && !filter.includePairs.some(isPair)) return false;
+    return true;
+}
+
 /**
  * Get all pairs of an order
  */
@@ -62,8 +138,10 @@ export async function getOrderPairs(
     viemClient: ViemClient,
     tokens: TokenDetails[],
     orderDetails?: SgOrder,
+    filter?: SgFilter,
 ): Promise<Pair[]> {
     const pairs: Pair[] = [];
+    const signedContextUrl = getOrderSignedContextUrl(orderDetails?.meta);
     for (let j = 0; j < orderStruct.validOutputs.length; j++) {
         const _output = orderStruct.validOutputs[j];
         let _outputSymbol = orderDetails?.outputs?.find(
@@ -114,7 +192,10 @@ export async function getOrderPairs(
                 );
             }
 
-            if (_input.token.toLowerCase() !== _output.token.toLowerCase())
+            if (
+                _input.token.toLowerCase() !== _output.token.toLowerCase() &&
+                (!filter || isPairIncluded(_input.token, _output.token, filter))
+            )
                 pairs.push({
                     buyToken: _input.token.toLowerCase(),
                     buyTokenSymbol: _inputSymbol,
@@ -130,6 +211,7 @@ export async function getOrderPairs(
                             outputIOIndex: j,
                             signedContext: [],
                         },
+                        ...(signedContextUrl ? { signedContextUrl } : {}),
                     },
                 });
         }
@@ -138,7 +220,8 @@ export async function getOrderPairs(
 }
 
 /**
- * Handles new orders fetched from sg to the owner profile map
+ * Handles new orders fetched from sg to the owner profile map, orders and pairs
+ * that don't pass the given filters are ignored
  */
 export async function handleAddOrderbookOwnersProfileMap(
     orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
@@ -147,10 +230,12 @@ export async function handleAddOrderbookOwnersProfileMap(
     tokens: TokenDetails[],
     ownerLimits?: Record<string, number>,
     span?: Span,
+    filter?: SgFilter,
 ) {
     const changes: Record<string, string[]> = {};
     for (let i = 0; i < ordersDetails.length; i++) {
         const orderDetails = ordersDetails[i];
+        if (filter && !isOrderIncluded(orderDetails, filter)) continue;
         const orderHash = orderDetails.orderHash.toLowerCase();
         const orderbook = orderDetails.orderbook.id.toLowerCase();
         const orderStruct = toOrder(
@@ -177,6 +262,7 @@ export async function handleAddOrderbookOwnersProfileMap(
                             viemClient,
                             tokens,
                             orderDetails,
+                            filter,
                         ),
                     });
                 } else {
@@ -193,6 +279,7 @@ export async function handleAddOrderbookOwnersProfileMap(
                         viemClient,
                         tokens,
                         orderDetails,
+                        filter,
                     ),
                 });
                 orderbookOwnerProfileItem.set(orderStruct.owner.toLowerCase(), {
@@ -212,6 +299,7 @@ export async function handleAddOrderbookOwnersProfileMap(
                     viemClient,
                     tokens,
                     orderDetails,
+                    filter,
                 ),
             });
             const ownerProfileMap: OwnersProfileMap = new Map();
@@ -275,6 +363,7 @@ export async function getOrderbookOwnersProfileMapFromSg(
     viemClient: ViemClient,
     tokens: TokenDetails[],
     ownerLimits?: Record<string, number>,
+    filter?: SgFilter,
 ): Promise<OrderbooksOwnersProfileMap> {
     const orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap = new Map();
     await handleAddOrderbookOwnersProfileMap(
@@ -283,27 +372,67 @@ export async function getOrderbookOwnersProfileMapFromSg(
         viemClient,
         tokens,
         ownerLimits,
+        undefined,
+        filter,
     );
     return orderbooksOwnersProfileMap;
 }
 
 /**
- * Prepares an array of orders for a arb round by following owners limits
+ * Prepares an array of orders for a arb round by following owners limits, orders
+ * that are marked as priority are always included regardless of their owner limit
+ * and inactive orders are excluded, if scoring is given, owners limits are filled by
+ * orders' profit history score instead of round robin and items are ordered by their
+ * score instead of being shuffled
  * @param orderbooksOwnersProfileMap - The orderbooks owners orders map
  * @param shuffle - (optional) Shuffle the order of items
+ * @param scoring - (optional) The order scoring inputs
  */
 export function prepareOrdersForRound(
     orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
     shuffle = true,
+    scoring?: OrderScoring,
 ): BundledOrders[][] {
     const result: BundledOrders[][] = [];
+    const statsKeys = new Set<string>();
+    if (scoring && scoring.defaultProfit === undefined) {
+        scoring = { ...scoring, defaultProfit: getDefaultOrderProfit(scoring.stats) };
+    }
     for (const [orderbook, ownersProfileMap] of orderbooksOwnersProfileMap) {
         const orderbookBundledOrders: BundledOrders[] = [];
         for (const [, ownerProfile] of ownersProfileMap) {
+            // include orders whose vaults balances have changed since last round
+            ownerProfile.orders.forEach((orderProfile, orderHash) => {
+                if (orderProfile.priority && orderProfile.active) {
+                    orderProfile.priority = false;
+                    gatherPairs(
+                        orderbook,
+                        orderHash,
+                        orderProfile.takeOrders,
+                        orderbookBundledOrders,
+                    );
+                }
+            });
             let remainingLimit = ownerProfile.limit;
             // consume orders limits
             const allOrders: Pair[] = [];
-            ownerProfile.orders.forEach((v) => allOrders.push(...v.takeOrders));
+            ownerProfile.orders.forEach((v, orderHash) => {
+                // skip orders that are known to not exist onchain anymore
+                if (v.active) allOrders.push(...v.takeOrders);
+                if (scoring) statsKeys.add(getOrderStatsKey(orderbook, orderHash));
+            });
+            if (scoring) {
+                const consumingOrders = pickScoredPairs(
+                    allOrders,
+                    remainingLimit,
+                    orderbook,
+                    scoring,
+                );
+                for (const order of consumingOrders) {
+                    gatherPairs(orderbook, order.takeOrder.id, [order], orderbookBundledOrders);
+                }
+                continue;
+            }
             const consumingOrders = allOrders.splice(ownerProfile.lastIndex, remainingLimit);
             remainingLimit -= consumingOrders.length;
             ownerProfile.lastIndex += consumingOrders.length;
@@ -317,7 +446,10 @@ export function prepareOrdersForRound(
                 gatherPairs(orderbook, order.takeOrder.id, [order], orderbookBundledOrders);
             }
         }
-        if (shuffle) {
+        if (scoring) {
+            // order by score
+            sortByScore(orderbookBundledOrders, scoring);
+        } else if (shuffle) {
             // shuffle orders
             for (const bundledOrders of orderbookBundledOrders) {
                 shuffleArray(bundledOrders.takeOrders);
@@ -327,7 +459,16 @@ export function prepareOrdersForRound(
         }
         result.push(orderbookBundledOrders);
     }
-    if (shuffle) {
+    if (scoring) {
+        // order orderbooks by their best pair's score
+        result.sort(
+            (a, b) =>
+                (b[0] ? getBundledOrdersScore(b[0], scoring) : 0) -
+                (a[0] ? getBundledOrdersScore(a[0], scoring) : 0),
+        );
+        // drop the stats of orders that are not tracked anymore
+        pruneOrderStats(scoring.stats, statsKeys);
+    } else if (shuffle) {
         // shuffle orderbooks
         shuffleArray(result);
     }
@@ -382,6 +523,7 @@ export function buildOtovMap(orderbooksOwnersProfileMap: OrderbooksOwnersProfile
         const tokensOwnersVaults: TokensOwnersVaults = new Map();
         ownersProfileMap.forEach((ownerProfile, owner) => {
             ownerProfile.orders.forEach((orderProfile) => {
+                if (!orderProfile.active) return;
                 orderProfile.takeOrders.forEach((pair) => {
                     const token = pair.sellToken.toLowerCase();
                     const vaultId =
@@ -441,6 +583,127 @@ export async function fetchVaultBalances(
     }
 }
 
+/**
+ * Checks if the given orders exist onchain by calling their orderbook's orderExists()
+ * in a multicall, returns the result of each order in the same order as given and
+ * undefined for the ones that their call failed
+ * @param orders - The orders' orderbook and hash
+ * @param viemClient - The viem client
+ * @param multicallAddressOverride - (optional) multicall3 address
+ */
+export async function getOrdersExistence(
+    orders: { orderbook: string; orderHash: string }[],
+    viemClient: ViemClient,
+    multicallAddressOverride?: string,
+): Promise<(boolean | undefined)[]> {
+    if (!orders.length) return [];
+    const multicallResult = await viemClient.multicall({
+        multicallAddress:
+            (multicallAddressOverride as `0x${string}` | undefined) ??
+            viemClient.chain?.contracts?.multicall3?.address,
+        allowFailure: true,
+        contracts: orders.map((v) => ({
+            address: v.orderbook as `0x${string}`,
+            allowFailure: true,
+            chainId: viemClient.chain!.id,
+            abi: OrderExistsAbi,
+            functionName: "orderExists",
+            args: [v.orderHash as `0x${string}`],
+        })),
+    });
+    return multicallResult.map((v) => (v.status === "success" ? v.result : undefined));
+}
+
+/**
+ * Checks if the active orders of the given orders map still exist onchain with a
+ * batched orderExists multicall, the orders that don't exist anymore are marked
+ * as inactive so they are not included in next rounds, returns the pruned orders.
+ * Orders which their existence couldn't be checked are left untouched
+ * @param orderbooksOwnersProfileMap - The orderbooks owners orders map
+ * @param viemClient - The viem client
+ * @param multicallAddressOverride - (optional) The multicall3 address
+ */
+export async function checkOrdersLiveness(
+    orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
+    viemClient: ViemClient,
+    multicallAddressOverride?: string,
+): Promise<{ orderbook: string; owner: string; orderHash: string }[]> {
+    const orders: { orderbook: string; owner: string; orderHash: string }[] = [];
+    const orderProfiles: OrderProfile[] = [];
+    orderbooksOwnersProfileMap.forEach((ownersProfileMap, orderbook) => {
+        ownersProfileMap.forEach((ownerProfile, owner) => {
+            ownerProfile.orders.forEach((orderProfile, orderHash) => {
+                if (!orderProfile.active) return;
+                orders.push({ orderbook, owner, orderHash });
+                orderProfiles.push(orderProfile);
+            });
+        });
+    });
+    if (!orders.length) return [];
+
+    const pruned: { orderbook: string; owner: string; orderHash: string }[] = [];
+    const existence = await getOrdersExistence(orders, viemClient, multicallAddressOverride);
+    existence.forEach((exists, i) => {
+        if (exists === false) {
+            orderProfiles[i].active = false;
+            pruned.push(orders[i]);
+        }
+    });
+    return pruned;
+}
+
+/**
+ * Handles vaults balance changes (deposits and withdrawals) by updating the vaults
+ * balances of the given OTOV map and marking the orders that sell from those vaults
+ * as priority for next round, returns the owners of the affected orders per orderbook,
+ * the backoffs of the orders whose vaults are deposited into are cleared as well
+ * @param orderbooksOwnersProfileMap - The orderbooks owners orders map
+ * @param otovMap - The orderbooks tokens owners vaults map, undefined if not fetched yet
+ * @param vaultChanges - The vaults balance changes
+ * @param orderBackoffs - (optional) The orders backoff registry
+ */
+export function handleVaultChanges(
+    orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
+    otovMap: OTOVMap | undefined,
+    vaultChanges: SgVaultChange[],
+    orderBackoffs?: OrderBackoffMap,
+): Map<string, Set<string>> {
+    const impactedOwners: Map<string, Set<string>> = new Map();
+    for (const change of vaultChanges) {
+        const orderbook = change.orderbook.toLowerCase();
+        const owner = change.owner.toLowerCase();
+        const token = change.token.toLowerCase();
+        const vaultId = BigInt(change.vaultId);
+
+        const vault = otovMap
+            ?.get(orderbook)
+            ?.get(token)
+            ?.get(owner)
+            ?.find((v) => BigInt(v.vaultId) === vaultId);
+        const isDeposit = !vault || BigInt(change.balance) > vault.balance;
+        if (vault) vault.balance = BigInt(change.balance);
+
+        const ownerProfile = orderbooksOwnersProfileMap.get(orderbook)?.get(owner);
+        if (!ownerProfile) continue;
+        ownerProfile.orders.forEach((orderProfile, orderHash) => {
+            if (
+                orderProfile.order.validOutputs.some(
+                    (v) => v.token.toLowerCase() === token && BigInt(v.vaultId) === vaultId,
+                )
+            ) {
+                orderProfile.priority = true;
+                if (orderBackoffs && isDeposit) {
+                    resetOrderBackoff(orderBackoffs, orderbook, orderHash);
+                }
+                const owners = impactedOwners.get(orderbook);
+                if (owners) owners.add(owner);
+                else impactedOwners.set(orderbook, new Set([owner]));
+            }
+        });
+    }
+    return impactedOwners;
+}
+
 /**
  * Evaluates the owners limits by checking an owner vaults avg balances of a token against
  * other owners total balances of that token to calculate a percentage, repeats the same
@@ -450,6 +713,8 @@ export async function fetchVaultBalances(
  * This ensures that if an owner has many orders/vaults and has spread their balances across those
  * many vaults and orders, he/she will get limited.
  * Owners limits that are set by bot's admin as env or cli arg, are exluded from this evaluation process
+ * If owners are specified, only those owners are evaluated
+ * If fetchBalances is false, the vaults balances already in the otov map are used
  */
 export async function evaluateOwnersLimits(
     orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
@@ -457,12 +722,22 @@ export async function evaluateOwnersLimits(
     viemClient: ViemClient,
     ownerLimits?: Record<string, number>,
     multicallAddressOverride?: string,
+    owners?: Map<string, Set<string>>,
+    fetchBalances = true,
 ) {
     for (const [orderbook, tokensOwnersVaults] of otovMap) {
         const ownersProfileMap = orderbooksOwnersProfileMap.get(orderbook);
+        const orderbookOwners = owners?.get(orderbook);
+        if (owners && !orderbookOwners) continue;
         if (ownersProfileMap) {
             const ownersCuts: Map<string, number[]> = new Map();
             for (const [token, ownersVaults] of tokensOwnersVaults) {
+                // skip if none of the token vaults owners are being evaluated
+                if (
+                    orderbookOwners &&
+                    ![...ownersVaults.keys()].some((v) => orderbookOwners.has(v))
+                )
+                    continue;
                 const obTokenBalance = await viemClient.readContract({
                     address: token as `0x${string}`,
                     abi: erc20Abi,
@@ -472,17 +747,20 @@ export async function evaluateOwnersLimits(
                 for (const [owner, vaults] of ownersVaults) {
                     // skip if owner limit is set by bot admin
                     if (typeof ownerLimits?.[owner.toLowerCase()] === "number") continue;
+                    if (orderbookOwners && !orderbookOwners.has(owner.toLowerCase())) continue;
 
                     const ownerProfile = ownersProfileMap.get(owner);
                     if (ownerProfile) {
-                        await fetchVaultBalances(
-                            orderbook,
-                            token,
-                            owner,
-                            vaults,
-                            viemClient,
-                            multicallAddressOverride,
-                        );
+                        if (fetchBalances) {
+                            await fetchVaultBalances(
+                                orderbook,
+                                token,
+                                owner,
+                                vaults,
+                                viemClient,
+                                multicallAddressOverride,
+                            );
+                        }
                         const ownerTotalBalance = vaults.reduce(
                             (a, b) => ({
                                 balance: a.balance + b.balance,
@@ -540,7 +818,11 @@ export async function evaluateOwnersLimits(
  * Provides a protection by evaluating and possibly reducing owner's limit,
  * this takes place by checking an owners avg vault balance of a token against
  * all other owners cumulative balances, the calculated ratio is used a reducing
- * factor for the owner limit when averaged out for all of tokens the owner has
+ * factor for the owner limit when averaged out for all of tokens the owner has.
+ * If owners are specified, only those owners limits are reset and evaluated.
+ * If an OTOV map is given, its vaults balances are used as they are, ie the ones that are
+ * kept up to date with vault changes, else a new one is built with the fetched balances.
+ * Returns the OTOV map with the vaults balances
  */
 export async function downscaleProtection(
     orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
@@ -548,32 +830,40 @@ export async function downscaleProtection(
     ownerLimits?: Record<string, number>,
     reset = true,
     multicallAddressOverride?: string,
-) {
+    owners?: Map<string, Set<string>>,
+    otovMap?: OTOVMap,
+): Promise<OTOVMap> {
     if (reset) {
-        resetLimits(orderbooksOwnersProfileMap, ownerLimits);
+        resetLimits(orderbooksOwnersProfileMap, ownerLimits, owners);
     }
-    const otovMap = buildOtovMap(orderbooksOwnersProfileMap);
+    const result = otovMap ?? buildOtovMap(orderbooksOwnersProfileMap);
     await evaluateOwnersLimits(
         orderbooksOwnersProfileMap,
-        otovMap,
+        result,
         viemClient,
         ownerLimits,
         multicallAddressOverride,
+        owners,
+        !otovMap,
     );
+    return result;
 }
 
 /**
- * Resets owners limit to default value
+ * Resets owners limit to default value, if owners are specified only
+ * those owners limits are reset
  */
 export async function resetLimits(
     orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
     ownerLimits?: Record<string, number>,
+    owners?: Map<string, Set<string>>,
 ) {
-    orderbooksOwnersProfileMap.forEach((ownersProfileMap) => {
+    orderbooksOwnersProfileMap.forEach((ownersProfileMap, orderbook) => {
         if (ownersProfileMap) {
             ownersProfileMap.forEach((ownerProfile, owner) => {
                 // skip if owner limit is set by bot admin
                 if (typeof ownerLimits?.[owner.toLowerCase()] === "number") return;
+                if (owners && !owners.get(orderbook)?.has(owner.toLowerCase())) return;
                 ownerProfile.limit = DEFAULT_OWNER_LIMIT;
             });
         }
@@ -662,6 +952,103 @@ export async function quoteSingleOrder(
     }
 }
 
+/**
+ * Quotes all the take orders of the given orderbooks bundled orders with multicall3 aggregate3
+ * calls chunked by {@link QUOTE_BATCH_SIZE}, the quote of the orders whose quote call fails is
+ * set to undefined, a failing multicall leaves its orders unquoted and out of the returned map
+ * so they can be quoted individually later on, rejects only if every multicall fails
+ * @param config - The bot config
+ * @param orderDetails - The orderbooks bundled orders
+ * @param blockNumber - (optional) The block number to quote at
+ * @param multicallAddressOverride - (optional) The multicall3 address
+ * @param batchSize - (optional) Max number of orders to quote per multicall
+ * @returns The quoted take orders with the time they were quoted at, and the errors of the
+ * failed multicalls
+ */
+export async function quoteOrders(
+    config: BotConfig,
+    orderDetails: BundledOrders[][],
+    blockNumber?: bigint,
+    multicallAddressOverride?: string,
+    batchSize: number = QUOTE_BATCH_SIZE,
+): Promise<{ quotedAt: Map<TakeOrderDetails, number>; errors: any[] }> {
+    const quotedAt: Map<TakeOrderDetails, number> = new Map();
+    const errors: any[] = [];
+
+    // each take order is quoted as a single order pair
+    const orders = orderDetails
+        .flat()
+        .flatMap((v) => v.takeOrders.map((takeOrder) => ({ ...v, takeOrders: [takeOrder] })));
+    if (!orders.length) return { quotedAt, errors };
+
+    const multicallAddress =
+        (multicallAddressOverride as `0x${string}` | undefined) ??
+        config.viemClient.chain?.contracts?.multicall3?.address;
+    if (!multicallAddress) throw "unknown multicall address";
+
+    for (let i = 0; i < orders.length; i += batchSize) {
+        const batch = orders.slice(i, i + batchSize);
+        let results;
+        try {
+            const { data } = await config.viemClient.call({
+                to: multicallAddress,
+                data: encodeFunctionData({
+                    abi: multicall3Abi,
+                    functionName: "aggregate3",
+                    args: [
+                        batch.map((v) => ({
+                            target: v.orderbook as `0x${string}`,
+                            allowFailure: true,
+                            callData: encodeFunctionData({
+                                abi: OrderbookQuoteAbi,
+                                functionName: "quote",
+                                args: [getQuoteConfig(v.takeOrders[0])],
+                            }),
+                        })),
+                    ],
+                }),
+                blockNumber,
+                gas: (config as any).isTest
+                    ? config.quoteGas * BigInt(batch.length)
+                    : await getQuoteGas(config, batch, multicallAddressOverride),
+            });
+            if (typeof data === "undefined") {
+                throw "Failed to quote orders, reason: returned no data";
+            }
+            results = decodeFunctionResult({
+                abi: multicall3Abi,
+                functionName: "aggregate3",
+                data,
+            });
+        } catch (error) {
+            errors.push(error);
+            continue;
+        }
+        const now = Date.now();
+        batch.forEach((v, j) => {
+            const takeOrder = v.takeOrders[0];
+            takeOrder.quote = undefined;
+            quotedAt.set(takeOrder, now);
+            if (!results[j]?.success) return;
+            try {
+                const quoteResult = decodeFunctionResult({
+                    abi: OrderbookQuoteAbi,
+                    functionName: "quote",
+                    data: results[j].returnData,
+                });
+                takeOrder.quote = {
+                    maxOutput: ethers.BigNumber.from(quoteResult[1]),
+                    ratio: ethers.BigNumber.from(quoteResult[2]),
+                };
+            } catch {
+                /**/
+            }
+        });
+    }
+    if (!quotedAt.size) throw errors[0];
+    return { quotedAt, errors };
+}
+
 /**
  * Get token symbol
  * @param address - The address of token
@@ -0,0 +1,240 @@
+import fs from "fs";
+import { OrderV3 } from "./abis";
+import { SgOrder } from "./query";
+import { toSgOrder } from "./onchain";
+import { errorSnapshot } from "./error";
+import { Span } from "@opentelemetry/api";
+import { TokenDetails, ViemClient } from "./types";
+import {
+    isHex,
+    isAddress,
+    keccak256,
+    parseAbiParameters,
+    encodeAbiParameters,
+    decodeAbiParameters,
+} from "viem";
+
+const OrderV3Abi = parseAbiParameters(OrderV3);
+
+/**
+ * Specifies an order read from orders file
+ */
+export type OrdersFileEntry = {
+    orderbook: string;
+    orderHash: string;
+    order: any;
+};
+
+/**
+ * Specifies the orders file source, ie the file path, its last modified
+ * time and the orders that were last read from it
+ */
+export type OrdersFileSource = {
+    path: string;
+    lastModified: number;
+    orders: SgOrder[];
+};
+
+/**
+ * Parses the content of an orders file, which can be either a JSON array or NDJSON
+ * (one JSON object per line) of entries where each entry is either an order struct
+ * (OrderV3) with an "orderbook" field or an object with "orderbook" and "order" fields
+ * or an object with "orderbook" and "orderBytes" fields, "orderbook" can be omitted
+ * if a default orderbook is provided
+ * @param content - The file content
+ * @param defaultOrderbook - (optional) The orderbook address to use for entries without one
+ */
+export function parseOrdersFile(content: string, defaultOrderbook?: string): OrdersFileEntry[] {
+    let items: any[] = [];
+    const trimmed = content.trim();
+    if (!trimmed) return [];
+    try {
+        const parsed = JSON.parse(trimmed);
+        items = Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+        const lines = trimmed.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            try {
+                items.push(JSON.parse(lines[i]));
+            } catch {
+                throw `invalid orders file, cannot parse line ${i + 1} as json`;
+            }
+        }
+    }
+
+    return items.map((item, i) => {
+        if (typeof item !== "object" || item === null) {
+            throw `invalid orders file, entry ${i} is not an object`;
+        }
+        const orderbook = item.orderbook ?? defaultOrderbook;
+        if (typeof orderbook !== "string" || !isAddress(orderbook, { strict: false })) {
+            throw `invalid orders file, entry ${i} has invalid or undefined orderbook address`;
+        }
+        let orderBytes: `0x${string}`;
+        try {
+            if (item.orderBytes !== undefined) {
+                if (!isHex(item.orderBytes)) throw "";
+                orderBytes = item.orderBytes;
+            } else {
+                orderBytes = encodeAbiParameters(OrderV3Abi, [normalizeOrder(item.order ?? item)]);
+            }
+        } catch {
+            throw `invalid orders file, entry ${i} is not a valid order`;
+        }
+        let order: any;
+        try {
+            order = decodeAbiParameters(OrderV3Abi, orderBytes)[0];
+        } catch {
+            throw `invalid orders file, entry ${i} has invalid order bytes`;
+        }
+        return {
+            orderbook: orderbook.toLowerCase(),
+            orderHash: keccak256(orderBytes).toLowerCase(),
+            order,
+        };
+    });
+}
+
+/**
+ * Normalizes an order struct read from json, ie converts numeric values
+ * to their proper types so it can be abi encoded
+ */
+export function normalizeOrder(order: any) {
+    const normalizeIO = (io: any) => ({
+        token: io.token,
+        decimals: Number(io.decimals),
+        vaultId: BigInt(io.vaultId),
+    });
+    return {
+        owner: order.owner,
+        evaluable: {
+            interpreter: order.evaluable.interpreter,
+            store: order.evaluable.store,
+            bytecode: order.evaluable.bytecode,
+        },
+        validInputs: order.validInputs.map(normalizeIO),
+        validOutputs: order.validOutputs.map(normalizeIO),
+        nonce: order.nonce,
+    };
+}
+
+/**
+ * Reads the orders of the given orders file and returns them as orders details
+ * with the same shape as subgraph query result
+ * @param path - The orders file path
+ * @param viemClient - The viem client
+ * @param tokens - The known tokens
+ * @param defaultOrderbook - (optional) The orderbook address to use for entries without one
+ */
+export async function readOrdersFile(
+    path: string,
+    viemClient: ViemClient,
+    tokens: TokenDetails[],
+    defaultOrderbook?: string,
+): Promise<SgOrder[]> {
+    let content: string;
+    try {
+        content = fs.readFileSync(path, { encoding: "utf8" });
+    } catch {
+        throw `failed to read orders file: ${path}`;
+    }
+    const orders: SgOrder[] = [];
+    for (const entry of parseOrdersFile(content, defaultOrderbook)) {
+        // skip duplicates
+        if (
+            orders.find(
+                (v) => v.orderHash === entry.orderHash && v.orderbook.id === entry.orderbook,
+            )
+        ) {
+            continue;
+        }
+        orders.push(
+            await toSgOrder(
+                entry.orderbook,
+                entry.orderHash,
+                entry.order,
+                true,
+                viemClient,
+                tokens,
+            ),
+        );
+    }
+    return orders;
+}
+
+/**
+ * Reads the orders of the given orders file and builds the source object used
+ * for watching the file changes
+ * @param path - The orders file path
+ * @param viemClient - The viem client
+ * @param tokens - The known tokens
+ * @param defaultOrderbook - (optional) The orderbook address to use for entries without one
+ */
+export async function getOrdersFromFile(
+    path: string,
+    viemClient: ViemClient,
+    tokens: TokenDetails[],
+    defaultOrderbook?: string,
+): Promise<{ orders: SgOrder[]; source: OrdersFileSource }> {
+    const lastModified = getLastModified(path);
+    const orders = await readOrdersFile(path, viemClient, tokens, defaultOrderbook);
+    return {
+        orders,
+        source: {
+            path,
+            lastModified,
+            orders,
+        },
+    };
+}
+
+/**
+ * Checks if the orders file has been modified since it was last read and if so,
+ * reads it again and returns the added and removed orders compared to the last read
+ * @param source - The orders file source
+ * @param viemClient - The viem client
+ * @param tokens - The known tokens
+ * @param defaultOrderbook - (optional) The orderbook address to use for entries without one
+ * @param span - (optional) Span to record errors on
+ */
+export async function readOrdersFileChanges(
+    source: OrdersFileSource,
+    viemClient: ViemClient,
+    tokens: TokenDetails[],
+    defaultOrderbook?: string,
+    span?: Span,
+): Promise<{ addOrders: SgOrder[]; removeOrders: SgOrder[] }> {
+    const addOrders: SgOrder[] = [];
+    const removeOrders: SgOrder[] = [];
+    let lastModified: number;
+    let orders: SgOrder[];
+    try {
+        lastModified = getLastModified(source.path);
+        if (lastModified === source.lastModified) return { addOrders, removeOrders };
+        orders = await readOrdersFile(source.path, viemClient, tokens, defaultOrderbook);
+    } catch (error) {
+        span?.addEvent(errorSnapshot("Failed to read orders file changes", error));
+        throw error;
+    }
+
+    const isSame = (a: SgOrder, b: SgOrder) =>
+        a.orderHash === b.orderHash && a.orderbook.id === b.orderbook.id;
+    for (const order of orders) {
+        if (!source.orders.find((v) => isSame(v, order))) addOrders.push(order);
+    }
+    for (const order of source.orders) {
+        if (!orders.find((v) => isSame(v, order))) removeOrders.push({ ...order, active: false });
+    }
+    source.lastModified = lastModified;
+    source.orders = orders;
+    return { addOrders, removeOrders };
+}
+
+function getLastModified(path: string): number {
+    try {
+        return fs.statSync(path).mtimeMs;
+    } catch {
+        throw `failed to read orders file: ${path}`;
+    }
+}
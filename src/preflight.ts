@@ -0,0 +1,244 @@
+import axios from "axios";
+import { ChainId } from "sushi";
+import { getChainId } from ".";
+import { checkSgStatus, getSgOrderbooks } from "./sg";
+import { parseUnits } from "viem";
+import { getFilterList, statusCheckQuery } from "./query";
+import { CliOptions, ViemClient } from "./types";
+import { createViemClient, getChainConfig } from "./config";
+import { ArbOrderbookAbi, DeployerAbi } from "./abis";
+import { mnemonicToAccount, privateKeyToAccount } from "viem/accounts";
+import { resolveWalletSecrets } from "./secrets";
+import { getRemoteSignerAccount } from "./signer";
+import { MainAccountDerivationIndex } from "./account";
+
+/**
+ * Specifies the result of a preflight check
+ */
+export type PreflightCheck = {
+    name: string;
+    passed: boolean;
+    details: string;
+};
+
+/**
+ * Runs the preflight checks of a deployment with the given options without trading, ie
+ * the chain config and RP4 availability, arb and generic arb contracts and their orderbook,
+ * dispair interpreter and store, wallet balance and subgraphs health, a failed check
+ * doesn't stop the rest of the checks, the checks that depend on a failed one are skipped
+ * @param options - The cli options
+ * @param viemClient - (optional) The viem client to run the onchain checks with, if not
+ * given one is created for the chain of the given rpcs
+ */
+export async function runPreflightChecks(
+    options: CliOptions,
+    viemClient?: ViemClient,
+): Promise<PreflightCheck[]> {
+    const checks: PreflightCheck[] = [];
+    const add = (name: string, passed: boolean, details: string) => {
+        checks.push({ name, passed, details });
+    };
+
+    // subgraphs health and the orderbooks they index, these are read first as the arb
+    // contracts orderbook is checked against them, but are reported last
+    const sgChecks: PreflightCheck[] = [];
+    const sgs = (options.subgraph ?? []).filter((v) => v && typeof v === "string");
+    const sgOrderbooks: string[] = [];
+    if (sgs.length) {
+        const statusResult = await Promise.allSettled(
+            sgs.map((v) =>
+                axios.post(
+                    v,
+                    { query: statusCheckQuery },
+                    { headers: { "Content-Type": "application/json" } },
+                ),
+            ),
+        );
+        const { availableSgs, reasons, blockNumbers } = checkSgStatus(
+            sgs,
+            statusResult,
+            undefined,
+            true,
+        );
+        for (const sg of sgs) {
+            if (!availableSgs.includes(sg)) {
+                sgChecks.push({
+                    name: `subgraph ${sg}`,
+                    passed: false,
+                    details: toReason(reasons[sg]),
+                });
+                continue;
+            }
+            try {
+                const orderbooks = await getSgOrderbooks(sg);
+                orderbooks.forEach((v) => {
+                    if (!sgOrderbooks.includes(v.toLowerCase())) sgOrderbooks.push(v.toLowerCase());
+                });
+                sgChecks.push({
+                    name: `subgraph ${sg}`,
+                    passed: true,
+                    details: `indexed up to block ${blockNumbers[sg]}, orderbooks: ${orderbooks.join(", ")}`,
+                });
+            } catch (e) {
+                sgChecks.push({ name: `subgraph ${sg}`, passed: false, details: toReason(e) });
+            }
+        }
+    }
+
+    // chain config and RP4 availability
+    let chainId: number | undefined;
+    try {
+        if (!options.rpc?.length) throw "undefined RPC URL";
+        chainId = viemClient ? await viemClient.getChainId() : await getChainId(options.rpc);
+    } catch (e) {
+        add("chain", false, `failed to get chain id: ${toReason(e)}`);
+    }
+    let config: ReturnType<typeof getChainConfig> | undefined;
+    if (chainId !== undefined) {
+        try {
+            config = getChainConfig(chainId as ChainId);
+            add("chain", true, `${config.chain.name} (${chainId})`);
+        } catch {
+            add(
+                "chain",
+                false,
+                `cannot find configuration for the network with chain id: ${chainId}`,
+            );
+        }
+    }
+    if (!config) {
+        ["route processor 4", "arb contract", "dispair", "wallet"].forEach((v) =>
+            add(v, false, "skipped, chain check failed"),
+        );
+        return checks.concat(sgChecks);
+    }
+    const client =
+        viemClient ?? (await createViemClient(chainId as ChainId, options.rpc, options.publicRpc));
+    const rp4 = config.routeProcessors["4"];
+    if (!rp4) {
+        add("route processor 4", false, `RP4 is not available on chain ${chainId}`);
+    } else if (await hasCode(client, rp4)) {
+        add("route processor 4", true, rp4);
+    } else {
+        add("route processor 4", false, `no contract code at ${rp4}`);
+    }
+
+    // arb contracts and their orderbook, which should be one of the known orderbooks
+    const knownOrderbooks = sgOrderbooks.length
+        ? sgOrderbooks
+        : getFilterList(options.orderbookAddress, [
+              ...(options.orderbookAddresses ?? []),
+              ...(options.onchainOrderbook ?? []),
+          ]);
+    const arbs: [string, string | undefined][] = [["arb contract", options.arbAddress]];
+    if (options.genericArbAddress) arbs.push(["generic arb contract", options.genericArbAddress]);
+    for (const [name, address] of arbs) {
+        if (!address || !(await hasCode(client, address))) {
+            add(name, false, `no contract code at ${address}`);
+            continue;
+        }
+        let arbOrderbook: string | undefined;
+        try {
+            arbOrderbook = (
+                await client.readContract({
+                    address: address as `0x${string}`,
+                    abi: ArbOrderbookAbi,
+                    functionName: "iOrderBook",
+                })
+            ).toLowerCase();
+        } catch {
+            // arb contracts that don't bind to an orderbook take it on each call
+            add(name, true, `${address}, not bound to an orderbook`);
+            continue;
+        }
+        if (!knownOrderbooks.length || knownOrderbooks.includes(arbOrderbook)) {
+            add(name, true, `${address}, orderbook: ${arbOrderbook}`);
+        } else {
+            add(
+                name,
+                false,
+                `${address} orderbook ${arbOrderbook} is not one of the known orderbooks: ${knownOrderbooks.join(", ")}`,
+            );
+        }
+    }
+
+    // dispair interpreter and store
+    try {
+        const [interpreter, store] = await Promise.all(
+            (["iInterpreter", "iStore"] as const).map((functionName) =>
+                client.readContract({
+                    address: options.dispair as `0x${string}`,
+                    abi: DeployerAbi,
+                    functionName,
+                }),
+            ),
+        );
+        add("dispair", true, `interpreter: ${interpreter}, store: ${store}`);
+    } catch {
+        add("dispair", false, `failed to get interpreter and store of dispair ${options.dispair}`);
+    }
+
+    // main wallet balance
+    try {
+        await resolveWalletSecrets(options);
+        if (options.remoteSigner && (options.key || options.mnemonic)) {
+            throw "undefined wallet, only one of key, mnemonic or remote signer should be specified";
+        }
+        if (
+            !options.remoteSigner &&
+            ((!options.key && !options.mnemonic) || (options.key && options.mnemonic))
+        ) {
+            throw "undefined wallet, only one of key or mnemonic should be specified";
+        }
+        const key = (options.key ?? options.mnemonic)!;
+        const account = options.remoteSigner
+            ? await getRemoteSignerAccount(options.remoteSigner, MainAccountDerivationIndex)
+            : /^(0x)?[a-fA-F0-9]{64}$/.test(key)
+              ? privateKeyToAccount((key.startsWith("0x") ? key : "0x" + key) as `0x${string}`)
+              : mnemonicToAccount(key, { addressIndex: MainAccountDerivationIndex });
+        const balance = await client.getBalance({ address: account.address });
+        const minBalance = /^[0-9]+(.[0-9]+)?$/.test(options.botMinBalance ?? "")
+            ? parseUnits(options.botMinBalance, 18)
+            : 0n;
+        const passed = balance > 0n && balance >= minBalance;
+        add(
+            "wallet",
+            passed,
+            `${account.address} balance: ${balance}${passed ? "" : `, expected at least ${minBalance > 0n ? minBalance : 1n}`}`,
+        );
+    } catch (e) {
+        add("wallet", false, `failed to get wallet balance: ${toReason(e)}`);
+    }
+
+    return checks.concat(sgChecks);
+}
+
+/**
+ * Formats the given preflight checks as a pass/fail table
+ * @param checks - The preflight checks
+ */
+export function formatPreflightChecks(checks: PreflightCheck[]): string {
+    const width = Math.max(5, ...checks.map((v) => v.name.length));
+    return [
+        `${"CHECK".padEnd(width)} | STATUS | DETAILS`,
+        `${"-".repeat(width)}-|--------|--------`,
+        ...checks.map(
+            (v) =>
+                `${v.name.padEnd(width)} | ${(v.passed ? "PASS" : "FAIL").padEnd(6)} | ${v.details}`,
+        ),
+    ].join("\n");
+}
+
+async function hasCode(viemClient: ViemClient, address: string): Promise<boolean> {
+    try {
+        const code = await viemClient.getBytecode({ address: address as `0x${string}` });
+        return !!code && code !== "0x";
+    } catch {
+        return false;
+    }
+}
+
+function toReason(error: any): string {
+    if (typeof error === "string") return error;
+    return error?.shortMessage ?? error?.message ?? String(error);
+}
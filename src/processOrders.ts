@@ -3,14 +3,17 @@ import { findOpp } from "./modes";
 import { getQuoteGas } from "./gas";
 import { PublicClient } from "viem";
 import { Token } from "sushi/currency";
-import { quoteSingleOrder } from "./order";
+import { quoteOrders, QUOTE_MAX_AGE, quoteSingleOrder } from "./order";
 import { createViemClient } from "./config";
+import { resolveStrategy } from "./strategy";
+import { recordOrderStats } from "./scoring";
+import { attachSignedContexts } from "./signedContext";
+import { getActiveBackoff, recordOrderBackoff, getBackoffSpanAttributes } from "./backoff";
 import { arbAbis, orderbookAbi } from "./abis";
 import { getSigner, handleTransaction } from "./tx";
-import { privateKeyToAccount } from "viem/accounts";
 import { BigNumber, Contract, ethers } from "ethers";
 import { Tracer } from "@opentelemetry/sdk-trace-base";
-import { Context, SpanStatusCode } from "@opentelemetry/api";
+import { Context, Span, SpanStatusCode } from "@opentelemetry/api";
 import { fundOwnedOrders, checkOwnedOrders } from "./account";
 import { ProcessPairHaltReason, ProcessPairReportStatus } from "./types";
 import { ErrorSeverity, errorSnapshot, isTimeout, KnownErrors } from "./error";
@@ -21,9 +24,11 @@ import {
     SpanAttrs,
     ViemClient,
     RoundReport,
+    OrderOutcome,
     BundledOrders,
     BotDataFetcher,
     OperationState,
+    TakeOrderDetails,
     ProcessPairResult,
 } from "./types";
 
@@ -48,7 +53,7 @@ export const processOrders = async (
 
     // instantiating arb contract
     const arb = new ethers.Contract(config.arbAddress, arbAbis);
-    let genericArb;
+    let genericArb: Contract | undefined;
     if (config.genericArbAddress) {
         genericArb = new ethers.Contract(config.genericArbAddress, arbAbis);
     }
@@ -58,7 +63,10 @@ export const processOrders = async (
         try {
             const ownedOrders = await checkOwnedOrders(config, bundledOrders);
             if (ownedOrders.length) {
-                const failedFundings = await fundOwnedOrders(ownedOrders, config, state);
+                // owned vaults are not funded in simulation mode
+                const failedFundings = config.simulate
+                    ? []
+                    : await fundOwnedOrders(ownedOrders, config, state);
                 const emptyOrders = ownedOrders.filter((v) => v.vaultBalance.isZero());
                 if (failedFundings.length || emptyOrders.length) {
                     const message: string[] = [];
@@ -120,6 +128,94 @@ export const processOrders = async (
         span.end();
     });
 
+    // fetch the signed context of the orders that have a signed context provider, so
+    // they are used in this round's quotes and clears, the ones that fail to be fetched
+    // are still processed with an empty signed context
+    try {
+        const failures = await attachSignedContexts(config, bundledOrders);
+        if (failures && Object.keys(failures).length) {
+            const span = tracer.startSpan("fetch-signed-contexts", undefined, ctx);
+            span.setAttribute(
+                "details.failures",
+                Object.entries(failures).map(([orderHash, error]) =>
+                    JSON.stringify({ orderHash, error }),
+                ),
+            );
+            span.setAttribute("severity", ErrorSeverity.LOW);
+            span.setStatus({
+                code: SpanStatusCode.ERROR,
+                message: "failed to fetch signed context of some orders",
+            });
+            span.end();
+        }
+    } catch (e) {
+        const span = tracer.startSpan("fetch-signed-contexts", undefined, ctx);
+        span.setAttribute("severity", ErrorSeverity.LOW);
+        span.setStatus({
+            code: SpanStatusCode.ERROR,
+            message: errorSnapshot("Failed to fetch signed contexts", e),
+        });
+        span.end();
+    }
+
+    // skip the order pairs that are in cooldown because of their recent failures
+    const backedOffOrders: Set<TakeOrderDetails> = new Set();
+    if (config.orderBackoffs) {
+        for (const orderbookOrders of bundledOrders) {
+            for (const pairOrders of orderbookOrders) {
+                const pair = `${pairOrders.buyTokenSymbol}/${pairOrders.sellTokenSymbol}`;
+                for (const takeOrder of pairOrders.takeOrders) {
+                    const orderPairObject = { ...pairOrders, takeOrders: [takeOrder] };
+                    const backoff = getActiveBackoff(config.orderBackoffs, orderPairObject, () =>
+                        getOrderPairMarketPrice(config, orderPairObject, state.gasPrice),
+                    );
+                    if (!backoff) continue;
+                    backedOffOrders.add(takeOrder);
+                    const span = tracer.startSpan(`order_${pair}`, undefined, ctx);
+                    span.setAttributes({
+                        "details.pair": pair,
+                        "details.orderHash": takeOrder.id,
+                        "details.orderbook": pairOrders.orderbook,
+                        "details.owner": takeOrder.takeOrder.order.owner,
+                        ...getBackoffSpanAttributes(backoff),
+                    });
+                    span.setStatus({ code: SpanStatusCode.OK, message: "in backoff cooldown" });
+                    span.end();
+                }
+            }
+        }
+    }
+
+    // batch quote the rest of the orders up front, so the ones that fail to quote or have
+    // zero max output are dropped before any pool fetching or signer acquisition, the
+    // orders of a failed multicall are quoted individually when they are processed
+    let quotedAt: Map<TakeOrderDetails, number>;
+    try {
+        const result = await quoteOrders(
+            config,
+            bundledOrders.map((orderbookOrders) =>
+                orderbookOrders.map((pairOrders) => ({
+                    ...pairOrders,
+                    takeOrders: pairOrders.takeOrders.filter((v) => !backedOffOrders.has(v)),
+                })),
+            ),
+        );
+        quotedAt = result.quotedAt;
+        if (result.errors.length) {
+            const span = tracer.startSpan("batch-quote", undefined, ctx);
+            span.setAttribute("severity", ErrorSeverity.LOW);
+            span.setStatus({
+                code: SpanStatusCode.ERROR,
+                message: result.errors
+                    .map((e) => errorSnapshot("Failed to batch quote some orders", e))
+                    .join("\n"),
+            });
+            span.end();
+        }
+    } catch (e) {
+        throw errorSnapshot("Failed to batch quote orders", e);
+    }
+
     const txGasCosts: BigNumber[] = [];
     const reports: Report[] = [];
     const results: {
@@ -127,12 +223,69 @@ export const processOrders = async (
         pair: string;
         orderPairObject: BundledOrders;
     }[] = [];
+    // gets a free signer and starts processing the given order pair, returns its settlement
+    // fn so it can be settled later without needing to pause if there are more signers available
+    const startPair = async (
+        orderPairObject: BundledOrders,
+        orderbook: Contract,
+        pair: string,
+        hasOpportunity?: { value: boolean },
+    ) => {
+        // await for first available signer to get free
+        const signer = await getSigner(accounts, mainAccount, true);
+
+        const writeSigner = config.writeRpc
+            ? await createViemClient(
+                  config.chain.id as ChainId,
+                  config.writeRpc,
+                  false,
+                  signer.account,
+                  config.timeout,
+                  undefined,
+                  config,
+              )
+            : undefined;
+
+        const span = tracer.startSpan(`checkpoint_${pair}`, undefined, ctx);
+        span.setAttributes({
+            "details.pair": pair,
+            "details.orderHash": orderPairObject.takeOrders[0].id,
+            "details.orderbook": orderbook.address,
+            "details.sender": signer.account.address,
+            "details.owner": orderPairObject.takeOrders[0].takeOrder.order.owner,
+        });
+        const settle = await processPair({
+            config,
+            orderPairObject,
+            viemClient,
+            dataFetcher,
+            signer,
+            writeSigner,
+            arb,
+            genericArb,
+            orderbook,
+            pair,
+            orderbooksOrders: bundledOrders,
+            state,
+            quotedAt: orderPairObject.takeOrders.every((v) => quotedAt.has(v))
+                ? Math.min(...orderPairObject.takeOrders.map((v) => quotedAt.get(v)!))
+                : undefined,
+            hasOpportunity,
+        });
+        span.end();
+        return settle;
+    };
+
     for (const orderbookOrders of bundledOrders) {
         for (const pairOrders of orderbookOrders) {
             // instantiating orderbook contract
             const orderbook = new ethers.Contract(pairOrders.orderbook, orderbookAbi);
+            const pair = `${pairOrders.buyTokenSymbol}/${pairOrders.sellTokenSymbol}`;
 
+            const eligibleOrders: BundledOrders[] = [];
             for (let i = 0; i < pairOrders.takeOrders.length; i++) {
+                if (config.shutdown?.requested) break;
+
                 const orderPairObject = {
                     orderbook: pairOrders.orderbook,
                     buyToken: pairOrders.buyToken,
@@ -144,58 +297,88 @@ export const processOrders = async (
                     takeOrders: [pairOrders.takeOrders[i]],
                 };
 
-                // await for first available signer to get free
-                const signer = await getSigner(accounts, mainAccount, true);
-
-                const writeSigner = config.writeRpc
-                    ? await createViemClient(
-                          config.chain.id as ChainId,
-                          config.writeRpc,
-                          false,
-                          privateKeyToAccount(
-                              signer.account.getHdKey
-                                  ? (ethers.utils.hexlify(
-                                        signer.account.getHdKey().privateKey!,
-                                    ) as `0x${string}`)
-                                  : ((config.walletKey.startsWith("0x")
-                                        ? config.walletKey
-                                        : "0x" + config.walletKey) as `0x${string}`),
-                          ),
-                          config.timeout,
-                          undefined,
-                          config,
-                      )
-                    : undefined;
+                // skip the order pair if it is in cooldown, its span is already recorded
+                if (backedOffOrders.has(orderPairObject.takeOrders[0])) continue;
 
-                const pair = `${pairOrders.buyTokenSymbol}/${pairOrders.sellTokenSymbol}`;
-                const span = tracer.startSpan(`checkpoint_${pair}`, undefined, ctx);
-                span.setAttributes({
-                    "details.pair": pair,
-                    "details.orderHash": orderPairObject.takeOrders[0].id,
-                    "details.orderbook": orderbook.address,
-                    "details.sender": signer.account.address,
-                    "details.owner": orderPairObject.takeOrders[0].takeOrder.order.owner,
-                });
+                // drop the order pair if it failed to quote or has zero max output, the
+                // ones that are not batch quoted are quoted when they are processed
+                const quote = orderPairObject.takeOrders[0].quote;
+                if (
+                    quotedAt.has(orderPairObject.takeOrders[0]) &&
+                    (!quote || quote.maxOutput.isZero())
+                ) {
+                    const report: Report = {
+                        status: quote
+                            ? ProcessPairReportStatus.ZeroOutput
+                            : ProcessPairReportStatus.NoOpportunity,
+                        tokenPair: pair,
+                        buyToken: orderPairObject.buyToken,
+                        sellToken: orderPairObject.sellToken,
+                    };
+                    if (!quote) report.reason = ProcessPairHaltReason.FailedToQuote;
+                    reports.push(report);
 
-                // call process pair and save the settlement fn
-                // to later settle without needing to pause if
-                // there are more signers available
-                const settle = await processPair({
-                    config,
-                    orderPairObject,
-                    viemClient,
-                    dataFetcher,
-                    signer,
-                    writeSigner,
-                    arb,
-                    genericArb,
-                    orderbook,
-                    pair,
-                    orderbooksOrders: bundledOrders,
-                    state,
-                });
+                    const span = tracer.startSpan(`order_${pair}`, undefined, ctx);
+                    span.setAttributes({
+                        "details.pair": pair,
+                        "details.orderHash": orderPairObject.takeOrders[0].id,
+                        "details.orderbook": orderbook.address,
+                        "details.owner": orderPairObject.takeOrders[0].takeOrder.order.owner,
+                    });
+                    recordOrderOutcome(
+                        config,
+                        orderPairObject,
+                        span,
+                        {
+                            status: report.status,
+                            reason: report.reason,
+                        },
+                        state.gasPrice,
+                    );
+                    span.setStatus({
+                        code: SpanStatusCode.OK,
+                        message: quote
+                            ? "zero max output"
+                            : "failed to quote order: " + orderPairObject.takeOrders[0].id,
+                    });
+                    span.end();
+                    continue;
+                }
+                eligibleOrders.push(orderPairObject);
+            }
+
+            // try clearing the pair's orders together in a single tx first, the orders that
+            // are cleared by a bundle are skipped and the rest are processed individually
+            let bundledOrderIds = new Set<string>();
+            if (config.bundleOrders && !config.shutdown?.requested) {
+                const started = await startBundles(config, eligibleOrders, (v, hasOpportunity) =>
+                    startPair(v, orderbook, pair, hasOpportunity),
+                );
+                bundledOrderIds = started.bundledOrderIds;
+                for (const { settle, orderPairObject, hasOpportunity } of started.bundles) {
+                    if (hasOpportunity) {
+                        results.push({ settle, pair, orderPairObject });
+                        continue;
+                    }
+                    const span = tracer.startSpan(`bundle_${pair}`, undefined, ctx);
+                    try {
+                        span.setAttributes((await settle()).spanAttributes);
+                    } catch (e: any) {
+                        if (e?.spanAttributes) span.setAttributes(e.spanAttributes);
+                    }
+                    span.setStatus({ code: SpanStatusCode.OK, message: "no bundle opportunity" });
+                    span.end();
+                }
+            }
+
+            for (const orderPairObject of eligibleOrders) {
+                // stop processing new pairs on shutdown, the already processed
+                // ones are still settled below
+                if (config.shutdown?.requested) break;
+                if (bundledOrderIds.has(orderPairObject.takeOrders[0].id)) continue;
+
+                const settle = await startPair(orderPairObject, orderbook, pair);
                 results.push({ settle, pair, orderPairObject });
-                span.end();
             }
         }
     }
@@ -217,6 +400,18 @@ export const processOrders = async (
             }
 
             reports.push(result.report);
+            recordOrderOutcome(
+                config,
+                orderPairObject,
+                span,
+                {
+                    status: result.report.status,
+                    simulated: !!result.report.simulation,
+                    spanAttributes: result.spanAttributes,
+                    netProfit: result.report.netProfit,
+                },
+                state.gasPrice,
+            );
 
             // set the span attributes with the values gathered at processPair()
             span.setAttributes(result.spanAttributes);
@@ -238,6 +433,17 @@ export const processOrders = async (
                 span.setStatus({ code: SpanStatusCode.ERROR, message: "unexpected error" });
             }
         } catch (e: any) {
+            recordOrderOutcome(
+                config,
+                orderPairObject,
+                span,
+                {
+                    reason: e?.reason,
+                    spanAttributes: e?.spanAttributes,
+                },
+                state.gasPrice,
+            );
+
             // set the span attributes with the values gathered at processPair()
             span.setAttributes(e.spanAttributes);
 
@@ -371,6 +577,119 @@ export const processOrders = async (
     };
 };
 
+/**
+ * Starts processing the given eligible orders of a pair in bundles, orders are only bundled
+ * with the ones that resolve to the same strategy rules, since a bundle is processed with a
+ * single strategy, and only groups of at least 2 orders are bundled
+ * @param config - The bot config
+ * @param eligibleOrders - The pair's eligible orders, each with a single take order
+ * @param startBundle - Starts processing the given bundle and returns its settlement fn
+ * @returns The started bundles and if they have an opportunity, and the ids of the take orders
+ * that are cleared by the bundles that have an opportunity, which are not processed individually
+ */
+export async function startBundles(
+    config: BotConfig,
+    eligibleOrders: BundledOrders[],
+    startBundle: (
+        orderPairObject: BundledOrders,
+        hasOpportunity: { value: boolean },
+    ) => Promise<() => Promise<ProcessPairResult>>,
+): Promise<{
+    bundles: {
+        settle: () => Promise<ProcessPairResult>;
+        orderPairObject: BundledOrders;
+        hasOpportunity: boolean;
+    }[];
+    bundledOrderIds: Set<string>;
+}> {
+    const groups: Map<string, BundledOrders[]> = new Map();
+    for (const orderPairObject of eligibleOrders) {
+        const key = resolveStrategy(config, orderPairObject).matchedRules.join(",");
+        const group = groups.get(key);
+        if (group) group.push(orderPairObject);
+        else groups.set(key, [orderPairObject]);
+    }
+    const bundles = [];
+    const bundledOrderIds: Set<string> = new Set();
+    for (const [, group] of groups) {
+        if (config.shutdown?.requested) break;
+        if (group.length < 2) continue;
+        const orderPairObject: BundledOrders = {
+            ...group[0],
+            takeOrders: group.map((v) => v.takeOrders[0]),
+        };
+        const hasOpportunity = { value: false };
+        const settle = await startBundle(orderPairObject, hasOpportunity);
+        bundles.push({ settle, orderPairObject, hasOpportunity: hasOpportunity.value });
+
+        // the bundle may have been trimmed to the orders that it clears
+        if (hasOpportunity.value)
+            orderPairObject.takeOrders.forEach((v) => bundledOrderIds.add(v.id));
+    }
+    return { bundles, bundledOrderIds };
+}
+
+/**
+ * Records the outcome of a processed order pair in the order stats and the backoff registry
+ * for each of its take orders, the order pair's backoff state is recorded in the given span
+ * if it is put in cooldown, the market price of the failures that halt before it is read is
+ * taken from the already fetched pools
+ */
+function recordOrderOutcome(
+    config: BotConfig,
+    orderPairObject: BundledOrders,
+    span: Span,
+    outcome: OrderOutcome,
+    gasPrice: bigint,
+) {
+    // a bundle's net profit is shared equally by its take orders
+    const orderOutcome = {
+        ...outcome,
+        netProfit: outcome.netProfit?.div(orderPairObject.takeOrders.length || 1),
+    };
+    for (const takeOrder of orderPairObject.takeOrders) {
+        const orderObject = { ...orderPairObject, takeOrders: [takeOrder] };
+        if (config.orderStats) recordOrderStats(config.orderStats, orderObject, orderOutcome);
+        if (config.orderBackoffs) {
+            const backoff = recordOrderBackoff(config.orderBackoffs, orderObject, outcome, () =>
+                getOrderPairMarketPrice(config, orderObject, gasPrice),
+            );
+            if (backoff) span.setAttributes(getBackoffSpanAttributes(backoff));
+        }
+    }
+}
+
+/**
+ * Gets the current market price of the given order pair from the already fetched pools
+ */
+function getOrderPairMarketPrice(
+    config: BotConfig,
+    orderPairObject: BundledOrders,
+    gasPrice: bigint,
+): number | undefined {
+    try {
+        const marketQuote = getMarketQuote(
+            config,
+            new Token({
+                chainId: config.chain.id,
+                decimals: orderPairObject.sellTokenDecimals,
+                address: orderPairObject.sellToken,
+                symbol: orderPairObject.sellTokenSymbol,
+            }),
+            new Token({
+                chainId: config.chain.id,
+                decimals: orderPairObject.buyTokenDecimals,
+                address: orderPairObject.buyToken,
+                symbol: orderPairObject.buyTokenSymbol,
+            }),
+            BigNumber.from(gasPrice),
+        );
+        return marketQuote ? toNumber(ethers.utils.parseUnits(marketQuote.price)) : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
 /**
  * Processes an pair order by trying to clear it against an onchain liquidity and reporting the result
  */
@@ -387,9 +706,15 @@ export async function processPair(args: {
     pair: string;
     orderbooksOrders: BundledOrders[][];
     state: OperationState;
+    /**
+     * The time the order pair's take orders are quoted at in this round's batch quote, they
+     * are quoted here if not given and are quoted again before the dryrun if it gets stale
+     */
+    quotedAt?: number;
+    /** Set to true if an opportunity is found for the order pair */
+    hasOpportunity?: { value: boolean };
 }): Promise<() => Promise<ProcessPairResult>> {
     const {
-        config,
         orderPairObject,
         viemClient,
         dataFetcher,
@@ -401,7 +726,12 @@ export async function processPair(args: {
         pair,
         orderbooksOrders,
         state,
+        hasOpportunity,
     } = args;
+    let quotedAt = args.quotedAt;
+    // the order pair's strategy settings with the matching strategy rules applied, which
+    // are consulted instead of the global ones from here on, including the modes dryruns
+    const { config, matchedRules } = resolveStrategy(args.config, orderPairObject);
     const isE2eTest = (config as any).isTest;
     const spanAttributes: SpanAttrs = {};
     const result: ProcessPairResult = {
@@ -418,6 +748,7 @@ export async function processPair(args: {
     };
     spanAttributes["details.orders"] = orderPairObject.takeOrders.map((v) => v.id);
     spanAttributes["details.pair"] = pair;
+    if (matchedRules.length) spanAttributes["details.strategyRules"] = matchedRules;
 
     const fromToken = new Token({
         chainId: config.chain.id,
@@ -432,14 +763,28 @@ export async function processPair(args: {
         symbol: orderPairObject.buyTokenSymbol,
     });
 
-    try {
-        await quoteSingleOrder(
-            orderPairObject,
-            viemClient as any as ViemClient,
-            undefined,
-            isE2eTest ? config.quoteGas : await getQuoteGas(config, orderPairObject),
-        );
-        if (orderPairObject.takeOrders[0].quote?.maxOutput.isZero()) {
+    // quotes each of the take orders and drops the ones with zero max output from a bundle,
+    // returns the halted result if it fails to quote or all of them have zero max output
+    const quote = async (): Promise<(() => Promise<ProcessPairResult>) | undefined> => {
+        try {
+            for (const takeOrder of orderPairObject.takeOrders) {
+                const orderDetails = { ...orderPairObject, takeOrders: [takeOrder] };
+                await quoteSingleOrder(
+                    orderDetails,
+                    viemClient as any as ViemClient,
+                    undefined,
+                    isE2eTest ? config.quoteGas : await getQuoteGas(config, orderDetails),
+                );
+            }
+            quotedAt = Date.now();
+        } catch (e) {
+            result.error = e;
+            result.reason = ProcessPairHaltReason.FailedToQuote;
+            return async () => {
+                throw result;
+            };
+        }
+        if (orderPairObject.takeOrders.every((v) => v.quote?.maxOutput.isZero())) {
             result.report = {
                 status: ProcessPairReportStatus.ZeroOutput,
                 tokenPair: pair,
@@ -450,12 +795,16 @@ export async function processPair(args: {
                 return result;
             };
         }
-    } catch (e) {
-        result.error = e;
-        result.reason = ProcessPairHaltReason.FailedToQuote;
-        return async () => {
-            throw result;
-        };
+        if (orderPairObject.takeOrders.length > 1) {
+            const takeOrders = orderPairObject.takeOrders.filter(
+                (v) => !v.quote?.maxOutput.isZero(),
+            );
+            orderPairObject.takeOrders.splice(0, orderPairObject.takeOrders.length, ...takeOrders);
+        }
+    };
+    if (quotedAt === undefined) {
+        const halted = await quote();
+        if (halted) return halted;
     }
 
     spanAttributes["details.quote"] = JSON.stringify({
@@ -569,6 +918,17 @@ export async function processPair(args: {
         spanAttributes["details.gasPriceL1"] = state.l1GasPrice.toString();
     }
 
+    // quote again if the quote got stale while waiting for a signer or fetching the pools
+    if (Date.now() - quotedAt! > QUOTE_MAX_AGE) {
+        const halted = await quote();
+        if (halted) return halted;
+        spanAttributes["details.quote"] = JSON.stringify({
+            maxOutput: ethers.utils.formatUnits(orderPairObject.takeOrders[0].quote!.maxOutput),
+            ratio: ethers.utils.formatUnits(orderPairObject.takeOrders[0].quote!.ratio),
+        });
+        spanAttributes["details.requoted"] = true;
+    }
+
     // execute process to find opp through different modes
     let rawtx, oppBlockNumber, estimatedProfit;
     try {
@@ -631,6 +991,7 @@ export async function processPair(args: {
         sellToken: orderPairObject.sellToken,
     };
     spanAttributes["foundOpp"] = true;
+    if (hasOpportunity) hasOpportunity.value = true;
 
     // get block number
     let blockNumber: number;
@@ -644,6 +1005,28 @@ export async function processPair(args: {
         spanAttributes["details.blockNumberError"] = errorSnapshot("failed to get block number", e);
     }
 
+    // record the would-be transaction instead of broadcasting it in simulation mode
+    if (config.simulate) {
+        result.report.simulation = {
+            orderHash: orderPairObject.takeOrders[0].id,
+            orderbook: orderbook.address,
+            mode: spanAttributes["details.clearModePick"] as string,
+            estimatedProfit: ethers.utils.formatUnits(estimatedProfit),
+            blockNumber: oppBlockNumber,
+            rawtx: {
+                to: rawtx.to,
+                from: rawtx.from,
+                data: rawtx.data,
+                gas: rawtx.gas?.toString(),
+                gasPrice: rawtx.gasPrice?.toString(),
+            },
+        };
+        spanAttributes["details.simulated"] = true;
+        return async () => {
+            return result;
+        };
+    }
+
     // handle the found transaction opportunity
     return handleTransaction(
         signer,
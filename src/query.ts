@@ -1,4 +1,5 @@
 import axios from "axios";
+import { SgFilter } from "./types";
 import { errorSnapshot } from "./error";
 import { Span } from "@opentelemetry/api";
 
@@ -7,6 +8,7 @@ export type SgOrder = {
     owner: string;
     orderHash: string;
     orderBytes: string;
+    meta?: string | null;
     active: boolean;
     nonce: string;
     orderbook: {
@@ -38,10 +40,20 @@ export type NewSgOrder = {
 };
 
 export type SgTx = {
+    id: string;
     events: SgEvent[];
     timestamp: string;
 };
 
+/**
+ * Specifies the position of the last read transaction of a subgraph, transactions
+ * are paged by their timestamp and then by their id as tie breaker
+ */
+export type SgTxCursor = {
+    timestamp: number;
+    id: string;
+};
+
 export type SgEvent = SgAddRemoveEvent | SgOtherEvent;
 
 export type SgAddRemoveEvent = {
@@ -51,30 +63,88 @@ export type SgAddRemoveEvent = {
 
 export type SgOtherEvent = {
     __typename: "Withdrawal" | "Deposit";
+    amount?: string;
+    newVaultBalance?: string;
+    vault?: {
+        vaultId: string;
+        owner: string;
+        token: {
+            address: string;
+        };
+        orderbook: {
+            id: string;
+        };
+    };
 };
 
 /**
- * Method to get the subgraph query body with optional filters
- * @param orderHash - The order hash to apply as filter
- * @param owner - The order owner to apply as filter
- * @param orderbook - The orderbook address
+ * Specifies a vault balance change read from deposit and withdrawal events,
+ * balance is the vault balance after the change
+ */
+export type SgVaultChange = {
+    orderbook: string;
+    owner: string;
+    token: string;
+    vaultId: string;
+    balance: string;
+    timestamp: number;
+};
+
+/**
+ * Max number of items that are queried from a subgraph per page
+ */
+export const PAGE_SIZE = 100 as const;
+
+/**
+ * Merges a single value filter and a list filter into one lower cased list
+ */
+export function getFilterList(value?: string, list?: string[]): string[] {
+    const result = (value ? [value] : []).concat(list ?? []).map((v) => v.toLowerCase());
+    return result.filter((v, i) => result.indexOf(v) === i);
+}
+
+/**
+ * Method to get the subgraph query body with optional filters, orders are paged
+ * by their id, so each page is read after the last id of the previous page.
+ * Token and pair filters can only narrow down the results in the query as orders
+ * with multiple IO can have both included and excluded pairs, so they are also
+ * applied when orders are handled, see isPairIncluded()
+ * @param lastId - The id of the last order of the previous page, empty for first page
+ * @param filter - (optional) The filters to apply
  * @returns the query string
  */
-export function getQueryPaginated(
-    skip: number,
-    orderHash?: string,
-    owner?: string,
-    orderbook?: string,
-): string {
-    const ownerFilter = owner ? `, owner: "${owner.toLowerCase()}"` : "";
-    const orderHashFilter = orderHash ? `, orderHash: "${orderHash.toLowerCase()}"` : "";
-    const orderbookFilter = orderbook ? `, orderbook: "${orderbook.toLowerCase()}"` : "";
+export function getQueryPaginated(lastId: string, filter?: SgFilter): string {
+    const toList = (list: string[]) => `[${list.map((v) => `"${v}"`).join(", ")}]`;
+    const owners = getFilterList(filter?.orderOwner, filter?.orderOwners);
+    const orderbooks = getFilterList(filter?.orderbook, filter?.orderbooks);
+    const tokens = filter?.includeTokens?.length
+        ? getFilterList(undefined, filter.includeTokens)
+        : getFilterList(undefined, filter?.includePairs?.flat());
+
+    const cursorFilter = lastId ? `, id_gt: "${lastId}"` : "";
+    const ownerFilter = owners.length
+        ? owners.length === 1
+            ? `, owner: "${owners[0]}"`
+            : `, owner_in: ${toList(owners)}`
+        : "";
+    const orderHashFilter = filter?.orderHash
+        ? `, orderHash: "${filter.orderHash.toLowerCase()}"`
+        : "";
+    const orderbookFilter = orderbooks.length
+        ? orderbooks.length === 1
+            ? `, orderbook: "${orderbooks[0]}"`
+            : `, orderbook_in: ${toList(orderbooks)}`
+        : "";
+    const tokensFilter = tokens.length
+        ? `, inputs_: {token_in: ${toList(tokens)}}, outputs_: {token_in: ${toList(tokens)}}`
+        : "";
     return `{
-    orders(first: 100, skip: ${skip}, orderBy: timestampAdded, orderDirection: desc, where: {active: true${orderbookFilter}${orderHashFilter}${ownerFilter}}) {
+    orders(first: ${PAGE_SIZE}, orderBy: id, orderDirection: asc, where: {active: true${cursorFilter}${orderbookFilter}${orderHashFilter}${ownerFilter}${tokensFilter}}) {
         id
         owner
         orderHash
         orderBytes
+        meta
         active
         nonce
         orderbook {
@@ -105,41 +175,38 @@ export function getQueryPaginated(
 /**
  * Get all active orders from a subgraph, with optional filters
  * @param subgraph - Subgraph url
- * @param orderHash - orderHash filter
- * @param owner - owner filter
- * @param orderbook - orderbook filter
+ * @param filter - (optional) The filters to apply
  * @param timeout - timeout
  */
 export async function querySgOrders(
     subgraph: string,
-    orderHash?: string,
-    owner?: string,
-    orderbook?: string,
+    filter?: SgFilter,
     timeout?: number,
 ): Promise<SgOrder[]> {
-    const result: any[] = [];
-    let skip = 0;
+    // keyed by id so an order that is read more than once is only kept once
+    const result: Map<string, SgOrder> = new Map();
+    let lastId = "";
     for (;;) {
         const res = await axios.post(
             subgraph,
             {
-                query: getQueryPaginated(skip, orderHash, owner, orderbook),
+                query: getQueryPaginated(lastId, filter),
             },
             { headers: { "Content-Type": "application/json" }, timeout },
         );
         if (res?.data?.data?.orders?.length) {
-            const orders = res.data.data.orders;
-            result.push(...orders);
-            if (orders.length < 100) {
+            const orders: SgOrder[] = res.data.data.orders;
+            orders.forEach((v) => result.set(v.id, v));
+            if (orders.length < PAGE_SIZE) {
                 break;
             } else {
-                skip += 100;
+                lastId = orders[orders.length - 1].id;
             }
         } else {
             break;
         }
     }
-    return result;
+    return Array.from(result.values());
 }
 
 export const orderbooksQuery = `{
@@ -158,16 +225,22 @@ export const statusCheckQuery = `{
 }`;
 
 /**
- * Get query for transactions
+ * Get query for transactions after the given cursor, transactions are ordered
+ * by timestamp and then by id, so the ones with the same timestamp as the cursor
+ * are read after the cursor id
+ * @param cursor - The last read transaction position
  */
-export const getTxsQuery = (start: number, skip: number) => {
+export const getTxsQuery = (cursor: SgTxCursor) => {
+    const where = cursor.id
+        ? `{ or: [{ timestamp_gt: "${cursor.timestamp}" }, { timestamp: "${cursor.timestamp}", id_gt: "${cursor.id}" }] }`
+        : `{ timestamp_gt: "${cursor.timestamp}" }`;
     return `{transactions(
     orderBy: timestamp
     orderDirection: asc
-    first: 100
-    skip: ${skip}
-    where: { timestamp_gt: "${start}" }
+    first: ${PAGE_SIZE}
+    where: ${where}
   ) {
+    id
     events {
         __typename
         ... on AddOrder {
@@ -179,6 +252,7 @@ export const getTxsQuery = (start: number, skip: number) => {
                 owner
                 orderHash
                 orderBytes
+                meta
                 active
                 nonce
                 orderbook {
@@ -238,44 +312,70 @@ export const getTxsQuery = (start: number, skip: number) => {
                 }
             }
         }
+        ... on Deposit {
+            amount
+            newVaultBalance
+            vault {
+                vaultId
+                owner
+                token {
+                    address
+                }
+                orderbook {
+                    id
+                }
+            }
+        }
+        ... on Withdrawal {
+            amount
+            newVaultBalance
+            vault {
+                vaultId
+                owner
+                token {
+                    address
+                }
+                orderbook {
+                    id
+                }
+            }
+        }
     }
     timestamp
 }}`;
 };
 
 /**
- * Fecthes the order changes after the given time and skipping the first skip txs
+ * Fecthes the order changes and vaults balance changes after the given cursor
+ * and returns the cursor of the last read transaction
  * @param subgraph - The subgraph url
- * @param startTimestamp - start timestamp range
- * @param skip - skip count
- * @param timeout - promise timeout
+ * @param cursor - The last read transaction position
+ * @param span - (optional) Span to record errors on
  */
-export async function getOrderChanges(
-    subgraph: string,
-    startTimestamp: number,
-    skip: number,
-    span?: Span,
-) {
-    let skip_ = skip;
+export async function getOrderChanges(subgraph: string, cursor: SgTxCursor, span?: Span) {
+    let cursor_ = { ...cursor };
     let count = 0;
     const allResults: SgTx[] = [];
     const addOrders: NewSgOrder[] = [];
     const removeOrders: NewSgOrder[] = [];
+    const vaultChanges: SgVaultChange[] = [];
     for (;;) {
         try {
             const res = await axios.post(
                 subgraph,
-                { query: getTxsQuery(startTimestamp, skip_) },
+                { query: getTxsQuery(cursor_) },
                 { headers: { "Content-Type": "application/json" } },
             );
             if (typeof res?.data?.data?.transactions !== "undefined") {
-                const txs = res.data.data.transactions;
+                const txs: SgTx[] = res.data.data.transactions;
                 count += txs.length;
                 allResults.push(...txs);
-                if (txs.length < 100) {
+                if (txs.length) {
+                    const lastTx = txs[txs.length - 1];
+                    cursor_ = { timestamp: Number(lastTx.timestamp), id: lastTx.id };
+                }
+                if (txs.length < PAGE_SIZE) {
                     break;
-                } else {
-                    skip_ += 100;
                 }
             } else {
                 break;
@@ -308,8 +408,30 @@ export async function getOrderChanges(
                         }
                     }
                 }
+                if (event.__typename === "Deposit" || event.__typename === "Withdrawal") {
+                    if (event?.vault && typeof event?.newVaultBalance === "string") {
+                        const change: SgVaultChange = {
+                            orderbook: event.vault.orderbook.id.toLowerCase(),
+                            owner: event.vault.owner.toLowerCase(),
+                            token: event.vault.token.address.toLowerCase(),
+                            vaultId: event.vault.vaultId,
+                            balance: event.newVaultBalance,
+                            timestamp: Number(tx.timestamp),
+                        };
+                        // keep only the latest balance of each vault
+                        const index = vaultChanges.findIndex(
+                            (v) =>
+                                v.orderbook === change.orderbook &&
+                                v.owner === change.owner &&
+                                v.token === change.token &&
+                                BigInt(v.vaultId) === BigInt(change.vaultId),
+                        );
+                        if (index > -1) vaultChanges.splice(index, 1);
+                        vaultChanges.push(change);
+                    }
+                }
             });
         }
     });
-    return { addOrders, removeOrders, count };
+    return { addOrders, removeOrders, vaultChanges, count, cursor: cursor_ };
 }
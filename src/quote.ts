@@ -0,0 +1,358 @@
+import { ChainId } from "sushi";
+import { arbAbis, OrderV3 } from "./abis";
+import { Token } from "sushi/currency";
+import { errorSnapshot } from "./error";
+import { getChainId, getOrderDetails } from ".";
+import { BigNumber, ethers } from "ethers";
+import { getReloadableSettings } from "./reload";
+import { attachSignedContexts, parseSignedContextProviders } from "./signedContext";
+import { findMaxInput } from "./modes/routeProcessor";
+import { getGasPrice, getQuoteGas } from "./gas";
+import { decodeAbiParameters, parseAbiParameters, PublicClient } from "viem";
+import { getOrderPairs, quoteSingleOrder, toOrder } from "./order";
+import { BotConfig, BundledOrders, CliOptions, OperationState, ViemClient } from "./types";
+import { createViemClient, getChainConfig, getDataFetcher } from "./config";
+import {
+    ONE18,
+    scale18To,
+    getRpSwap,
+    getEthPrice,
+    PoolBlackList,
+    visualizeRoute,
+    getMarketQuote,
+} from "./utils";
+
+const OrderV3Abi = parseAbiParameters(OrderV3);
+
+/**
+ * Specifies the one-shot quote of an order's pair against the market
+ */
+export type OrderPairQuote = {
+    orderHash: string;
+    orderbook: string;
+    pair: string;
+    maxOutput?: string;
+    ratio?: string;
+    marketPrice?: string;
+    maxInput?: string;
+    route?: string[];
+    gas?: {
+        gasLimit: string;
+        gasPrice: string;
+        gasCost: string;
+        buyTokenGasCost?: string;
+        sellTokenGasCost?: string;
+        estimation: string;
+    };
+    error?: string;
+};
+
+/**
+ * Gets the bot config required for quoting orders from the given options, unlike the
+ * bot's startup config it doesn't need a wallet, so no account is initialized
+ * @param options - The cli options
+ */
+export async function getQuoteCommandConfig(options: CliOptions): Promise<BotConfig> {
+    if (!options.rpc?.length) throw "undefined RPC URL";
+    if (!options.arbAddress || !ethers.utils.isAddress(options.arbAddress)) {
+        throw "invalid arb contract address";
+    }
+    const settings = getReloadableSettings(options);
+    const chainId = (await getChainId(options.rpc)) as ChainId;
+    const config = getChainConfig(chainId) as any as BotConfig;
+    if (!config) throw `Cannot find configuration for the network with chain id: ${chainId}`;
+
+    const viemClient = await createViemClient(
+        chainId,
+        options.rpc,
+        options.publicRpc,
+        undefined,
+        options.timeout,
+    );
+    config.rpc = options.rpc;
+    config.arbAddress = options.arbAddress;
+    config.maxRatio = !!options.maxRatio;
+    config.publicRpc = options.publicRpc;
+    config.lps = settings.lps;
+    config.gasCoveragePercentage = settings.gasCoveragePercentage;
+    config.gasPriceMultiplier = settings.gasPriceMultiplier;
+    config.gasLimitMultiplier = settings.gasLimitMultiplier;
+    config.quoteGas = options.quoteGas ? BigInt(options.quoteGas) : 1_000_000n;
+    config.route = options.route?.toLowerCase() === "multi" ? "multi" : "single";
+    if (options.route?.toLowerCase() === "full") config.route = undefined;
+    config.signedContextProviders = parseSignedContextProviders(options.signedContextProviders);
+    config.viemClient = viemClient as any as PublicClient;
+    config.dataFetcher = await getDataFetcher(
+        viemClient as any as PublicClient,
+        config.lps,
+        options.publicRpc,
+    );
+    // the bounty task of a quote tx has empty bytecode, so it is not evaluated
+    config.dispair = {
+        deployer: ethers.constants.AddressZero,
+        interpreter: ethers.constants.AddressZero,
+        store: ethers.constants.AddressZero,
+    };
+    return config;
+}
+
+/**
+ * Quotes the order of the given order hash against the market for each of its pairs,
+ * the order is read from the given subgraphs
+ * @param options - The cli options
+ * @param config - (optional) The bot config, if not given one is built from the options
+ */
+export async function quoteOrder(
+    options: CliOptions,
+    config?: BotConfig,
+): Promise<OrderPairQuote[]> {
+    if (!options.orderHash) throw "undefined order hash, use --order-hash to specify it";
+    const orderHash = options.orderHash.toLowerCase();
+    const orders = (
+        await getOrderDetails(options.subgraph, {
+            orderHash,
+            orderbook: options.orderbookAddress,
+        })
+    ).filter((v) => v.orderHash.toLowerCase() === orderHash);
+    if (!orders.length) throw `order ${orderHash} not found in subgraphs`;
+
+    if (!config) config = await getQuoteCommandConfig(options);
+    const state: OperationState = { gasPrice: 0n, l1GasPrice: 0n };
+    await getGasPrice(config, state);
+
+    const quotes: OrderPairQuote[] = [];
+    for (const order of orders) {
+        const orderStruct = toOrder(
+            decodeAbiParameters(OrderV3Abi, order.orderBytes as `0x${string}`)[0],
+        );
+        const pairs = await getOrderPairs(
+            orderHash,
+            orderStruct,
+            config.viemClient as any as ViemClient,
+            [],
+            order,
+        );
+        const orderPairs: BundledOrders[] = pairs.map(({ takeOrder, ...pair }) => ({
+            ...pair,
+            orderbook: order.orderbook.id.toLowerCase(),
+            takeOrders: [takeOrder],
+        }));
+
+        // the order's quote fails without its signed context, so the reason of failing to
+        // fetch it is reported instead
+        const signedContextErrors = await attachSignedContexts(config, [orderPairs]);
+        for (const orderPairObject of orderPairs) {
+            const quote = await quotePair(config, orderPairObject, state.gasPrice);
+            if (signedContextErrors?.[orderHash]) quote.error = signedContextErrors[orderHash];
+            quotes.push(quote);
+        }
+    }
+    return quotes;
+}
+
+/**
+ * Quotes an order pair against the market, ie its onchain quote, the market price, the
+ * largest clearable amount through RP4 with its route and the gas cost of clearing it in
+ * pair's tokens terms, the steps after a failed one are skipped and the failure is reported
+ * @param config - The bot config
+ * @param orderPairObject - The order pair
+ * @param gasPrice - The gas price
+ */
+export async function quotePair(
+    config: BotConfig,
+    orderPairObject: BundledOrders,
+    gasPrice: bigint,
+): Promise<OrderPairQuote> {
+    const result: OrderPairQuote = {
+        orderHash: orderPairObject.takeOrders[0].id,
+        orderbook: orderPairObject.orderbook,
+        pair: `${orderPairObject.buyTokenSymbol}/${orderPairObject.sellTokenSymbol}`,
+    };
+    const fromToken = new Token({
+        chainId: config.chain.id,
+        decimals: orderPairObject.sellTokenDecimals,
+        address: orderPairObject.sellToken,
+        symbol: orderPairObject.sellTokenSymbol,
+    });
+    const toToken = new Token({
+        chainId: config.chain.id,
+        decimals: orderPairObject.buyTokenDecimals,
+        address: orderPairObject.buyToken,
+        symbol: orderPairObject.buyTokenSymbol,
+    });
+
+    // order's onchain quote
+    try {
+        await quoteSingleOrder(
+            orderPairObject,
+            config.viemClient as any as ViemClient,
+            undefined,
+            await getQuoteGas(config, orderPairObject),
+        );
+    } catch (e) {
+        result.error = errorSnapshot("Failed to quote order", e);
+        return result;
+    }
+    const { maxOutput, ratio } = orderPairObject.takeOrders[0].quote!;
+    result.maxOutput = ethers.utils.formatUnits(maxOutput);
+    result.ratio = ethers.utils.formatUnits(ratio);
+
+    // market price
+    try {
+        await config.dataFetcher.fetchPoolsForToken(fromToken, toToken, PoolBlackList, {
+            fetchPoolsTimeout: 90000,
+        });
+    } catch (e) {
+        result.error = errorSnapshot("Failed to get pools", e);
+        return result;
+    }
+    result.marketPrice = getMarketQuote(
+        config,
+        fromToken,
+        toToken,
+        BigNumber.from(gasPrice),
+    )?.price;
+    if (!result.marketPrice) {
+        result.error = "no route found for the pair in the market";
+        return result;
+    }
+    if (maxOutput.isZero()) {
+        result.error = "order has zero max output";
+        return result;
+    }
+
+    // largest clearable amount and its route
+    const maxInput = findMaxInput({
+        orderPairObject,
+        dataFetcher: config.dataFetcher,
+        fromToken,
+        toToken,
+        maximumInput: maxOutput,
+        gasPrice,
+        config,
+    });
+    if (!maxInput) {
+        result.error = "market price is lower than order's ratio for any amount";
+        return result;
+    }
+    result.maxInput = ethers.utils.formatUnits(maxInput);
+    let rpParams, route;
+    try {
+        ({ rpParams, route } = await getRpSwap(
+            config.chain.id,
+            scale18To(maxInput, fromToken.decimals),
+            fromToken,
+            toToken,
+            config.arbAddress,
+            config.routeProcessors["4"],
+            config.dataFetcher,
+            BigNumber.from(gasPrice),
+        ));
+        result.route = visualizeRoute(fromToken, toToken, route.legs);
+    } catch (e) {
+        result.error = errorSnapshot("Failed to get route", e);
+        return result;
+    }
+
+    // gas cost of clearing the max input through the arb contract, the tx is estimated
+    // without gas price so it doesn't need a funded sender, falls back to route's gas
+    let gasLimit: bigint;
+    let estimation = "arb tx";
+    try {
+        const arb = new ethers.Contract(config.arbAddress, arbAbis);
+        const data = arb.interface.encodeFunctionData("arb3", [
+            orderPairObject.orderbook,
+            {
+                minimumInput: ethers.constants.One,
+                maximumInput: maxInput.eq(maxOutput)
+                    ? ethers.constants.MaxUint256
+                    : scale18To(maxInput, fromToken.decimals),
+                maximumIORatio: ethers.constants.MaxUint256,
+                orders: [orderPairObject.takeOrders[0].takeOrder],
+                data: ethers.utils.defaultAbiCoder.encode(["bytes"], [rpParams.routeCode]),
+            },
+            {
+                evaluable: {
+                    interpreter: config.dispair.interpreter,
+                    store: config.dispair.store,
+                    bytecode: "0x",
+                },
+                signedContext: [],
+            },
+        ]);
+        gasLimit = await config.viemClient.estimateGas({
+            account: ("0x" + "1".repeat(40)) as `0x${string}`,
+            to: config.arbAddress as `0x${string}`,
+            data: data as `0x${string}`,
+        });
+    } catch (e) {
+        gasLimit = BigInt(route.gasSpent);
+        estimation = errorSnapshot("route only, arb tx estimation failed", e);
+    }
+    const gasCost = BigNumber.from(gasLimit * gasPrice);
+    result.gas = {
+        gasLimit: gasLimit.toString(),
+        gasPrice: gasPrice.toString(),
+        gasCost: ethers.utils.formatUnits(gasCost),
+        estimation,
+    };
+    for (const [key, token] of [
+        ["buyTokenGasCost", toToken],
+        ["sellTokenGasCost", fromToken],
+    ] as const) {
+        try {
+            const ethPrice = await getEthPrice(
+                config,
+                token.address,
+                token.decimals,
+                BigNumber.from(gasPrice),
+                config.dataFetcher,
+                { fetchPoolsTimeout: 30000 },
+            );
+            if (ethPrice && !ethers.utils.parseUnits(ethPrice).isZero()) {
+                result.gas[key] = ethers.utils.formatUnits(
+                    gasCost.mul(ONE18).div(ethers.utils.parseUnits(ethPrice)),
+                );
+            }
+        } catch {
+            /**/
+        }
+    }
+    return result;
+}
+
+/**
+ * Formats the given order quotes as a human readable report
+ * @param quotes - The order pairs quotes
+ */
+export function formatOrderQuotes(quotes: OrderPairQuote[]): string {
+    return quotes
+        .map((v) => {
+            const [buySymbol, sellSymbol] = v.pair.split("/");
+            const lines = [`order: ${v.orderHash}`, `orderbook: ${v.orderbook}`, `pair: ${v.pair}`];
+            if (v.maxOutput !== undefined) {
+                lines.push(`max output: ${v.maxOutput} ${sellSymbol}`);
+                lines.push(`order ratio: ${v.ratio} ${buySymbol} per ${sellSymbol}`);
+            }
+            if (v.marketPrice !== undefined) {
+                lines.push(`market price: ${v.marketPrice} ${buySymbol} per ${sellSymbol}`);
+            }
+            if (v.maxInput !== undefined) {
+                lines.push(`max clearable amount: ${v.maxInput} ${sellSymbol}`);
+            }
+            if (v.route) {
+                lines.push("route:", ...v.route.map((e) => "  " + e));
+            }
+            if (v.gas) {
+                lines.push(
+                    `gas: ${v.gas.gasLimit} at ${v.gas.gasPrice} gas price (${v.gas.estimation})`,
+                    `gas cost: ${v.gas.gasCost} native token` +
+                        (v.gas.buyTokenGasCost ? `, ${v.gas.buyTokenGasCost} ${buySymbol}` : "") +
+                        (v.gas.sellTokenGasCost ? `, ${v.gas.sellTokenGasCost} ${sellSymbol}` : ""),
+                );
+            }
+            if (v.error) lines.push(`error: ${v.error}`);
+            return lines.join("\n");
+        })
+        .join("\n\n");
+}
@@ -0,0 +1,196 @@
+import fs from "fs";
+import { PublicClient } from "viem";
+import { downscaleProtection } from "./order";
+import { getDataFetcher, processLps } from "./config";
+import {
+    OTOVMap,
+    BotConfig,
+    CliOptions,
+    ViemClient,
+    SelfFundOrder,
+    BotDataFetcher,
+    OrderbooksOwnersProfileMap,
+} from "./types";
+
+/**
+ * Specifies the runtime settings that are safe to be reloaded in place without restarting
+ * the bot, ie without throwing away the warm data fetcher pools, the owners profile map
+ * and the wallets rotation state
+ */
+export type ReloadableSettings = {
+    gasCoveragePercentage: string;
+    lps: string[];
+    ownerProfile?: Record<string, number>;
+    selfFundOrders?: SelfFundOrder[];
+    sleep: number;
+    gasPriceMultiplier: number;
+    gasLimitMultiplier: number;
+};
+
+/**
+ * Specifies the changed settings of a reload with their before and after values
+ */
+export type SettingsDiff = Partial<Record<keyof ReloadableSettings, { before: any; after: any }>>;
+
+/**
+ * Gets the reloadable settings from the given options, with the same validation
+ * and defaults that are applied at startup
+ * @param options - The cli options
+ */
+export function getReloadableSettings(options: Record<string, any>): ReloadableSettings {
+    const gasCoveragePercentage = options.gasCoverage ?? "100";
+    if (!/^[0-9]+$/.test(gasCoveragePercentage)) {
+        throw "invalid gas coverage percentage, must be an integer greater than equal 0";
+    }
+    const sleep = options.sleep ?? "10";
+    if (!/^[0-9]+$/.test(sleep.toString())) {
+        throw "invalid sleep value, must be an integer greater than equal 0";
+    }
+    return {
+        gasCoveragePercentage,
+        lps: processLps(options.lps),
+        ownerProfile: options.ownerProfile,
+        selfFundOrders: options.selfFundOrders,
+        sleep: Number(sleep),
+        gasPriceMultiplier: toMultiplier(options.gasPriceMultiplier, 107, "gasPriceMultiplier"),
+        gasLimitMultiplier: toMultiplier(options.gasLimitMultiplier, 100, "gasLimitMultiplier"),
+    };
+}
+
+/**
+ * Gets the settings that are changed between the given settings
+ * @param before - The current settings
+ * @param after - The reloaded settings
+ */
+export function diffSettings(before: ReloadableSettings, after: ReloadableSettings): SettingsDiff {
+    const diff: SettingsDiff = {};
+    for (const key in after) {
+        const k = key as keyof ReloadableSettings;
+        if (JSON.stringify(before[k]) !== JSON.stringify(after[k])) {
+            diff[k] = { before: before[k], after: after[k] };
+        }
+    }
+    return diff;
+}
+
+/**
+ * Applies the changed settings in place, lps are applied by updating the data fetcher's
+ * liquidity providers in place so the kept ones retain their fetched pools, and owners limits are applied to the owners profile map
+ * and the rest of the owners limits are reset and evaluated again, in which case the new
+ * OTOV map is returned
+ * @param diff - The changed settings
+ * @param options - The cli options
+ * @param config - The bot config
+ * @param orderbooksOwnersProfileMap - The orderbooks owners profile map
+ */
+export async function applySettings(
+    diff: SettingsDiff,
+    options: CliOptions,
+    config: BotConfig,
+    orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
+): Promise<OTOVMap | undefined> {
+    if (diff.gasCoveragePercentage) {
+        options.gasCoverage = diff.gasCoveragePercentage.after;
+        config.gasCoveragePercentage = diff.gasCoveragePercentage.after;
+    }
+    if (diff.sleep) {
+        options.sleep = diff.sleep.after;
+    }
+    if (diff.gasPriceMultiplier) {
+        options.gasPriceMultiplier = diff.gasPriceMultiplier.after;
+        config.gasPriceMultiplier = diff.gasPriceMultiplier.after;
+    }
+    if (diff.gasLimitMultiplier) {
+        options.gasLimitMultiplier = diff.gasLimitMultiplier.after;
+        config.gasLimitMultiplier = diff.gasLimitMultiplier.after;
+    }
+    if (diff.selfFundOrders) {
+        options.selfFundOrders = diff.selfFundOrders.after;
+        config.selfFundOrders = diff.selfFundOrders.after;
+    }
+    if (diff.lps) {
+        options.lps = diff.lps.after;
+        config.lps = diff.lps.after;
+        updateDataFetcherProviders(
+            config.dataFetcher,
+            await getDataFetcher(
+                config.viemClient as any as PublicClient,
+                config.lps,
+                config.publicRpc,
+            ),
+        );
+    }
+    if (diff.ownerProfile) {
+        const ownerLimits: Record<string, number> | undefined = diff.ownerProfile.after;
+        options.ownerProfile = ownerLimits;
+        orderbooksOwnersProfileMap.forEach((ownersProfileMap) => {
+            ownersProfileMap.forEach((ownerProfile, owner) => {
+                const limit = ownerLimits?.[owner.toLowerCase()];
+                if (typeof limit === "number") ownerProfile.limit = limit;
+            });
+        });
+        return await downscaleProtection(
+            orderbooksOwnersProfileMap,
+            config.viemClient as any as ViemClient,
+            ownerLimits,
+        );
+    }
+    return;
+}
+
+/**
+ * Updates the liquidity providers of the given data fetcher in place to the ones of the given
+ * data fetcher that is instantiated with the new liquidity providers, the providers that are
+ * kept are reused with their already fetched pools and only the added ones are taken from the
+ * new data fetcher, in which case the fetched pairs are cleared so their pools get fetched
+ * from the added providers as well
+ * @param dataFetcher - The data fetcher in use
+ * @param newDataFetcher - A data fetcher instantiated with the new liquidity providers
+ */
+export function updateDataFetcherProviders(
+    dataFetcher: BotDataFetcher,
+    newDataFetcher: BotDataFetcher,
+) {
+    const currentProviders = new Map();
+    for (const provider of dataFetcher.providers) {
+        currentProviders.set(provider.getType(), provider);
+    }
+    let added = false;
+    const providers = [];
+    for (const provider of newDataFetcher.providers) {
+        const current = currentProviders.get(provider.getType());
+        if (!current) added = true;
+        providers.push(current ?? provider);
+    }
+    dataFetcher.providers = providers;
+    if (added) dataFetcher.fetchedPairPools = [];
+}
+
+/**
+ * Watches the given config file for changes and SIGHUP signal, and calls the given
+ * callback on each of them, returns a function that stops watching
+ * @param path - The config file path
+ * @param onReload - The callback to call
+ * @param interval - (optional) The file polling interval in milliseconds, default is 5 seconds
+ */
+export function watchConfigFile(path: string, onReload: () => void, interval = 5000): () => void {
+    const onSignal = () => onReload();
+    const onChange = (curr: fs.Stats, prev: fs.Stats) => {
+        if (curr.mtimeMs !== prev.mtimeMs) onReload();
+    };
+    process.on("SIGHUP", onSignal);
+    fs.watchFile(path, { interval, persistent: false }, onChange);
+    return () => {
+        process.off("SIGHUP", onSignal);
+        fs.unwatchFile(path, onChange);
+    };
+}
+
+function toMultiplier(value: any, defaultValue: number, name: string): number {
+    if (value === undefined) return defaultValue;
+    if (typeof value === "string" && /^[0-9]+$/.test(value)) value = Number(value);
+    if (typeof value !== "number" || !Number.isInteger(value) || value <= 0) {
+        throw `invalid ${name} value, must be an integer greater than zero`;
+    }
+    return value;
+}
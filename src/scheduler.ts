@@ -0,0 +1,197 @@
+import { CliOptions } from "./types";
+import { onShutdown, ShutdownState } from "./shutdown";
+import { createPublicClient, PublicClient, webSocket } from "viem";
+
+/**
+ * Default maximum seconds between block driven rounds, a round is started after this
+ * much time even if the required blocks are not mined, ie the block stream has stalled
+ */
+export const DEFAULT_ROUND_MAX_INTERVAL = 60 as const;
+
+/**
+ * Polling interval in miliseconds of the new block heads when no websocket rpc is given
+ */
+export const BLOCK_POLLING_INTERVAL = 1_000 as const;
+
+/**
+ * Specifies the block driven round schedule options
+ */
+export type RoundSchedule = {
+    /** Number of new blocks that trigger a round */
+    blocks: number;
+    /** Minimum miliseconds between start of rounds */
+    minInterval: number;
+    /** Maximum miliseconds between start of rounds */
+    maxInterval: number;
+};
+
+/**
+ * Specifies the state of a block driven round scheduler, new block heads trigger a round
+ * every N blocks, triggers that arrive while a round is running are skipped
+ */
+export type RoundScheduler = RoundSchedule & {
+    /** Number of blocks since last trigger */
+    blockCount: number;
+    lastBlock?: bigint;
+    /** If a round is triggered and waiting to start */
+    triggered: boolean;
+    running: boolean;
+    /** Number of triggers skipped since last round start */
+    skipped: number;
+    lastRoundStart: number;
+    wake?: () => void;
+};
+
+/**
+ * Gets the block driven round schedule from the given options, returns undefined if
+ * rounds are not scheduled by blocks, ie they are spaced by fixed sleep
+ * @param options - The cli options
+ */
+export function getRoundSchedule(options: CliOptions): RoundSchedule | undefined {
+    const mode = options.schedule?.toLowerCase() ?? "time";
+    if (mode !== "time" && mode !== "block") {
+        throw "invalid --schedule, it should be either 'time' or 'block'";
+    }
+    if (mode === "time") return;
+
+    const parse = (value: any, name: string, defaultValue: number, min = 0) => {
+        if (value === undefined || value === null || value === "") return defaultValue;
+        if (!/^[0-9]+$/.test(value.toString()) || Number(value) < min) {
+            throw `invalid ${name}, it should be an integer greater than equal ${min}`;
+        }
+        return Number(value);
+    };
+    const blocks = parse(options.roundBlocks, "--round-blocks", 1, 1);
+    const minInterval = parse(options.roundMinInterval, "--round-min-interval", 0);
+    const maxInterval = parse(
+        options.roundMaxInterval,
+        "--round-max-interval",
+        DEFAULT_ROUND_MAX_INTERVAL,
+        1,
+    );
+    if (minInterval > maxInterval) {
+        throw "invalid --round-min-interval, it should not be greater than --round-max-interval";
+    }
+    return { blocks, minInterval: minInterval * 1000, maxInterval: maxInterval * 1000 };
+}
+
+/**
+ * Creates a new round scheduler for the given schedule
+ * @param schedule - The round schedule
+ */
+export function createRoundScheduler(schedule: RoundSchedule): RoundScheduler {
+    return {
+        ...schedule,
+        blockCount: 0,
+        triggered: false,
+        running: false,
+        skipped: 0,
+        lastRoundStart: Date.now(),
+    };
+}
+
+/**
+ * Handles a new block head, every N blocks triggers a round or skips the trigger if the
+ * previous round is still running, blocks missed between heads are counted as well
+ * @param scheduler - The round scheduler
+ * @param blockNumber - The new block number
+ */
+export function onNewBlock(scheduler: RoundScheduler, blockNumber: bigint) {
+    if (scheduler.lastBlock !== undefined && blockNumber <= scheduler.lastBlock) return;
+    scheduler.blockCount +=
+        scheduler.lastBlock === undefined ? 1 : Number(blockNumber - scheduler.lastBlock);
+    scheduler.lastBlock = blockNumber;
+    if (scheduler.blockCount < scheduler.blocks) return;
+
+    scheduler.blockCount = 0;
+    if (scheduler.running) {
+        scheduler.skipped++;
+    } else {
+        scheduler.triggered = true;
+        scheduler.wake?.();
+    }
+}
+
+/**
+ * Waits until the next round should start, ie it is triggered and the minimum interval
+ * has passed since last round start, or the maximum interval has passed, or shutdown
+ * is requested, whichever is sooner
+ * @param scheduler - The round scheduler
+ * @param shutdown - The shutdown state
+ */
+export async function waitForNextRound(scheduler: RoundScheduler, shutdown: ShutdownState) {
+    for (;;) {
+        if (shutdown.requested) return;
+        const elapsed = Date.now() - scheduler.lastRoundStart;
+        if (elapsed >= scheduler.maxInterval) return;
+        if (scheduler.triggered && elapsed >= scheduler.minInterval) return;
+
+        // sleep until the next deadline or a new trigger
+        const wait = scheduler.triggered
+            ? scheduler.minInterval - elapsed
+            : scheduler.maxInterval - elapsed;
+        let timeout: NodeJS.Timeout | undefined;
+        let removeListener: (() => void) | undefined;
+        await new Promise<void>((resolve) => {
+            timeout = setTimeout(resolve, wait);
+            scheduler.wake = resolve;
+            removeListener = onShutdown(shutdown, resolve);
+        }).finally(() => {
+            clearTimeout(timeout);
+            removeListener?.();
+            scheduler.wake = undefined;
+        });
+    }
+}
+
+/**
+ * Marks the start of a round, returns the number of triggers that were skipped since
+ * the previous round start
+ * @param scheduler - The round scheduler
+ */
+export function startRound(scheduler: RoundScheduler): number {
+    const skipped = scheduler.skipped;
+    scheduler.running = true;
+    scheduler.triggered = false;
+    scheduler.skipped = 0;
+    scheduler.blockCount = 0;
+    scheduler.lastRoundStart = Date.now();
+    return skipped;
+}
+
+/**
+ * Marks the end of a round
+ * @param scheduler - The round scheduler
+ */
+export function endRound(scheduler: RoundScheduler) {
+    scheduler.running = false;
+}
+
+/**
+ * Watches new block heads for the given round scheduler, through websocket subscription
+ * if a websocket rpc is given, otherwise by polling the given client, returns a function
+ * that stops watching
+ * @param scheduler - The round scheduler
+ * @param client - The viem client to poll new block heads with
+ * @param wsRpc - (optional) The websocket rpc url to subscribe to new block heads
+ * @param onError - (optional) Callback for block watching errors
+ */
+export function watchRoundBlocks(
+    scheduler: RoundScheduler,
+    client: PublicClient,
+    wsRpc?: string,
+    onError?: (error: Error) => void,
+): () => void {
+    const onBlockNumber = (blockNumber: bigint) => onNewBlock(scheduler, blockNumber);
+    if (wsRpc) {
+        return createPublicClient({
+            transport: webSocket(wsRpc, { keepAlive: true, reconnect: true }),
+        }).watchBlockNumber({ onBlockNumber, onError });
+    }
+    return client.watchBlockNumber({
+        poll: true,
+        pollingInterval: BLOCK_POLLING_INTERVAL,
+        onBlockNumber,
+        onError,
+    });
+}
@@ -0,0 +1,208 @@
+import { ethers } from "ethers";
+import {
+    Pair,
+    OrderStats,
+    OrderOutcome,
+    BundledOrders,
+    OrderStatsMap,
+    ProcessPairHaltReason,
+    ProcessPairReportStatus,
+} from "./types";
+
+/**
+ * Default percentage of owners' limited orders slots that are picked randomly rather than
+ * by score in each round, so orders without much history still get processed
+ */
+export const DEFAULT_EXPLORATION = 20 as const;
+
+/**
+ * Specifies the inputs of order scoring for a round
+ */
+export type OrderScoring = {
+    stats: OrderStatsMap;
+    /** Percentage of the limited orders slots that are picked randomly */
+    exploration: number;
+    /** Net profit that orders without profit history are scored with, see getDefaultOrderProfit */
+    defaultProfit?: number;
+};
+
+/**
+ * Gets the key of an order in the order stats map
+ * @param orderbook - The orderbook address
+ * @param orderHash - The order hash
+ */
+export function getOrderStatsKey(orderbook: string, orderHash: string): string {
+    return `${orderbook.toLowerCase()}:${orderHash.toLowerCase()}`;
+}
+
+/**
+ * Calculates the expected value score of an order from its history, which is the chance of
+ * finding an opportunity for it multiplied by the chance of that opportunity clearing, both
+ * smoothed so that orders without history get a neutral score, multiplied by the average
+ * realised net profit of its clears and adjusted by how far the last known market price was
+ * from the order's ratio
+ * @param stats - The order stats
+ * @param defaultProfit - The net profit of orders without profit history
+ */
+export function getOrderScore(stats?: OrderStats, defaultProfit = 1): number {
+    if (!stats) return 0.25 * defaultProfit;
+    const opportunityChance = (stats.opportunities + 1) / (stats.rounds + 2);
+    const clearChance = (stats.clears + 1) / (stats.opportunities + 2);
+    const profit = Math.max(stats.avgNetProfit ?? defaultProfit, 0);
+    const gapFactor =
+        stats.marketGap === undefined ? 1 : Math.min(Math.max(1 + stats.marketGap * 10, 0.1), 2);
+    return opportunityChance * clearChance * profit * gapFactor;
+}
+
+/**
+ * Gets the net profit that orders without profit history are scored with, which is the mean
+ * of the recorded orders' average net profit so they rank among the known ones, or 1 if no
+ * order has profit history yet
+ * @param stats - The order stats map
+ */
+export function getDefaultOrderProfit(stats: OrderStatsMap): number {
+    let total = 0;
+    let count = 0;
+    for (const orderStats of stats.values()) {
+        if (orderStats.avgNetProfit === undefined) continue;
+        total += Math.max(orderStats.avgNetProfit, 0);
+        count++;
+    }
+    return count ? total / count : 1;
+}
+
+/**
+ * Records the outcome of processing an order pair in the given order stats map, an
+ * opportunity is counted when a transaction was attempted or found, a clear is counted
+ * only for transactions that were actually mined successfully and its realised net
+ * profit, if known, is added to the order's running average net profit
+ * @param stats - The order stats map
+ * @param orderPairObject - The processed order pair
+ * @param outcome - The outcome of processing the order pair
+ */
+export function recordOrderStats(
+    stats: OrderStatsMap,
+    orderPairObject: BundledOrders,
+    outcome: OrderOutcome,
+) {
+    const takeOrder = orderPairObject.takeOrders[0];
+    if (!takeOrder) return;
+    const key = getOrderStatsKey(orderPairObject.orderbook, takeOrder.id);
+    const orderStats = stats.get(key) ?? { rounds: 0, opportunities: 0, clears: 0, reverts: 0 };
+    orderStats.rounds++;
+    if (outcome.status === ProcessPairReportStatus.FoundOpportunity) {
+        orderStats.opportunities++;
+        if (!outcome.simulated) {
+            orderStats.clears++;
+            if (outcome.netProfit) {
+                const samples = (orderStats.profitSamples ?? 0) + 1;
+                const netProfit = Number(ethers.utils.formatUnits(outcome.netProfit));
+                orderStats.avgNetProfit =
+                    ((orderStats.avgNetProfit ?? 0) * (samples - 1) + netProfit) / samples;
+                orderStats.profitSamples = samples;
+            }
+        }
+    } else if (
+        outcome.reason === ProcessPairHaltReason.TxReverted ||
+        outcome.reason === ProcessPairHaltReason.TxMineFailed ||
+        outcome.reason === ProcessPairHaltReason.TxFailed
+    ) {
+        orderStats.opportunities++;
+        orderStats.reverts++;
+    }
+
+    // gap of market price to the order's ratio, both are in buy token per sell token
+    const marketPrice = outcome.spanAttributes?.["details.marketQuote.num"];
+    if (typeof marketPrice === "number" && takeOrder.quote) {
+        const ratio = Number(ethers.utils.formatUnits(takeOrder.quote.ratio));
+        orderStats.marketGap = ratio > 0 ? marketPrice / ratio - 1 : 1;
+    }
+    stats.set(key, orderStats);
+}
+
+/**
+ * Picks up to the given limit of pairs, most of the slots are filled with the highest
+ * scored pairs and the exploration percentage of slots, at least 1 if exploration is
+ * enabled, are filled randomly from the rest, pairs with the same score are ranked
+ * randomly so the cold ones take turns
+ * @param pairs - The pairs to pick from
+ * @param limit - The number of pairs to pick
+ * @param orderbook - The orderbook address of the pairs
+ * @param scoring - The order scoring inputs
+ */
+export function pickScoredPairs(
+    pairs: Pair[],
+    limit: number,
+    orderbook: string,
+    scoring: OrderScoring,
+): Pair[] {
+    if (pairs.length <= limit) return [...pairs];
+    const ranked = pairs
+        .map((pair) => ({
+            pair,
+            score: getOrderScore(
+                scoring.stats.get(getOrderStatsKey(orderbook, pair.takeOrder.id)),
+                scoring.defaultProfit,
+            ),
+            tieBreaker: Math.random(),
+        }))
+        .sort((a, b) => b.score - a.score || a.tieBreaker - b.tieBreaker)
+        .map((v) => v.pair);
+    const exploreCount =
+        scoring.exploration > 0 ? Math.max(1, Math.round((limit * scoring.exploration) / 100)) : 0;
+    const exploitCount = limit - exploreCount;
+    const picked = ranked.splice(0, exploitCount);
+    while (picked.length < limit) {
+        picked.push(...ranked.splice(Math.floor(Math.random() * ranked.length), 1));
+    }
+    return picked;
+}
+
+/**
+ * Gets the score of the given bundled orders, which is the score of its best order
+ * @param bundledOrders - The bundled orders
+ * @param scoring - The order scoring inputs
+ */
+export function getBundledOrdersScore(bundledOrders: BundledOrders, scoring: OrderScoring): number {
+    return bundledOrders.takeOrders.reduce(
+        (best, v) =>
+            Math.max(
+                best,
+                getOrderScore(
+                    scoring.stats.get(getOrderStatsKey(bundledOrders.orderbook, v.id)),
+                    scoring.defaultProfit,
+                ),
+            ),
+        0,
+    );
+}
+
+/**
+ * Sorts the given bundled orders and their take orders by their score in descending order
+ * @param bundledOrders - The bundled orders of an orderbook
+ * @param scoring - The order scoring inputs
+ */
+export function sortByScore(bundledOrders: BundledOrders[], scoring: OrderScoring) {
+    const score = (orderbook: string, orderHash: string) =>
+        getOrderScore(
+            scoring.stats.get(getOrderStatsKey(orderbook, orderHash)),
+            scoring.defaultProfit,
+        );
+    for (const pair of bundledOrders) {
+        pair.takeOrders.sort((a, b) => score(pair.orderbook, b.id) - score(pair.orderbook, a.id));
+    }
+    bundledOrders.sort(
+        (a, b) => getBundledOrdersScore(b, scoring) - getBundledOrdersScore(a, scoring),
+    );
+}
+
+/**
+ * Removes the stats of the orders that are not in the given set of order stats keys anymore
+ * @param stats - The order stats map
+ * @param keys - The keys of the orders that are still being tracked
+ */
+export function pruneOrderStats(stats: OrderStatsMap, keys: Set<string>) {
+    for (const key of stats.keys()) {
+        if (!keys.has(key)) stats.delete(key);
+    }
+}
@@ -0,0 +1,73 @@
+import fs from "fs";
+import { ethers } from "ethers";
+import { CliOptions } from "./types";
+
+/**
+ * Reads a secret value from the given file, ie a docker secret file, the
+ * trailing whitespaces and newlines of the file content are trimmed
+ * @param filePath - The secret file path
+ * @param name - The name of the secret used in the error message
+ */
+export function readSecretFile(filePath: string, name: string): string {
+    let value: string;
+    try {
+        value = fs.readFileSync(filePath, { encoding: "utf-8" }).trim();
+    } catch {
+        throw `failed to read ${name} file: ${filePath}`;
+    }
+    if (!value) throw `${name} file is empty: ${filePath}`;
+    return value;
+}
+
+/**
+ * Decrypts the given Web3 Secret Storage keystore JSON with the given password
+ * and returns the private key of the wallet
+ * @param keystore - The keystore JSON content
+ * @param password - The keystore password
+ */
+export async function decryptKeystore(keystore: string, password: string): Promise<string> {
+    try {
+        const wallet = await ethers.Wallet.fromEncryptedJson(keystore, password);
+        return wallet.privateKey;
+    } catch {
+        throw "failed to decrypt keystore, invalid keystore file or password";
+    }
+}
+
+/**
+ * Resolves the wallet credentials of the given options in place, ie reads the private key
+ * or mnemonic from their secret files and decrypts the keystore with its password, so only
+ * one of "key" or "mnemonic" remains set, secret files and keystore password are removed
+ * from the options once resolved
+ * @param options - The cli options
+ */
+export async function resolveWalletSecrets(options: CliOptions) {
+    const keySources = [options.key, options.keyFile, options.keystore].filter((v) => !!v);
+    if (keySources.length > 1) {
+        throw "only one of key, key file or keystore should be specified";
+    }
+    if (options.mnemonic && options.mnemonicFile) {
+        throw "only one of mnemonic or mnemonic file should be specified";
+    }
+    if (options.keyFile) {
+        options.key = readSecretFile(options.keyFile, "private key");
+    }
+    if (options.mnemonicFile) {
+        options.mnemonic = readSecretFile(options.mnemonicFile, "mnemonic");
+    }
+    if (options.keystore) {
+        let password = options.keystorePassword;
+        if (!password) {
+            if (!options.keystorePasswordFile) {
+                throw "undefined keystore password, use --keystore-password-file to specify it";
+            }
+            password = readSecretFile(options.keystorePasswordFile, "keystore password");
+        }
+        options.key = await decryptKeystore(readSecretFile(options.keystore, "keystore"), password);
+    }
+    delete options.keyFile;
+    delete options.mnemonicFile;
+    delete options.keystore;
+    delete options.keystorePassword;
+    delete options.keystorePasswordFile;
+}
@@ -1,20 +1,26 @@
 import axios from "axios";
 import { ErrorSeverity } from "./error";
 import { Span } from "@opentelemetry/api";
-import { orderbooksQuery } from "./query";
+import { orderbooksQuery, SgOrder } from "./query";
 
 /**
  * Checks a subgraph health status and records the result in an object or throws
- * error if all given subgraphs are unhealthy
+ * error if all given subgraphs are unhealthy, also returns the latest indexed block
+ * number of each healthy subgraph
  */
 export function checkSgStatus(
     validSgs: string[],
     statusResult: PromiseSettledResult<any>[],
     span?: Span,
     hasjson = false,
-): { availableSgs: string[]; reasons: Record<string, string> } {
+): {
+    availableSgs: string[];
+    reasons: Record<string, string>;
+    blockNumbers: Record<string, number>;
+} {
     const availableSgs: string[] = [];
     const reasons: Record<string, any> = {};
+    const blockNumbers: Record<string, number> = {};
     let highSeverity = false;
     for (let i = 0; i < statusResult.length; i++) {
         const res = statusResult[i];
@@ -24,7 +30,12 @@ export function checkSgStatus(
                 if (sgStatus.hasIndexingErrors) {
                     highSeverity = true;
                     reasons[validSgs[i]] = "subgraph has indexing error";
-                } else availableSgs.push(validSgs[i]);
+                } else {
+                    availableSgs.push(validSgs[i]);
+                    if (sgStatus.block?.number !== undefined) {
+                        blockNumbers[validSgs[i]] = Number(sgStatus.block.number);
+                    }
+                }
             } else {
                 reasons[validSgs[i]] = "did not receive valid status response";
             }
@@ -73,7 +84,7 @@ export function checkSgStatus(
         throw msg.join("\n");
     }
 
-    return { availableSgs, reasons };
+    return { availableSgs, reasons, blockNumbers };
 }
 
 /**
@@ -107,6 +118,94 @@ export function handleSgResults(
     return ordersDetails;
 }
 
+/**
+ * Handles the result of querying multiple subgraphs by cross validating them instead of
+ * unioning them, the order sets are compared per orderbook between the subgraphs that
+ * index that orderbook, orders that all of them agree on are returned as resolved and
+ * the rest are returned as disputed, order details are taken from the most up to date
+ * subgraph (highest indexed block number) and a disputed order is marked as preferred if
+ * the most up to date subgraph of its orderbook reports it. Disagreements are recorded
+ * in span attributes, throws if all given subgraphs error, same as handleSgResults().
+ * A subgraph indexes the orderbooks it is known to index through sgsOrderbooks, so a stale
+ * subgraph that returns no orders for them is still counted, as well as the orderbooks of
+ * the orders it returns.
+ */
+export function reconcileSgResults(
+    availableSgs: string[],
+    responses: PromiseSettledResult<any>[],
+    blockNumbers: Record<string, number>,
+    span?: Span,
+    hasjson = false,
+    sgsOrderbooks: Record<string, string[]> = {},
+): { orders: SgOrder[]; disputed: { order: SgOrder; preferred: boolean }[] } {
+    const reasons: Record<string, any> = {};
+    const sgsOrders: { sg: string; orders: Map<string, SgOrder> }[] = [];
+    for (let i = 0; i < responses.length; i++) {
+        const res = responses[i];
+        if (res.status === "fulfilled" && res?.value) {
+            const orders: Map<string, SgOrder> = new Map();
+            (res.value as SgOrder[]).forEach((v) =>
+                orders.set(`${v.orderbook.id.toLowerCase()}-${v.orderHash.toLowerCase()}`, v),
+            );
+            sgsOrders.push({ sg: availableSgs[i], orders });
+        } else if (res.status === "rejected") {
+            reasons[availableSgs[i]] = res.reason;
+        }
+    }
+    if (Object.keys(reasons).length) {
+        span?.setAttribute("severity", ErrorSeverity.LOW);
+        span?.setAttribute("details.sgSourcesErrors", JSON.stringify(reasons));
+    }
+    if (!hasjson && Object.keys(reasons).length === responses.length)
+        throw "could not get order details from given sgs";
+
+    // most up to date subgraphs first
+    sgsOrders.sort((a, b) => (blockNumbers[b.sg] ?? 0) - (blockNumbers[a.sg] ?? 0));
+
+    // subgraphs that index each orderbook
+    const orderbooksSgs: Map<string, string[]> = new Map();
+    for (const { sg, orders } of sgsOrders) {
+        const orderbooks = (sgsOrderbooks[sg] ?? []).map((v) => v.toLowerCase());
+        for (const [, order] of orders) orderbooks.push(order.orderbook.id.toLowerCase());
+        for (const orderbook of orderbooks) {
+            const sgs = orderbooksSgs.get(orderbook);
+            if (!sgs) orderbooksSgs.set(orderbook, [sg]);
+            else if (!sgs.includes(sg)) sgs.push(sg);
+        }
+    }
+
+    const orders: SgOrder[] = [];
+    const disputed: { order: SgOrder; preferred: boolean }[] = [];
+    const disagreements: Record<string, Record<string, any>> = {};
+    const seen: Set<string> = new Set();
+    for (const { orders: sgOrders } of sgsOrders) {
+        for (const [key, order] of sgOrders) {
+            if (seen.has(key)) continue;
+            seen.add(key);
+            const orderbook = order.orderbook.id.toLowerCase();
+            const sgs = orderbooksSgs.get(orderbook)!;
+            const reportedBy = sgs.filter((sg) =>
+                sgsOrders.find((v) => v.sg === sg)?.orders.has(key),
+            );
+            if (reportedBy.length === sgs.length) {
+                orders.push(order);
+            } else {
+                disputed.push({ order, preferred: reportedBy.includes(sgs[0]) });
+                if (!disagreements[orderbook]) disagreements[orderbook] = {};
+                disagreements[orderbook][order.orderHash.toLowerCase()] = {
+                    reportedBy,
+                    missingFrom: sgs.filter((v) => !reportedBy.includes(v)),
+                };
+            }
+        }
+    }
+    if (Object.keys(disagreements).length) {
+        span?.setAttribute("details.sgsBlockNumbers", JSON.stringify(blockNumbers));
+        span?.setAttribute("details.sgsDisagreements", JSON.stringify(disagreements));
+    }
+    return { orders, disputed };
+}
+
 /**
  * Returns the orderbook addresses the given subgraph indexes
  */
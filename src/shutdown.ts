@@ -0,0 +1,90 @@
+/**
+ * Default deadline in seconds for the bot to shutdown gracefully
+ */
+export const DEFAULT_SHUTDOWN_TIMEOUT = 60 as const;
+
+/**
+ * Specifies the shutdown state of the bot process, it is shared by all of the chains
+ * round loops, once requested no new round is started and no new pair is processed
+ */
+export type ShutdownState = {
+    requested: boolean;
+    signal?: string;
+    listeners: (() => void)[];
+};
+
+/**
+ * Creates a new shutdown state that is not requested
+ */
+export function createShutdownState(): ShutdownState {
+    return { requested: false, listeners: [] };
+}
+
+/**
+ * Requests shutdown and notifies the listeners, ie wakes up the sleeping round loops
+ * and starts the deadline, subsequent requests are ignored
+ * @param shutdown - The shutdown state
+ * @param signal - (optional) The signal that requested the shutdown
+ */
+export function requestShutdown(shutdown: ShutdownState, signal?: string) {
+    if (shutdown.requested) return;
+    shutdown.requested = true;
+    shutdown.signal = signal;
+    shutdown.listeners.splice(0).forEach((listener) => listener());
+}
+
+/**
+ * Calls the given callback on shutdown request, or immediately if it is already requested,
+ * returns a function that removes the callback
+ * @param shutdown - The shutdown state
+ * @param listener - The callback
+ */
+export function onShutdown(shutdown: ShutdownState, listener: () => void): () => void {
+    if (shutdown.requested) listener();
+    else shutdown.listeners.push(listener);
+    return () => {
+        const index = shutdown.listeners.indexOf(listener);
+        if (index > -1) shutdown.listeners.splice(index, 1);
+    };
+}
+
+/**
+ * Waits for provided miliseconds or until shutdown is requested, whichever is sooner
+ * @param shutdown - The shutdown state
+ * @param ms - Miliseconds to wait
+ */
+export async function shutdownSleep(shutdown: ShutdownState, ms: number) {
+    let timeout: NodeJS.Timeout | undefined;
+    let removeListener: (() => void) | undefined;
+    return new Promise<void>((resolve) => {
+        timeout = setTimeout(resolve, ms);
+        removeListener = onShutdown(shutdown, resolve);
+    }).finally(() => {
+        clearTimeout(timeout);
+        removeListener?.();
+    });
+}
+
+/**
+ * Resolves after the given deadline has passed since shutdown was requested
+ * @param shutdown - The shutdown state
+ * @param ms - The deadline in miliseconds
+ */
+export function shutdownDeadline(shutdown: ShutdownState, ms: number): Promise<void> {
+    return new Promise((resolve) => onShutdown(shutdown, () => setTimeout(resolve, ms).unref()));
+}
+
+/**
+ * Listens to the given process signals to request shutdown, returns a function that
+ * stops listening
+ * @param shutdown - The shutdown state
+ * @param signals - (optional) The signals to listen to, default is SIGTERM and SIGINT
+ */
+export function handleShutdownSignals(
+    shutdown: ShutdownState,
+    signals: NodeJS.Signals[] = ["SIGTERM", "SIGINT"],
+): () => void {
+    const handler = (signal: NodeJS.Signals) => requestShutdown(shutdown, signal);
+    signals.forEach((v) => process.on(v, handler));
+    return () => signals.forEach((v) => process.off(v, handler));
+}
@@ -0,0 +1,292 @@
+import axios from "axios";
+import { errorSnapshot } from "./error";
+import { isStrategyRuleMatch, parseRuleSelectors } from "./strategy";
+import { isHex, isAddress, hexToBytes, bytesToBigInt } from "viem";
+import { BotConfig, BundledOrders, SignedContextV1, SignedContextProvider } from "./types";
+
+/**
+ * Magic number of a rain meta document, which prefixes its cbor encoded meta items
+ */
+export const RAIN_META_DOCUMENT_MAGIC = 0xff0a89c674ee7874n as const;
+
+/**
+ * Magic number of the rain meta item whose payload is the url of an order's signed context oracle
+ */
+export const SIGNED_CONTEXT_ORACLE_MAGIC = 0xff7a1507ba4419can as const;
+
+/**
+ * Timeout in miliseconds of fetching a signed context from its provider
+ */
+export const SIGNED_CONTEXT_TIMEOUT = 5_000 as const;
+
+/**
+ * Parses and validates the given signed context providers, ie the ones read from the config file
+ * @param providers - The signed context providers
+ */
+export function parseSignedContextProviders(providers: any): SignedContextProvider[] | undefined {
+    if (providers === undefined || providers === null) return undefined;
+    if (!Array.isArray(providers)) {
+        throw "invalid signed context providers, expected a list of providers";
+    }
+    return providers.map((provider, i) => {
+        const invalid = (reason: string) =>
+            `invalid signed context provider at index ${i}, ${reason}`;
+        const parsed = parseRuleSelectors(provider, invalid);
+        if (typeof provider.url !== "string" || !isHttpUrl(provider.url)) {
+            throw invalid("invalid url, expected a http or https url");
+        }
+        return { url: provider.url, ...parsed };
+    });
+}
+
+/**
+ * Gets the signed context oracle url declared in the given order meta, undefined if the meta
+ * doesn't declare any or is not a valid rain meta
+ * @param meta - The order's rain meta bytes
+ */
+export function getOrderSignedContextUrl(meta?: string | null): string | undefined {
+    if (!meta || !isHex(meta)) return undefined;
+    try {
+        let bytes = hexToBytes(meta);
+        if (bytes.length >= 8 && bytesToBigInt(bytes.slice(0, 8)) === RAIN_META_DOCUMENT_MAGIC) {
+            bytes = bytes.slice(8);
+        }
+        let offset = 0;
+        while (offset < bytes.length) {
+            const item = decodeCborItem(bytes, offset);
+            offset = item.offset;
+            if (item.value instanceof Map && item.value.get(1) === SIGNED_CONTEXT_ORACLE_MAGIC) {
+                const payload = item.value.get(0);
+                const url =
+                    payload instanceof Uint8Array ? new TextDecoder().decode(payload) : payload;
+                if (typeof url === "string" && isHttpUrl(url)) return url;
+            }
+        }
+    } catch {
+        /**/
+    }
+    return undefined;
+}
+
+/**
+ * Gets the signed context provider url of the given order pair's take order, the configured
+ * providers take precedence over the one declared in the order's meta, and of those the later
+ * matching ones take precedence, the declared one is only known for the orders read from subgraph
+ * as the other orders sources don't carry the orders meta
+ * @param config - The bot config
+ * @param orderPairObject - The order pair
+ */
+export function getSignedContextUrl(
+    config: BotConfig,
+    orderPairObject: BundledOrders,
+): string | undefined {
+    const provider = config.signedContextProviders
+        ?.filter((v) => isStrategyRuleMatch(v, orderPairObject))
+        .pop();
+    return provider?.url ?? orderPairObject.takeOrders[0]?.signedContextUrl;
+}
+
+/**
+ * Parses and validates the given signed context provider response, which is either a
+ * SignedContextV1 or a list of them
+ * @param data - The response data
+ */
+export function parseSignedContextResponse(data: any): SignedContextV1[] {
+    const items = Array.isArray(data) ? data : [data];
+    return items.map((item, i) => {
+        const invalid = (reason: string) => `invalid signed context at index ${i}, ${reason}`;
+        if (typeof item !== "object" || item === null) throw invalid("expected an object");
+        if (typeof item.signer !== "string" || !isAddress(item.signer, { strict: false })) {
+            throw invalid("invalid signer address");
+        }
+        if (!Array.isArray(item.context)) throw invalid("expected context to be a list");
+        const context = item.context.map((v: any) => {
+            let value: bigint | undefined;
+            try {
+                if (typeof v === "string" || typeof v === "number") value = BigInt(v);
+            } catch {
+                /**/
+            }
+            if (value === undefined || value < 0n || value >= 2n ** 256n) {
+                throw invalid("invalid context value, expected uint256 values");
+            }
+            return value.toString();
+        });
+        if (typeof item.signature !== "string" || !isHex(item.signature, { strict: true })) {
+            throw invalid("invalid signature, expected hex bytes");
+        }
+        return { signer: item.signer.toLowerCase(), context, signature: item.signature };
+    });
+}
+
+/**
+ * Fetches the signed context of an order from the given provider url by posting the given
+ * request as json
+ * @param url - The signed context provider url
+ * @param request - The request body
+ * @param timeout - (optional) Timeout in miliseconds
+ */
+export async function fetchSignedContext(
+    url: string,
+    request: Record<string, any>,
+    timeout: number = SIGNED_CONTEXT_TIMEOUT,
+): Promise<SignedContextV1[]> {
+    const res = await axios.post(url, request, {
+        headers: { "Content-Type": "application/json" },
+        timeout,
+    });
+    return parseSignedContextResponse(res.data);
+}
+
+/**
+ * Fetches and attaches the signed context of the take orders of the given bundled orders that
+ * have a signed context provider, the fetched signed contexts are cached for the block they are
+ * fetched at so each is fetched at most once per block, the take orders whose signed context
+ * fails to be fetched get an empty one, returns the errors of those keyed by their order hash,
+ * or undefined if none of the take orders have a signed context provider
+ * @param config - The bot config
+ * @param bundledOrders - The orderbooks bundled orders
+ * @param blockNumber - (optional) The block number, current block number is used if not given
+ */
+export async function attachSignedContexts(
+    config: BotConfig,
+    bundledOrders: BundledOrders[][],
+    blockNumber?: bigint,
+): Promise<Record<string, string> | undefined> {
+    const targets: { url: string; orderPairObject: BundledOrders }[] = [];
+    for (const orderbookOrders of bundledOrders) {
+        for (const pairOrders of orderbookOrders) {
+            for (const takeOrder of pairOrders.takeOrders) {
+                const orderPairObject = { ...pairOrders, takeOrders: [takeOrder] };
+                const url = getSignedContextUrl(config, orderPairObject);
+                if (url) targets.push({ url, orderPairObject });
+            }
+        }
+    }
+    if (!targets.length) return undefined;
+
+    const block = blockNumber ?? (await config.viemClient.getBlockNumber());
+    if (!config.signedContextCache) config.signedContextCache = new Map();
+    const cache = config.signedContextCache;
+    for (const [key, entry] of cache) {
+        if (entry.blockNumber !== block) cache.delete(key);
+    }
+
+    // same take orders are only fetched once
+    const pending: Map<string, Promise<SignedContextV1[]>> = new Map();
+    const errors: Record<string, string> = {};
+    await Promise.all(
+        targets.map(async ({ url, orderPairObject }) => {
+            const takeOrder = orderPairObject.takeOrders[0];
+            const request = {
+                chainId: config.chain.id,
+                orderbook: orderPairObject.orderbook.toLowerCase(),
+                orderHash: takeOrder.id.toLowerCase(),
+                owner: takeOrder.takeOrder.order.owner.toLowerCase(),
+                inputIOIndex: takeOrder.takeOrder.inputIOIndex,
+                outputIOIndex: takeOrder.takeOrder.outputIOIndex,
+                blockNumber: block.toString(),
+            };
+            const key = [
+                url,
+                request.orderbook,
+                request.orderHash,
+                request.inputIOIndex,
+                request.outputIOIndex,
+            ].join(":");
+            const cached = cache.get(key);
+            if (cached) {
+                takeOrder.takeOrder.signedContext = cached.signedContext;
+                return;
+            }
+            let promise = pending.get(key);
+            if (!promise) {
+                promise = fetchSignedContext(url, request);
+                pending.set(key, promise);
+            }
+            try {
+                const signedContext = await promise;
+                cache.set(key, { blockNumber: block, signedContext });
+                takeOrder.takeOrder.signedContext = signedContext;
+            } catch (e) {
+                takeOrder.takeOrder.signedContext = [];
+                errors[takeOrder.id] = errorSnapshot(
+                    `failed to fetch signed context from ${url}`,
+                    e,
+                );
+            }
+        }),
+    );
+    return errors;
+}
+
+/**
+ * Checks if the given string is a http or https url
+ */
+function isHttpUrl(value: string): boolean {
+    try {
+        const url = new URL(value);
+        return url.protocol === "http:" || url.protocol === "https:";
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Decodes the cbor item at the given offset of the given bytes, supports the definite length
+ * items that rain meta is encoded with, returns the decoded value and the offset after it
+ */
+function decodeCborItem(bytes: Uint8Array, offset: number): { value: any; offset: number } {
+    if (offset >= bytes.length) throw "malformed cbor";
+    const major = bytes[offset] >> 5;
+    const info = bytes[offset] & 0x1f;
+    offset++;
+    let arg = BigInt(info);
+    if (info >= 24 && info <= 27) {
+        const size = 2 ** (info - 24);
+        if (offset + size > bytes.length) throw "malformed cbor";
+        arg = bytesToBigInt(bytes.slice(offset, offset + size));
+        offset += size;
+    } else if (info > 27) {
+        throw "unsupported cbor item";
+    }
+    switch (major) {
+        case 0:
+            return { value: arg, offset };
+        case 1:
+            return { value: -1n - arg, offset };
+        case 2:
+        case 3: {
+            const end = offset + Number(arg);
+            if (end > bytes.length) throw "malformed cbor";
+            const data = bytes.slice(offset, end);
+            return { value: major === 2 ? data : new TextDecoder().decode(data), offset: end };
+        }
+        case 4: {
+            const value: any[] = [];
+            for (let i = 0; i < Number(arg); i++) {
+                const item = decodeCborItem(bytes, offset);
+                value.push(item.value);
+                offset = item.offset;
+            }
+            return { value, offset };
+        }
+        case 5: {
+            const value = new Map<any, any>();
+            for (let i = 0; i < Number(arg); i++) {
+                const key = decodeCborItem(bytes, offset);
+                const item = decodeCborItem(bytes, key.offset);
+                value.set(
+                    typeof key.value === "bigint" ? Number(key.value) : key.value,
+                    item.value,
+                );
+                offset = item.offset;
+            }
+            return { value, offset };
+        }
+        case 6:
+            return decodeCborItem(bytes, offset);
+        default:
+            return { value: arg, offset };
+    }
+}
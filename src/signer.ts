@@ -0,0 +1,89 @@
+import { toAccount } from "viem/accounts";
+import {
+    http,
+    toHex,
+    numberToHex,
+    createClient,
+    LocalAccount,
+    formatTransactionRequest,
+    TransactionSerializable,
+} from "viem";
+
+/**
+ * Sends a JSON-RPC request to the given remote signer, ie web3signer or clef
+ * @param url - The remote signer url
+ * @param method - The JSON-RPC method
+ * @param params - The JSON-RPC method params
+ */
+export async function remoteSignerRequest(url: string, method: string, params: any[] = []) {
+    const client = createClient({ transport: http(url, { retryCount: 1 }) });
+    return (await client.request({ method, params } as any)) as any;
+}
+
+/**
+ * Gets the addresses of the accounts that are available in the given remote signer
+ * @param url - The remote signer url
+ */
+export async function getRemoteSignerAddresses(url: string): Promise<`0x${string}`[]> {
+    const addresses = await remoteSignerRequest(url, "eth_accounts");
+    if (!Array.isArray(addresses)) throw "invalid eth_accounts response from remote signer";
+    return addresses;
+}
+
+/**
+ * Creates a viem account for the given address that delegates all of its signings to
+ * the given remote signer, so the wallet private key is never on the bot host, viem
+ * wallet clients with this account sign the txs remotely and broadcast them as raw txs
+ * @param url - The remote signer url
+ * @param address - The account address
+ */
+export function toRemoteSignerAccount(url: string, address: `0x${string}`): LocalAccount {
+    return toAccount({
+        address,
+        async signMessage({ message }) {
+            const data =
+                typeof message === "string"
+                    ? toHex(message)
+                    : typeof message.raw === "string"
+                      ? message.raw
+                      : toHex(message.raw);
+            return await remoteSignerRequest(url, "eth_sign", [address, data]);
+        },
+        async signTransaction(transaction) {
+            const tx = transaction as TransactionSerializable;
+            const result = await remoteSignerRequest(url, "eth_signTransaction", [
+                {
+                    ...formatTransactionRequest({ ...(tx as any), from: address }),
+                    ...(tx.chainId !== undefined ? { chainId: numberToHex(tx.chainId) } : {}),
+                },
+            ]);
+            // clef returns the signed tx along with its raw bytes
+            return typeof result === "string" ? (result as `0x${string}`) : result?.raw;
+        },
+        async signTypedData(typedData) {
+            return await remoteSignerRequest(url, "eth_signTypedData", [
+                address,
+                JSON.stringify(typedData, (_, v) => (typeof v === "bigint" ? v.toString() : v)),
+            ]);
+        },
+    });
+}
+
+/**
+ * Gets the remote signer account at the given index of the remote signer's available
+ * accounts, the same way as a mnemonic derived account is taken at its derivation index
+ * @param url - The remote signer url
+ * @param addressIndex - The account index
+ * @param addresses - (optional) Already read remote signer addresses, avoids reading them again
+ */
+export async function getRemoteSignerAccount(
+    url: string,
+    addressIndex: number,
+    addresses?: `0x${string}`[],
+): Promise<LocalAccount> {
+    addresses = addresses ?? (await getRemoteSignerAddresses(url));
+    if (!addresses[addressIndex]) {
+        throw `remote signer has no account at index ${addressIndex}, available accounts: ${addresses.length}`;
+    }
+    return toRemoteSignerAccount(url, addresses[addressIndex]);
+}
@@ -0,0 +1,86 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { Report, SimulatedTx } from "./types";
+
+/**
+ * Default path of the simulation mode NDJSON file
+ */
+export const DEFAULT_SIMULATE_FILE = "./simulation.ndjson";
+
+/**
+ * Specifies a found opportunity record of a round in simulation mode
+ */
+export type SimulationOpportunity = {
+    type: "opportunity";
+    round?: number;
+    timestamp: number;
+    pair: string;
+} & SimulatedTx;
+
+/**
+ * Specifies the summary record of a round in simulation mode
+ */
+export type SimulationSummary = {
+    type: "summary";
+    round?: number;
+    timestamp: number;
+    orders: number;
+    opportunities: number;
+    estimatedProfit: string;
+    modes: Record<string, number>;
+};
+
+/**
+ * Gets the simulation records of a round from its reports, ie one record per found
+ * opportunity followed by the round summary
+ * @param reports - The round reports
+ * @param round - (optional) The round number
+ * @param timestamp - (optional) The round timestamp, default is now
+ */
+export function getSimulationRecords(
+    reports: Report[],
+    round?: number,
+    timestamp = Date.now(),
+): { opportunities: SimulationOpportunity[]; summary: SimulationSummary } {
+    const opportunities: SimulationOpportunity[] = [];
+    const modes: Record<string, number> = {};
+    let estimatedProfit = ethers.constants.Zero;
+    for (const report of reports) {
+        if (!report.simulation) continue;
+        opportunities.push({
+            type: "opportunity",
+            round,
+            timestamp,
+            pair: report.tokenPair,
+            ...report.simulation,
+        });
+        modes[report.simulation.mode] = (modes[report.simulation.mode] ?? 0) + 1;
+        estimatedProfit = estimatedProfit.add(
+            ethers.utils.parseUnits(report.simulation.estimatedProfit),
+        );
+    }
+    return {
+        opportunities,
+        summary: {
+            type: "summary",
+            round,
+            timestamp,
+            orders: reports.length,
+            opportunities: opportunities.length,
+            estimatedProfit: ethers.utils.formatUnits(estimatedProfit),
+            modes,
+        },
+    };
+}
+
+/**
+ * Appends the given records to the given NDJSON file, one JSON record per line
+ * @param filePath - The NDJSON file path
+ * @param records - The records to append
+ */
+export function writeSimulationRecords(filePath: string, records: any[]) {
+    if (!records.length) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, records.map((v) => JSON.stringify(v) + "\n").join(""));
+}
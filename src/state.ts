@@ -0,0 +1,176 @@
+import fs from "fs";
+import path from "path";
+import { SgOrder, SgTxCursor } from "./query";
+import { normalizeOrder } from "./ordersFile";
+import { OnchainOrdersSource, toSgOrder } from "./onchain";
+import {
+    Order,
+    SgFilter,
+    CliOptions,
+    ViemClient,
+    TokenDetails,
+    OrderbooksOwnersProfileMap,
+} from "./types";
+
+/**
+ * The current version of the state file, state files with a different
+ * version are ignored
+ */
+export const STATE_VERSION = 2 as const;
+
+/**
+ * Specifies the bot state that is persisted across restarts, ie the order changes
+ * sync cursor, the known orders and the tokens cache
+ */
+export type BotState = {
+    version: number;
+    sourceKey: string;
+    lastReadOrdersTimestamp: number;
+    lastReadOrdersMap: { sg: string; cursor: SgTxCursor }[];
+    onchainLastReadBlock?: string;
+    orders: { orderbook: string; orderHash: string; order: Order }[];
+    tokens: TokenDetails[];
+};
+
+/**
+ * Builds a key from the options that determine which orders are read, a persisted
+ * state is only valid for the same key, so changing the orders sources or filters
+ * results in a cold start
+ * @param options - The cli options
+ * @param filter - (optional) The orders filters
+ */
+export function getStateSourceKey(options: CliOptions, filter?: SgFilter): string {
+    return JSON.stringify({
+        subgraph: [...(options.subgraph ?? [])].sort(),
+        onchainOrderbook: (options.onchainOrderbook ?? []).map((v) => v.toLowerCase()).sort(),
+        filter: filter ?? {},
+    });
+}
+
+/**
+ * Reads the persisted state from the given path, returns undefined if the file
+ * doesn't exist, is invalid or belongs to a different version or orders sources
+ * @param statePath - The state file path
+ * @param sourceKey - The current orders sources key
+ */
+export function readState(statePath: string, sourceKey: string): BotState | undefined {
+    try {
+        if (!fs.existsSync(statePath)) return;
+        const state = JSON.parse(fs.readFileSync(statePath, { encoding: "utf8" }));
+        if (
+            state?.version !== STATE_VERSION ||
+            state?.sourceKey !== sourceKey ||
+            typeof state?.lastReadOrdersTimestamp !== "number" ||
+            !Array.isArray(state?.lastReadOrdersMap) ||
+            !Array.isArray(state?.orders) ||
+            !Array.isArray(state?.tokens)
+        ) {
+            return;
+        }
+        return state;
+    } catch {
+        return;
+    }
+}
+
+/**
+ * Writes the given state to the given path, the file is first written to a
+ * temp file and then renamed so a crash mid write doesn't corrupt the state
+ * @param statePath - The state file path
+ * @param state - The bot state
+ */
+export function writeState(statePath: string, state: BotState) {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    const tempPath = statePath + ".tmp";
+    fs.writeFileSync(tempPath, JSON.stringify(state));
+    fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * Builds the bot state from the current orders and sync cursors
+ * @param sourceKey - The orders sources key
+ * @param lastReadOrdersTimestamp - The subgraphs order changes start timestamp
+ * @param lastReadOrdersMap - The subgraphs order changes cursors
+ * @param orderbooksOwnersProfileMap - The current orders, inactive orders are excluded
+ * @param tokens - The known tokens
+ * @param onchainSource - (optional) The onchain orders source
+ * @param excludeOrders - (optional) Orders to exclude from the state, ie the orders
+ * that are read from orders file on every startup
+ */
+export function getState(
+    sourceKey: string,
+    lastReadOrdersTimestamp: number,
+    lastReadOrdersMap: { sg: string; cursor: SgTxCursor }[],
+    orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
+    tokens: TokenDetails[],
+    onchainSource?: OnchainOrdersSource,
+    excludeOrders: SgOrder[] = [],
+): BotState {
+    const orders: BotState["orders"] = [];
+    orderbooksOwnersProfileMap.forEach((ownersProfileMap, orderbook) => {
+        ownersProfileMap.forEach((ownerProfile) => {
+            ownerProfile.orders.forEach((orderProfile, orderHash) => {
+                if (!orderProfile.active) return;
+                if (
+                    excludeOrders.find(
+                        (v) =>
+                            v.orderHash.toLowerCase() === orderHash &&
+                            v.orderbook.id.toLowerCase() === orderbook,
+                    )
+                ) {
+                    return;
+                }
+                orders.push({ orderbook, orderHash, order: orderProfile.order });
+            });
+        });
+    });
+    return {
+        version: STATE_VERSION,
+        sourceKey,
+        lastReadOrdersTimestamp,
+        lastReadOrdersMap: lastReadOrdersMap.map((v) => ({ sg: v.sg, cursor: { ...v.cursor } })),
+        onchainLastReadBlock: onchainSource?.lastReadBlock.toString(),
+        orders,
+        tokens,
+    };
+}
+
+/**
+ * Restores the orders details of a persisted state with the same shape as
+ * subgraph query result
+ * @param state - The bot state
+ * @param viemClient - The viem client
+ * @param tokens - The known tokens
+ */
+export async function getStateOrders(
+    state: BotState,
+    viemClient: ViemClient,
+    tokens: TokenDetails[],
+): Promise<SgOrder[]> {
+    const orders: SgOrder[] = [];
+    for (const { orderbook, orderHash, order } of state.orders) {
+        orders.push(
+            await toSgOrder(orderbook, orderHash, normalizeOrder(order), true, viemClient, tokens),
+        );
+    }
+    return orders;
+}
+
+/**
+ * Reconciles the orders restored from a persisted state with the subgraph orders read at
+ * startup, the subgraph orders replace their restored ones as they carry the current vault
+ * balances, the ones missing from the state are added and the restored orders that subgraph
+ * doesn't have anymore are dropped, unless they can come from other sources, ie onchain logs
+ * @param stateOrders - The orders restored from the state
+ * @param sgOrders - The subgraph orders
+ * @param keepMissing - Keeps the restored orders that are missing from subgraph orders
+ */
+export function reconcileStateOrders(
+    stateOrders: SgOrder[],
+    sgOrders: SgOrder[],
+    keepMissing: boolean,
+): SgOrder[] {
+    const getKey = (v: SgOrder) => `${v.orderbook.id.toLowerCase()}-${v.orderHash.toLowerCase()}`;
+    const sgKeys = new Set(sgOrders.map(getKey));
+    return [...sgOrders, ...(keepMissing ? stateOrders.filter((v) => !sgKeys.has(getKey(v))) : [])];
+}
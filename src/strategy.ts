@@ -0,0 +1,145 @@
+import { isAddress } from "viem";
+import { BotConfig, BundledOrders, StrategyRule } from "./types";
+
+/**
+ * Parses and validates the given strategy rules, ie the ones read from the config file,
+ * with the same validations that are applied to their global counterparts at startup
+ * @param rules - The strategy rules
+ */
+export function parseStrategyRules(rules: any): StrategyRule[] | undefined {
+    if (rules === undefined || rules === null) return undefined;
+    if (!Array.isArray(rules)) throw "invalid strategies, expected a list of rules";
+    return rules.map((rule, i) => {
+        const invalid = (reason: string) => `invalid strategy rule at index ${i}, ${reason}`;
+        const parsed: StrategyRule = parseRuleSelectors(rule, invalid);
+        if (rule.gasCoverage !== undefined) {
+            if (!/^[0-9]+$/.test(rule.gasCoverage.toString())) {
+                throw invalid("gas coverage must be an integer greater than equal 0");
+            }
+            parsed.gasCoveragePercentage = rule.gasCoverage.toString();
+        }
+        if (rule.hops !== undefined) {
+            if (!/^[0-9]+$/.test(rule.hops.toString()) || Number(rule.hops) === 0) {
+                throw invalid("hops must be an integer greater than 0");
+            }
+            parsed.hops = Number(rule.hops);
+        }
+        if (rule.retries !== undefined) {
+            const retries = Number(rule.retries);
+            if (!/^[0-9]+$/.test(rule.retries.toString()) || retries < 1 || retries > 3) {
+                throw invalid("retries must be an integer between 1 - 3");
+            }
+            parsed.retries = retries;
+        }
+        if (rule.route !== undefined) {
+            const route = rule.route.toString().toLowerCase();
+            if (route !== "single" && route !== "multi" && route !== "full") {
+                throw invalid("route must be one of single, multi or full");
+            }
+            parsed.route = route;
+        }
+        if (rule.maxRatio !== undefined) {
+            if (typeof rule.maxRatio !== "boolean") throw invalid("maxRatio must be a boolean");
+            parsed.maxRatio = rule.maxRatio;
+        }
+        return parsed;
+    });
+}
+
+/**
+ * Parses and validates the orderbook, owner, orderHash and pair selectors of the given rule,
+ * at least one of them should be given
+ * @param rule - The rule
+ * @param invalid - Builds the error of an invalid rule from the given reason
+ */
+export function parseRuleSelectors(
+    rule: any,
+    invalid: (reason: string) => string,
+): Pick<StrategyRule, "orderbook" | "owner" | "orderHash" | "pair"> {
+    if (typeof rule !== "object" || rule === null) throw invalid("expected an object");
+    const parsed: Pick<StrategyRule, "orderbook" | "owner" | "orderHash" | "pair"> = {};
+    for (const key of ["orderbook", "owner"] as const) {
+        if (rule[key] === undefined) continue;
+        if (!isAddress(rule[key], { strict: false })) throw invalid(`invalid ${key} address`);
+        parsed[key] = rule[key].toLowerCase();
+    }
+    if (rule.orderHash !== undefined) {
+        if (!/^0x[a-fA-F0-9]{64}$/.test(rule.orderHash)) throw invalid("invalid order hash");
+        parsed.orderHash = rule.orderHash.toLowerCase();
+    }
+    if (rule.pair !== undefined) {
+        const tokens = typeof rule.pair === "string" ? rule.pair.split("/") : rule.pair;
+        if (
+            !Array.isArray(tokens) ||
+            tokens.length !== 2 ||
+            tokens.some((v) => !isAddress(v, { strict: false }))
+        ) {
+            throw invalid("invalid pair, expected 2 token addresses");
+        }
+        parsed.pair = [tokens[0].toLowerCase(), tokens[1].toLowerCase()];
+    }
+    if (!parsed.orderbook && !parsed.owner && !parsed.orderHash && !parsed.pair) {
+        throw invalid("at least one of orderbook, owner, orderHash or pair should be given");
+    }
+    return parsed;
+}
+
+/**
+ * Checks if the given strategy rule matches the given order pair, the pair is matched
+ * regardless of its direction
+ * @param rule - The strategy rule
+ * @param orderPairObject - The order pair
+ */
+export function isStrategyRuleMatch(rule: StrategyRule, orderPairObject: BundledOrders): boolean {
+    const takeOrder = orderPairObject.takeOrders[0];
+    if (rule.orderbook && rule.orderbook !== orderPairObject.orderbook.toLowerCase()) {
+        return false;
+    }
+    if (rule.owner && rule.owner !== takeOrder?.takeOrder.order.owner.toLowerCase()) {
+        return false;
+    }
+    if (rule.orderHash && rule.orderHash !== takeOrder?.id.toLowerCase()) return false;
+    if (rule.pair) {
+        const tokens = [
+            orderPairObject.buyToken.toLowerCase(),
+            orderPairObject.sellToken.toLowerCase(),
+        ];
+        if (!rule.pair.every((v) => tokens.includes(v))) return false;
+    }
+    return true;
+}
+
+/**
+ * Resolves the strategy settings of the given order pair by applying the config's matching
+ * strategy rules in order on top of the global settings, later rules take precedence, the
+ * resolved config is a shallow copy of the given config with its gasCoveragePercentage,
+ * hops, retries, route and maxRatio overriden, or the config itself if no rule matches,
+ * returns the indexes of the matched rules as well
+ * @param config - The bot config
+ * @param orderPairObject - The order pair
+ */
+export function resolveStrategy(
+    config: BotConfig,
+    orderPairObject: BundledOrders,
+): { config: BotConfig; matchedRules: number[] } {
+    const matchedRules: number[] = [];
+    config.strategies?.forEach((rule, i) => {
+        if (isStrategyRuleMatch(rule, orderPairObject)) matchedRules.push(i);
+    });
+    if (!matchedRules.length) return { config, matchedRules };
+
+    const resolved = { ...config };
+    for (const i of matchedRules) {
+        const rule = config.strategies![i];
+        if (rule.gasCoveragePercentage !== undefined) {
+            resolved.gasCoveragePercentage = rule.gasCoveragePercentage;
+        }
+        if (rule.hops !== undefined) resolved.hops = rule.hops;
+        if (rule.retries !== undefined) resolved.retries = rule.retries;
+        if (rule.route !== undefined) {
+            resolved.route = rule.route === "full" ? undefined : rule.route;
+        }
+        if (rule.maxRatio !== undefined) resolved.maxRatio = rule.maxRatio;
+    }
+    return { config: resolved, matchedRules };
+}
@@ -0,0 +1,219 @@
+import fs from "fs";
+import http from "http";
+
+/**
+ * Options of a chain section that are lists, they can be specified either
+ * as an array or as a comma seperated string
+ */
+const LIST_OPTIONS = [
+    "rpc",
+    "writeRpc",
+    "subgraph",
+    "lps",
+    "onchainOrderbook",
+    "orderOwners",
+    "orderbookAddresses",
+    "includeTokens",
+    "excludeTokens",
+    "includePairs",
+    "excludePairs",
+] as const;
+
+/**
+ * Number of consecutive failed rounds after which a running chain is reported as degraded
+ */
+export const MAX_CONSECUTIVE_ROUND_FAILURES = 3 as const;
+
+/**
+ * Specifies a chain section of a chains file, ie the chain name and the cli
+ * options (in camelCase) that override the shared cli/env options for that chain
+ */
+export type ChainSection = {
+    name: string;
+    options: Record<string, any>;
+};
+
+/**
+ * Specifies the health and metrics of a chain's round loop
+ */
+export type ChainHealth = {
+    chain: string;
+    status: "starting" | "running" | "degraded" | "stopping" | "failed";
+    rounds: number;
+    consecutiveFailures: number;
+    foundOpps: number;
+    clears: number;
+    txs: number;
+    lastRoundTimestamp?: number;
+    error?: string;
+};
+
+/**
+ * Specifies the health and metrics of all chains that are run by the bot process
+ */
+export type ChainsHealthMap = Map<string, ChainHealth>;
+
+/**
+ * Parses the content of a chains file, which is a JSON array of chain sections, each
+ * being an object of cli options (in camelCase) with an optional "name" field, ie:
+ * [{ "name": "flare", "rpc": ["https://..."], "subgraph": ["https://..."], "arbAddress": "0x...", "dispair": "0x...", "lps": "SparkDexV2,BlazeSwap" }]
+ * @param content - The chains file content
+ * @param stateFile - (optional) The shared state file path, which is suffixed by the chain
+ * name for the chains that don't specify their own
+ */
+export function parseChainsFile(content: string, stateFile?: string): ChainSection[] {
+    let items: any;
+    try {
+        items = JSON.parse(content);
+    } catch {
+        throw "invalid chains file, cannot parse as json";
+    }
+    if (!Array.isArray(items) || !items.length) {
+        throw "invalid chains file, expected a non empty array of chain sections";
+    }
+    const sections = items.map((item, i) => {
+        if (typeof item !== "object" || item === null || Array.isArray(item)) {
+            throw `invalid chains file, chain section ${i} is not an object`;
+        }
+        const { name = `chain-${i}`, ...options } = item;
+        if (typeof name !== "string" || !name) {
+            throw `invalid chains file, chain section ${i} has invalid name`;
+        }
+        for (const key of LIST_OPTIONS) {
+            if (typeof options[key] === "string") {
+                options[key] = Array.from((options[key] as string).matchAll(/[^,\s]+/g)).map(
+                    (v) => v[0],
+                );
+            }
+        }
+        if (!options.rpc?.length) {
+            throw `invalid chains file, chain section ${name} has no rpc`;
+        }
+        if (stateFile && !options.stateFile) {
+            options.stateFile = `${stateFile}.${name}`;
+        }
+        return { name, options };
+    });
+    sections.forEach((v, i) => {
+        if (sections.findIndex((e) => e.name === v.name) !== i) {
+            throw `invalid chains file, duplicate chain section name: ${v.name}`;
+        }
+    });
+    return sections;
+}
+
+/**
+ * Reads the chain sections of the given chains file
+ * @param path - The chains file path
+ * @param stateFile - (optional) The shared state file path
+ */
+export function readChainsFile(path: string, stateFile?: string): ChainSection[] {
+    let content: string;
+    try {
+        content = fs.readFileSync(path, { encoding: "utf8" });
+    } catch {
+        throw `failed to read chains file: ${path}`;
+    }
+    return parseChainsFile(content, stateFile);
+}
+
+/**
+ * Adds a chain with starting status to the given health map and returns its health object
+ * @param healthMap - The chains health map
+ * @param chain - The chain name
+ */
+export function addChainHealth(healthMap: ChainsHealthMap, chain: string): ChainHealth {
+    const health: ChainHealth = {
+        chain,
+        status: "starting",
+        rounds: 0,
+        consecutiveFailures: 0,
+        foundOpps: 0,
+        clears: 0,
+        txs: 0,
+    };
+    healthMap.set(chain, health);
+    return health;
+}
+
+/**
+ * Updates the given chain's health with the result of its last round, a running chain is
+ * degraded after {@link MAX_CONSECUTIVE_ROUND_FAILURES} consecutive failed rounds and is
+ * back to running on its next successful round
+ * @param health - The chain's health object
+ * @param error - (optional) The error of the round if it failed
+ */
+export function updateRoundHealth(health: ChainHealth, error?: string) {
+    if (error === undefined) {
+        health.consecutiveFailures = 0;
+        health.error = undefined;
+        if (health.status === "degraded") health.status = "running";
+        return;
+    }
+    health.consecutiveFailures++;
+    health.error = error;
+    if (
+        health.status === "running" &&
+        health.consecutiveFailures >= MAX_CONSECUTIVE_ROUND_FAILURES
+    ) {
+        health.status = "degraded";
+    }
+}
+
+/**
+ * Gets the health report of all chains, the bot is healthy only if all of its chains are running
+ * @param healthMap - The chains health map
+ */
+export function getHealthReport(healthMap: ChainsHealthMap): {
+    healthy: boolean;
+    chains: ChainHealth[];
+} {
+    const chains = Array.from(healthMap.values()).map((v) => ({ ...v }));
+    return {
+        healthy: chains.every((v) => v.status === "running"),
+        chains,
+    };
+}
+
+/**
+ * Starts an http server that serves the chains health report on "/health" with
+ * 200 status code if healthy and 503 if not, and the chains metrics on "/metrics",
+ * the server errors, such as the port being already in use, are passed to the given
+ * callback instead of crashing the process
+ * @param port - The port to listen on
+ * @param healthMap - The chains health map
+ * @param onError - (optional) Callback to report the server errors with
+ */
+export function startHealthServer(
+    port: number,
+    healthMap: ChainsHealthMap,
+    onError?: (error: any) => void,
+): http.Server {
+    const server = http.createServer((req, res) => {
+        const report = getHealthReport(healthMap);
+        if (req.url === "/health") {
+            res.writeHead(report.healthy ? 200 : 503, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(report));
+        } else if (req.url === "/metrics") {
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify(
+                    report.chains.map((v) => ({
+                        chain: v.chain,
+                        rounds: v.rounds,
+                        foundOpps: v.foundOpps,
+                        clears: v.clears,
+                        txs: v.txs,
+                        lastRoundTimestamp: v.lastRoundTimestamp,
+                    })),
+                ),
+            );
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    server.on("error", (error) => onError?.(error));
+    server.listen(port);
+    return server;
+}
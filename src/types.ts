@@ -1,5 +1,6 @@
 import { BigNumber } from "ethers";
 import { Token } from "sushi/currency";
+import { ShutdownState } from "./shutdown";
 import { AttributeValue } from "@opentelemetry/api";
 import { DataFetcher, LiquidityProviders } from "sushi/router";
 import {
@@ -45,22 +46,44 @@ export type BotError = {
 export type CliOptions = {
     key?: string;
     mnemonic?: string;
+    keyFile?: string;
+    mnemonicFile?: string;
+    keystore?: string;
+    keystorePassword?: string;
+    keystorePasswordFile?: string;
+    remoteSigner?: string;
     rpc: string[];
     writeRpc?: string[];
     arbAddress: string;
     genericArbAddress?: string;
     orderbookAddress?: string;
     subgraph: string[];
+    onchainOrderbook?: string[];
+    startBlock?: bigint;
+    orders?: string;
+    stateFile?: string;
+    wsRpc?: string;
+    chains?: string;
+    config?: string;
+    healthPort?: string;
+    sgReconcile?: boolean;
     lps?: string[];
     gasCoverage: string;
     orderHash?: string;
     orderOwner?: string;
+    orderOwners?: string[];
+    orderbookAddresses?: string[];
+    includeTokens?: string[];
+    excludeTokens?: string[];
+    includePairs?: string[];
+    excludePairs?: string[];
     sleep: number;
     maxRatio: boolean;
     timeout?: number;
     hops: number;
     retries: number;
     poolUpdateInterval: number;
+    livenessCheckInterval?: number;
     walletCount?: number;
     topupAmount?: string;
     botMinBalance: string;
@@ -75,6 +98,19 @@ export type CliOptions = {
     quoteGas: bigint;
     rpOnly?: boolean;
     dispair: string;
+    simulate?: boolean;
+    simulateFile?: string;
+    shutdownTimeout?: string;
+    shutdownSweep?: boolean;
+    schedule?: string;
+    roundBlocks?: string;
+    roundMinInterval?: string;
+    roundMaxInterval?: string;
+    strategies?: Record<string, any>[];
+    signedContextProviders?: Record<string, any>[];
+    orderScoring?: boolean;
+    exploration?: string;
+    bundleOrders?: boolean;
 };
 
 export type TokenDetails = {
@@ -102,13 +138,21 @@ export type TakeOrderDetails = {
         ratio: BigNumber;
     };
     takeOrder: TakeOrder;
+    /** The signed context oracle url declared in the order's meta */
+    signedContextUrl?: string;
 };
 
 export type TakeOrder = {
     order: Order;
     inputIOIndex: number;
     outputIOIndex: number;
-    signedContext: any[];
+    signedContext: SignedContextV1[];
+};
+
+export type SignedContextV1 = {
+    signer: string;
+    context: string[];
+    signature: string;
 };
 
 export type Evaluable = {
@@ -144,12 +188,55 @@ export type OrderProfile = {
     active: boolean;
     order: Order;
     takeOrders: Pair[];
+    // set when the order's vaults balances change, so it is quoted on next round
+    priority?: boolean;
 };
 export type OwnerProfile = {
     limit: number;
     lastIndex: number;
     orders: OrdersProfileMap;
 };
+/**
+ * Specifies the history of an order's outcomes in the rounds it has been processed in
+ */
+export type OrderStats = {
+    rounds: number;
+    opportunities: number;
+    clears: number;
+    reverts: number;
+    /** Last market price gap relative to order's ratio, positive means market is above */
+    marketGap?: number;
+    /** Running average of the realised net profit of the order's clears in eth */
+    avgNetProfit?: number;
+    /** Number of clears whose net profit is in the running average */
+    profitSamples?: number;
+};
+export type OrderStatsMap = Map<string, OrderStats>;
+
+/**
+ * Specifies the outcome of processing an order pair, either its report status or its halt reason
+ */
+export type OrderOutcome = {
+    status?: ProcessPairReportStatus;
+    reason?: ProcessPairHaltReason;
+    simulated?: boolean;
+    spanAttributes?: Record<string, any>;
+    /** Realised net profit of the cleared tx in eth */
+    netProfit?: BigNumber;
+};
+
+/**
+ * Specifies the cooldown state of an order pair that keeps failing
+ */
+export type OrderBackoff = {
+    failures: number;
+    /** Timestamp in miliseconds until which the order pair is skipped */
+    until: number;
+    reason: "zeroOutput" | "failedToQuote" | "noRoute" | "noEthPrice";
+    /** Market price at the time of last failure, if there was one */
+    marketPrice?: number;
+};
+export type OrderBackoffMap = Map<string, OrderBackoff>;
 export type OrdersProfileMap = Map<string, OrderProfile>;
 export type OwnersProfileMap = Map<string, OwnerProfile>;
 export type OrderbooksOwnersProfileMap = Map<string, OwnersProfileMap>;
@@ -196,8 +283,6 @@ export type BotConfig = {
     routeProcessors: { [key: string]: `0x${string}` };
     stableTokens?: Token[];
     isSpecialL2: boolean;
-    key?: string;
-    mnemonic?: string;
     rpc: string[];
     writeRpc?: string[];
     arbAddress: string;
@@ -214,8 +299,14 @@ export type BotConfig = {
     mainAccount: ViemClient;
     accounts: ViemClient[];
     selfFundOrders?: SelfFundOrder[];
+    strategies?: StrategyRule[];
+    signedContextProviders?: SignedContextProvider[];
+    signedContextCache?: SignedContextCache;
+    orderStats?: OrderStatsMap;
+    orderBackoffs?: OrderBackoffMap;
+    exploration?: number;
+    bundleOrders?: boolean;
     publicRpc: boolean;
-    walletKey: string;
     route?: "multi" | "single";
     rpcRecords: Record<string, RpcRecord>;
     gasPriceMultiplier: number;
@@ -224,6 +315,8 @@ export type BotConfig = {
     quoteGas: bigint;
     rpOnly?: boolean;
     dispair: Dispair;
+    simulate?: boolean;
+    shutdown?: ShutdownState;
     onFetchRequest?: (request: Request) => void;
     onFetchResponse?: (request: Response) => void;
 };
@@ -248,6 +341,25 @@ export type Report = {
     netProfit?: BigNumber;
     reason?: ProcessPairHaltReason;
     error?: any;
+    simulation?: SimulatedTx;
+};
+
+/**
+ * Specifies the would-be transaction of a found opportunity in simulation mode
+ */
+export type SimulatedTx = {
+    orderHash: string;
+    orderbook: string;
+    mode: string;
+    estimatedProfit: string;
+    blockNumber: number;
+    rawtx: {
+        to: string;
+        from?: string;
+        data: string;
+        gas?: string;
+        gasPrice?: string;
+    };
 };
 
 export type RoundReport = {
@@ -282,6 +394,7 @@ export type DryrunValue = {
     oppBlockNumber?: number;
     estimatedProfit: BigNumber;
     noneNodeError?: string;
+    l1Cost?: BigNumber;
 };
 
 export type DryrunResult = {
@@ -297,6 +410,43 @@ export type SelfFundOrder = {
     topupAmount: string;
 };
 
+/**
+ * A rule that overrides the strategy settings of the orders that it matches, ie those that
+ * match all of its given orderbook, owner, order hash and pair
+ */
+export type StrategyRule = {
+    orderbook?: string;
+    owner?: string;
+    orderHash?: string;
+    pair?: [string, string];
+    gasCoveragePercentage?: string;
+    hops?: number;
+    retries?: number;
+    route?: "single" | "multi" | "full";
+    maxRatio?: boolean;
+};
+
+/**
+ * An http endpoint that provides the signed context of the orders that it matches, ie those
+ * that match all of its given orderbook, owner, order hash and pair
+ */
+export type SignedContextProvider = {
+    url: string;
+    orderbook?: string;
+    owner?: string;
+    orderHash?: string;
+    pair?: [string, string];
+};
+
+/**
+ * Specifies the signed context fetched for a take order at a block
+ */
+export type SignedContextCacheEntry = {
+    blockNumber: bigint;
+    signedContext: SignedContextV1[];
+};
+export type SignedContextCache = Map<string, SignedContextCacheEntry>;
+
 export type OwnedOrder = {
     id: string;
     orderbook: string;
@@ -311,6 +461,12 @@ export type SgFilter = {
     orderHash?: string;
     orderOwner?: string;
     orderbook?: string;
+    orderOwners?: string[];
+    orderbooks?: string[];
+    includeTokens?: string[];
+    excludeTokens?: string[];
+    includePairs?: [string, string][];
+    excludePairs?: [string, string][];
 };
 
 export type RpcRecord = {
@@ -473,7 +473,11 @@ export function getQuoteConfig(orderDetails: TakeOrderDetails) {
         },
         inputIOIndex: BigInt(orderDetails.takeOrder.inputIOIndex),
         outputIOIndex: BigInt(orderDetails.takeOrder.outputIOIndex),
-        signedContext: orderDetails.takeOrder.signedContext,
+        signedContext: orderDetails.takeOrder.signedContext.map((v) => ({
+            signer: v.signer as `0x${string}`,
+            context: v.context.map((c) => BigInt(c)),
+            signature: v.signature as `0x${string}`,
+        })),
     };
 }
 
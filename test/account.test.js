@@ -182,6 +182,70 @@ describe("Test accounts", async function () {
         assert.equal(accounts[1].account.address, expectedAccounts[2].address);
     });
 
+    it("should stop adding remote signer wallets when there are no spare accounts", async function () {
+        const mockServer = require("mockttp").getLocal();
+        await mockServer.start(8091);
+        const remoteAddresses = [1, 2, 3].map((v) => `0x${v.toString().repeat(40)}`);
+        const ethAccounts = await mockServer
+            .forJsonRpcRequest({ method: "eth_accounts" })
+            .thenSendJsonRpcResult(remoteAddresses);
+
+        const failingClient = () => {
+            throw "some error";
+        };
+        const lowBalanceWallet = {
+            account: { address: remoteAddresses[2] },
+            BALANCE: ethers.BigNumber.from("0"),
+            BOUNTY: [],
+            call: failingClient,
+            getBalance: failingClient,
+            estimateGas: failingClient,
+        };
+        const config = {
+            chain: { id: 137 },
+            rpc: ["test"],
+            watchedTokens: [],
+            accounts: [lowBalanceWallet],
+            mainAccount: { account: { address: remoteAddresses[0] } },
+        };
+        const options = {
+            topupAmount: "0.00000000001",
+            remoteSigner: mockServer.url,
+        };
+        const spans = [];
+        const tracer = {
+            startSpan: (name) => {
+                const span = { name, attributes: {}, ended: false };
+                span.setAttribute = (k, v) => (span.attributes[k] = v);
+                span.setStatus = (status) => (span.status = status);
+                span.addEvent = () => {};
+                span.end = () => (span.ended = true);
+                spans.push(span);
+                return span;
+            },
+        };
+        const result = await manageAccounts(
+            config,
+            options,
+            ethers.BigNumber.from("100"),
+            2,
+            [],
+            { gasPrice: 1n },
+            tracer,
+        );
+
+        // last index stays at the last remote signer account and the wallet is not replaced
+        assert.equal(result, 2);
+        assert.isEmpty(config.accounts);
+        assert.equal((await ethAccounts.getSeenRequests()).length, 1);
+        const addSpans = spans.filter((v) => v.name === "add-new-wallet");
+        assert.equal(addSpans.length, 1);
+        assert.equal(addSpans[0].status.code, 2);
+        assert.include(addSpans[0].status.message, "no spare remote signer accounts");
+        assert.isTrue(addSpans[0].ended);
+        await mockServer.stop();
+    });
+
     it("should rotate providers", async function () {
         const rpcs = ["http://localhost:8080/rpc-url1", "http://localhost:8080/rpc-url2"];
         const mainAccount = (
@@ -0,0 +1,271 @@
+import { assert } from "chai";
+import { handleVaultChanges } from "../src/order";
+import {
+    getBackoffKey,
+    getActiveBackoff,
+    resetOrderBackoff,
+    recordOrderBackoff,
+    BACKOFF_MAX_COOLDOWN,
+    BACKOFF_BASE_COOLDOWN,
+    getBackoffSpanAttributes,
+} from "../src/backoff";
+import {
+    BundledOrders,
+    OrderBackoffMap,
+    ProcessPairHaltReason,
+    ProcessPairReportStatus,
+} from "../src/types";
+
+describe("Test order backoff", async function () {
+    const orderbook = "0x" + "1".repeat(40);
+    const owner = "0x" + "2".repeat(40);
+    const token1 = "0x" + "3".repeat(40);
+    const token2 = "0x" + "4".repeat(40);
+    const orderHash = "0x" + "5".repeat(64);
+    const orderPairObject = {
+        orderbook,
+        buyToken: token1,
+        sellToken: token2,
+        takeOrders: [{ id: orderHash, takeOrder: { order: { owner } } }],
+    } as any as BundledOrders;
+    const otherPairObject = {
+        ...orderPairObject,
+        buyToken: token2,
+        sellToken: token1,
+    } as any as BundledOrders;
+
+    it("should back off failing order pairs exponentially", async function () {
+        const backoffs: OrderBackoffMap = new Map();
+        const now = 1_000_000;
+        let backoff = recordOrderBackoff(
+            backoffs,
+            orderPairObject,
+            { status: ProcessPairReportStatus.ZeroOutput },
+            undefined,
+            now,
+        );
+        assert.deepEqual(backoff, {
+            failures: 1,
+            until: now + BACKOFF_BASE_COOLDOWN,
+            reason: "zeroOutput",
+            marketPrice: undefined,
+        });
+        backoff = recordOrderBackoff(
+            backoffs,
+            orderPairObject,
+            {
+                reason: ProcessPairHaltReason.FailedToGetEthPrice,
+                spanAttributes: { "details.marketQuote.num": 1.5 },
+            },
+            undefined,
+            now,
+        );
+        assert.deepEqual(backoff, {
+            failures: 2,
+            until: now + BACKOFF_BASE_COOLDOWN * 2,
+            reason: "noEthPrice",
+            marketPrice: 1.5,
+        });
+        for (let i = 0; i < 10; i++) {
+            backoff = recordOrderBackoff(
+                backoffs,
+                orderPairObject,
+                { reason: ProcessPairHaltReason.FailedToQuote },
+                undefined,
+                now,
+            );
+        }
+        assert.equal(backoff?.failures, 12);
+        assert.equal(backoff?.until, now + BACKOFF_MAX_COOLDOWN);
+        assert.deepEqual(getBackoffSpanAttributes(backoff!), {
+            "details.backoff.reason": "failedToQuote",
+            "details.backoff.failures": 12,
+            "details.backoff.until": new Date(now + BACKOFF_MAX_COOLDOWN).toISOString(),
+        });
+
+        // the other direction of the pair is tracked separately
+        assert.isUndefined(getActiveBackoff(backoffs, otherPairObject, () => undefined, now));
+
+        // non failure outcomes clear the backoff
+        assert.isUndefined(
+            recordOrderBackoff(
+                backoffs,
+                orderPairObject,
+                { status: ProcessPairReportStatus.NoOpportunity },
+                undefined,
+                now,
+            ),
+        );
+        assert.isFalse(backoffs.has(getBackoffKey(orderPairObject)));
+    });
+
+    it("should get active backoff and reset it when market moves", async function () {
+        const backoffs: OrderBackoffMap = new Map();
+        const now = 1_000_000;
+        recordOrderBackoff(
+            backoffs,
+            orderPairObject,
+            {
+                reason: ProcessPairHaltReason.FailedToGetEthPrice,
+                spanAttributes: { "details.marketQuote.num": 2 },
+            },
+            undefined,
+            now,
+        );
+
+        // market price is only fetched when in cooldown
+        let calls = 0;
+        const getMarketPrice = (price?: number) => () => {
+            calls++;
+            return price;
+        };
+        assert.isUndefined(
+            getActiveBackoff(
+                backoffs,
+                orderPairObject,
+                getMarketPrice(2),
+                now + BACKOFF_BASE_COOLDOWN,
+            ),
+        );
+        assert.equal(calls, 0);
+        assert.equal(
+            getActiveBackoff(backoffs, orderPairObject, getMarketPrice(2.01), now + 1)?.reason,
+            "noEthPrice",
+        );
+        assert.equal(calls, 1);
+
+        // market moved more than 1%
+        assert.isUndefined(
+            getActiveBackoff(backoffs, orderPairObject, getMarketPrice(2.05), now + 1),
+        );
+        assert.isFalse(backoffs.has(getBackoffKey(orderPairObject)));
+
+        // a route becoming available resets a no route backoff
+        recordOrderBackoff(
+            backoffs,
+            orderPairObject,
+            { reason: ProcessPairHaltReason.FailedToGetPools },
+            undefined,
+            now,
+        );
+        assert.isDefined(
+            getActiveBackoff(backoffs, orderPairObject, getMarketPrice(undefined), now + 1),
+        );
+        assert.isUndefined(getActiveBackoff(backoffs, orderPairObject, getMarketPrice(3), now + 1));
+    });
+
+    it("should capture market price of failures that halt before reading it", async function () {
+        const backoffs: OrderBackoffMap = new Map();
+        const now = 1_000_000;
+        let calls = 0;
+        const getMarketPrice = () => {
+            calls++;
+            return 3;
+        };
+        for (const outcome of [
+            { status: ProcessPairReportStatus.ZeroOutput },
+            { reason: ProcessPairHaltReason.FailedToQuote },
+            { reason: ProcessPairHaltReason.FailedToGetPools },
+        ]) {
+            const backoff = recordOrderBackoff(
+                backoffs,
+                orderPairObject,
+                outcome,
+                getMarketPrice,
+                now,
+            );
+            assert.equal(backoff?.marketPrice, 3);
+        }
+        assert.equal(calls, 3);
+
+        // the recorded market price is preferred
+        const backoff = recordOrderBackoff(
+            backoffs,
+            orderPairObject,
+            {
+                reason: ProcessPairHaltReason.FailedToGetEthPrice,
+                spanAttributes: { "details.marketQuote.num": 2 },
+            },
+            getMarketPrice,
+            now,
+        );
+        assert.equal(backoff?.marketPrice, 2);
+        assert.equal(calls, 3);
+
+        // a later market move resets the cooldown of a zero output failure
+        recordOrderBackoff(
+            backoffs,
+            otherPairObject,
+            { status: ProcessPairReportStatus.ZeroOutput },
+            getMarketPrice,
+            now,
+        );
+        assert.isDefined(getActiveBackoff(backoffs, otherPairObject, () => 3, now + 1));
+        assert.isUndefined(getActiveBackoff(backoffs, otherPairObject, () => 3.1, now + 1));
+
+        // not called for non failure outcomes
+        recordOrderBackoff(
+            backoffs,
+            orderPairObject,
+            { status: ProcessPairReportStatus.FoundOpportunity },
+            getMarketPrice,
+            now,
+        );
+        assert.equal(calls, 4);
+    });
+
+    it("should reset order backoffs on vault deposits", async function () {
+        const backoffs: OrderBackoffMap = new Map();
+        recordOrderBackoff(backoffs, orderPairObject, {
+            status: ProcessPairReportStatus.ZeroOutput,
+        });
+        recordOrderBackoff(backoffs, otherPairObject, {
+            status: ProcessPairReportStatus.ZeroOutput,
+        });
+        resetOrderBackoff(backoffs, orderbook.toUpperCase(), "0x" + "6".repeat(64));
+        assert.equal(backoffs.size, 2);
+        resetOrderBackoff(backoffs, orderbook, orderHash);
+        assert.equal(backoffs.size, 0);
+
+        const orders = new Map([
+            [
+                orderHash,
+                {
+                    active: true,
+                    order: { validOutputs: [{ token: token2, vaultId: "0x01" }] } as any,
+                    takeOrders: [],
+                },
+            ],
+        ]);
+        const orderbooksOwnersProfileMap = new Map([
+            [orderbook, new Map([[owner, { limit: 25, lastIndex: 0, orders }]])],
+        ]);
+        const otovMap = new Map([
+            [
+                orderbook,
+                new Map([[token2, new Map([[owner, [{ vaultId: "0x01", balance: 10n }]]])]]),
+            ],
+        ]);
+        const change = { orderbook, owner, token: token2, vaultId: "1", timestamp: 1 };
+
+        // withdrawals don't reset the backoff
+        recordOrderBackoff(backoffs, orderPairObject, {
+            status: ProcessPairReportStatus.ZeroOutput,
+        });
+        handleVaultChanges(
+            orderbooksOwnersProfileMap,
+            otovMap,
+            [{ ...change, balance: "5" }],
+            backoffs,
+        );
+        assert.equal(backoffs.size, 1);
+
+        handleVaultChanges(
+            orderbooksOwnersProfileMap,
+            otovMap,
+            [{ ...change, balance: "8" }],
+            backoffs,
+        );
+        assert.equal(backoffs.size, 0);
+    });
+});
@@ -1,4 +1,7 @@
 require("dotenv").config();
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
 const { assert } = require("chai");
 const mockServer = require("mockttp").getLocal();
 const { arbRound, startup } = require("../src/cli");
@@ -57,20 +60,55 @@ describe("Test cli", async function () {
     it("test cli startup", async function () {
         process.env.CLI_STARTUP_TEST = true;
         const deployer = "0xE7116BC05C8afe25e5B54b813A74F916B5D42aB1";
+        const invalidOptions = (...errors) =>
+            ["invalid options:", ...errors.map((v) => `  - ${v}`)].join("\n");
 
         try {
             await startup(["", ""]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "undefined wallet, only one of key or mnemonic should be specified";
+            const expected = invalidOptions(
+                "undefined wallet, only one of key or mnemonic should be specified",
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
             assert.equal(error, expected);
         }
 
+        // config file problems are reported together with cli/env ones
+        const configPath = path.join(os.tmpdir(), `arb-bot-config-${Date.now()}.json`);
+        fs.writeFileSync(configPath, JSON.stringify({ rpc: 1 }));
+        try {
+            await startup(["", "", "--config", configPath, "--key", `0x${"0".repeat(63)}`]);
+            assert.fail("expected to fail, but resolved");
+        } catch (error) {
+            const expected = invalidOptions(
+                "invalid config file:\n    - rpc: expected array or string",
+                "invalid wallet private key",
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
+            assert.equal(error, expected);
+        } finally {
+            fs.rmSync(configPath, { force: true });
+        }
+
         try {
             await startup(["", "", "--key", `0x${"0".repeat(64)}`, "-m", "something"]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "undefined wallet, only one of key or mnemonic should be specified";
+            const expected = invalidOptions(
+                "undefined wallet, only one of key or mnemonic should be specified",
+                "--wallet-count and --toptup-amount are required when using mnemonic option",
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
             assert.equal(error, expected);
         }
 
@@ -78,7 +116,13 @@ describe("Test cli", async function () {
             await startup(["", "", "--key", `0x${"0".repeat(63)}`]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "invalid wallet private key";
+            const expected = invalidOptions(
+                "invalid wallet private key",
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
             assert.equal(error, expected);
         }
 
@@ -86,8 +130,13 @@ describe("Test cli", async function () {
             await startup(["", "", "-m", "some-mnemonic"]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected =
-                "--wallet-count and --toptup-amount are required when using mnemonic option";
+            const expected = invalidOptions(
+                "--wallet-count and --toptup-amount are required when using mnemonic option",
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
             assert.equal(error, expected);
         }
 
@@ -95,7 +144,12 @@ describe("Test cli", async function () {
             await startup(["", "", "--key", `0x${"0".repeat(64)}`]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "undefined RPC URL";
+            const expected = invalidOptions(
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
             assert.equal(error, expected);
         }
 
@@ -103,7 +157,11 @@ describe("Test cli", async function () {
             await startup(["", "", "--key", `0x${"0".repeat(64)}`, "--rpc", "some-rpc"]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "undefined arb contract address";
+            const expected = invalidOptions(
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
             assert.equal(error, expected);
         }
 
@@ -124,7 +182,11 @@ describe("Test cli", async function () {
             ]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "invalid sleep value, must be an integer greater than equal 0";
+            const expected = invalidOptions(
+                "invalid sleep value, must be an integer greater than equal 0",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
             assert.equal(error, expected);
         }
 
@@ -145,8 +207,11 @@ describe("Test cli", async function () {
             ]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected =
-                "invalid poolUpdateInterval value, must be an integer greater than equal zero";
+            const expected = invalidOptions(
+                "invalid poolUpdateInterval value, must be an integer greater than equal zero",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
             assert.equal(error, expected);
         }
 
@@ -167,8 +232,10 @@ describe("Test cli", async function () {
             ]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected =
-                "expected a valid value for --bot-min-balance, it should be an number greater than 0";
+            const expected = invalidOptions(
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            );
             assert.equal(error, expected);
         }
 
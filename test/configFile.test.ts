@@ -0,0 +1,144 @@
+import { assert } from "chai";
+import { parseConfigFile, validateSchema } from "../src/configFile";
+
+describe("Test config file", async function () {
+    const owner = "0x" + "A".repeat(40);
+    const token = "0x" + "B".repeat(40);
+
+    it("should parse yaml config file", async function () {
+        const result = parseConfigFile(
+            [
+                "rpc: https://rpc1.com, https://rpc2.com",
+                "subgraph:",
+                "  - https://sg.com",
+                `arbAddress: '${owner}'`,
+                "lps: SparkDexV2,BlazeSwap",
+                "sleep: 10",
+                "maxRatio: true",
+                "route: multi",
+                "includePairs:",
+                `  - ['${token}', '${owner}']`,
+                "selfFundOrders:",
+                `  - token: '${token}'`,
+                "    vaultId: '0x01'",
+                "    threshold: 0.5",
+                "    topupAmount: 10",
+                "ownerProfile:",
+                `  '${owner}': 4`,
+                `  '${token}': max`,
+            ].join("\n"),
+        );
+        assert.deepEqual(result, {
+            rpc: ["https://rpc1.com", "https://rpc2.com"],
+            subgraph: ["https://sg.com"],
+            arbAddress: owner,
+            lps: ["SparkDexV2", "BlazeSwap"],
+            sleep: "10",
+            maxRatio: true,
+            route: "multi",
+            includePairs: [`${token}/${owner}`],
+            selfFundOrders: [
+                {
+                    token: token.toLowerCase(),
+                    vaultId: "0x01",
+                    threshold: "0.5",
+                    topupAmount: "10",
+                },
+            ],
+            ownerProfile: {
+                [owner.toLowerCase()]: 4,
+                [token.toLowerCase()]: Number.MAX_SAFE_INTEGER,
+            },
+        });
+    });
+
+    it("should parse json config file", async function () {
+        const result = parseConfigFile(
+            JSON.stringify({
+                rpc: ["https://rpc.com"],
+                hops: "3",
+                excludePairs: [`${token}/${owner}`],
+            }),
+        );
+        assert.deepEqual(result, {
+            rpc: ["https://rpc.com"],
+            hops: "3",
+            excludePairs: [`${token}/${owner}`],
+        });
+        assert.deepEqual(parseConfigFile(""), {});
+    });
+
+    it("should parse referenced schema string fields", async function () {
+        const result = parseConfigFile(
+            JSON.stringify({
+                arbAddress: owner,
+                genericArbAddress: token,
+                orderOwner: owner,
+                orderbookAddress: token,
+            }),
+        );
+        assert.deepEqual(result, {
+            arbAddress: owner,
+            genericArbAddress: token,
+            orderOwner: owner,
+            orderbookAddress: token,
+        });
+    });
+
+    it("should report all of the config file problems with their field path", async function () {
+        assert.throws(
+            () => parseConfigFile("{abcd"),
+            "invalid config file, cannot parse as yaml or json",
+        );
+        try {
+            parseConfigFile(
+                JSON.stringify({
+                    rpc: 1,
+                    someOption: "abcd",
+                    sleep: "-1",
+                    route: "abcd",
+                    includePairs: [[token]],
+                    selfFundOrders: [{ token: "0x1", vaultId: "1", threshold: "1" }],
+                    ownerProfile: { abcd: 1, [owner]: "1" },
+                }),
+            );
+            throw "expected to fail";
+        } catch (error) {
+            assert.deepEqual(
+                error,
+                [
+                    "invalid config file:",
+                    "  - rpc: expected array or string",
+                    "  - someOption: unknown field",
+                    '  - sleep: invalid value "-1"',
+                    "  - route: expected one of single, multi, full",
+                    "  - includePairs[0]: expected at least 2 items",
+                    "  - selfFundOrders[0].topupAmount: required",
+                    '  - selfFundOrders[0].token: invalid value "0x1"',
+                    '  - ownerProfile.abcd: invalid value "abcd"',
+                    `  - ownerProfile.${owner}: invalid value "1"`,
+                ].join("\n"),
+            );
+        }
+    });
+
+    it("should validate against json schema", async function () {
+        const schema = {
+            definitions: { positive: { type: "integer", minimum: 1 } },
+            type: "object",
+            properties: {
+                a: { $ref: "#/definitions/positive" },
+                b: { type: "array", items: { type: "string" }, maxItems: 1 },
+            },
+            additionalProperties: { type: "boolean" },
+        };
+        assert.deepEqual(validateSchema({ a: 1, b: ["x"], c: true }, schema), []);
+        assert.deepEqual(validateSchema({ a: 0, b: ["x", 1], c: "y" }, schema), [
+            "a: expected a value greater than equal 1",
+            "b: expected at most 1 items",
+            "b[1]: expected string",
+            "c: expected boolean",
+        ]);
+        assert.deepEqual(validateSchema([], schema), ["config: expected object"]);
+    });
+});
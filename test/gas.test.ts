@@ -151,9 +151,15 @@ describe("Test gas", async function () {
         let result = await getQuoteGas(config, orderDetails, multicallAddress);
         assert.equal(result, limitGas + arbitrumL1Gas);
 
+        // batch of orders
+        result = await getQuoteGas(config, [orderDetails, orderDetails], multicallAddress);
+        assert.equal(result, limitGas * 2n + arbitrumL1Gas);
+
         // other chains
         config.chain.id = 1;
         result = await getQuoteGas(config, orderDetails, multicallAddress);
         assert.equal(result, limitGas);
+        result = await getQuoteGas(config, [orderDetails, orderDetails], multicallAddress);
+        assert.equal(result, limitGas * 2n);
     });
 });
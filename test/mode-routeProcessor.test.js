@@ -10,7 +10,12 @@ const { getBountyEnsureRainlang, parseRainlang } = require("../src/task");
 const {
     dryrun,
     findOpp,
+    getMaxRatio,
+    getBundleSize,
+    findBundleOpp,
     findOppWithRetries,
+    estimateBundleProfit,
+    estimateIndividualProfit,
     RouteProcessorDryrunHaltReason,
 } = require("../src/modes/routeProcessor");
 
@@ -799,3 +804,140 @@ describe("Test find opp with retries", async function () {
         }
     });
 });
+
+describe("Test route processor find bundle opp", async function () {
+    beforeEach(() => {
+        dataFetcher = {
+            fetchedPairPools: [],
+            getCurrentPoolCodeMap: () => poolCodeMap,
+        };
+    });
+
+    it("should NOT pick a bundle that loses to clearing the orders individually", async function () {
+        // a bundle of 2 orders, each taking half of the vault balance
+        const bundle = clone(orderPairObject);
+        bundle.takeOrders[0].quote.maxOutput = vaultBalance.div(2);
+        bundle.takeOrders.push(clone(bundle.takeOrders[0]));
+        bundle.takeOrders[1].id = `0x${"2".repeat(64)}`;
+
+        // the bundle's arb3 uses far more gas than clearing a single order
+        const estimatedOrders = [];
+        signer = {
+            account: { address: `0x${"1".repeat(40)}` },
+            getBlockNumber: async () => oppBlockNumber,
+            estimateGas: async (tx) => {
+                const ordersCount = arb.interface.decodeFunctionData("arb3", tx.data)[1].orders
+                    .length;
+                estimatedOrders.push(ordersCount);
+                return ordersCount > 1
+                    ? gasLimitEstimation.mul(1_000_000_000).toBigInt()
+                    : gasLimitEstimation.toBigInt();
+            },
+            getBalance: async () => ethers.BigNumber.from(0),
+        };
+        try {
+            await findBundleOpp({
+                orderPairObject: bundle,
+                dataFetcher,
+                fromToken,
+                toToken,
+                signer,
+                gasPrice,
+                arb,
+                ethPrice,
+                config,
+                viemClient,
+            });
+            throw "expected to reject, but resolved";
+        } catch (error) {
+            if (error === "expected to reject, but resolved") throw error;
+            assert.equal(error.reason, RouteProcessorDryrunHaltReason.NoOpportunity);
+            assert.equal(
+                error.spanAttributes["error"],
+                "Bundle doesn't beat clearing the orders individually",
+            );
+            assert.isTrue(
+                ethers.utils
+                    .parseUnits(error.spanAttributes["bundleProfit"])
+                    .lt(ethers.utils.parseUnits(error.spanAttributes["individualProfit"])),
+            );
+        }
+
+        // the single clear's gas was estimated on its own
+        assert.include(estimatedOrders, 1);
+        assert.include(estimatedOrders, 2);
+    });
+});
+
+describe("Test route processor bundle helpers", async function () {
+    const parse = (v) => ethers.utils.parseUnits(v);
+    const bundle = {
+        takeOrders: [
+            { id: "0x1", quote: { maxOutput: parse("10"), ratio: parse("1") } },
+            { id: "0x2", quote: { maxOutput: parse("5"), ratio: parse("1.5") } },
+            { id: "0x3", quote: { maxOutput: parse("20"), ratio: parse("1.2") } },
+        ],
+    };
+
+    it("should get the highest ratio of take orders", async function () {
+        assert.equal(getMaxRatio(bundle).toString(), parse("1.5").toString());
+    });
+
+    it("should estimate bundle profit by consuming take orders in order", async function () {
+        // 10 * (2 - 1) + 5 * (2 - 1.5) + 20 * (2 - 1.2) = 28.5, at 0.5 eth price
+        let result = estimateBundleProfit(bundle, parse("0.5"), parse("2"), parse("35"));
+        assert.equal(result.toString(), parse("14.25").toString());
+
+        // partial, 10 * (2 - 1) + 2 * (2 - 1.5) = 11
+        result = estimateBundleProfit(bundle, parse("1"), parse("2"), parse("12"));
+        assert.equal(result.toString(), parse("11").toString());
+    });
+
+    it("should size the bundle by the market price of its combined max output", async function () {
+        // market price drops as the amount grows
+        const getPrice = (amount) => (amount.lte(parse("30")) ? parse("1.3") : parse("1.1"));
+        const orderPairObject = clone(bundle);
+        assert.equal(getBundleSize(orderPairObject, getPrice), 2);
+
+        // take orders are sorted by their ratio, so the cheapest ones are bundled
+        assert.deepEqual(
+            orderPairObject.takeOrders.map((v) => v.id),
+            ["0x1", "0x3", "0x2"],
+        );
+
+        // all orders are covered
+        assert.equal(
+            getBundleSize(clone(bundle), () => parse("1.5")),
+            3,
+        );
+
+        // not even the 2 cheapest orders are covered
+        assert.equal(
+            getBundleSize(clone(bundle), () => parse("1.1")),
+            0,
+        );
+
+        // no route
+        assert.isUndefined(getBundleSize(clone(bundle), () => undefined));
+    });
+
+    it("should pick the bundle only if it beats clearing the orders individually", async function () {
+        // 10 * (2 - 1) - 3 = 7, 5 * (2 - 1.5) - 3 < 0 is left out, 20 * (2 - 1.2) - 3 = 13
+        const getPrice = () => parse("2");
+        const individualProfit = estimateIndividualProfit(bundle, parse("1"), parse("3"), getPrice);
+        assert.equal(individualProfit.toString(), parse("20").toString());
+
+        // the bundle pays the gas once, 10 + 2.5 + 16 - 3 = 25.5 beats 20
+        const bundleProfit = estimateBundleProfit(bundle, parse("1"), parse("2"), parse("35"));
+        assert.isTrue(bundleProfit.sub(parse("3")).gt(individualProfit));
+
+        // orders whose market price doesn't cover their ratio are left out
+        const result = estimateIndividualProfit(bundle, parse("1"), parse("3"), (amount) =>
+            amount.eq(parse("20")) ? parse("1.1") : parse("2"),
+        );
+        assert.equal(result.toString(), parse("7").toString());
+
+        // with a higher gas cost clearing individually is not profitable at all
+        assert.isTrue(estimateIndividualProfit(bundle, parse("1"), parse("20"), getPrice).isZero());
+    });
+});
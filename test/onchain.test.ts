@@ -0,0 +1,290 @@
+import { assert } from "chai";
+import { TokenDetails } from "../src/types";
+import { decodeAbiParameters, parseAbiParameters } from "viem";
+import { OrderV3 } from "../src/abis";
+import {
+    toSgOrder,
+    getOrderLogs,
+    watchOrderLogs,
+    getOnchainOrders,
+    LOGS_BLOCK_RANGE,
+    drainOrdersStream,
+    watchNewOrderbooks,
+    getOnchainOrderChanges,
+    readOnchainOrderChanges,
+} from "../src/onchain";
+
+describe("Test onchain orders source", async function () {
+    const orderbook = `0x${"2".repeat(40)}`;
+    const token1 = `0x${"3".repeat(40)}`;
+    const token2 = `0x${"4".repeat(40)}`;
+    const tokens: TokenDetails[] = [
+        { address: token1, symbol: "TKN1", decimals: 6 },
+        { address: token2, symbol: "TKN2", decimals: 18 },
+    ];
+    const getOrder = (nonce: number) => ({
+        owner: `0x${"1".repeat(40)}`,
+        evaluable: {
+            interpreter: `0x${"5".repeat(40)}`,
+            store: `0x${"6".repeat(40)}`,
+            bytecode: "0x1234",
+        },
+        validInputs: [{ token: token1, decimals: 6, vaultId: 1n }],
+        validOutputs: [{ token: token2, decimals: 18, vaultId: 2n }],
+        nonce: `0x${nonce.toString().repeat(64)}`,
+    });
+    const getLog = (
+        eventName: string,
+        orderHash: string,
+        order: any,
+        blockNumber: bigint,
+        logIndex: number,
+    ) => ({
+        eventName,
+        address: orderbook,
+        args: { sender: `0x${"7".repeat(40)}`, orderHash, order },
+        blockNumber,
+        logIndex,
+    });
+    const hash1 = `0x${"a".repeat(64)}`;
+    const hash2 = `0x${"b".repeat(64)}`;
+    const hash3 = `0x${"c".repeat(64)}`;
+
+    it("should read order logs in chunks and sort them", async function () {
+        const calls: any[] = [];
+        const viemClient = {
+            getLogs: async (args: any) => {
+                calls.push(args);
+                if (args.fromBlock === 1n) {
+                    return [
+                        getLog("RemoveOrderV2", hash1, getOrder(1), 3n, 0),
+                        getLog("AddOrderV2", hash1, getOrder(1), 2n, 5),
+                    ];
+                }
+                return [getLog("AddOrderV2", hash2, getOrder(2), LOGS_BLOCK_RANGE + 1n, 1)];
+            },
+        } as any;
+        const result = await getOrderLogs(viemClient, [orderbook], 1n, LOGS_BLOCK_RANGE + 10n);
+
+        assert.equal(calls.length, 2);
+        assert.equal(calls[0].fromBlock, 1n);
+        assert.equal(calls[0].toBlock, LOGS_BLOCK_RANGE);
+        assert.equal(calls[1].fromBlock, LOGS_BLOCK_RANGE + 1n);
+        assert.equal(calls[1].toBlock, LOGS_BLOCK_RANGE + 10n);
+        assert.deepEqual(
+            result.map((v) => [v.type, v.orderHash, v.blockNumber]),
+            [
+                ["add", hash1, 2n],
+                ["remove", hash1, 3n],
+                ["add", hash2, LOGS_BLOCK_RANGE + 1n],
+            ],
+        );
+    });
+
+    it("should convert an order struct to sg order", async function () {
+        const order = getOrder(1);
+        const result = await toSgOrder(orderbook, hash1, order, true, {} as any, tokens);
+        const decoded = decodeAbiParameters(
+            parseAbiParameters(OrderV3),
+            result.orderBytes as `0x${string}`,
+        )[0];
+
+        assert.equal(result.orderHash, hash1);
+        assert.equal(result.owner, order.owner);
+        assert.equal(result.orderbook.id, orderbook);
+        assert.equal(result.active, true);
+        assert.equal(decoded.nonce, order.nonce);
+        assert.deepEqual(result.inputs, [
+            { balance: "0", vaultId: "1", token: { address: token1, decimals: 6, symbol: "TKN1" } },
+        ]);
+        assert.deepEqual(result.outputs, [
+            {
+                balance: "0",
+                vaultId: "2",
+                token: { address: token2, decimals: 18, symbol: "TKN2" },
+            },
+        ]);
+    });
+
+    it("should get order changes by latest event of each order", async function () {
+        const viemClient = {
+            getLogs: async () => [
+                getLog("AddOrderV2", hash1, getOrder(1), 2n, 0),
+                getLog("RemoveOrderV2", hash1, getOrder(1), 3n, 0),
+                getLog("AddOrderV2", hash2, getOrder(2), 3n, 1),
+                getLog("RemoveOrderV2", hash3, getOrder(3), 4n, 0),
+                getLog("AddOrderV2", hash3, getOrder(3), 5n, 0),
+            ],
+        } as any;
+        const result = await getOnchainOrderChanges(viemClient, [orderbook], 1n, 10n, tokens);
+
+        assert.deepEqual(
+            result.addOrders.map((v) => v.orderHash),
+            [hash2, hash3],
+        );
+        assert.deepEqual(
+            result.removeOrders.map((v) => v.orderHash),
+            [hash1],
+        );
+
+        // failing to build an order from its log is recorded on the span
+        const events: any[] = [];
+        const span = { addEvent: (...args: any[]) => events.push(args) } as any;
+        const badClient = {
+            getLogs: async () => [getLog("AddOrderV2", hash1, { owner: "0x1" }, 2n, 0)],
+        } as any;
+        let failed = false;
+        try {
+            await getOnchainOrderChanges(badClient, [orderbook], 1n, 10n, tokens, span);
+        } catch {
+            failed = true;
+        }
+        assert.isTrue(failed);
+        assert.equal(events.length, 1);
+        assert.include(events[0][0], "Failed to build onchain orders from logs");
+    });
+
+    it("should backfill orders and follow new logs", async function () {
+        let blockNumber = 10n;
+        const calls: any[] = [];
+        const viemClient = {
+            getBlockNumber: async () => blockNumber,
+            getLogs: async (args: any) => {
+                calls.push(args);
+                if (args.fromBlock === 5n) {
+                    return [
+                        getLog("AddOrderV2", hash1, getOrder(1), 6n, 0),
+                        getLog("AddOrderV2", hash2, getOrder(2), 7n, 0),
+                    ];
+                }
+                return [getLog("RemoveOrderV2", hash1, getOrder(1), 12n, 0)];
+            },
+        } as any;
+        const { orders, source } = await getOnchainOrders(viemClient, [orderbook], 5n, tokens);
+        assert.deepEqual(
+            orders.map((v) => v.orderHash),
+            [hash1, hash2],
+        );
+        assert.deepEqual(source, { orderbooks: [orderbook], lastReadBlock: 10n });
+
+        // no new blocks
+        let changes = await readOnchainOrderChanges(viemClient, source, tokens);
+        assert.deepEqual(changes, { addOrders: [], removeOrders: [] });
+        assert.equal(calls.length, 1);
+
+        // new blocks
+        blockNumber = 15n;
+        changes = await readOnchainOrderChanges(viemClient, source, tokens);
+        assert.equal(calls[1].fromBlock, 11n);
+        assert.equal(calls[1].toBlock, 15n);
+        assert.deepEqual(changes.addOrders, []);
+        assert.deepEqual(
+            changes.removeOrders.map((v) => v.orderHash),
+            [hash1],
+        );
+        assert.equal(source.lastReadBlock, 15n);
+    });
+
+    it("should queue streamed order logs and drain them", async function () {
+        let watchArgs: any;
+        let unwatched = false;
+        const wsClient = {
+            watchEvent: (args: any) => {
+                watchArgs = args;
+                return () => {
+                    unwatched = true;
+                };
+            },
+        } as any;
+        const stream = watchOrderLogs("wss://example.com", {} as any, [orderbook], wsClient);
+        assert.deepEqual(watchArgs.address, [orderbook]);
+        assert.deepEqual(
+            watchArgs.events.map((v: any) => v.name),
+            ["AddOrderV2", "RemoveOrderV2"],
+        );
+
+        // nothing received yet
+        let changes = await drainOrdersStream(stream, {} as any, tokens);
+        assert.deepEqual(changes, { addOrders: [], removeOrders: [] });
+
+        // logs are pushed out of order and a reorged log is ignored
+        watchArgs.onLogs([
+            getLog("RemoveOrderV2", hash1, getOrder(1), 3n, 0),
+            getLog("AddOrderV2", hash1, getOrder(1), 2n, 0),
+            { ...getLog("AddOrderV2", hash3, getOrder(3), 2n, 1), removed: true },
+        ]);
+        watchArgs.onLogs([getLog("AddOrderV2", hash2, getOrder(2), 4n, 0)]);
+        watchArgs.onError(new Error("some error"));
+        assert.equal(stream.logs.length, 3);
+
+        const events: any[] = [];
+        const span = { addEvent: (...args: any[]) => events.push(args) } as any;
+        changes = await drainOrdersStream(stream, {} as any, tokens, span);
+        assert.deepEqual(
+            changes.addOrders.map((v) => v.orderHash),
+            [hash2],
+        );
+        assert.deepEqual(
+            changes.removeOrders.map((v) => v.orderHash),
+            [hash1],
+        );
+        assert.equal(events.length, 1);
+        assert.isEmpty(stream.logs);
+        assert.isUndefined(stream.error);
+
+        // logs of not watched orderbooks are ignored and failing logs are dropped
+        watchArgs.onLogs([
+            { ...getLog("AddOrderV2", hash1, getOrder(1), 5n, 0), address: token1 },
+            getLog("AddOrderV2", hash2, { owner: "0x1" }, 5n, 1),
+            getLog("AddOrderV2", hash3, getOrder(3), 5n, 2),
+        ]);
+        events.length = 0;
+        changes = await drainOrdersStream(stream, {} as any, tokens, span);
+        assert.deepEqual(
+            changes.addOrders.map((v) => v.orderHash),
+            [hash3],
+        );
+        assert.deepEqual(changes.removeOrders, []);
+        assert.equal(events.length, 1);
+        assert.include(events[0][0], `Dropped orders stream log of order ${hash2}`);
+        assert.isEmpty(stream.logs);
+
+        stream.unwatch();
+        assert.isTrue(unwatched);
+    });
+
+    it("should only watch known orderbooks and add the discovered ones", async function () {
+        const watchCalls: any[] = [];
+        let unwatchCount = 0;
+        const wsClient = {
+            watchEvent: (args: any) => {
+                watchCalls.push(args);
+                return () => {
+                    unwatchCount++;
+                };
+            },
+        } as any;
+        const stream = watchOrderLogs("wss://example.com", {} as any, [], wsClient);
+        assert.isEmpty(watchCalls);
+        assert.isEmpty(stream.orderbooks);
+
+        // nothing to add
+        assert.isFalse(watchNewOrderbooks(stream, []));
+        assert.isEmpty(watchCalls);
+
+        const orderbook2 = `0x${"8".repeat(40)}`;
+        assert.isTrue(watchNewOrderbooks(stream, [orderbook, orderbook]));
+        assert.equal(watchCalls.length, 1);
+        assert.deepEqual(watchCalls[0].address, [orderbook]);
+
+        // already watched orderbooks dont restart the subscription
+        assert.isFalse(watchNewOrderbooks(stream, [orderbook.toUpperCase().replace("0X", "0x")]));
+        assert.equal(watchCalls.length, 1);
+
+        assert.isTrue(watchNewOrderbooks(stream, [orderbook, orderbook2]));
+        assert.equal(unwatchCount, 1);
+        assert.equal(watchCalls.length, 2);
+        assert.deepEqual(watchCalls[1].address, [orderbook, orderbook2]);
+        assert.deepEqual(stream.orderbooks, [orderbook, orderbook2]);
+    });
+});
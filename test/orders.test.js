@@ -2,24 +2,36 @@ const { assert } = require("chai");
 const testData = require("./data");
 const { ethers } = require("hardhat");
 const { clone } = require("../src/utils");
-const { OrderV3 } = require("../src/abis");
+const { OrderV3, OrderbookQuoteAbi } = require("../src/abis");
 const mockServer = require("mockttp").getLocal();
 const { encodeQuoteResponse } = require("./utils");
 const { checkOwnedOrders } = require("../src/account");
-const { decodeAbiParameters, parseAbiParameters } = require("viem");
+const {
+    multicall3Abi,
+    decodeFunctionData,
+    parseAbiParameters,
+    decodeAbiParameters,
+    encodeFunctionResult,
+} = require("viem");
 const {
     utils: { hexlify, randomBytes, keccak256 },
 } = require("ethers");
 const {
     toOrder,
     getOrderPairs,
+    quoteOrders,
     quoteSingleOrder,
     prepareOrdersForRound,
     getOrderbookOwnersProfileMapFromSg,
     buildOtovMap,
     fetchVaultBalances,
+    getOrdersExistence,
+    checkOrdersLiveness,
     evaluateOwnersLimits,
+    isOrderIncluded,
+    isPairIncluded,
     resetLimits,
+    handleVaultChanges,
     downscaleProtection,
 } = require("../src/order");
 
@@ -223,6 +235,141 @@ describe("Test order", async function () {
         assert.deepEqual(orderDetails.takeOrders[0].quote, expected);
     });
 
+    it("should batch quote orders", async function () {
+        const orderbook = `0x${"2".repeat(40)}`;
+        const multicallAddress = `0x${"3".repeat(40)}`;
+        const getTakeOrder = (id) => ({
+            id,
+            quote: {
+                maxOutput: ethers.BigNumber.from("33"),
+                ratio: ethers.BigNumber.from("44"),
+            },
+            takeOrder: {
+                order: {
+                    owner: `0x${"2".repeat(40)}`,
+                    evaluable: {
+                        interpreter: `0x${"2".repeat(40)}`,
+                        store: `0x${"2".repeat(40)}`,
+                        bytecode: "0x",
+                    },
+                    validInputs: [
+                        {
+                            token: `0x${"2".repeat(40)}`,
+                            decimals: 18,
+                            vaultId: ethers.BigNumber.from("1"),
+                        },
+                    ],
+                    validOutputs: [
+                        {
+                            token: `0x${"2".repeat(40)}`,
+                            decimals: 18,
+                            vaultId: ethers.BigNumber.from("1"),
+                        },
+                    ],
+                    nonce: `0x${"1".repeat(64)}`,
+                },
+                inputIOIndex: 0,
+                outputIOIndex: 0,
+                signedContext: [],
+            },
+        });
+        const orderDetails = [
+            [
+                {
+                    orderbook,
+                    takeOrders: [getTakeOrder(`0x${"1".repeat(64)}`)],
+                },
+                {
+                    orderbook,
+                    takeOrders: [
+                        getTakeOrder(`0x${"4".repeat(64)}`),
+                        getTakeOrder(`0x${"5".repeat(64)}`),
+                    ],
+                },
+            ],
+        ];
+        const calls = [];
+        const config = {
+            chain: { id: 137 },
+            quoteGas: 1_000_000n,
+            viemClient: {
+                call: async (args) => {
+                    calls.push(args);
+                    const { args: decoded } = decodeFunctionData({
+                        abi: multicall3Abi,
+                        data: args.data,
+                    });
+                    // first succeeds, second reverts and third returns invalid data
+                    return {
+                        data: encodeFunctionResult({
+                            abi: multicall3Abi,
+                            functionName: "aggregate3",
+                            result: [
+                                decoded[0].map((_, i) => ({
+                                    success: i !== 1,
+                                    returnData:
+                                        i === 0
+                                            ? encodeFunctionResult({
+                                                  abi: OrderbookQuoteAbi,
+                                                  functionName: "quote",
+                                                  result: [true, 1n, 2n],
+                                              })
+                                            : "0x",
+                                })),
+                            ],
+                        }),
+                    };
+                },
+            },
+        };
+        let result = await quoteOrders(config, orderDetails, undefined, multicallAddress);
+        assert.deepEqual(orderDetails[0][0].takeOrders[0].quote, {
+            maxOutput: ethers.BigNumber.from(1),
+            ratio: ethers.BigNumber.from(2),
+        });
+        assert.isUndefined(orderDetails[0][1].takeOrders[0].quote);
+        assert.isUndefined(orderDetails[0][1].takeOrders[1].quote);
+
+        // all orders are quoted in a single multicall
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].to, multicallAddress);
+        assert.equal(calls[0].gas, 3_000_000n);
+        assert.equal(result.quotedAt.size, 3);
+        assert.isEmpty(result.errors);
+
+        // a failed multicall only leaves its own orders unquoted
+        const callFn = config.viemClient.call;
+        orderDetails[0][0].takeOrders[0].quote = undefined;
+        config.viemClient.call = async (args) => {
+            if (calls.length === 1) {
+                calls.push(args);
+                return Promise.reject("some error");
+            }
+            return callFn(args);
+        };
+        result = await quoteOrders(config, orderDetails, undefined, multicallAddress, 2);
+        assert.equal(calls.length, 3);
+        assert.deepEqual(result.errors, ["some error"]);
+        assert.deepEqual(
+            Array.from(result.quotedAt.keys()).map((v) => v.id),
+            [`0x${"5".repeat(64)}`],
+        );
+        assert.isUndefined(orderDetails[0][0].takeOrders[0].quote);
+        assert.deepEqual(orderDetails[0][1].takeOrders[1].quote, {
+            maxOutput: ethers.BigNumber.from(1),
+            ratio: ethers.BigNumber.from(2),
+        });
+
+        // rejects if all of the multicalls fail
+        config.viemClient.call = async () => Promise.reject("some error");
+        try {
+            await quoteOrders(config, orderDetails, undefined, multicallAddress);
+            assert.fail("expected to reject, but resolved");
+        } catch (error) {
+            assert.equal(error, "some error");
+        }
+    });
+
     it("should get order pairs", async function () {
         const [order1] = getOrders();
         const orderStruct = toOrder(
@@ -660,6 +807,124 @@ describe("Test order", async function () {
         assert.deepEqual(vaults, expected);
     });
 
+    it("should check if order and pair are included by filters", async function () {
+        const order = {
+            orderHash: "0xHash1",
+            owner: "0xOwner1",
+            orderbook: { id: "0xOb1" },
+        };
+        assert.isTrue(isOrderIncluded(order, {}));
+        assert.isTrue(isOrderIncluded(order, { orderHash: "0xhash1" }));
+        assert.isFalse(isOrderIncluded(order, { orderHash: "0xhash2" }));
+        assert.isTrue(
+            isOrderIncluded(order, { orderOwner: "0xowner2", orderOwners: ["0xowner1"] }),
+        );
+        assert.isFalse(isOrderIncluded(order, { orderOwners: ["0xowner2"] }));
+        assert.isTrue(isOrderIncluded(order, { orderbooks: ["0xob2", "0xob1"] }));
+        assert.isFalse(isOrderIncluded(order, { orderbook: "0xob2" }));
+
+        assert.isTrue(isPairIncluded("0xA", "0xB", {}));
+        assert.isTrue(isPairIncluded("0xA", "0xB", { includeTokens: ["0xa", "0xb", "0xc"] }));
+        assert.isFalse(isPairIncluded("0xA", "0xB", { includeTokens: ["0xa", "0xc"] }));
+        assert.isFalse(isPairIncluded("0xA", "0xB", { excludeTokens: ["0xb"] }));
+        assert.isTrue(isPairIncluded("0xA", "0xB", { includePairs: [["0xb", "0xa"]] }));
+        assert.isFalse(isPairIncluded("0xA", "0xB", { includePairs: [["0xa", "0xc"]] }));
+        assert.isFalse(isPairIncluded("0xA", "0xB", { excludePairs: [["0xa", "0xb"]] }));
+        assert.isTrue(isPairIncluded("0xA", "0xB", { excludePairs: [["0xa", "0xc"]] }));
+    });
+
+    it("should get orders existence", async function () {
+        // mock viem client
+        let contracts;
+        const viemClient = {
+            chain: { id: 137 },
+            multicall: async (args) => {
+                contracts = args.contracts;
+                return [
+                    { status: "success", result: true },
+                    { status: "success", result: false },
+                    { status: "failure", error: new Error("some error") },
+                ];
+            },
+        };
+        const orders = [1, 2, 3].map(() => ({
+            orderbook: hexlify(randomBytes(20)).toLowerCase(),
+            orderHash: hexlify(randomBytes(32)).toLowerCase(),
+        }));
+        const result = await getOrdersExistence(orders, viemClient);
+
+        assert.deepEqual(result, [true, false, undefined]);
+        assert.deepEqual(
+            contracts.map((v) => [v.address, v.functionName, v.args[0]]),
+            orders.map((v) => [v.orderbook, "orderExists", v.orderHash]),
+        );
+        assert.deepEqual(await getOrdersExistence([], viemClient), []);
+    });
+
+    it("should check orders liveness and prune dead orders", async function () {
+        const orderbook = hexlify(randomBytes(20)).toLowerCase();
+        const owner = hexlify(randomBytes(20)).toLowerCase();
+        const token1 = {
+            address: hexlify(randomBytes(20)).toLowerCase(),
+            decimals: 6,
+            symbol: "NewToken1",
+        };
+        const token2 = {
+            address: hexlify(randomBytes(20)).toLowerCase(),
+            decimals: 6,
+            symbol: "NewToken2",
+        };
+        const [order1, order2, order3] = [1, 2, 3].map((nonce) =>
+            getNewOrder(orderbook, owner, token1, token2, nonce),
+        );
+        const ownerProfileMap = await getOrderbookOwnersProfileMapFromSg(
+            [order1, order2, order3],
+            undefined,
+            [],
+        );
+
+        // mock viem client, order2 doesn't exist and order3 call fails
+        let calls = 0;
+        const viemClient = {
+            chain: { id: 137 },
+            multicall: async (args) => {
+                calls++;
+                return args.contracts.map((v) => {
+                    if (v.args[0] === order2.orderHash) return { status: "success", result: false };
+                    if (v.args[0] === order3.orderHash) return { status: "failure" };
+                    return { status: "success", result: true };
+                });
+            },
+        };
+        const result = await checkOrdersLiveness(ownerProfileMap, viemClient);
+        assert.deepEqual(result, [{ orderbook, owner, orderHash: order2.orderHash }]);
+
+        const orders = ownerProfileMap.get(orderbook).get(owner).orders;
+        assert.isTrue(orders.get(order1.orderHash).active);
+        assert.isFalse(orders.get(order2.orderHash).active);
+        assert.isTrue(orders.get(order3.orderHash).active);
+
+        // inactive orders are dropped from rounds
+        const roundOrders = prepareOrdersForRound(ownerProfileMap, false);
+        assert.deepEqual(
+            roundOrders[0][0].takeOrders.map((v) => v.id),
+            [order1.orderHash, order3.orderHash],
+        );
+
+        // inactive orders are not checked again
+        const contracts = [];
+        viemClient.multicall = async (args) => {
+            contracts.push(...args.contracts);
+            return args.contracts.map(() => ({ status: "success", result: true }));
+        };
+        assert.deepEqual(await checkOrdersLiveness(ownerProfileMap, viemClient), []);
+        assert.equal(calls, 1);
+        assert.deepEqual(
+            contracts.map((v) => v.args[0]),
+            [order1.orderHash, order3.orderHash],
+        );
+    });
+
     it("should evaluate owner limits", async function () {
         // mock viem client
         let counter = -1;
@@ -824,6 +1089,122 @@ describe("Test order", async function () {
         assert.deepEqual(ownerProfileMap, expected);
     });
 
+    it("should handle vault changes", async function () {
+        // mock viem client
+        let counter = -1;
+        const viemClient = {
+            chain: { id: 137 },
+            readContract: async () => 10n,
+            multicall: async () => {
+                counter++;
+                if (counter === 0) return [5n]; // for tkn2 owner2
+                if (counter === 1) return [1n]; // for tkn1 owner2
+            },
+        };
+        const orderbook = hexlify(randomBytes(20)).toLowerCase();
+        const owner1 = hexlify(randomBytes(20)).toLowerCase();
+        const owner2 = hexlify(randomBytes(20)).toLowerCase();
+        const token1 = {
+            address: hexlify(randomBytes(20)).toLowerCase(),
+            decimals: 6,
+            symbol: "NewToken1",
+        };
+        const token2 = {
+            address: hexlify(randomBytes(20)).toLowerCase(),
+            decimals: 6,
+            symbol: "NewToken1",
+        };
+        const [owner1order1, owner2order1, owner1order2, owner2order2] = [
+            getNewOrder(orderbook, owner1, token1, token2, 1),
+            getNewOrder(orderbook, owner2, token1, token2, 1),
+            getNewOrder(orderbook, owner1, token2, token1, 1),
+            getNewOrder(orderbook, owner2, token2, token1, 1),
+        ];
+        const ownerProfileMap = await getOrderbookOwnersProfileMapFromSg(
+            [owner1order1, owner2order1, owner1order2, owner2order2],
+            undefined,
+            [],
+        );
+        const otovMap = buildOtovMap(ownerProfileMap);
+
+        // deposit into owner2 token2 vault, which is sold by owner2order1
+        const impactedOwners = handleVaultChanges(ownerProfileMap, otovMap, [
+            {
+                orderbook,
+                owner: owner2,
+                token: token2.address,
+                vaultId: "1",
+                balance: "123",
+                timestamp: 1,
+            },
+            {
+                orderbook: hexlify(randomBytes(20)).toLowerCase(),
+                owner: owner2,
+                token: token2.address,
+                vaultId: "1",
+                balance: "456",
+                timestamp: 1,
+            },
+        ]);
+        assert.deepEqual(impactedOwners, new Map([[orderbook, new Set([owner2])]]));
+        assert.deepEqual(otovMap.get(orderbook).get(token2.address).get(owner2), [
+            { vaultId: "0x01", balance: 123n },
+        ]);
+        assert.deepEqual(otovMap.get(orderbook).get(token1.address).get(owner2), [
+            { vaultId: "0x01", balance: 0n },
+        ]);
+        const owner2Orders = ownerProfileMap.get(orderbook).get(owner2).orders;
+        assert.isTrue(owner2Orders.get(owner2order1.orderHash).priority);
+        assert.isUndefined(owner2Orders.get(owner2order2.orderHash).priority);
+        assert.isUndefined(
+            ownerProfileMap.get(orderbook).get(owner1).orders.get(owner1order1.orderHash).priority,
+        );
+
+        // priority order is included even though it is out of owner's limit for this round
+        ownerProfileMap.get(orderbook).get(owner1).limit = 0;
+        ownerProfileMap.get(orderbook).get(owner2).limit = 1;
+        ownerProfileMap.get(orderbook).get(owner2).lastIndex = 1;
+        const result = prepareOrdersForRound(ownerProfileMap, false);
+        assert.deepEqual(
+            result[0].map((v) => [v.sellToken, v.takeOrders.map((e) => e.id)]),
+            [
+                [token2.address, [owner2order1.orderHash]],
+                [token1.address, [owner2order2.orderHash]],
+            ],
+        );
+        assert.isFalse(owner2Orders.get(owner2order1.orderHash).priority);
+
+        // only impacted owners limits are re evaluated
+        ownerProfileMap.get(orderbook).get(owner1).limit = 7;
+        await downscaleProtection(
+            ownerProfileMap,
+            viemClient,
+            undefined,
+            true,
+            undefined,
+            impactedOwners,
+        );
+        assert.equal(counter, 1);
+        assert.equal(ownerProfileMap.get(orderbook).get(owner1).limit, 7);
+        assert.equal(ownerProfileMap.get(orderbook).get(owner2).limit, 10);
+
+        // given otov map balances are used without fetching them again
+        viemClient.readContract = async () => 150n;
+        const returnedMap = await downscaleProtection(
+            ownerProfileMap,
+            viemClient,
+            undefined,
+            true,
+            undefined,
+            impactedOwners,
+            otovMap,
+        );
+        assert.equal(returnedMap, otovMap);
+        assert.equal(counter, 1);
+        assert.equal(ownerProfileMap.get(orderbook).get(owner1).limit, 7);
+        assert.equal(ownerProfileMap.get(orderbook).get(owner2).limit, 25);
+    });
+
     it("should check owned orders", async function () {
         const owner = hexlify(randomBytes(20));
         const { orderPairObject1, opposingOrderPairObject } = testData;
@@ -0,0 +1,144 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { assert } from "chai";
+import { OrderV3 } from "../src/abis";
+import { TokenDetails } from "../src/types";
+import { encodeAbiParameters, keccak256, parseAbiParameters } from "viem";
+import { parseOrdersFile, getOrdersFromFile, readOrdersFileChanges } from "../src/ordersFile";
+
+describe("Test orders file source", async function () {
+    const orderbook = `0x${"2".repeat(40)}`;
+    const token1 = `0x${"3".repeat(40)}`;
+    const token2 = `0x${"4".repeat(40)}`;
+    const tokens: TokenDetails[] = [
+        { address: token1, symbol: "TKN1", decimals: 6 },
+        { address: token2, symbol: "TKN2", decimals: 18 },
+    ];
+    const getOrder = (nonce: number) => ({
+        owner: `0x${"1".repeat(40)}`,
+        evaluable: {
+            interpreter: `0x${"5".repeat(40)}`,
+            store: `0x${"6".repeat(40)}`,
+            bytecode: "0x1234",
+        },
+        validInputs: [{ token: token1, decimals: 6, vaultId: "1" }],
+        validOutputs: [{ token: token2, decimals: 18, vaultId: "0x2" }],
+        nonce: `0x${nonce.toString().repeat(64)}`,
+    });
+    const getOrderBytes = (nonce: number) => {
+        const order = getOrder(nonce);
+        return encodeAbiParameters(parseAbiParameters(OrderV3), [
+            {
+                ...order,
+                validInputs: [{ token: token1, decimals: 6, vaultId: 1n }],
+                validOutputs: [{ token: token2, decimals: 18, vaultId: 2n }],
+            } as any,
+        ]);
+    };
+    const filePath = path.join(os.tmpdir(), `arb-bot-orders-${Date.now()}.json`);
+
+    afterEach(function () {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+
+    it("should parse json array and ndjson orders files", async function () {
+        const expected = [
+            { orderbook, orderHash: keccak256(getOrderBytes(1)) },
+            { orderbook, orderHash: keccak256(getOrderBytes(2)) },
+            { orderbook, orderHash: keccak256(getOrderBytes(3)) },
+        ];
+
+        // json array
+        const json = JSON.stringify([
+            { orderbook, order: getOrder(1) },
+            { orderbook, ...getOrder(2) },
+            { orderbook, orderBytes: getOrderBytes(3) },
+        ]);
+        let result = parseOrdersFile(json);
+        assert.deepEqual(
+            result.map((v) => ({ orderbook: v.orderbook, orderHash: v.orderHash })),
+            expected,
+        );
+        assert.equal(result[0].order.validInputs[0].vaultId, 1n);
+        assert.equal(result[0].order.validOutputs[0].vaultId, 2n);
+
+        // ndjson with default orderbook
+        const ndjson = [
+            JSON.stringify({ order: getOrder(1) }),
+            "",
+            JSON.stringify(getOrder(2)),
+            JSON.stringify({ orderBytes: getOrderBytes(3) }),
+        ].join("\n");
+        result = parseOrdersFile(ndjson, orderbook);
+        assert.deepEqual(
+            result.map((v) => ({ orderbook: v.orderbook, orderHash: v.orderHash })),
+            expected,
+        );
+    });
+
+    it("should throw for invalid orders file entries", async function () {
+        assert.throws(
+            () => parseOrdersFile(JSON.stringify([{ order: getOrder(1) }])),
+            "invalid orders file, entry 0 has invalid or undefined orderbook address",
+        );
+        assert.throws(
+            () => parseOrdersFile(JSON.stringify([{ orderbook, order: { owner: "0x1" } }])),
+            "invalid orders file, entry 0 is not a valid order",
+        );
+        assert.throws(
+            () => parseOrdersFile(`${JSON.stringify({ orderbook, order: getOrder(1) })}\n{abcd`),
+            "invalid orders file, cannot parse line 2 as json",
+        );
+    });
+
+    it("should read orders file and its changes", async function () {
+        const hash1 = keccak256(getOrderBytes(1));
+        const hash2 = keccak256(getOrderBytes(2));
+        const hash3 = keccak256(getOrderBytes(3));
+        fs.writeFileSync(
+            filePath,
+            JSON.stringify([
+                { orderbook, order: getOrder(1) },
+                { orderbook, order: getOrder(2) },
+                { orderbook, order: getOrder(2) },
+            ]),
+        );
+        const { orders, source } = await getOrdersFromFile(filePath, {} as any, tokens);
+        assert.deepEqual(
+            orders.map((v) => v.orderHash),
+            [hash1, hash2],
+        );
+        assert.equal(orders[0].active, true);
+        assert.deepEqual(orders[0].inputs, [
+            { balance: "0", vaultId: "1", token: { address: token1, decimals: 6, symbol: "TKN1" } },
+        ]);
+
+        // unchanged file
+        let changes = await readOrdersFileChanges(source, {} as any, tokens);
+        assert.deepEqual(changes, { addOrders: [], removeOrders: [] });
+
+        // changed file
+        fs.writeFileSync(
+            filePath,
+            [
+                JSON.stringify({ orderbook, order: getOrder(2) }),
+                JSON.stringify({ orderbook, order: getOrder(3) }),
+            ].join("\n"),
+        );
+        fs.utimesSync(filePath, new Date(), new Date(Date.now() + 10_000));
+        changes = await readOrdersFileChanges(source, {} as any, tokens);
+        assert.deepEqual(
+            changes.addOrders.map((v) => v.orderHash),
+            [hash3],
+        );
+        assert.deepEqual(
+            changes.removeOrders.map((v) => [v.orderHash, v.active]),
+            [[hash1, false]],
+        );
+        assert.deepEqual(
+            source.orders.map((v) => v.orderHash),
+            [hash2, hash3],
+        );
+    });
+});
@@ -0,0 +1,107 @@
+import axios from "axios";
+import { assert } from "chai";
+import { CliOptions } from "../src/types";
+import { formatPreflightChecks, runPreflightChecks } from "../src/preflight";
+
+describe("Test preflight checks", async function () {
+    const originalPost = axios.post;
+    const arb = "0x" + "1".repeat(40);
+    const genericArb = "0x" + "2".repeat(40);
+    const dispair = "0x" + "3".repeat(40);
+    const orderbook = "0x" + "4".repeat(40);
+    const otherOrderbook = "0x" + "5".repeat(40);
+    const key = "0x" + "6".repeat(64);
+    const options = {
+        key,
+        rpc: ["https://rpc.com"],
+        subgraph: ["https://sg1.com", "https://sg2.com"],
+        arbAddress: arb,
+        genericArbAddress: genericArb,
+        dispair,
+        botMinBalance: "1",
+    } as any as CliOptions;
+
+    const getViemClient = (balance: bigint, arbOrderbook: string) =>
+        ({
+            getChainId: async () => 137,
+            getBytecode: async () => "0x1234",
+            getBalance: async () => balance,
+            readContract: async ({ address, functionName }: any) => {
+                if (functionName === "iOrderBook") {
+                    if (address === arb) return arbOrderbook;
+                    throw "reverted";
+                }
+                return "0x" + "7".repeat(40);
+            },
+        }) as any;
+
+    beforeEach(function () {
+        axios.post = (async (url: string, body: any) => {
+            if (body.query.includes("_meta")) {
+                if (url === "https://sg2.com") {
+                    return { data: { data: { _meta: { hasIndexingErrors: true } } } };
+                }
+                return {
+                    data: { data: { _meta: { hasIndexingErrors: false, block: { number: 10 } } } },
+                };
+            }
+            return { data: { data: { orderbooks: [{ id: orderbook }] } } };
+        }) as any;
+    });
+
+    afterEach(function () {
+        axios.post = originalPost;
+    });
+
+    it("should pass the checks of a valid deployment", async function () {
+        const checks = await runPreflightChecks(
+            { ...options, subgraph: ["https://sg1.com"] },
+            getViemClient(10n ** 18n, orderbook),
+        );
+        assert.deepEqual(
+            checks.map((v) => [v.name, v.passed]),
+            [
+                ["chain", true],
+                ["route processor 4", true],
+                ["arb contract", true],
+                ["generic arb contract", true],
+                ["dispair", true],
+                ["wallet", true],
+                ["subgraph https://sg1.com", true],
+            ],
+        );
+        assert.include(checks[2].details, `orderbook: ${orderbook}`);
+        assert.include(checks[3].details, "not bound to an orderbook");
+    });
+
+    it("should fail the checks of a misconfigured deployment", async function () {
+        const checks = await runPreflightChecks(options, getViemClient(0n, otherOrderbook));
+        const failed = checks.filter((v) => !v.passed);
+        assert.deepEqual(
+            failed.map((v) => v.name),
+            ["arb contract", "wallet", "subgraph https://sg2.com"],
+        );
+        assert.include(failed[0].details, `orderbook ${otherOrderbook} is not one of the known`);
+        assert.equal(failed[2].details, "subgraph has indexing error");
+
+        const table = formatPreflightChecks(checks);
+        assert.include(table, "CHECK");
+        assert.match(table, /^arb contract\s+\| FAIL\s+\|/m);
+        assert.match(table, /^dispair\s+\| PASS\s+\|/m);
+    });
+
+    it("should skip the onchain checks if chain check fails", async function () {
+        const checks = await runPreflightChecks({ ...options, rpc: [], subgraph: [] });
+        assert.deepEqual(
+            checks.map((v) => [v.name, v.passed]),
+            [
+                ["chain", false],
+                ["route processor 4", false],
+                ["arb contract", false],
+                ["dispair", false],
+                ["wallet", false],
+            ],
+        );
+        assert.equal(checks[0].details, "failed to get chain id: undefined RPC URL");
+    });
+});
@@ -2,7 +2,7 @@ const { assert } = require("chai");
 const fixtures = require("./data");
 const mockServer = require("mockttp").getLocal();
 const { encodeQuoteResponse } = require("./utils");
-const { processPair } = require("../src/processOrders");
+const { processPair, startBundles } = require("../src/processOrders");
 const { clone, estimateProfit } = require("../src/utils");
 const { ProcessPairHaltReason, ProcessPairReportStatus } = require("../src/types");
 const {
@@ -192,6 +192,59 @@ describe("Test process pair", async function () {
         assert.deepEqual(result, expected);
     });
 
+    it("should record the would-be tx in simulation mode", async function () {
+        await mockServer.forPost("/rpc").thenSendJsonRpcResult(quoteResponse);
+        dataFetcher.getCurrentPoolCodeMap = () => {
+            return poolCodeMap;
+        };
+        signer.sendTx = async () => {
+            throw "should not broadcast in simulation mode";
+        };
+        config.simulate = true;
+        const result = await (
+            await processPair({
+                config,
+                orderPairObject,
+                viemClient,
+                dataFetcher,
+                signer,
+                arb,
+                orderbook,
+                pair,
+                mainAccount: signer,
+                accounts: [signer],
+                fetchedPairPools: [],
+                orderbooksOrders,
+                state,
+            })
+        )();
+        delete config.simulate;
+        const estimatedProfit = formatUnits(
+            estimateProfit(
+                orderPairObject,
+                getCurrentInputToEthPrice(),
+                ethers.utils.parseUnits("1"),
+                undefined,
+                getCurrentPrice(vaultBalance),
+                vaultBalance,
+            ),
+        );
+        assert.equal(result.report.status, ProcessPairReportStatus.FoundOpportunity);
+        assert.isUndefined(result.report.txUrl);
+        assert.isUndefined(result.reason);
+        assert.deepInclude(result.report.simulation, {
+            orderHash: orderPairObject.takeOrders[0].id,
+            orderbook: orderbook.address,
+            mode: "rp4",
+            estimatedProfit,
+            blockNumber: 123456,
+        });
+        assert.equal(result.report.simulation.rawtx.to, arb.address);
+        assert.equal(result.spanAttributes["details.simulated"], true);
+        assert.equal(result.spanAttributes["foundOpp"], true);
+        assert.isUndefined(result.spanAttributes["didClear"]);
+    });
+
     it("should process pair successfully from inter-orderbook", async function () {
         await mockServer.forPost("/rpc").thenSendJsonRpcResult(quoteResponse);
         let count = 0;
@@ -328,6 +381,43 @@ describe("Test process pair", async function () {
         assert.deepEqual(result, expected);
     });
 
+    it("should quote a stale batch quote again before dryrun", async function () {
+        // batch quote got stale and the order has zero max output by now
+        let quoteCalls = 0;
+        viemClient.call = async (args) => {
+            if (args?.data?.includes("0xe0e530b7")) {
+                quoteCalls++;
+                return {
+                    data: encodeQuoteResponse([true, ethers.constants.Zero, ethers.constants.Zero]),
+                };
+            } else {
+                return;
+            }
+        };
+        const orderPairObjectCopy = clone(orderPairObject);
+        const result = await (
+            await processPair({
+                config,
+                orderPairObject: orderPairObjectCopy,
+                viemClient,
+                dataFetcher,
+                signer,
+                flashbotSigner: undefined,
+                arb,
+                orderbook,
+                pair,
+                mainAccount: signer,
+                accounts: [signer],
+                fetchedPairPools: [],
+                state,
+                quotedAt: Date.now() - 60_000,
+            })
+        )();
+        assert.equal(quoteCalls, 1);
+        assert.equal(result.report.status, ProcessPairReportStatus.ZeroOutput);
+        assert.isTrue(orderPairObjectCopy.takeOrders[0].quote.maxOutput.isZero());
+    });
+
     it("should fail to quote order", async function () {
         viemClient.call = async () => {
             return Promise.reject('Execution reverted with unknown error. Data: "" ');
@@ -802,3 +892,74 @@ describe("Test process pair", async function () {
         }
     });
 });
+
+describe("Test start bundles", async function () {
+    const orderbook = `0x${"1".repeat(40)}`;
+    const getOrder = (id, owner) => ({
+        orderbook,
+        buyToken: `0x${"2".repeat(40)}`,
+        sellToken: `0x${"3".repeat(40)}`,
+        takeOrders: [{ id, takeOrder: { order: { owner } } }],
+    });
+    const owner1 = `0x${"4".repeat(40)}`;
+    const owner2 = `0x${"5".repeat(40)}`;
+
+    it("should only bundle orders of the same strategy", async function () {
+        // owner2 orders have their own strategy
+        const config = { strategies: [{ owner: owner2, hops: 2 }] };
+        const orders = [
+            getOrder("0x1", owner1),
+            getOrder("0x2", owner2),
+            getOrder("0x3", owner1),
+            getOrder("0x4", owner1),
+            getOrder("0x5", owner2),
+        ];
+        const started = [];
+        const result = await startBundles(config, orders, async (orderPairObject) => {
+            started.push(orderPairObject.takeOrders.map((v) => v.id));
+            return async () => ({});
+        });
+        assert.deepEqual(started, [
+            ["0x1", "0x3", "0x4"],
+            ["0x2", "0x5"],
+        ]);
+        assert.deepEqual(
+            result.bundles.map((v) => v.hasOpportunity),
+            [false, false],
+        );
+        assert.isEmpty(result.bundledOrderIds);
+
+        // a single order of a strategy is not bundled
+        started.length = 0;
+        await startBundles(config, orders.slice(0, 4), async (orderPairObject) => {
+            started.push(orderPairObject.takeOrders.map((v) => v.id));
+            return async () => ({});
+        });
+        assert.deepEqual(started, [["0x1", "0x3", "0x4"]]);
+    });
+
+    it("should skip the orders of bundles that have an opportunity", async function () {
+        const orders = [getOrder("0x1", owner1), getOrder("0x2", owner1), getOrder("0x3", owner2)];
+
+        // no opportunity, all orders fall back to being processed individually
+        let result = await startBundles({}, orders, async () => async () => ({}));
+        assert.equal(result.bundles.length, 1);
+        assert.isFalse(result.bundles[0].hasOpportunity);
+        assert.isEmpty(result.bundledOrderIds);
+
+        // bundle is trimmed to its first 2 orders that have an opportunity
+        result = await startBundles({}, orders, async (orderPairObject, hasOpportunity) => {
+            orderPairObject.takeOrders.splice(2);
+            hasOpportunity.value = true;
+            return async () => ({});
+        });
+        assert.isTrue(result.bundles[0].hasOpportunity);
+        assert.deepEqual(Array.from(result.bundledOrderIds), ["0x1", "0x2"]);
+
+        // nothing is bundled on shutdown
+        result = await startBundles({ shutdown: { requested: true } }, orders, async () => {
+            throw "should not be called";
+        });
+        assert.isEmpty(result.bundles);
+    });
+});
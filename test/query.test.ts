@@ -0,0 +1,192 @@
+import axios from "axios";
+import { assert } from "chai";
+import {
+    PAGE_SIZE,
+    getTxsQuery,
+    querySgOrders,
+    getOrderChanges,
+    getQueryPaginated,
+} from "../src/query";
+
+describe("Test subgraph query", async function () {
+    const originalPost = axios.post;
+    const getOrder = (i: number, active = true) => ({
+        id: `0x${i.toString(16).padStart(64, "0")}`,
+        active,
+    });
+
+    afterEach(function () {
+        axios.post = originalPost;
+    });
+
+    it("should build orders query paged by id", async function () {
+        const first = getQueryPaginated("", { orderOwner: "0xABC" });
+        assert.include(first, "orderBy: id, orderDirection: asc");
+        assert.include(first, `first: ${PAGE_SIZE}`);
+        assert.include(first, 'owner: "0xabc"');
+        assert.notInclude(first, "id_gt");
+        assert.notInclude(first, "skip");
+
+        const next = getQueryPaginated("0x01");
+        assert.include(next, 'id_gt: "0x01"');
+    });
+
+    it("should build orders query with filters", async function () {
+        const query = getQueryPaginated("", {
+            orderHash: "0xHASH",
+            orderOwner: "0xA",
+            orderOwners: ["0xB", "0xa"],
+            orderbook: "0xC",
+            includeTokens: ["0xD", "0xE"],
+            excludeTokens: ["0xF"],
+        });
+        assert.include(query, 'orderHash: "0xhash"');
+        assert.include(query, 'owner_in: ["0xa", "0xb"]');
+        assert.include(query, 'orderbook: "0xc"');
+        assert.include(
+            query,
+            'inputs_: {token_in: ["0xd", "0xe"]}, outputs_: {token_in: ["0xd", "0xe"]}',
+        );
+        assert.notInclude(query, "0xf");
+
+        // pairs tokens narrow down the query when there are no include tokens
+        const pairsQuery = getQueryPaginated("", {
+            orderbooks: ["0xC", "0xD"],
+            includePairs: [
+                ["0x1", "0x2"],
+                ["0x2", "0x3"],
+            ],
+        });
+        assert.include(pairsQuery, 'orderbook_in: ["0xc", "0xd"]');
+        assert.include(pairsQuery, 'inputs_: {token_in: ["0x1", "0x2", "0x3"]}');
+    });
+
+    it("should build txs query paged by timestamp and id", async function () {
+        const first = getTxsQuery({ timestamp: 123, id: "" });
+        assert.include(first, 'where: { timestamp_gt: "123" }');
+        assert.notInclude(first, "skip");
+
+        const next = getTxsQuery({ timestamp: 123, id: "0x01" });
+        assert.include(
+            next,
+            'where: { or: [{ timestamp_gt: "123" }, { timestamp: "123", id_gt: "0x01" }] }',
+        );
+    });
+
+    it("should query all orders page by page and merge them", async function () {
+        const queries: string[] = [];
+        const page1 = Array.from({ length: PAGE_SIZE }, (_, i) => getOrder(i + 1));
+        // last order of first page is read again on the second page
+        const page2 = [getOrder(PAGE_SIZE), getOrder(PAGE_SIZE + 1)];
+        axios.post = (async (_url: string, body: any) => {
+            queries.push(body.query);
+            return { data: { data: { orders: queries.length === 1 ? page1 : page2 } } };
+        }) as any;
+
+        const result = await querySgOrders("url");
+        assert.equal(queries.length, 2);
+        assert.include(queries[1], `id_gt: "${page1[PAGE_SIZE - 1].id}"`);
+        assert.equal(result.length, PAGE_SIZE + 1);
+        assert.deepEqual(
+            result.map((v) => v.id),
+            [...page1, getOrder(PAGE_SIZE + 1)].map((v) => v.id),
+        );
+    });
+
+    it("should get order changes and return the last read cursor", async function () {
+        const queries: string[] = [];
+        const getTx = (i: number, timestamp: number, events: any[] = []) => ({
+            id: `0x${i.toString(16).padStart(64, "0")}`,
+            timestamp: timestamp.toString(),
+            events,
+        });
+        const page1 = Array.from({ length: PAGE_SIZE }, (_, i) => getTx(i + 1, 200));
+        page1[0].events = [{ __typename: "AddOrder", order: getOrder(1) }];
+        const page2 = [
+            getTx(PAGE_SIZE + 1, 200, [{ __typename: "RemoveOrder", order: getOrder(2, false) }]),
+            getTx(PAGE_SIZE + 2, 201, [{ __typename: "Deposit" }]),
+        ];
+        axios.post = (async (_url: string, body: any) => {
+            queries.push(body.query);
+            return {
+                data: { data: { transactions: queries.length === 1 ? page1 : page2 } },
+            };
+        }) as any;
+
+        const result = await getOrderChanges("url", { timestamp: 100, id: "" });
+        assert.equal(queries.length, 2);
+        assert.include(queries[0], 'timestamp_gt: "100"');
+        assert.include(queries[1], `{ timestamp: "200", id_gt: "${page1[PAGE_SIZE - 1].id}" }`);
+        assert.equal(result.count, PAGE_SIZE + 2);
+        assert.deepEqual(result.cursor, { timestamp: 201, id: page2[1].id });
+        assert.deepEqual(
+            result.addOrders.map((v) => v.order.id),
+            [getOrder(1).id],
+        );
+        assert.deepEqual(
+            result.removeOrders.map((v) => v.order.id),
+            [getOrder(2).id],
+        );
+
+        // no new txs keeps the cursor
+        axios.post = (async () => ({ data: { data: { transactions: [] } } })) as any;
+        const noChange = await getOrderChanges("url", result.cursor);
+        assert.deepEqual(noChange.cursor, result.cursor);
+    });
+
+    it("should get vaults balance changes from deposits and withdrawals", async function () {
+        const getVaultEvent = (__typename: string, vaultId: string, newVaultBalance: string) => ({
+            __typename,
+            amount: "1",
+            newVaultBalance,
+            vault: {
+                vaultId,
+                owner: "0xOWNER",
+                token: { address: "0xTOKEN" },
+                orderbook: { id: "0xOB" },
+            },
+        });
+        axios.post = (async () => ({
+            data: {
+                data: {
+                    transactions: [
+                        {
+                            id: "0x01",
+                            timestamp: "100",
+                            events: [
+                                getVaultEvent("Deposit", "1", "10"),
+                                getVaultEvent("Deposit", "2", "20"),
+                            ],
+                        },
+                        {
+                            id: "0x02",
+                            timestamp: "101",
+                            events: [getVaultEvent("Withdrawal", "0x01", "4")],
+                        },
+                    ],
+                },
+            },
+        })) as any;
+
+        const result = await getOrderChanges("url", { timestamp: 99, id: "" });
+        assert.deepEqual(result.vaultChanges, [
+            {
+                orderbook: "0xob",
+                owner: "0xowner",
+                token: "0xtoken",
+                vaultId: "2",
+                balance: "20",
+                timestamp: 100,
+            },
+            {
+                orderbook: "0xob",
+                owner: "0xowner",
+                token: "0xtoken",
+                vaultId: "0x01",
+                balance: "4",
+                timestamp: 101,
+            },
+        ]);
+        assert.include(getTxsQuery({ timestamp: 99, id: "" }), "... on Withdrawal {");
+    });
+});
@@ -0,0 +1,90 @@
+const { assert } = require("chai");
+const fixtures = require("./data");
+const { clone } = require("../src/utils");
+const { encodeQuoteResponse } = require("./utils");
+const { quotePair, formatOrderQuotes } = require("../src/quote");
+const {
+    ethers,
+    utils: { formatUnits },
+} = require("ethers");
+
+describe("Test quote order", async function () {
+    const {
+        gasPrice,
+        gasLimitEstimation,
+        vaultBalance,
+        orderPairObject1,
+        config: fixtureConfig,
+        poolCodeMap,
+        pair,
+        rp3_2,
+        getCurrentPrice,
+    } = fixtures;
+    const config = JSON.parse(JSON.stringify(fixtureConfig));
+    config.routeProcessors = { 4: rp3_2 };
+    config.quoteGas = 1_000_000n;
+    config.route = "single";
+
+    let quoteResponse;
+    let orderPairObject;
+    beforeEach(() => {
+        quoteResponse = encodeQuoteResponse([true, vaultBalance, ethers.constants.Zero]);
+        orderPairObject = clone(orderPairObject1);
+        config.dataFetcher = {
+            fetchPoolsForToken: async () => {},
+            getCurrentPoolCodeMap: () => poolCodeMap,
+        };
+        config.viemClient = {
+            chain: { id: 137 },
+            call: async () => ({ data: quoteResponse }),
+            estimateGas: async () => gasLimitEstimation.toBigInt(),
+        };
+    });
+
+    it("should quote order pair against market", async function () {
+        const result = await quotePair(config, orderPairObject, gasPrice.toBigInt());
+        const gasCost = gasLimitEstimation.mul(gasPrice);
+        assert.deepInclude(result, {
+            orderHash: orderPairObject.takeOrders[0].id,
+            orderbook: orderPairObject.orderbook,
+            pair,
+            maxOutput: formatUnits(vaultBalance),
+            ratio: formatUnits(ethers.constants.Zero),
+            marketPrice: formatUnits(getCurrentPrice(ethers.utils.parseUnits("1"))),
+        });
+        assert.isUndefined(result.error);
+        assert.ok(ethers.utils.parseUnits(result.maxInput).lte(vaultBalance));
+        assert.isNotEmpty(result.route);
+        assert.deepInclude(result.gas, {
+            gasLimit: gasLimitEstimation.toString(),
+            gasPrice: gasPrice.toString(),
+            gasCost: formatUnits(gasCost),
+            // sell token is the native wrapped token in fixtures
+            sellTokenGasCost: formatUnits(gasCost),
+            estimation: "arb tx",
+        });
+
+        const report = formatOrderQuotes([result]);
+        assert.include(report, `order: ${orderPairObject.takeOrders[0].id}`);
+        assert.include(report, `max clearable amount: ${result.maxInput}`);
+        assert.include(report, result.route[0]);
+    });
+
+    it("should report the failed step of quoting order pair", async function () {
+        config.viemClient.call = async () => {
+            throw "some error";
+        };
+        let result = await quotePair(config, orderPairObject, gasPrice.toBigInt());
+        assert.isUndefined(result.maxOutput);
+        assert.include(result.error, "Failed to quote order");
+
+        quoteResponse = encodeQuoteResponse([true, ethers.constants.Zero, ethers.constants.Zero]);
+        config.viemClient.call = async () => ({ data: quoteResponse });
+        result = await quotePair(config, orderPairObject, gasPrice.toBigInt());
+        assert.equal(result.maxOutput, "0.0");
+        assert.isDefined(result.marketPrice);
+        assert.isUndefined(result.maxInput);
+        assert.equal(result.error, "order has zero max output");
+        assert.include(formatOrderQuotes([result]), "error: order has zero max output");
+    });
+});
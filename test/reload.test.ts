@@ -0,0 +1,141 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { assert } from "chai";
+import { DEFAULT_OWNER_LIMIT } from "../src/order";
+import { OrderbooksOwnersProfileMap } from "../src/types";
+import {
+    applySettings,
+    diffSettings,
+    watchConfigFile,
+    getReloadableSettings,
+    updateDataFetcherProviders,
+} from "../src/reload";
+
+describe("Test hot reload settings", async function () {
+    const owner1 = "0x" + "1".repeat(40);
+    const owner2 = "0x" + "2".repeat(40);
+
+    it("should get reloadable settings with defaults and validation", async function () {
+        assert.deepInclude(getReloadableSettings({}), {
+            gasCoveragePercentage: "100",
+            sleep: 10,
+            gasPriceMultiplier: 107,
+            gasLimitMultiplier: 100,
+            ownerProfile: undefined,
+            selfFundOrders: undefined,
+        });
+        assert.deepInclude(
+            getReloadableSettings({
+                gasCoverage: "50",
+                sleep: "20",
+                gasPriceMultiplier: "120",
+                gasLimitMultiplier: 110,
+            }),
+            {
+                gasCoveragePercentage: "50",
+                sleep: 20,
+                gasPriceMultiplier: 120,
+                gasLimitMultiplier: 110,
+            },
+        );
+        assert.throws(
+            () => getReloadableSettings({ gasCoverage: "abcd" }),
+            "invalid gas coverage percentage, must be an integer greater than equal 0",
+        );
+        assert.throws(
+            () => getReloadableSettings({ gasPriceMultiplier: "0" }),
+            "invalid gasPriceMultiplier value, must be an integer greater than zero",
+        );
+    });
+
+    it("should diff and apply settings in place", async function () {
+        const before = getReloadableSettings({ ownerProfile: { [owner1]: 5 } });
+        const after = getReloadableSettings({
+            gasCoverage: "0",
+            sleep: "30",
+            ownerProfile: { [owner2]: 3 },
+            selfFundOrders: [{ token: "0x1", vaultId: "1", threshold: "1", topupAmount: "2" }],
+        });
+        const diff = diffSettings(before, after);
+        assert.deepEqual(Object.keys(diff), [
+            "gasCoveragePercentage",
+            "ownerProfile",
+            "selfFundOrders",
+            "sleep",
+        ]);
+        assert.deepEqual(diff.gasCoveragePercentage, { before: "100", after: "0" });
+        assert.deepEqual(diffSettings(after, after), {});
+
+        const options: any = { gasCoverage: "100", ownerProfile: { [owner1]: 5 } };
+        const config: any = { gasCoveragePercentage: "100", viemClient: {} };
+        const orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap = new Map([
+            [
+                "0xob",
+                new Map([
+                    [owner1, { limit: 5, orders: new Map(), lastIndex: 0 }],
+                    [owner2, { limit: DEFAULT_OWNER_LIMIT, orders: new Map(), lastIndex: 0 }],
+                ]),
+            ],
+        ]) as any;
+        const otovMap = await applySettings(diff, options, config, orderbooksOwnersProfileMap);
+        assert.isDefined(otovMap);
+        assert.equal(config.gasCoveragePercentage, "0");
+        assert.equal(options.sleep, 30);
+        assert.deepEqual(config.selfFundOrders, after.selfFundOrders);
+        assert.deepEqual(options.ownerProfile, { [owner2]: 3 });
+
+        // owner1 limit is not set by admin anymore so it is reset
+        const ownersProfileMap = orderbooksOwnersProfileMap.get("0xob")!;
+        assert.equal(ownersProfileMap.get(owner1)!.limit, DEFAULT_OWNER_LIMIT);
+        assert.equal(ownersProfileMap.get(owner2)!.limit, 3);
+    });
+
+    it("should update data fetcher providers in place", async function () {
+        const getProvider = (type: string) => ({ type, getType: () => type });
+        const [v2, v3, curve] = [
+            getProvider("SushiSwapV2"),
+            getProvider("UniswapV3"),
+            getProvider("CurveSwap"),
+        ];
+        const dataFetcher: any = { providers: [v2, v3], fetchedPairPools: ["A/B"] };
+
+        // removed provider is dropped and kept provider is reused with its pools
+        updateDataFetcherProviders(dataFetcher, {
+            providers: [getProvider("SushiSwapV2")],
+        } as any);
+        assert.equal(dataFetcher.providers.length, 1);
+        assert.equal(dataFetcher.providers[0], v2);
+        assert.deepEqual(dataFetcher.fetchedPairPools, ["A/B"]);
+
+        // added provider is taken from the new data fetcher and pairs are fetched again
+        updateDataFetcherProviders(dataFetcher, {
+            providers: [getProvider("SushiSwapV2"), curve],
+        } as any);
+        assert.equal(dataFetcher.providers[0], v2);
+        assert.equal(dataFetcher.providers[1], curve);
+        assert.deepEqual(dataFetcher.fetchedPairPools, []);
+    });
+
+    it("should call reload on config file change and SIGHUP", async function () {
+        const file = path.join(os.tmpdir(), `arb-bot-reload-${process.pid}.yaml`);
+        fs.writeFileSync(file, "sleep: 10");
+        let reloads = 0;
+        const unwatch = watchConfigFile(file, () => reloads++, 20);
+        try {
+            process.emit("SIGHUP", "SIGHUP");
+            assert.equal(reloads, 1);
+
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            fs.writeFileSync(file, "sleep: 20");
+            fs.utimesSync(file, new Date(), new Date(Date.now() + 10_000));
+            await new Promise((resolve) => setTimeout(resolve, 200));
+            assert.equal(reloads, 2);
+        } finally {
+            unwatch();
+            fs.rmSync(file);
+        }
+        process.emit("SIGHUP", "SIGHUP");
+        assert.equal(reloads, 2);
+    });
+});
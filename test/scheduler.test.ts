@@ -0,0 +1,130 @@
+import { assert } from "chai";
+import { CliOptions } from "../src/types";
+import { createShutdownState, requestShutdown } from "../src/shutdown";
+import {
+    endRound,
+    startRound,
+    onNewBlock,
+    getRoundSchedule,
+    waitForNextRound,
+    watchRoundBlocks,
+    createRoundScheduler,
+    DEFAULT_ROUND_MAX_INTERVAL,
+} from "../src/scheduler";
+
+describe("Test block driven round scheduler", async function () {
+    it("should get round schedule from options", async function () {
+        assert.isUndefined(getRoundSchedule({} as CliOptions));
+        assert.isUndefined(getRoundSchedule({ schedule: "Time" } as CliOptions));
+        assert.deepEqual(getRoundSchedule({ schedule: "block" } as CliOptions), {
+            blocks: 1,
+            minInterval: 0,
+            maxInterval: DEFAULT_ROUND_MAX_INTERVAL * 1000,
+        });
+        assert.deepEqual(
+            getRoundSchedule({
+                schedule: "block",
+                roundBlocks: "3",
+                roundMinInterval: "2",
+                roundMaxInterval: "30",
+            } as CliOptions),
+            { blocks: 3, minInterval: 2000, maxInterval: 30000 },
+        );
+
+        for (const [options, expected] of [
+            [{ schedule: "blocks" }, "invalid --schedule, it should be either 'time' or 'block'"],
+            [
+                { schedule: "block", roundBlocks: "0" },
+                "invalid --round-blocks, it should be an integer greater than equal 1",
+            ],
+            [
+                { schedule: "block", roundMinInterval: "1.5" },
+                "invalid --round-min-interval, it should be an integer greater than equal 0",
+            ],
+            [
+                { schedule: "block", roundMinInterval: "10", roundMaxInterval: "5" },
+                "invalid --round-min-interval, it should not be greater than --round-max-interval",
+            ],
+        ] as const) {
+            assert.throws(() => getRoundSchedule(options as CliOptions), expected);
+        }
+    });
+
+    it("should trigger rounds every N blocks and skip triggers of running round", async function () {
+        const scheduler = createRoundScheduler({ blocks: 2, minInterval: 0, maxInterval: 60_000 });
+        onNewBlock(scheduler, 10n);
+        assert.isFalse(scheduler.triggered);
+        onNewBlock(scheduler, 10n); // same head is ignored
+        assert.isFalse(scheduler.triggered);
+        onNewBlock(scheduler, 11n);
+        assert.isTrue(scheduler.triggered);
+
+        const start = Date.now();
+        await waitForNextRound(scheduler, createShutdownState());
+        assert.isBelow(Date.now() - start, 100);
+        assert.equal(startRound(scheduler), 0);
+
+        // missed blocks are counted, triggers during running round are skipped
+        onNewBlock(scheduler, 15n);
+        onNewBlock(scheduler, 17n);
+        assert.isFalse(scheduler.triggered);
+        assert.equal(scheduler.skipped, 2);
+        endRound(scheduler);
+
+        // next round waits for its trigger
+        setTimeout(() => {
+            onNewBlock(scheduler, 18n);
+            onNewBlock(scheduler, 19n);
+        }, 50);
+        await waitForNextRound(scheduler, createShutdownState());
+        assert.equal(scheduler.lastBlock, 19n);
+        assert.equal(startRound(scheduler), 2);
+        assert.equal(scheduler.skipped, 0);
+    });
+
+    it("should respect min and max intervals and shutdown", async function () {
+        const scheduler = createRoundScheduler({ blocks: 1, minInterval: 150, maxInterval: 300 });
+        startRound(scheduler);
+        endRound(scheduler);
+
+        // triggered right away, but waits for min interval
+        onNewBlock(scheduler, 1n);
+        let start = Date.now();
+        await waitForNextRound(scheduler, createShutdownState());
+        assert.isAtLeast(Date.now() - start, 140);
+        startRound(scheduler);
+        endRound(scheduler);
+
+        // not triggered, starts after max interval
+        start = Date.now();
+        await waitForNextRound(scheduler, createShutdownState());
+        assert.isAtLeast(Date.now() - start, 290);
+        startRound(scheduler);
+        endRound(scheduler);
+
+        // shutdown wakes up the wait
+        const shutdown = createShutdownState();
+        start = Date.now();
+        setTimeout(() => requestShutdown(shutdown), 20);
+        await waitForNextRound(scheduler, shutdown);
+        assert.isBelow(Date.now() - start, 200);
+    });
+
+    it("should watch block heads by polling the client", async function () {
+        const scheduler = createRoundScheduler({ blocks: 1, minInterval: 0, maxInterval: 60_000 });
+        let watchParams: any;
+        const client = {
+            watchBlockNumber: (params: any) => {
+                watchParams = params;
+                return () => (watchParams = undefined);
+            },
+        };
+        const unwatch = watchRoundBlocks(scheduler, client as any);
+        assert.deepInclude(watchParams, { poll: true, pollingInterval: 1_000 });
+        watchParams.onBlockNumber(5n);
+        assert.isTrue(scheduler.triggered);
+        assert.equal(scheduler.lastBlock, 5n);
+        unwatch();
+        assert.isUndefined(watchParams);
+    });
+});
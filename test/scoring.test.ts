@@ -0,0 +1,238 @@
+import { assert } from "chai";
+import { ethers } from "ethers";
+import { prepareOrdersForRound } from "../src/order";
+import {
+    getOrderScore,
+    pickScoredPairs,
+    recordOrderStats,
+    getOrderStatsKey,
+    getDefaultOrderProfit,
+} from "../src/scoring";
+import {
+    Pair,
+    BundledOrders,
+    OrderStatsMap,
+    ProcessPairHaltReason,
+    ProcessPairReportStatus,
+    OrderbooksOwnersProfileMap,
+} from "../src/types";
+
+describe("Test order scoring", async function () {
+    const orderbook = "0x" + "1".repeat(40);
+    const owner = "0x" + "2".repeat(40);
+    const token1 = "0x" + "3".repeat(40);
+    const token2 = "0x" + "4".repeat(40);
+    const hash = (i: number) => "0x" + i.toString(16).padStart(64, "0");
+    const getPair = (i: number, ratio = "1"): Pair => ({
+        buyToken: token1,
+        buyTokenSymbol: "T1",
+        buyTokenDecimals: 18,
+        sellToken: token2,
+        sellTokenSymbol: "T2",
+        sellTokenDecimals: 18,
+        takeOrder: {
+            id: hash(i),
+            quote: { maxOutput: ethers.constants.One, ratio: ethers.utils.parseUnits(ratio) },
+            takeOrder: { order: { owner } } as any,
+        },
+    });
+    const toOrderPairObject = (pair: Pair): BundledOrders => ({
+        orderbook,
+        buyToken: pair.buyToken,
+        buyTokenSymbol: pair.buyTokenSymbol,
+        buyTokenDecimals: pair.buyTokenDecimals,
+        sellToken: pair.sellToken,
+        sellTokenSymbol: pair.sellTokenSymbol,
+        sellTokenDecimals: pair.sellTokenDecimals,
+        takeOrders: [pair.takeOrder],
+    });
+
+    it("should record order stats", async function () {
+        const stats: OrderStatsMap = new Map();
+        const orderPairObject = toOrderPairObject(getPair(1, "2"));
+        recordOrderStats(stats, orderPairObject, {
+            status: ProcessPairReportStatus.NoOpportunity,
+            spanAttributes: { "details.marketQuote.num": 2.5 },
+        });
+        recordOrderStats(stats, orderPairObject, {
+            status: ProcessPairReportStatus.FoundOpportunity,
+        });
+        recordOrderStats(stats, orderPairObject, {
+            status: ProcessPairReportStatus.FoundOpportunity,
+            simulated: true,
+        });
+        recordOrderStats(stats, orderPairObject, { reason: ProcessPairHaltReason.TxReverted });
+        recordOrderStats(stats, orderPairObject, { reason: ProcessPairHaltReason.FailedToQuote });
+        assert.deepEqual(stats.get(getOrderStatsKey(orderbook.toUpperCase(), hash(1))), {
+            rounds: 5,
+            opportunities: 3,
+            clears: 1,
+            reverts: 1,
+            marketGap: 0.25,
+        });
+    });
+
+    it("should score orders by their history", async function () {
+        const cold = getOrderScore(undefined);
+        assert.equal(cold, getOrderScore({ rounds: 0, opportunities: 0, clears: 0, reverts: 0 }));
+
+        const clearing = getOrderScore({ rounds: 10, opportunities: 8, clears: 8, reverts: 0 });
+        const reverting = getOrderScore({ rounds: 10, opportunities: 8, clears: 0, reverts: 8 });
+        const idle = getOrderScore({ rounds: 10, opportunities: 0, clears: 0, reverts: 0 });
+        assert.isAbove(clearing, cold);
+        assert.isAbove(cold, reverting);
+        assert.isAbove(cold, idle);
+
+        // market price being above the order's ratio increases the score
+        const stats = { rounds: 10, opportunities: 0, clears: 0, reverts: 0 };
+        assert.isAbove(getOrderScore({ ...stats, marketGap: 0.05 }), idle);
+        assert.isBelow(getOrderScore({ ...stats, marketGap: -0.05 }), idle);
+    });
+
+    it("should record realised net profit and score orders by it", async function () {
+        const stats: OrderStatsMap = new Map();
+        const orderPairObject = toOrderPairObject(getPair(1));
+        recordOrderStats(stats, orderPairObject, {
+            status: ProcessPairReportStatus.FoundOpportunity,
+            netProfit: ethers.utils.parseUnits("0.3"),
+        });
+        recordOrderStats(stats, orderPairObject, {
+            status: ProcessPairReportStatus.FoundOpportunity,
+            netProfit: ethers.utils.parseUnits("0.1"),
+        });
+        // simulated and unknown profits are not averaged
+        recordOrderStats(stats, orderPairObject, {
+            status: ProcessPairReportStatus.FoundOpportunity,
+            simulated: true,
+            netProfit: ethers.utils.parseUnits("5"),
+        });
+        recordOrderStats(stats, orderPairObject, {
+            status: ProcessPairReportStatus.FoundOpportunity,
+        });
+        const orderStats = stats.get(getOrderStatsKey(orderbook, hash(1)))!;
+        assert.equal(orderStats.clears, 3);
+        assert.equal(orderStats.profitSamples, 2);
+        assert.closeTo(orderStats.avgNetProfit!, 0.2, 1e-9);
+
+        // same clearing history, the one that clears for real profit ranks above the dust one
+        const history = { rounds: 100, opportunities: 100, clears: 100, reverts: 0 };
+        const profitable = getOrderScore({ ...history, avgNetProfit: 0.5 });
+        const dust = getOrderScore({ ...history, avgNetProfit: 0.0001 });
+        const losing = getOrderScore({ ...history, avgNetProfit: -0.1 });
+        assert.isAbove(profitable, dust);
+        assert.isAbove(dust, losing);
+        assert.equal(losing, 0);
+
+        // orders without profit history are scored with the mean of the known ones
+        stats.set(getOrderStatsKey(orderbook, hash(2)), { ...history, avgNetProfit: 0.4 });
+        stats.set(getOrderStatsKey(orderbook, hash(3)), { ...history });
+        assert.closeTo(getDefaultOrderProfit(stats), 0.3, 1e-9);
+        assert.equal(getDefaultOrderProfit(new Map()), 1);
+        assert.equal(getOrderScore(history, 0.5), getOrderScore({ ...history, avgNetProfit: 0.5 }));
+    });
+
+    it("should pick scored pairs with exploration", async function () {
+        const pairs = [1, 2, 3, 4, 5, 6].map((v) => getPair(v));
+        const stats: OrderStatsMap = new Map();
+        stats.set(getOrderStatsKey(orderbook, hash(5)), {
+            rounds: 4,
+            opportunities: 4,
+            clears: 4,
+            reverts: 0,
+        });
+        stats.set(getOrderStatsKey(orderbook, hash(3)), {
+            rounds: 4,
+            opportunities: 2,
+            clears: 2,
+            reverts: 0,
+        });
+
+        // no exploration, picks the top scored ones
+        let result = pickScoredPairs(pairs, 2, orderbook, { stats, exploration: 0 });
+        assert.deepEqual(
+            result.map((v) => v.takeOrder.id),
+            [hash(5), hash(3)],
+        );
+
+        // half exploration, picks the top one and a random one from the rest
+        result = pickScoredPairs(pairs, 4, orderbook, { stats, exploration: 50 });
+        assert.equal(result.length, 4);
+        assert.deepEqual(
+            result.slice(0, 2).map((v) => v.takeOrder.id),
+            [hash(5), hash(3)],
+        );
+        assert.equal(new Set(result.map((v) => v.takeOrder.id)).size, 4);
+
+        // all pairs are picked when they are within the limit
+        result = pickScoredPairs(pairs, 10, orderbook, { stats, exploration: 0 });
+        assert.equal(result.length, 6);
+
+        // low exploration still reserves a slot, so the lowest scored one gets a turn
+        const picked = new Set();
+        for (let i = 0; i < 100; i++) {
+            result = pickScoredPairs(pairs, 3, orderbook, { stats, exploration: 1 });
+            assert.deepEqual(
+                result.slice(0, 2).map((v) => v.takeOrder.id),
+                [hash(5), hash(3)],
+            );
+            picked.add(result[2].takeOrder.id);
+        }
+        assert.isAbove(picked.size, 1);
+
+        // cold pairs with the same score take turns without exploration
+        picked.clear();
+        for (let i = 0; i < 100; i++) {
+            result = pickScoredPairs(pairs, 3, orderbook, { stats, exploration: 0 });
+            picked.add(result[2].takeOrder.id);
+        }
+        assert.isAbove(picked.size, 1);
+    });
+
+    it("should prepare orders for round by score within owner limits", async function () {
+        const pairs = [1, 2, 3, 4].map((v) => getPair(v));
+        const orders = new Map();
+        pairs.forEach((pair) =>
+            orders.set(pair.takeOrder.id, {
+                active: true,
+                order: {} as any,
+                takeOrders: [pair],
+            }),
+        );
+        const orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap = new Map([
+            [orderbook, new Map([[owner, { limit: 2, lastIndex: 0, orders }]])],
+        ]);
+        const stats: OrderStatsMap = new Map();
+        stats.set(getOrderStatsKey(orderbook, hash(4)), {
+            rounds: 4,
+            opportunities: 4,
+            clears: 4,
+            reverts: 0,
+        });
+        stats.set(getOrderStatsKey(orderbook, hash(2)), {
+            rounds: 4,
+            opportunities: 2,
+            clears: 2,
+            reverts: 0,
+        });
+        // stats of an order that is not tracked anymore
+        stats.set(getOrderStatsKey(orderbook, hash(9)), {
+            rounds: 1,
+            opportunities: 0,
+            clears: 0,
+            reverts: 0,
+        });
+
+        const result = prepareOrdersForRound(orderbooksOwnersProfileMap, true, {
+            stats,
+            exploration: 0,
+        });
+        assert.equal(result.length, 1);
+        assert.equal(result[0].length, 1);
+        assert.deepEqual(
+            result[0][0].takeOrders.map((v) => v.id),
+            [hash(4), hash(2)],
+        );
+        assert.isFalse(stats.has(getOrderStatsKey(orderbook, hash(9))));
+        assert.equal(stats.size, 2);
+    });
+});
@@ -0,0 +1,114 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { assert } from "chai";
+import { ethers } from "ethers";
+import { CliOptions } from "../src/types";
+import { readSecretFile, resolveWalletSecrets } from "../src/secrets";
+
+describe("Test wallet secrets", async function () {
+    const dir = path.join(os.tmpdir(), `arb-bot-secrets-${process.pid}`);
+    const wallet = ethers.Wallet.createRandom();
+    const file = (name: string, content: string) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    before(() => fs.mkdirSync(dir, { recursive: true }));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("should read secret files", async function () {
+        assert.equal(
+            readSecretFile(file("key", `${wallet.privateKey}\n`), "key"),
+            wallet.privateKey,
+        );
+        assert.throws(
+            () => readSecretFile(path.join(dir, "missing"), "private key"),
+            `failed to read private key file: ${path.join(dir, "missing")}`,
+        );
+        assert.throws(
+            () => readSecretFile(file("empty", " \n"), "mnemonic"),
+            `mnemonic file is empty: ${path.join(dir, "empty")}`,
+        );
+    });
+
+    it("should resolve key and mnemonic from secret files", async function () {
+        const options = { keyFile: file("key", wallet.privateKey + "\n") } as CliOptions;
+        await resolveWalletSecrets(options);
+        assert.deepEqual(options, { key: wallet.privateKey } as CliOptions);
+
+        const mnemonic = wallet.mnemonic.phrase;
+        const mnemonicOptions = { mnemonicFile: file("mnemonic", mnemonic + "\n") } as CliOptions;
+        await resolveWalletSecrets(mnemonicOptions);
+        assert.deepEqual(mnemonicOptions, { mnemonic } as CliOptions);
+
+        // unchanged if raw values are given
+        const rawOptions = { key: "0x1234" } as CliOptions;
+        await resolveWalletSecrets(rawOptions);
+        assert.deepEqual(rawOptions, { key: "0x1234" } as CliOptions);
+    });
+
+    it("should decrypt keystore with its password", async function () {
+        const keystore = file(
+            "keystore.json",
+            await wallet.encrypt("some password", { scrypt: { N: 2 } }),
+        );
+        const options = {
+            keystore,
+            keystorePasswordFile: file("password", "some password\n"),
+        } as CliOptions;
+        await resolveWalletSecrets(options);
+        assert.deepEqual(options, { key: wallet.privateKey } as CliOptions);
+
+        const envPasswordOptions = { keystore, keystorePassword: "some password" } as CliOptions;
+        await resolveWalletSecrets(envPasswordOptions);
+        assert.deepEqual(envPasswordOptions, { key: wallet.privateKey } as CliOptions);
+
+        for (const [badOptions, expected] of [
+            [
+                { keystore },
+                "undefined keystore password, use --keystore-password-file to specify it",
+            ],
+            [
+                { keystore, keystorePassword: "wrong password" },
+                "failed to decrypt keystore, invalid keystore file or password",
+            ],
+            [
+                { keystore: file("bad.json", "{}"), keystorePassword: "some password" },
+                "failed to decrypt keystore, invalid keystore file or password",
+            ],
+        ] as const) {
+            try {
+                await resolveWalletSecrets({ ...badOptions } as CliOptions);
+                throw "expected to fail, but resolved";
+            } catch (error) {
+                assert.equal(error, expected);
+            }
+        }
+    });
+
+    it("should fail if more than one source of a secret is given", async function () {
+        for (const [options, expected] of [
+            [
+                { key: wallet.privateKey, keyFile: "path" },
+                "only one of key, key file or keystore should be specified",
+            ],
+            [
+                { keyFile: "path", keystore: "path" },
+                "only one of key, key file or keystore should be specified",
+            ],
+            [
+                { mnemonic: "some words", mnemonicFile: "path" },
+                "only one of mnemonic or mnemonic file should be specified",
+            ],
+        ] as const) {
+            try {
+                await resolveWalletSecrets({ ...options } as CliOptions);
+                throw "expected to fail, but resolved";
+            } catch (error) {
+                assert.equal(error, expected);
+            }
+        }
+    });
+});
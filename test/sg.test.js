@@ -1,6 +1,12 @@
 const { assert } = require("chai");
 const { AxiosError } = require("axios");
-const { checkSgStatus, handleSgResults, getSgOrderbooks } = require("../src/sg");
+const { confirmDisputedOrders, confirmOrderChanges } = require("../src/index");
+const {
+    checkSgStatus,
+    handleSgResults,
+    getSgOrderbooks,
+    reconcileSgResults,
+} = require("../src/sg");
 
 describe("Test read subgraph", async function () {
     it("should check subgraph status", async function () {
@@ -50,6 +56,7 @@ describe("Test read subgraph", async function () {
         }
         assert.deepEqual(result.availableSgs, sgsUrls);
         assert.deepEqual(result.reasons, {});
+        assert.deepEqual(result.blockNumbers, { url1: 123, url2: 122 });
 
         const mockSgStatusRejected = [
             {
@@ -234,6 +241,122 @@ describe("Test read subgraph", async function () {
         assert.deepEqual(result, ["order1", "order2"]);
     });
 
+    it("should reconcile subgraphs results", async function () {
+        const sgsUrls = ["url1", "url2", "url3"];
+        const getOrder = (orderbook, orderHash, balance = "1") => ({
+            orderHash,
+            orderbook: { id: orderbook },
+            inputs: [{ balance }],
+        });
+        // url1 and url2 index orderbook ob1, url3 indexes orderbook ob2
+        const responses = [
+            {
+                status: "fulfilled",
+                value: [getOrder("ob1", "0x1", "5"), getOrder("ob1", "0x2")],
+            },
+            {
+                status: "fulfilled",
+                value: [getOrder("ob1", "0x1", "6"), getOrder("ob1", "0x3")],
+            },
+            {
+                status: "fulfilled",
+                value: [getOrder("ob2", "0x4")],
+            },
+        ];
+        const blockNumbers = { url1: 100, url2: 105, url3: 90 };
+        const attrs = {};
+        const span = { setAttribute: (k, v) => (attrs[k] = v) };
+        const result = reconcileSgResults(sgsUrls, responses, blockNumbers, span);
+
+        // agreed orders, details taken from the most up to date subgraph
+        assert.deepEqual(result.orders, [getOrder("ob1", "0x1", "6"), getOrder("ob2", "0x4")]);
+        assert.deepEqual(result.disputed, [
+            { order: getOrder("ob1", "0x3"), preferred: true },
+            { order: getOrder("ob1", "0x2"), preferred: false },
+        ]);
+        assert.deepEqual(JSON.parse(attrs["details.sgsDisagreements"]), {
+            ob1: {
+                "0x3": { reportedBy: ["url2"], missingFrom: ["url1"] },
+                "0x2": { reportedBy: ["url1"], missingFrom: ["url2"] },
+            },
+        });
+
+        // url3 also indexes ob1 but is stale and returns none of its orders
+        const staleResult = reconcileSgResults(sgsUrls, responses, blockNumbers, span, false, {
+            url3: ["OB1", "ob2"],
+        });
+        assert.deepEqual(staleResult.orders, [getOrder("ob2", "0x4")]);
+        assert.deepEqual(staleResult.disputed, [
+            { order: getOrder("ob1", "0x1", "6"), preferred: true },
+            { order: getOrder("ob1", "0x3"), preferred: true },
+            { order: getOrder("ob1", "0x2"), preferred: false },
+        ]);
+        assert.deepEqual(JSON.parse(attrs["details.sgsDisagreements"]).ob1["0x1"], {
+            reportedBy: ["url2", "url1"],
+            missingFrom: ["url3"],
+        });
+
+        // all rejected
+        assert.throws(
+            () =>
+                reconcileSgResults(
+                    ["url1"],
+                    [{ status: "rejected", reason: "some error" }],
+                    blockNumbers,
+                ),
+            "could not get order details from given sgs",
+        );
+    });
+
+    it("should confirm disputed orders and order changes onchain", async function () {
+        const getOrder = (orderHash) => ({ orderHash, orderbook: { id: "ob1" } });
+        const viemClient = {
+            chain: { id: 137 },
+            multicall: async () => [
+                { status: "success", result: true },
+                { status: "success", result: false },
+                { status: "failure" },
+                { status: "failure" },
+            ],
+        };
+        const attrs = {};
+        const span = { setAttribute: (k, v) => (attrs[k] = v) };
+        const result = await confirmDisputedOrders(
+            [
+                { order: getOrder("0x1"), preferred: false },
+                { order: getOrder("0x2"), preferred: true },
+                { order: getOrder("0x3"), preferred: true },
+                { order: getOrder("0x4"), preferred: false },
+            ],
+            viemClient,
+            span,
+        );
+        assert.deepEqual(result, [getOrder("0x1"), getOrder("0x3")]);
+        assert.deepEqual(JSON.parse(attrs["details.disputedOrders"]), {
+            "0x1": "exists",
+            "0x2": "does not exist",
+            "0x3": "unconfirmed, kept",
+            "0x4": "unconfirmed, dropped",
+        });
+
+        // added 0x1 exists, added 0x2 doesnt, removed 0x3 and 0x4 are unconfirmed
+        let changes = await confirmOrderChanges(
+            [getOrder("0x1"), getOrder("0x2")],
+            [getOrder("0x3"), getOrder("0x4")],
+            viemClient,
+            span,
+        );
+        assert.deepEqual(changes, {
+            addOrders: [getOrder("0x1")],
+            removeOrders: [getOrder("0x3"), getOrder("0x4")],
+        });
+        assert.deepEqual(attrs["details.droppedOrderChanges"], ["0x2"]);
+
+        // removed 0x1 still exists
+        changes = await confirmOrderChanges([], [getOrder("0x1")], viemClient);
+        assert.deepEqual(changes, { addOrders: [], removeOrders: [] });
+    });
+
     it("should get subgraph orderbooks", async function () {
         const mockServer = require("mockttp").getLocal();
         await mockServer.start(8090);
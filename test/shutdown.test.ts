@@ -0,0 +1,61 @@
+import { assert } from "chai";
+import {
+    onShutdown,
+    shutdownSleep,
+    requestShutdown,
+    shutdownDeadline,
+    createShutdownState,
+    handleShutdownSignals,
+} from "../src/shutdown";
+
+describe("Test graceful shutdown", async function () {
+    it("should wake up sleeps and notify listeners on shutdown request", async function () {
+        const shutdown = createShutdownState();
+        let notified = 0;
+        onShutdown(shutdown, () => notified++);
+        const removeListener = onShutdown(shutdown, () => notified++);
+        removeListener();
+
+        // sleep resolves on its own and removes its listener
+        await shutdownSleep(shutdown, 10);
+        assert.equal(shutdown.listeners.length, 1);
+
+        const start = Date.now();
+        const sleeping = shutdownSleep(shutdown, 60_000);
+        requestShutdown(shutdown, "SIGTERM");
+        requestShutdown(shutdown, "SIGINT");
+        await sleeping;
+        assert.isBelow(Date.now() - start, 1000);
+        assert.deepInclude(shutdown, { requested: true, signal: "SIGTERM", listeners: [] });
+        assert.equal(notified, 1);
+
+        // already requested shutdown calls the listener immediately
+        onShutdown(shutdown, () => notified++);
+        assert.equal(notified, 2);
+        await shutdownSleep(shutdown, 60_000);
+    });
+
+    it("should resolve deadline after shutdown is requested", async function () {
+        const shutdown = createShutdownState();
+        let passed = false;
+        const deadline = shutdownDeadline(shutdown, 50).then(() => (passed = true));
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        assert.isFalse(passed);
+
+        const start = Date.now();
+        requestShutdown(shutdown);
+        await deadline;
+        assert.isTrue(passed);
+        assert.isAtLeast(Date.now() - start, 45);
+    });
+
+    it("should request shutdown on process signals", async function () {
+        const shutdown = createShutdownState();
+        const removeHandlers = handleShutdownSignals(shutdown, ["SIGUSR2"]);
+        process.emit("SIGUSR2", "SIGUSR2");
+        removeHandlers();
+        assert.isTrue(shutdown.requested);
+        assert.equal(shutdown.signal, "SIGUSR2");
+        assert.equal(process.listenerCount("SIGUSR2"), 0);
+    });
+});
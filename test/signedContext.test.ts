@@ -0,0 +1,298 @@
+import http from "http";
+import { AddressInfo } from "net";
+import { assert } from "chai";
+import { getQuoteConfig } from "../src/utils";
+import { privateKeyToAccount } from "viem/accounts";
+import { BotConfig, BundledOrders } from "../src/types";
+import { concat, encodePacked, keccak256, numberToHex, stringToHex, toHex } from "viem";
+import {
+    getSignedContextUrl,
+    attachSignedContexts,
+    getOrderSignedContextUrl,
+    RAIN_META_DOCUMENT_MAGIC,
+    parseSignedContextResponse,
+    SIGNED_CONTEXT_ORACLE_MAGIC,
+    parseSignedContextProviders,
+} from "../src/signedContext";
+
+describe("Test signed context", async function () {
+    const orderbook = "0x" + "1".repeat(40);
+    const owner = "0x" + "2".repeat(40);
+    const token1 = "0x" + "3".repeat(40);
+    const token2 = "0x" + "4".repeat(40);
+    const orderHash1 = "0x" + "5".repeat(64);
+    const orderHash2 = "0x" + "6".repeat(64);
+    const getTakeOrder = (id: string, signedContextUrl?: string) => ({
+        id,
+        signedContextUrl,
+        takeOrder: {
+            order: {
+                owner,
+                nonce: "0x" + "0".repeat(64),
+                evaluable: { interpreter: token1, store: token2, bytecode: "0x" },
+                validInputs: [{ token: token1, decimals: 18, vaultId: "0x01" }],
+                validOutputs: [{ token: token2, decimals: 18, vaultId: "0x01" }],
+            },
+            inputIOIndex: 0,
+            outputIOIndex: 0,
+            signedContext: [] as any[],
+        },
+    });
+
+    // encodes a rain meta item of the given magic and payload as cbor
+    const encodeMetaItem = (magic: bigint, payload: string) => {
+        const bytes = stringToHex(payload);
+        const length = (bytes.length - 2) / 2;
+        return concat([
+            "0xa3",
+            "0x00",
+            length < 24 ? toHex(0x40 + length) : concat(["0x58", toHex(length)]),
+            bytes,
+            "0x01",
+            "0x1b",
+            numberToHex(magic, { size: 8 }),
+            "0x02",
+            "0x6a",
+            stringToHex("text/plain"),
+        ]);
+    };
+
+    // local stand-in signer that signs the requested order's context
+    const signer = privateKeyToAccount(keccak256("0x01"));
+    const requests: any[] = [];
+    let url: string;
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", async () => {
+            const request = JSON.parse(body);
+            requests.push({ path: req.url, ...request });
+            if (req.url === "/fail") {
+                res.statusCode = 500;
+                res.end();
+                return;
+            }
+            if (req.url === "/invalid") {
+                res.setHeader("Content-Type", "application/json");
+                res.end(JSON.stringify({ signer: "0x1", context: [], signature: "0x" }));
+                return;
+            }
+            const context = [BigInt(request.blockNumber), BigInt(request.inputIOIndex)];
+            const signature = await signer.signMessage({
+                message: { raw: keccak256(encodePacked(["uint256[]"], [context])) },
+            });
+            res.setHeader("Content-Type", "application/json");
+            res.end(
+                JSON.stringify({
+                    signer: signer.address,
+                    context: context.map((v) => toHex(v)),
+                    signature,
+                }),
+            );
+        });
+    });
+
+    before(async () => {
+        await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+        url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    });
+    after(() => new Promise<void>((resolve) => server.close(() => resolve())));
+    beforeEach(() => requests.splice(0));
+
+    it("should parse signed context providers", async function () {
+        assert.isUndefined(parseSignedContextProviders(undefined));
+        assert.deepEqual(
+            parseSignedContextProviders([
+                { owner: owner.toUpperCase().replace("0X", "0x"), url: "https://signer.io" },
+                { pair: `${token1}/${token2}`, url: "http://127.0.0.1:8080/ctx" },
+            ]),
+            [
+                { url: "https://signer.io", owner },
+                { url: "http://127.0.0.1:8080/ctx", pair: [token1, token2] },
+            ],
+        );
+        for (const [providers, expected] of [
+            [{}, "invalid signed context providers, expected a list of providers"],
+            [
+                [{ url: "https://signer.io" }],
+                "invalid signed context provider at index 0, at least one of orderbook, owner, orderHash or pair should be given",
+            ],
+            [
+                [{ owner, url: "https://signer.io" }, { owner }],
+                "invalid signed context provider at index 1, invalid url, expected a http or https url",
+            ],
+            [
+                [{ owner, url: "ws://signer.io" }],
+                "invalid signed context provider at index 0, invalid url, expected a http or https url",
+            ],
+        ] as const) {
+            assert.throws(() => parseSignedContextProviders(providers), expected);
+        }
+    });
+
+    it("should get signed context url declared in order meta", async function () {
+        const item = encodeMetaItem(SIGNED_CONTEXT_ORACLE_MAGIC, "https://oracle.example.com/ctx");
+        const otherItem = encodeMetaItem(0xff13109e41336ff2n, "some rainlang");
+        assert.equal(
+            getOrderSignedContextUrl(
+                concat([numberToHex(RAIN_META_DOCUMENT_MAGIC, { size: 8 }), otherItem, item]),
+            ),
+            "https://oracle.example.com/ctx",
+        );
+        assert.equal(getOrderSignedContextUrl(item), "https://oracle.example.com/ctx");
+        assert.isUndefined(getOrderSignedContextUrl(otherItem));
+        assert.isUndefined(getOrderSignedContextUrl("0xa3ff"));
+        assert.isUndefined(getOrderSignedContextUrl(null));
+        assert.isUndefined(
+            getOrderSignedContextUrl(encodeMetaItem(SIGNED_CONTEXT_ORACLE_MAGIC, "not a url")),
+        );
+    });
+
+    it("should resolve signed context url of orders", async function () {
+        const orderPairObject = {
+            orderbook,
+            buyToken: token1,
+            sellToken: token2,
+            takeOrders: [getTakeOrder(orderHash1, "https://declared.io")],
+        } as any as BundledOrders;
+        const config = {} as any as BotConfig;
+        assert.equal(getSignedContextUrl(config, orderPairObject), "https://declared.io");
+
+        config.signedContextProviders = parseSignedContextProviders([
+            { owner, url: "https://owner.io" },
+            { orderHash: orderHash1, url: "https://order.io" },
+            { orderHash: orderHash2, url: "https://other.io" },
+        ]);
+        assert.equal(getSignedContextUrl(config, orderPairObject), "https://order.io");
+        orderPairObject.takeOrders[0].id = orderHash2;
+        assert.equal(getSignedContextUrl(config, orderPairObject), "https://other.io");
+        orderPairObject.takeOrders[0].takeOrder.order.owner = token1;
+        orderPairObject.takeOrders[0].id = orderHash1;
+        assert.equal(getSignedContextUrl(config, orderPairObject), "https://order.io");
+    });
+
+    it("should parse signed context response", async function () {
+        assert.deepEqual(
+            parseSignedContextResponse([
+                {
+                    signer: token1.toUpperCase().replace("0X", "0x"),
+                    context: [1, "0x2"],
+                    signature: "0xab",
+                },
+            ]),
+            [{ signer: token1, context: ["1", "2"], signature: "0xab" }],
+        );
+        for (const [data, expected] of [
+            ["abcd", "invalid signed context at index 0, expected an object"],
+            [{ signer: "0x1" }, "invalid signed context at index 0, invalid signer address"],
+            [
+                { signer: token1, context: ["-1"] },
+                "invalid signed context at index 0, invalid context value, expected uint256 values",
+            ],
+            [
+                { signer: token1, context: [1.5] },
+                "invalid signed context at index 0, invalid context value, expected uint256 values",
+            ],
+            [
+                { signer: token1, context: [], signature: "ab" },
+                "invalid signed context at index 0, invalid signature, expected hex bytes",
+            ],
+        ] as const) {
+            assert.throws(() => parseSignedContextResponse(data), expected);
+        }
+    });
+
+    it("should fetch, cache per block and attach signed contexts from mock signer", async function () {
+        let blockNumber = 100n;
+        const config = {
+            chain: { id: 137 },
+            viemClient: { getBlockNumber: async () => blockNumber },
+            signedContextProviders: parseSignedContextProviders([
+                { orderHash: orderHash2, url: `${url}/fail` },
+            ]),
+        } as any as BotConfig;
+        const declared = getTakeOrder(orderHash1, `${url}/ctx`);
+        const failing = getTakeOrder(orderHash2, `${url}/ctx`);
+        const unsigned = getTakeOrder("0x" + "7".repeat(64));
+        const bundledOrders = [
+            [
+                {
+                    orderbook,
+                    buyToken: token1,
+                    sellToken: token2,
+                    takeOrders: [declared, failing, unsigned],
+                },
+                // same order in the other direction of the pair is only fetched once
+                { orderbook, buyToken: token2, sellToken: token1, takeOrders: [declared] },
+            ],
+        ] as any as BundledOrders[][];
+
+        let errors = await attachSignedContexts(config, bundledOrders);
+        assert.deepEqual(Object.keys(errors!), [orderHash2]);
+        assert.include(errors![orderHash2], `failed to fetch signed context from ${url}/fail`);
+        assert.deepEqual(failing.takeOrder.signedContext, []);
+        assert.deepEqual(unsigned.takeOrder.signedContext, []);
+        assert.equal(declared.takeOrder.signedContext.length, 1);
+        assert.deepEqual(declared.takeOrder.signedContext[0].context, ["100", "0"]);
+        assert.equal(declared.takeOrder.signedContext[0].signer, signer.address.toLowerCase());
+        assert.deepEqual(
+            requests.map((v) => v.path),
+            ["/ctx", "/fail"],
+        );
+        assert.deepEqual(requests[0], {
+            path: "/ctx",
+            chainId: 137,
+            orderbook,
+            orderHash: orderHash1,
+            owner,
+            inputIOIndex: 0,
+            outputIOIndex: 0,
+            blockNumber: "100",
+        });
+
+        // signed context is used in quote config
+        assert.deepEqual(getQuoteConfig(declared as any).signedContext, [
+            {
+                signer: signer.address.toLowerCase() as `0x${string}`,
+                context: [100n, 0n],
+                signature: declared.takeOrder.signedContext[0].signature as `0x${string}`,
+            },
+        ]);
+
+        // cached in the same block, failed ones are retried
+        requests.splice(0);
+        await attachSignedContexts(config, bundledOrders);
+        assert.deepEqual(
+            requests.map((v) => v.path),
+            ["/fail"],
+        );
+        assert.equal(declared.takeOrder.signedContext.length, 1);
+
+        // fetched again on new block
+        requests.splice(0);
+        blockNumber = 101n;
+        config.signedContextProviders = undefined;
+        errors = await attachSignedContexts(config, bundledOrders);
+        assert.deepEqual(errors, {});
+        assert.equal(requests.length, 2);
+        assert.deepEqual(declared.takeOrder.signedContext[0].context, ["101", "0"]);
+        assert.deepEqual(failing.takeOrder.signedContext[0].context, ["101", "0"]);
+        assert.equal(config.signedContextCache!.size, 2);
+
+        // invalid responses are reported
+        config.signedContextProviders = parseSignedContextProviders([
+            { owner, url: `${url}/invalid` },
+        ]);
+        errors = await attachSignedContexts(config, bundledOrders);
+        assert.include(errors![orderHash1], "invalid signed context at index 0");
+        assert.deepEqual(declared.takeOrder.signedContext, []);
+
+        // no block number is fetched when no order has a signed context provider
+        assert.isUndefined(
+            await attachSignedContexts(
+                {} as any as BotConfig,
+                [[{ orderbook, takeOrders: [unsigned] }]] as any as BundledOrders[][],
+            ),
+        );
+    });
+});
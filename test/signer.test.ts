@@ -0,0 +1,126 @@
+import http from "http";
+import { AddressInfo } from "net";
+import { assert } from "chai";
+import { privateKeyToAccount } from "viem/accounts";
+import {
+    hexToBigInt,
+    hexToNumber,
+    keccak256,
+    parseTransaction,
+    TransactionSerializable,
+} from "viem";
+import {
+    toRemoteSignerAccount,
+    getRemoteSignerAccount,
+    getRemoteSignerAddresses,
+} from "../src/signer";
+
+describe("Test remote signer", async function () {
+    // local stand-in signer that holds the keys and implements the signer's JSON-RPC methods
+    const localAccounts = [1, 2, 3].map((v) =>
+        privateKeyToAccount(keccak256(`0x0${v}`) as `0x${string}`),
+    );
+    const requests: any[] = [];
+    let url: string;
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", async () => {
+            const { id, method, params } = JSON.parse(body);
+            requests.push({ method, params });
+            let result: any;
+            if (method === "eth_accounts") {
+                result = localAccounts.map((v) => v.address);
+            } else if (method === "eth_signTransaction") {
+                const tx = params[0];
+                const account = localAccounts.find(
+                    (v) => v.address.toLowerCase() === tx.from.toLowerCase(),
+                )!;
+                result = await account.signTransaction({
+                    type: "eip1559",
+                    chainId: hexToNumber(tx.chainId),
+                    nonce: hexToNumber(tx.nonce),
+                    gas: hexToBigInt(tx.gas),
+                    maxFeePerGas: hexToBigInt(tx.maxFeePerGas),
+                    maxPriorityFeePerGas: hexToBigInt(tx.maxPriorityFeePerGas),
+                    to: tx.to,
+                    data: tx.data,
+                    value: hexToBigInt(tx.value),
+                });
+            }
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify({ jsonrpc: "2.0", id, result }));
+        });
+    });
+
+    before(async () => {
+        await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+        url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    });
+    after(() => new Promise<void>((resolve) => server.close(() => resolve())));
+    beforeEach(() => requests.splice(0));
+
+    it("should get remote signer accounts by index", async function () {
+        const addresses = await getRemoteSignerAddresses(url);
+        assert.deepEqual(
+            addresses,
+            localAccounts.map((v) => v.address),
+        );
+
+        const account = await getRemoteSignerAccount(url, 2);
+        assert.equal(account.address, localAccounts[2].address);
+        assert.equal(account.type, "local");
+
+        try {
+            await getRemoteSignerAccount(url, 3);
+            throw "expected to fail, but resolved";
+        } catch (error) {
+            assert.equal(error, "remote signer has no account at index 3, available accounts: 3");
+        }
+
+        // already read addresses are not requested again
+        requests.splice(0);
+        const cachedAccount = await getRemoteSignerAccount(url, 1, addresses);
+        assert.equal(cachedAccount.address, localAccounts[1].address);
+        assert.isEmpty(requests);
+    });
+
+    it("should sign transaction remotely", async function () {
+        const tx: TransactionSerializable = {
+            type: "eip1559",
+            chainId: 137,
+            nonce: 5,
+            gas: 100000n,
+            maxFeePerGas: 30000000000n,
+            maxPriorityFeePerGas: 1000000000n,
+            to: localAccounts[0].address,
+            data: "0x1234",
+            value: 10n,
+        };
+        const account = toRemoteSignerAccount(url, localAccounts[1].address);
+        const signed = await account.signTransaction(tx);
+
+        // signed by the signer's key with the exact same tx fields
+        assert.equal(signed, await localAccounts[1].signTransaction(tx));
+        assert.deepInclude(parseTransaction(signed), { ...tx, to: tx.to!.toLowerCase() });
+        assert.deepEqual(requests, [
+            {
+                method: "eth_signTransaction",
+                params: [
+                    {
+                        from: localAccounts[1].address,
+                        to: localAccounts[0].address,
+                        data: "0x1234",
+                        type: "0x2",
+                        chainId: "0x89",
+                        nonce: "0x5",
+                        gas: "0x186a0",
+                        maxFeePerGas: "0x6fc23ac00",
+                        maxPriorityFeePerGas: "0x3b9aca00",
+                        value: "0xa",
+                    },
+                ],
+            },
+        ]);
+    });
+});
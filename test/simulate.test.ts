@@ -0,0 +1,84 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { assert } from "chai";
+import { ProcessPairReportStatus, Report } from "../src/types";
+import { getSimulationRecords, writeSimulationRecords } from "../src/simulate";
+
+describe("Test simulation mode records", async function () {
+    const getReport = (mode?: string, estimatedProfit = "0"): Report => ({
+        status: mode
+            ? ProcessPairReportStatus.FoundOpportunity
+            : ProcessPairReportStatus.NoOpportunity,
+        tokenPair: "USDT/WETH",
+        buyToken: "0x1",
+        sellToken: "0x2",
+        simulation: mode
+            ? {
+                  orderHash: "0xorder",
+                  orderbook: "0xob",
+                  mode,
+                  estimatedProfit,
+                  blockNumber: 123,
+                  rawtx: { to: "0xarb", data: "0x1234", gas: "100", gasPrice: "5" },
+              }
+            : undefined,
+    });
+
+    it("should get opportunities and round summary from reports", async function () {
+        const reports = [
+            getReport("rp4", "0.5"),
+            getReport(),
+            getReport("inter", "1.25"),
+            getReport("rp4", "0.25"),
+        ];
+        const { opportunities, summary } = getSimulationRecords(reports, 7, 1000);
+        assert.equal(opportunities.length, 3);
+        assert.deepEqual(opportunities[1], {
+            type: "opportunity",
+            round: 7,
+            timestamp: 1000,
+            pair: "USDT/WETH",
+            ...reports[2].simulation!,
+        });
+        assert.deepEqual(summary, {
+            type: "summary",
+            round: 7,
+            timestamp: 1000,
+            orders: 4,
+            opportunities: 3,
+            estimatedProfit: "2.0",
+            modes: { rp4: 2, inter: 1 },
+        });
+
+        const empty = getSimulationRecords([], 8, 1000);
+        assert.deepEqual(empty.opportunities, []);
+        assert.deepInclude(empty.summary, { orders: 0, opportunities: 0, estimatedProfit: "0.0" });
+    });
+
+    it("should append records to NDJSON file", async function () {
+        const dir = path.join(os.tmpdir(), `arb-bot-simulate-${process.pid}`);
+        const file = path.join(dir, "sim", "records.ndjson");
+        try {
+            const { opportunities, summary } = getSimulationRecords([getReport("intra", "1")], 1);
+            writeSimulationRecords(file, [...opportunities, summary]);
+            writeSimulationRecords(file, [getSimulationRecords([], 2).summary]);
+            writeSimulationRecords(file, []);
+
+            const lines = fs.readFileSync(file, "utf-8").trim().split("\n");
+            assert.equal(lines.length, 3);
+            const records = lines.map((v) => JSON.parse(v));
+            assert.deepEqual(
+                records.map((v) => [v.type, v.round]),
+                [
+                    ["opportunity", 1],
+                    ["summary", 1],
+                    ["summary", 2],
+                ],
+            );
+            assert.deepEqual(records[0].rawtx, opportunities[0].rawtx);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,164 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { assert } from "chai";
+import { OrderV3 } from "../src/abis";
+import { toOrder } from "../src/order";
+import { TokenDetails } from "../src/types";
+import { encodeAbiParameters, keccak256, parseAbiParameters } from "viem";
+import {
+    getState,
+    readState,
+    writeState,
+    STATE_VERSION,
+    getStateOrders,
+    getStateSourceKey,
+    reconcileStateOrders,
+} from "../src/state";
+
+describe("Test bot state persistence", async function () {
+    const orderbook = `0x${"2".repeat(40)}`;
+    const owner = `0x${"1".repeat(40)}`;
+    const token1 = `0x${"3".repeat(40)}`;
+    const token2 = `0x${"4".repeat(40)}`;
+    const tokens: TokenDetails[] = [
+        { address: token1, symbol: "TKN1", decimals: 6 },
+        { address: token2, symbol: "TKN2", decimals: 18 },
+    ];
+    const getOrder = (nonce: number) => ({
+        owner,
+        evaluable: {
+            interpreter: `0x${"5".repeat(40)}`,
+            store: `0x${"6".repeat(40)}`,
+            bytecode: "0x1234",
+        },
+        validInputs: [{ token: token1, decimals: 6, vaultId: 1n }],
+        validOutputs: [{ token: token2, decimals: 18, vaultId: 2n }],
+        nonce: `0x${nonce.toString().repeat(64)}`,
+    });
+    const getHash = (nonce: number) =>
+        keccak256(encodeAbiParameters(parseAbiParameters(OrderV3), [getOrder(nonce) as any]));
+    const statePath = path.join(os.tmpdir(), `arb-bot-state-${Date.now()}`, "state.json");
+
+    after(function () {
+        fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+    });
+
+    it("should get the same source key regardless of options order", async function () {
+        const key1 = getStateSourceKey({
+            subgraph: ["sg1", "sg2"],
+            onchainOrderbook: [orderbook.toUpperCase().replace("0X", "0x")],
+        } as any);
+        const key2 = getStateSourceKey({
+            subgraph: ["sg2", "sg1"],
+            onchainOrderbook: [orderbook],
+        } as any);
+        const key3 = getStateSourceKey({ subgraph: ["sg1"] } as any);
+        assert.equal(key1, key2);
+        assert.notEqual(key1, key3);
+    });
+
+    it("should build, write, read and restore state", async function () {
+        const hash1 = getHash(1);
+        const hash2 = getHash(2);
+        const orderbooksOwnersProfileMap = new Map([
+            [
+                orderbook,
+                new Map([
+                    [
+                        owner,
+                        {
+                            limit: 25,
+                            lastIndex: 0,
+                            orders: new Map([
+                                [
+                                    hash1,
+                                    { active: true, order: toOrder(getOrder(1)), takeOrders: [] },
+                                ],
+                                [
+                                    hash2,
+                                    { active: true, order: toOrder(getOrder(2)), takeOrders: [] },
+                                ],
+                            ]),
+                        },
+                    ],
+                ]),
+            ],
+        ]);
+        const sourceKey = getStateSourceKey({ subgraph: ["sg1"] } as any);
+        const state = getState(
+            sourceKey,
+            123,
+            [{ sg: "sg1", cursor: { timestamp: 123, id: "0xabcd" } }],
+            orderbooksOwnersProfileMap,
+            tokens,
+            { orderbooks: [orderbook], lastReadBlock: 99n },
+            [{ orderHash: hash2, orderbook: { id: orderbook } } as any],
+        );
+        assert.equal(state.version, STATE_VERSION);
+        assert.equal(state.onchainLastReadBlock, "99");
+        assert.deepEqual(state.lastReadOrdersMap, [
+            { sg: "sg1", cursor: { timestamp: 123, id: "0xabcd" } },
+        ]);
+        assert.deepEqual(
+            state.orders.map((v) => v.orderHash),
+            [hash1],
+        );
+
+        writeState(statePath, state);
+        assert.isFalse(fs.existsSync(statePath + ".tmp"));
+        assert.isUndefined(readState(statePath, getStateSourceKey({ subgraph: ["sg2"] } as any)));
+        const result = readState(statePath, sourceKey)!;
+        assert.deepEqual(result, JSON.parse(JSON.stringify(state)));
+
+        const orders = await getStateOrders(result, {} as any, tokens);
+        assert.equal(orders.length, 1);
+        assert.equal(orders[0].orderHash, hash1);
+        assert.equal(keccak256(orders[0].orderBytes as `0x${string}`), hash1);
+        assert.deepEqual(orders[0].inputs, [
+            { balance: "0", vaultId: "1", token: { address: token1, decimals: 6, symbol: "TKN1" } },
+        ]);
+    });
+
+    it("should reconcile restored orders with subgraph orders", async function () {
+        const getSgOrder = (orderHash: string, balance: string) =>
+            ({
+                orderHash,
+                orderbook: { id: orderbook },
+                inputs: [{ balance }],
+            }) as any;
+        const [hash1, hash2, hash3] = [getHash(1), getHash(2), getHash(3)];
+        const stateOrders = [getSgOrder(hash1, "0"), getSgOrder(hash2, "0")];
+        const sgOrders = [
+            getSgOrder(hash1.toUpperCase().replace("0X", "0x"), "5"),
+            getSgOrder(hash3, "7"),
+        ];
+
+        // restored orders take subgraph balances and removed ones are dropped
+        let result = reconcileStateOrders(stateOrders, sgOrders, false);
+        assert.deepEqual(
+            result.map((v) => [v.orderHash.toLowerCase(), v.inputs[0].balance]),
+            [
+                [hash1, "5"],
+                [hash3, "7"],
+            ],
+        );
+
+        // restored orders missing from subgraph are kept if they can come from other sources
+        result = reconcileStateOrders(stateOrders, sgOrders, true);
+        assert.deepEqual(
+            result.map((v) => [v.orderHash.toLowerCase(), v.inputs[0].balance]),
+            [
+                [hash1, "5"],
+                [hash3, "7"],
+                [hash2, "0"],
+            ],
+        );
+    });
+
+    it("should ignore missing or invalid state file", async function () {
+        assert.isUndefined(readState(statePath + "-missing", "key"));
+        fs.writeFileSync(statePath, "{abcd");
+        assert.isUndefined(readState(statePath, "key"));
+    });
+});
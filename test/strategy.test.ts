@@ -0,0 +1,112 @@
+import { assert } from "chai";
+import { BotConfig, BundledOrders } from "../src/types";
+import { isStrategyRuleMatch, parseStrategyRules, resolveStrategy } from "../src/strategy";
+
+describe("Test strategy rules", async function () {
+    const orderbook = "0x" + "1".repeat(40);
+    const owner = "0x" + "2".repeat(40);
+    const token1 = "0x" + "3".repeat(40);
+    const token2 = "0x" + "4".repeat(40);
+    const orderHash = "0x" + "5".repeat(64);
+    const orderPairObject = {
+        orderbook,
+        buyToken: token1,
+        sellToken: token2,
+        takeOrders: [{ id: orderHash, takeOrder: { order: { owner } } }],
+    } as any as BundledOrders;
+    const config = {
+        gasCoveragePercentage: "100",
+        hops: 1,
+        retries: 1,
+        route: "single",
+        maxRatio: false,
+    } as any as BotConfig;
+
+    it("should parse strategy rules", async function () {
+        assert.isUndefined(parseStrategyRules(undefined));
+        assert.deepEqual(
+            parseStrategyRules([
+                {
+                    pair: `${token2.toUpperCase().replace("0X", "0x")}/${token1}`,
+                    gasCoverage: "80",
+                    hops: "3",
+                },
+                { owner, orderbook, retries: 2, route: "Full", maxRatio: true },
+                { orderHash, pair: [token1, token2] },
+            ]),
+            [
+                { pair: [token2, token1], gasCoveragePercentage: "80", hops: 3 },
+                { owner, orderbook, retries: 2, route: "full", maxRatio: true },
+                { orderHash, pair: [token1, token2] },
+            ],
+        );
+
+        for (const [rules, expected] of [
+            [{}, "invalid strategies, expected a list of rules"],
+            [
+                [{ gasCoverage: "10" }],
+                "invalid strategy rule at index 0, at least one of orderbook, owner, orderHash or pair should be given",
+            ],
+            [
+                [{ owner }, { owner: "0x1" }],
+                "invalid strategy rule at index 1, invalid owner address",
+            ],
+            [
+                [{ pair: token1 }],
+                "invalid strategy rule at index 0, invalid pair, expected 2 token addresses",
+            ],
+            [
+                [{ owner, hops: 0 }],
+                "invalid strategy rule at index 0, hops must be an integer greater than 0",
+            ],
+            [
+                [{ owner, retries: 4 }],
+                "invalid strategy rule at index 0, retries must be an integer between 1 - 3",
+            ],
+            [
+                [{ owner, route: "some" }],
+                "invalid strategy rule at index 0, route must be one of single, multi or full",
+            ],
+        ] as const) {
+            assert.throws(() => parseStrategyRules(rules), expected);
+        }
+    });
+
+    it("should match strategy rules", async function () {
+        assert.isTrue(isStrategyRuleMatch({ pair: [token2, token1] }, orderPairObject));
+        assert.isTrue(isStrategyRuleMatch({ owner, orderbook, orderHash }, orderPairObject));
+        assert.isFalse(isStrategyRuleMatch({ owner, orderbook: token1 }, orderPairObject));
+        assert.isFalse(isStrategyRuleMatch({ pair: [token1, owner] }, orderPairObject));
+        assert.isFalse(isStrategyRuleMatch({ orderHash: "0x" + "6".repeat(64) }, orderPairObject));
+    });
+
+    it("should resolve order pair strategy settings", async function () {
+        // no rule matches, the config itself is used
+        let result = resolveStrategy(
+            { ...config, strategies: [{ owner: token1, hops: 5 }] },
+            orderPairObject,
+        );
+        assert.deepEqual(result.matchedRules, []);
+        assert.equal(result.config.hops, 1);
+
+        const strategies = parseStrategyRules([
+            { pair: [token1, token2], gasCoverage: 50, hops: 3, route: "multi" },
+            { orderbook: token1, gasCoverage: 0 },
+            { owner, gasCoverage: 0, route: "full", maxRatio: true },
+        ]);
+        const globalConfig = { ...config, strategies };
+        result = resolveStrategy(globalConfig, orderPairObject);
+        assert.deepEqual(result.matchedRules, [0, 2]);
+        assert.deepInclude(result.config, {
+            gasCoveragePercentage: "0",
+            hops: 3,
+            retries: 1,
+            route: undefined,
+            maxRatio: true,
+        });
+
+        // global config is not changed
+        assert.deepInclude(globalConfig, config);
+        assert.notStrictEqual(result.config, globalConfig);
+    });
+});
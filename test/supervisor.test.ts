@@ -0,0 +1,175 @@
+import http from "http";
+import { assert } from "chai";
+import { AddressInfo } from "net";
+import {
+    ChainsHealthMap,
+    addChainHealth,
+    getHealthReport,
+    parseChainsFile,
+    startHealthServer,
+    updateRoundHealth,
+    MAX_CONSECUTIVE_ROUND_FAILURES,
+} from "../src/supervisor";
+
+describe("Test multi chain supervisor", async function () {
+    const get = (port: number, path: string): Promise<{ status?: number; body: any }> =>
+        new Promise((resolve, reject) => {
+            http.get({ host: "127.0.0.1", port, path }, (res) => {
+                let data = "";
+                res.on("data", (chunk) => (data += chunk));
+                res.on("end", () =>
+                    resolve({ status: res.statusCode, body: data ? JSON.parse(data) : undefined }),
+                );
+            }).on("error", reject);
+        });
+
+    it("should parse chains file", async function () {
+        const result = parseChainsFile(
+            JSON.stringify([
+                {
+                    name: "flare",
+                    rpc: "https://rpc1.com, https://rpc2.com",
+                    subgraph: ["https://sg.com"],
+                    arbAddress: "0x1",
+                    dispair: "0x2",
+                    lps: "SparkDexV2,BlazeSwap",
+                },
+                { rpc: ["https://rpc3.com"], stateFile: "./other.json" },
+            ]),
+            "./state.json",
+        );
+        assert.deepEqual(result, [
+            {
+                name: "flare",
+                options: {
+                    rpc: ["https://rpc1.com", "https://rpc2.com"],
+                    subgraph: ["https://sg.com"],
+                    arbAddress: "0x1",
+                    dispair: "0x2",
+                    lps: ["SparkDexV2", "BlazeSwap"],
+                    stateFile: "./state.json.flare",
+                },
+            },
+            {
+                name: "chain-1",
+                options: { rpc: ["https://rpc3.com"], stateFile: "./other.json" },
+            },
+        ]);
+    });
+
+    it("should throw for invalid chains file", async function () {
+        assert.throws(() => parseChainsFile("{abcd"), "invalid chains file, cannot parse as json");
+        assert.throws(
+            () => parseChainsFile("[]"),
+            "invalid chains file, expected a non empty array of chain sections",
+        );
+        assert.throws(
+            () => parseChainsFile(JSON.stringify([{ name: "a" }])),
+            "invalid chains file, chain section a has no rpc",
+        );
+        assert.throws(
+            () =>
+                parseChainsFile(
+                    JSON.stringify([
+                        { name: "a", rpc: ["https://rpc1.com"] },
+                        { name: "a", rpc: ["https://rpc2.com"] },
+                    ]),
+                ),
+            "invalid chains file, duplicate chain section name: a",
+        );
+    });
+
+    it("should report chains health", async function () {
+        const healthMap: ChainsHealthMap = new Map();
+        const health1 = addChainHealth(healthMap, "chain1");
+        const health2 = addChainHealth(healthMap, "chain2");
+        assert.isFalse(getHealthReport(healthMap).healthy);
+
+        health1.status = "running";
+        health2.status = "running";
+        health1.rounds = 2;
+        health1.txs = 1;
+        const server = startHealthServer(0, healthMap);
+        try {
+            await new Promise((resolve) => server.once("listening", resolve));
+            const port = (server.address() as AddressInfo).port;
+
+            let result = await get(port, "/health");
+            assert.equal(result.status, 200);
+            assert.isTrue(result.body.healthy);
+            assert.deepEqual(
+                result.body.chains.map((v: any) => [v.chain, v.status]),
+                [
+                    ["chain1", "running"],
+                    ["chain2", "running"],
+                ],
+            );
+
+            result = await get(port, "/metrics");
+            assert.equal(result.status, 200);
+            assert.deepEqual(result.body[0], {
+                chain: "chain1",
+                rounds: 2,
+                foundOpps: 0,
+                clears: 0,
+                txs: 1,
+            });
+
+            health2.status = "failed";
+            health2.error = "some error";
+            result = await get(port, "/health");
+            assert.equal(result.status, 503);
+            assert.isFalse(result.body.healthy);
+            assert.equal(result.body.chains[1].error, "some error");
+
+            result = await get(port, "/other");
+            assert.equal(result.status, 404);
+        } finally {
+            server.close();
+        }
+    });
+
+    it("should report consecutive round failures in chain health", async function () {
+        const healthMap: ChainsHealthMap = new Map();
+        const health = addChainHealth(healthMap, "chain1");
+        health.status = "running";
+        for (let i = 1; i < MAX_CONSECUTIVE_ROUND_FAILURES; i++) {
+            updateRoundHealth(health, "some error");
+            assert.equal(health.status, "running");
+        }
+        updateRoundHealth(health, "some other error");
+        assert.equal(health.status, "degraded");
+        assert.equal(health.consecutiveFailures, MAX_CONSECUTIVE_ROUND_FAILURES);
+        assert.equal(health.error, "some other error");
+        assert.isFalse(getHealthReport(healthMap).healthy);
+
+        // a successful round brings it back to running
+        updateRoundHealth(health);
+        assert.equal(health.status, "running");
+        assert.equal(health.consecutiveFailures, 0);
+        assert.isUndefined(health.error);
+        assert.isTrue(getHealthReport(healthMap).healthy);
+
+        // a stopping chain's status is kept
+        health.status = "stopping";
+        for (let i = 0; i < MAX_CONSECUTIVE_ROUND_FAILURES; i++) {
+            updateRoundHealth(health, "some error");
+        }
+        assert.equal(health.status, "stopping");
+    });
+
+    it("should report health server errors instead of crashing", async function () {
+        const healthMap: ChainsHealthMap = new Map();
+        const server1 = startHealthServer(0, healthMap);
+        await new Promise((resolve) => server1.once("listening", resolve));
+        const port = (server1.address() as AddressInfo).port;
+        try {
+            const error: any = await new Promise((resolve) => {
+                startHealthServer(port, healthMap, resolve);
+            });
+            assert.equal(error.code, "EADDRINUSE");
+        } finally {
+            server1.close();
+        }
+    });
+});